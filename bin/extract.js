@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+/**
+ * Offline evaluation of invoice splitting and extraction.
+ *
+ * Runs boundary detection and extractFromLayout over the labeled fixtures in
+ * eval/fixtures (see src/services/evaluation.service.js for the fixture
+ * format), prints boundary precision / recall / F1 and field accuracy, and
+ * compares them with the stored baseline. LLM calls are answered from each
+ * fixture's recorded responses, so no network access is needed:
+ *
+ *   npm run extract                                # evaluate against eval/baseline.json
+ *   npm run extract -- --strategy heuristic        # another boundary strategy
+ *   npm run extract -- --only acme,globex          # some fixtures
+ *   npm run extract -- --boundaries-only           # skip extraction
+ *   npm run extract -- --update-baseline           # store this run as the baseline
+ *   npm run extract -- --record                    # call the configured LLM providers and record their answers
+ *   npm run extract -- --json report.json          # full report with every mismatch
+ *   npm run extract -- --fixtures dir --baseline file.json
+ *
+ * Exits with 1 when a metric is below the baseline.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { STAGES, getProvider, getStageProviderName } = require('../src/services/llm-providers');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../eval/fixtures');
+const DEFAULT_BASELINE = path.join(__dirname, '../eval/baseline.json');
+const MAX_PRINTED_MISMATCHES = 10;
+
+function parseOptions(argv) {
+  const valueOf = (name) => {
+    const index = argv.indexOf(name);
+    if (index === -1) return undefined;
+    const value = argv[index + 1];
+    if (!value || value.startsWith('--')) {
+      throw new Error(`${name} expects a value`);
+    }
+    return value;
+  };
+
+  const only = valueOf('--only');
+  return {
+    fixturesDir: path.resolve(valueOf('--fixtures') || DEFAULT_FIXTURES_DIR),
+    baselinePath: path.resolve(valueOf('--baseline') || DEFAULT_BASELINE),
+    jsonPath: valueOf('--json') ? path.resolve(valueOf('--json')) : null,
+    strategy: valueOf('--strategy'),
+    only: only ? only.split(',').map(name => name.trim()).filter(Boolean) : null,
+    record: argv.includes('--record'),
+    updateBaseline: argv.includes('--update-baseline'),
+    extraction: !argv.includes('--boundaries-only'),
+    verbose: argv.includes('--verbose')
+  };
+}
+
+/**
+ * Answer every LLM stage from the recorded responses through the mock provider
+ */
+function useRecordedResponses() {
+  process.env.LLM_PROVIDER = 'mock';
+  STAGES.forEach(stage => {
+    delete process.env[`LLM_${stage.toUpperCase()}_PROVIDER`];
+  });
+  return getProvider('mock');
+}
+
+function replay(mockProvider, llmResponses) {
+  mockProvider.reset();
+  STAGES.forEach(stage => {
+    mockProvider.queueResponses(stage, (llmResponses && llmResponses[stage]) || []);
+  });
+}
+
+/**
+ * Calls that found no recorded response and got the mock's fixed answer
+ * @returns {Array<string>} - Warnings
+ */
+function unrecordedCalls(mockProvider, llmResponses) {
+  return STAGES
+    .map(stage => {
+      const calls = mockProvider.calls.filter(call => call.stage === stage).length;
+      const recorded = ((llmResponses && llmResponses[stage]) || []).length;
+      return calls > recorded
+        ? `${calls - recorded} ${stage} LLM call(s) had no recorded response - run with --record`
+        : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Keep the answer of every LLM call made through the configured providers
+ * @returns {Object} - Recorder: { start() → responses of the next calls by stage }
+ */
+function recordResponses() {
+  let responses = null;
+  const wrapped = new Set();
+
+  STAGES.forEach(stage => {
+    const provider = getProvider(getStageProviderName(stage));
+    if (wrapped.has(provider)) return;
+    wrapped.add(provider);
+
+    const getClient = provider.getClient.bind(provider);
+    provider.getClient = (clientStage, model) => {
+      const client = getClient(clientStage, model);
+      return {
+        chat: {
+          completions: {
+            create: async (params) => {
+              const response = await client.chat.completions.create(params);
+              if (!responses[clientStage]) responses[clientStage] = [];
+              responses[clientStage].push(response?.choices?.[0]?.message?.content ?? '');
+              return response;
+            }
+          }
+        }
+      };
+    };
+  });
+
+  return {
+    start() {
+      responses = {};
+      return responses;
+    }
+  };
+}
+
+function formatScore(value) {
+  return value === null || value === undefined ? '  -  ' : value.toFixed(3);
+}
+
+function formatAccuracy({ correct, total, accuracy }) {
+  return total > 0 ? `${correct}/${total} (${(accuracy * 100).toFixed(1)}%)` : 'not labeled';
+}
+
+function printResult(result) {
+  const exact = result.boundaries.added + result.boundaries.removed + result.boundaries.moved === 0;
+  const icon = result.errors.length > 0 ? '❌' : exact && (result.fields.accuracy === null || result.fields.accuracy === 1) ? '✅' : '⚠️ ';
+
+  console.log(`  ${icon} ${result.name}`);
+  console.log(`     Splits: ${result.detectedInvoices} detected / ${result.expectedInvoices} expected, boundaries P ${formatScore(result.boundaries.precision)} R ${formatScore(result.boundaries.recall)} F1 ${formatScore(result.boundaries.f1)}`);
+  result.boundaries.details
+    .filter(boundary => boundary.status !== 'matched')
+    .forEach(boundary => {
+      const detail = boundary.status === 'moved' ? `detected on page ${boundary.from}, expected on page ${boundary.page}` : `page ${boundary.page}`;
+      console.log(`       ✗ boundary ${boundary.status}: ${detail}`);
+    });
+
+  console.log(`     Fields: ${formatAccuracy(result.fields)}${result.fields.unexpected > 0 ? `, ${result.fields.unexpected} unexpected` : ''}`);
+  const mismatches = result.invoices.flatMap(invoice => invoice.mismatches.map(mismatch => ({ ...mismatch, invoice: invoice.index + 1 })));
+  mismatches.slice(0, MAX_PRINTED_MISMATCHES).forEach(mismatch => {
+    console.log(`       ✗ invoice ${mismatch.invoice} ${mismatch.path}: expected ${JSON.stringify(mismatch.expected)}, got ${JSON.stringify(mismatch.actual)}`);
+  });
+  if (mismatches.length > MAX_PRINTED_MISMATCHES) {
+    console.log(`       … ${mismatches.length - MAX_PRINTED_MISMATCHES} more (see --json)`);
+  }
+
+  result.errors.forEach(error => console.log(`     ❌ ${error}`));
+  (result.warnings || []).forEach(warning => console.log(`     ⚠️  ${warning}`));
+}
+
+function printSummary(summary) {
+  const { boundaries, fields } = summary;
+
+  console.log('\n📏 Overall');
+  console.log(`  Fixtures: ${summary.fixtures} (${summary.exactFixtures} split exactly)`);
+  console.log(`  Boundaries: P ${formatScore(boundaries.precision)} R ${formatScore(boundaries.recall)} F1 ${formatScore(boundaries.f1)} (${boundaries.matched} matched, ${boundaries.added} missed, ${boundaries.removed} spurious, ${boundaries.moved} moved)`);
+  console.log(`  Fields: ${formatAccuracy(fields)}${fields.unexpected > 0 ? `, ${fields.unexpected} unexpected` : ''}`);
+
+  Object.entries(fields.byField)
+    .sort(([a, countsA], [b, countsB]) => countsA.accuracy - countsB.accuracy || a.localeCompare(b))
+    .forEach(([field, counts]) => {
+      console.log(`    ${field.padEnd(40)} ${formatAccuracy(counts)}`);
+    });
+}
+
+/**
+ * @returns {Array<Object>} - Regressions
+ */
+function printBaselineDiff(evaluationService, baselinePath, current) {
+  if (!fs.existsSync(baselinePath)) {
+    console.log(`\n📊 No baseline at ${baselinePath} (create one with --update-baseline)`);
+    return [];
+  }
+
+  const baseline = JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+  console.log(`\n📊 Against baseline ${baselinePath} (${baseline.createdAt})`);
+  if (baseline.strategy !== current.strategy) {
+    console.log(`  ⚠️  Baseline used strategy ${baseline.strategy}, this run ${current.strategy}`);
+  }
+
+  const changes = evaluationService.diffBaseline(baseline, current);
+  const icons = { improved: '⬆️ ', regressed: '⬇️ ', new: '🆕', missing: '➖' };
+  changes.forEach(change => {
+    const values = change.delta === null
+      ? `${formatScore(change.baseline)} → ${formatScore(change.current)}`
+      : `${formatScore(change.baseline)} → ${formatScore(change.current)} (${change.delta > 0 ? '+' : ''}${change.delta.toFixed(3)})`;
+    console.log(`  ${icons[change.status]} ${change.metric}${change.status === 'new' && change.current === null ? '' : `: ${values}`}`);
+  });
+  if (changes.length === 0) {
+    console.log('  No changes');
+  }
+
+  return changes.filter(change => change.status === 'regressed');
+}
+
+async function main() {
+  const options = parseOptions(process.argv.slice(2));
+  if (options.updateBaseline && options.only) {
+    throw new Error('--update-baseline needs a run over every fixture (without --only)');
+  }
+  const mockProvider = options.record ? null : useRecordedResponses();
+  const recorder = options.record ? recordResponses() : null;
+
+  // Loaded after the LLM provider is chosen; pipeline logs only with --verbose
+  const evaluationService = require('../src/services/evaluation.service');
+  const boundaryDetectionService = require('../src/services/boundary-detection.service');
+  const strategy = (options.strategy || boundaryDetectionService.getDefaultStrategy()).toLowerCase();
+  if (!boundaryDetectionService.isValidStrategy(strategy)) {
+    throw new Error(`Unknown boundary strategy: ${strategy}. Available: ${boundaryDetectionService.listStrategies().join(', ')}`);
+  }
+
+  const fixtures = evaluationService.loadFixtures(options.fixturesDir, { only: options.only });
+  if (fixtures.length === 0) {
+    throw new Error(`No fixtures in ${options.fixturesDir}`);
+  }
+
+  console.log(`📋 Evaluating ${fixtures.length} fixture(s) from ${options.fixturesDir}`);
+  console.log(`   Strategy: ${strategy}, LLM: ${options.record ? 'configured providers (recording)' : 'recorded responses'}\n`);
+
+  const log = console.log;
+  const results = [];
+  for (const fixture of fixtures) {
+    const recorded = recorder ? recorder.start() : null;
+    if (mockProvider) replay(mockProvider, fixture.llmResponses);
+
+    if (!options.verbose) console.log = () => {};
+    let result;
+    try {
+      result = await evaluationService.evaluateFixture(fixture, { strategy, extraction: options.extraction });
+    } finally {
+      console.log = log;
+    }
+
+    if (recorded) {
+      evaluationService.saveLlmResponses(fixture, recorded);
+    }
+    result.warnings = mockProvider ? unrecordedCalls(mockProvider, fixture.llmResponses) : [];
+
+    printResult(result);
+    results.push(result);
+  }
+
+  const summary = evaluationService.summarize(results);
+  printSummary(summary);
+
+  const report = { strategy, results, summary };
+  const current = evaluationService.toBaseline(report);
+  const regressions = printBaselineDiff(evaluationService, options.baselinePath, current);
+
+  if (options.jsonPath) {
+    fs.writeFileSync(options.jsonPath, `${JSON.stringify({ ...report, baseline: current }, null, 2)}\n`);
+    console.log(`\n💾 Report written to ${options.jsonPath}`);
+  }
+
+  if (options.updateBaseline) {
+    fs.mkdirSync(path.dirname(options.baselinePath), { recursive: true });
+    fs.writeFileSync(options.baselinePath, `${JSON.stringify(current, null, 2)}\n`);
+    console.log(`\n💾 Baseline updated: ${options.baselinePath}`);
+  } else if (regressions.length > 0) {
+    console.log(`\n❌ ${regressions.length} metric(s) below the baseline`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error('Evaluation failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * Database migration CLI.
+ *
+ * Shows the schema version of the database at DATABASE_PATH and applies or
+ * rolls back the migrations in src/migrations:
+ *
+ *   npm run migrate                         # apply all pending migrations
+ *   npm run migrate -- up --to 3            # apply up to version 3
+ *   npm run migrate -- down                 # roll back the newest migration
+ *   npm run migrate -- down --steps 2       # roll back the two newest migrations
+ *   npm run migrate -- down --to 1          # roll back everything above version 1
+ *   npm run migrate -- status               # applied and pending migrations
+ *
+ * Stop the server and workers before rolling back.
+ */
+
+require('dotenv').config();
+
+const database = require('../src/config/database');
+const migrator = require('../src/config/migrator');
+
+const COMMANDS = ['up', 'down', 'status'];
+
+function parseNumberOption(argv, name) {
+  const index = argv.indexOf(name);
+  if (index === -1) return undefined;
+  const value = parseInt(argv[index + 1], 10);
+  if (Number.isNaN(value) || value < 0) {
+    throw new Error(`${name} expects a non-negative number`);
+  }
+  return value;
+}
+
+function label(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+async function printStatus(db) {
+  const state = await migrator.status(db);
+
+  console.log(`Schema version: ${state.currentVersion} (latest: ${state.latestVersion})`);
+  state.applied.forEach(row => {
+    console.log(`  ✅ ${label(row)}  applied ${row.applied_at}`);
+  });
+  state.pending.forEach(migration => {
+    console.log(`  ⏳ ${label(migration)}  pending`);
+  });
+  state.unknown.forEach(row => {
+    console.log(`  ⚠️  ${label(row)}  applied by a newer release`);
+  });
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const command = argv[0] && !argv[0].startsWith('--') ? argv[0] : 'up';
+
+  if (!COMMANDS.includes(command)) {
+    throw new Error(`Unknown command: ${command}. Available: ${COMMANDS.join(', ')}`);
+  }
+
+  await database.initialize({ migrate: false });
+  const db = database.getDb();
+
+  try {
+    if (command === 'up') {
+      const applied = await migrator.migrate(db, { to: parseNumberOption(argv, '--to') });
+      console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Nothing to migrate');
+    } else if (command === 'down') {
+      const to = parseNumberOption(argv, '--to');
+      const steps = parseNumberOption(argv, '--steps');
+      const rolledBack = await migrator.rollback(db, { to, steps: steps === undefined ? 1 : steps });
+      console.log(rolledBack.length > 0 ? `Rolled back ${rolledBack.length} migration(s)` : 'Nothing to roll back');
+    }
+
+    await printStatus(db);
+  } finally {
+    await database.close();
+  }
+}
+
+main().catch((error) => {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+});
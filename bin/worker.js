@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+/**
+ * Standalone job worker.
+ *
+ * Runs queued batch jobs outside the web server. Start the server with
+ * JOB_WORKER_EMBEDDED=false and run one or more workers against the same
+ * database:
+ *
+ *   npm run worker
+ *   npm run worker -- --concurrency 4
+ */
+
+require('dotenv').config();
+
+const database = require('../src/config/database');
+const jobQueue = require('../src/services/job-queue.service');
+const { registerJobHandlers } = require('../src/jobs');
+
+function parseConcurrency(argv) {
+  const index = argv.indexOf('--concurrency');
+  if (index === -1) return undefined;
+  const value = parseInt(argv[index + 1], 10);
+  if (!value || value < 1) {
+    throw new Error('--concurrency expects a positive number');
+  }
+  return value;
+}
+
+async function main() {
+  const concurrency = parseConcurrency(process.argv.slice(2));
+
+  await database.initialize();
+  registerJobHandlers();
+  await jobQueue.start({ concurrency });
+
+  const shutdown = async () => {
+    console.log('\n🛑 Stopping job worker...');
+    await jobQueue.stop();
+    await database.close();
+    process.exit(0);
+  };
+
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+}
+
+main().catch((error) => {
+  console.error('Job worker failed to start:', error);
+  process.exit(1);
+});
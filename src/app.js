@@ -11,6 +11,11 @@ const webRoutes = require('./routes/web.routes');
 
 // Import database
 const database = require('./config/database');
+const envValidator = require('./config/env-validator');
+const jobQueue = require('./services/job-queue.service');
+const watchFolder = require('./services/watch-folder.service');
+const eventsController = require('./controllers/events.controller');
+const { registerJobHandlers } = require('./jobs');
 
 class InvoiceProcessingApp {
   constructor() {
@@ -145,6 +150,19 @@ class InvoiceProcessingApp {
       await database.initialize();
       console.log('Database initialized successfully');
 
+      // Background jobs run in this process unless a separate worker is used
+      registerJobHandlers();
+      if (process.env.JOB_WORKER_EMBEDDED !== 'false') {
+        await jobQueue.start();
+      } else {
+        console.log('👷 Embedded job worker disabled - run `npm run worker` to process jobs');
+      }
+
+      // Scanner drop folder (WATCH_FOLDER_DIR)
+      if (watchFolder.isEnabled()) {
+        await watchFolder.start();
+      }
+
       // Note: Azure services will be initialized lazily when needed
       
       console.log('Application initialized successfully');
@@ -193,13 +211,12 @@ class InvoiceProcessingApp {
   logConfigurationStatus() {
     console.log('📋 Configuration Status:');
     
-    const requiredEnvVars = [
-      'AZURE_FORM_RECOGNIZER_ENDPOINT',
-      'AZURE_FORM_RECOGNIZER_KEY',
-      'AZURE_OPENAI_ENDPOINT',
-      'AZURE_OPENAI_KEY',
-      'AZURE_OPENAI_DEPLOYMENT_NAME'
-    ];
+    const requiredEnvVars = envValidator.getRequiredVars();
+
+    console.log(`   📄 Document provider: ${process.env.DOCUMENT_PROVIDER || 'azure'}`);
+    Object.entries(envValidator.getLLMProviderSummary()).forEach(([stage, provider]) => {
+      console.log(`   🤖 LLM provider (${stage}): ${provider}`);
+    });
 
     let configuredCount = 0;
     requiredEnvVars.forEach(varName => {
@@ -220,11 +237,22 @@ class InvoiceProcessingApp {
   async gracefulShutdown(server) {
     console.log('\n🛑 Received shutdown signal. Gracefully shutting down...');
     
+    // Event streams never end by themselves and would keep the server open
+    const streams = eventsController.closeAllStreams();
+    if (streams > 0) {
+      console.log(`📡 Closed ${streams} event stream(s)`);
+    }
+
     // Close server
     server.close(async () => {
       console.log('📴 HTTP server closed');
       
       try {
+        // Stop picking up scanned files, then let running jobs finish
+        // (interrupted ones are resumed on next start)
+        await watchFolder.stop();
+        await jobQueue.stop();
+
         // Close database connection
         await database.close();
         console.log('🗄️  Database connection closed');
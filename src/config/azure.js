@@ -4,6 +4,7 @@ require('dotenv').config();
 // Import both old and new Azure Document Intelligence SDKs for compatibility
 const { DocumentAnalysisClient, AzureKeyCredential } = require('@azure/ai-form-recognizer');
 const OpenAI = require('openai');
+const cassette = require('./cassette');
 
 // Import the new Document Intelligence REST client for query fields
 let DocumentIntelligenceClient = null;
@@ -15,6 +16,11 @@ try {
   console.warn('💡 To use query fields, install: npm install @azure-rest/ai-document-intelligence');
 }
 
+/**
+ * Azure clients. Document Intelligence and OpenAI clients are built through
+ * the cassette layer (CASSETTE_MODE), which records their answers or replays
+ * them offline; when replaying, no credentials are needed.
+ */
 class AzureConfig {
   constructor() {
     this.formRecognizerClient = null;
@@ -23,6 +29,13 @@ class AzureConfig {
   }
 
   initialize() {
+    if (cassette.isReplaying()) {
+      this.initializeFormRecognizer();
+      this.initializeOpenAI();
+      console.log(`📼 Azure clients replaying cassettes from ${cassette.getDir()}`);
+      return;
+    }
+
     // Validate required environment variables
     const requiredEnvVars = [
       'AZURE_FORM_RECOGNIZER_ENDPOINT',
@@ -37,11 +50,36 @@ class AzureConfig {
       throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
     }
 
+    this.initializeFormRecognizer();
+    this.initializeOpenAI();
+
+    console.log('Azure clients initialized successfully');
+  }
+
+  /**
+   * Initialize only the Document Intelligence clients.
+   * Used by the Azure layout provider so document analysis does not depend on
+   * the OpenAI settings being present.
+   */
+  initializeFormRecognizer() {
+    if (this.formRecognizerClient) return;
+
+    if (cassette.isReplaying()) {
+      this.formRecognizerClient = cassette.documentAnalysisClient(() => null);
+      return;
+    }
+
+    const missingVars = ['AZURE_FORM_RECOGNIZER_ENDPOINT', 'AZURE_FORM_RECOGNIZER_KEY']
+      .filter(varName => !process.env[varName]);
+    if (missingVars.length > 0) {
+      throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
+    }
+
     // Initialize legacy Form Recognizer client (for backwards compatibility)
-    this.formRecognizerClient = new DocumentAnalysisClient(
+    this.formRecognizerClient = cassette.documentAnalysisClient(() => new DocumentAnalysisClient(
       process.env.AZURE_FORM_RECOGNIZER_ENDPOINT,
       new AzureKeyCredential(process.env.AZURE_FORM_RECOGNIZER_KEY)
-    );
+    ));
 
     // Initialize new Document Intelligence client (for query fields)
     if (DocumentIntelligenceClient) {
@@ -51,18 +89,41 @@ class AzureConfig {
       );
       console.log('✅ Document Intelligence client initialized (supports query fields)');
     }
+  }
+
+  /**
+   * Initialize only the Azure OpenAI client.
+   */
+  initializeOpenAI() {
+    if (this.openAIClient) return;
+
+    // Replayed requests still need the deployment name, which is part of their key
+    const requiredVars = cassette.isReplaying()
+      ? ['AZURE_OPENAI_DEPLOYMENT_NAME']
+      : ['AZURE_OPENAI_ENDPOINT', 'AZURE_OPENAI_KEY', 'AZURE_OPENAI_DEPLOYMENT_NAME'];
+    const missingVars = requiredVars.filter(varName => !process.env[varName]);
+    if (missingVars.length > 0) {
+      throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
+    }
 
     // Initialize OpenAI client
-    this.openAIClient = new OpenAI({
+    this.openAIClient = this.createOpenAIClient(process.env.AZURE_OPENAI_DEPLOYMENT_NAME);
+  }
+
+  /**
+   * Azure OpenAI client bound to a deployment (Azure routes by deployment in the URL)
+   * @param {string} deployment - Deployment name
+   * @returns {Object} - OpenAI SDK client behind the cassette layer
+   */
+  createOpenAIClient(deployment) {
+    return cassette.chatClient(() => new OpenAI({
       apiKey: process.env.AZURE_OPENAI_KEY,
-      baseURL: `${process.env.AZURE_OPENAI_ENDPOINT}/openai/deployments/${process.env.AZURE_OPENAI_DEPLOYMENT_NAME}`,
+      baseURL: `${process.env.AZURE_OPENAI_ENDPOINT}/openai/deployments/${deployment}`,
       defaultQuery: { 'api-version': '2024-02-01' },
       defaultHeaders: {
         'api-key': process.env.AZURE_OPENAI_KEY,
       },
-    });
-
-    console.log('Azure clients initialized successfully');
+    }));
   }
 
   getFormRecognizerClient() {
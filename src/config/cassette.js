@@ -0,0 +1,188 @@
+/**
+ * Record-and-replay cassettes for Azure Document Intelligence and chat
+ * completion calls.
+ *
+ * AzureConfig and the LLM providers build their clients through chatClient()
+ * and documentAnalysisClient(), so every service and controller above them can
+ * run end-to-end offline against recorded answers. Each call is stored as one
+ * JSON file keyed by the SHA-256 of its request:
+ *
+ *   <CASSETTE_DIR>/chat/<hash>.json                   chat.completions.create(params)
+ *   <CASSETTE_DIR>/document-intelligence/<hash>.json  beginAnalyzeDocument(modelId, document, options)
+ *
+ * The chat key covers every request parameter (model / deployment, messages,
+ * temperature...), the Document Intelligence key the model, the SHA-256 of the
+ * document and the analyze options. Any change to a prompt therefore needs a
+ * new recording.
+ *
+ * CASSETTE_MODE:
+ * • off (default) - Clients talk to the services
+ * • record        - Call the services and (over)write the cassettes
+ * • replay        - Answer from the cassettes only; a request without one
+ *                   fails, and no credentials are needed
+ * • auto          - Replay when recorded, record otherwise
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MODES = ['off', 'record', 'replay', 'auto'];
+const KINDS = {
+  chat: 'chat',
+  documentIntelligence: 'document-intelligence'
+};
+
+/**
+ * JSON with sorted object keys, so equal requests hash equally
+ */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+class Cassette {
+  getMode() {
+    const mode = (process.env.CASSETTE_MODE || 'off').toLowerCase();
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown CASSETTE_MODE: ${mode}. Available: ${MODES.join(', ')}`);
+    }
+    return mode;
+  }
+
+  getDir() {
+    return path.resolve(process.env.CASSETTE_DIR || path.join(__dirname, '../../storage/cassettes'));
+  }
+
+  isEnabled() {
+    return this.getMode() !== 'off';
+  }
+
+  /**
+   * Replay-only: clients are never built and credentials are not needed
+   */
+  isReplaying() {
+    return this.getMode() === 'replay';
+  }
+
+  hash(kind, request) {
+    return crypto.createHash('sha256').update(`${kind}:${canonicalJSON(request)}`).digest('hex');
+  }
+
+  pathFor(kind, key) {
+    return path.join(this.getDir(), kind, `${key}.json`);
+  }
+
+  load(kind, key) {
+    const filePath = this.pathFor(kind, key);
+    if (!fs.existsSync(filePath)) return null;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  save(kind, key, request, response) {
+    const filePath = this.pathFor(kind, key);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, `${JSON.stringify({
+      kind,
+      key,
+      recordedAt: new Date().toISOString(),
+      request,
+      response
+    }, null, 2)}\n`);
+  }
+
+  /**
+   * Answer a request from its cassette or from the service, depending on the mode
+   * @param {string} kind - Cassette kind (KINDS)
+   * @param {Object} request - Request identity (hashed for the key, stored for reference)
+   * @param {Function} call - async () => response from the service
+   * @returns {Promise<Object>} - Response (plain JSON when it comes from a cassette)
+   */
+  async play(kind, request, call) {
+    const mode = this.getMode();
+    const key = this.hash(kind, request);
+
+    if (mode === 'replay' || mode === 'auto') {
+      const recorded = this.load(kind, key);
+      if (recorded) return recorded.response;
+      if (mode === 'replay') {
+        throw new Error(`No ${kind} cassette for this request (${key}) in ${this.getDir()}; record it with CASSETTE_MODE=record`);
+      }
+    }
+
+    const response = await call();
+    // Stored and returned as plain JSON, so a recording run behaves like its replays
+    const plain = JSON.parse(JSON.stringify(response));
+    this.save(kind, key, request, plain);
+    console.log(`📼 Recorded ${kind} cassette ${key.substring(0, 12)}`);
+    return plain;
+  }
+
+  /**
+   * OpenAI SDK compatible client (chat.completions.create) behind cassettes
+   * @param {Function} createClient - () => OpenAI client; not called when replaying
+   * @returns {Object} - The client itself when cassettes are off
+   */
+  chatClient(createClient) {
+    if (!this.isEnabled()) return createClient();
+
+    let client = null;
+    return {
+      chat: {
+        completions: {
+          create: async (params) => this.play(KINDS.chat, params, () => {
+            if (!client) client = createClient();
+            return client.chat.completions.create(params);
+          })
+        }
+      }
+    };
+  }
+
+  /**
+   * Form Recognizer DocumentAnalysisClient (beginAnalyzeDocument) behind
+   * cassettes; the poller result is recorded once the analysis is done
+   * @param {Function} createClient - () => DocumentAnalysisClient; not called when replaying
+   * @returns {Object} - The client itself when cassettes are off
+   */
+  documentAnalysisClient(createClient) {
+    if (!this.isEnabled()) return createClient();
+
+    let client = null;
+    return {
+      beginAnalyzeDocument: async (modelId, document, options = {}) => {
+        const request = {
+          modelId,
+          documentHash: crypto.createHash('sha256').update(document).digest('hex'),
+          options
+        };
+        const result = await this.play(KINDS.documentIntelligence, request, async () => {
+          if (!client) client = createClient();
+          const poller = await client.beginAnalyzeDocument(modelId, document, options);
+          return poller.pollUntilDone();
+        });
+
+        return {
+          pollUntilDone: async () => result,
+          isDone: () => true,
+          getResult: () => result
+        };
+      }
+    };
+  }
+}
+
+const cassette = new Cassette();
+cassette.MODES = MODES;
+cassette.KINDS = KINDS;
+
+module.exports = cassette;
@@ -1,15 +1,25 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const migrator = require('./migrator');
 
 class Database {
   constructor() {
     this.db = null;
+    this.dbPath = null;
+    // Dedicated connection for transactions, see transaction()
+    this.transactionDb = null;
+    this.transactionQueue = Promise.resolve();
   }
 
-  async initialize() {
+  /**
+   * Open the database and bring its schema to the version of this release
+   * @param {Object} [options] - { migrate } false to only open the connection (migration CLI)
+   */
+  async initialize({ migrate = true } = {}) {
     const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '../../storage/database.sqlite');
-    
+    this.dbPath = dbPath;
+
     // Ensure storage directory exists
     const storageDir = path.dirname(dbPath);
     if (!fs.existsSync(storageDir)) {
@@ -23,86 +33,77 @@ class Database {
           reject(err);
         } else {
           console.log('Connected to SQLite database');
-          this.createTables().then(resolve).catch(reject);
+          // The job worker may run in a separate process sharing this file
+          this.db.configure('busyTimeout', parseInt(process.env.DATABASE_BUSY_TIMEOUT_MS || '5000', 10));
+          if (!migrate) {
+            resolve();
+            return;
+          }
+          migrator.prepare(this.db).then(() => resolve()).catch(reject);
         }
       });
     });
   }
 
-  async createTables() {
-    const createDocumentBatchTable = `
-      CREATE TABLE IF NOT EXISTS document_batches (
-        id TEXT PRIMARY KEY,
-        original_filename TEXT NOT NULL,
-        file_path TEXT NOT NULL,
-        status TEXT NOT NULL DEFAULT 'UPLOADED',
-        total_pages INTEGER,
-        proposed_splits TEXT, -- JSON string
-        validated_splits TEXT, -- JSON string
-        extracted_data TEXT, -- JSON string
-        confidence_scores TEXT, -- JSON string
-        layout_data TEXT, -- JSON string - stored DI layout for reuse
-        error_message TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `;
+  getDb() {
+    return this.db;
+  }
 
-    // Add layout_data column to existing tables if it doesn't exist
-    const addLayoutDataColumn = `
-      ALTER TABLE document_batches ADD COLUMN layout_data TEXT
-    `;
+  /**
+   * Run `work` in a transaction. The shared connection cannot hold one: every
+   * statement other requests and jobs send while it is open would become part
+   * of it. Transactions therefore run one at a time on a dedicated connection;
+   * BEGIN IMMEDIATE takes the write lock, and writes on the shared connection
+   * wait for the commit (busyTimeout).
+   * @param {Function} work - async (sql) => result; `sql` offers promise-based run/get/all/exec
+   * @returns {Promise<*>} - Result of `work`, after COMMIT
+   */
+  async transaction(work) {
+    const run = this.transactionQueue.then(async () => {
+      const sql = migrator.wrap(await this.getTransactionDb());
 
-    const createInvoicesTable = `
-      CREATE TABLE IF NOT EXISTS invoices (
-        id TEXT PRIMARY KEY,
-        batch_id TEXT NOT NULL,
-        page_range TEXT NOT NULL, -- "1-3" format
-        file_path TEXT,
-        extracted_data TEXT, -- JSON string
-        confidence_score REAL,
-        validation_status TEXT DEFAULT 'PENDING',
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (batch_id) REFERENCES document_batches (id)
-      )
-    `;
+      await sql.run('BEGIN IMMEDIATE');
+      try {
+        const result = await work(sql);
+        await sql.run('COMMIT');
+        return result;
+      } catch (error) {
+        await sql.run('ROLLBACK').catch(() => {});
+        throw error;
+      }
+    });
 
-    return new Promise((resolve, reject) => {
-      this.db.serialize(() => {
-        this.db.run(createDocumentBatchTable, (err) => {
-          if (err) {
-            console.error('Error creating document_batches table:', err);
-            reject(err);
-            return;
-          }
-        });
+    this.transactionQueue = run.catch(() => {});
+    return run;
+  }
 
-        // Try to add layout_data column for existing databases
-        this.db.run(addLayoutDataColumn, (err) => {
-          // Ignore error if column already exists
-          if (err && !err.message.includes('duplicate column name')) {
-            console.error('Error adding layout_data column:', err);
-          }
-        });
+  async getTransactionDb() {
+    if (this.transactionDb) return this.transactionDb;
+    if (!this.db) {
+      throw new Error('Database not initialized');
+    }
 
-        this.db.run(createInvoicesTable, (err) => {
-          if (err) {
-            console.error('Error creating invoices table:', err);
-            reject(err);
-            return;
-          }
-          resolve();
-        });
+    await new Promise((resolve, reject) => {
+      const db = new sqlite3.Database(this.dbPath, (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        db.configure('busyTimeout', parseInt(process.env.DATABASE_BUSY_TIMEOUT_MS || '5000', 10));
+        this.transactionDb = db;
+        resolve();
       });
     });
-  }
-
-  getDb() {
-    return this.db;
+    return this.transactionDb;
   }
 
   async close() {
+    if (this.transactionDb) {
+      await this.transactionQueue;
+      await new Promise((resolve) => this.transactionDb.close(() => resolve()));
+      this.transactionDb = null;
+    }
+
     return new Promise((resolve) => {
       if (this.db) {
         this.db.close((err) => {
@@ -6,9 +6,12 @@ const logger = require('../utils/logger');
 
 class EnvironmentValidator {
   constructor() {
-    this.requiredVars = [
+    this.documentIntelligenceVars = [
       'AZURE_FORM_RECOGNIZER_ENDPOINT',
-      'AZURE_FORM_RECOGNIZER_KEY', 
+      'AZURE_FORM_RECOGNIZER_KEY'
+    ];
+
+    this.openAIVars = [
       'AZURE_OPENAI_ENDPOINT',
       'AZURE_OPENAI_KEY',
       'AZURE_OPENAI_DEPLOYMENT_NAME'
@@ -18,17 +21,81 @@ class EnvironmentValidator {
       'PORT',
       'NODE_ENV',
       'MAX_FILE_SIZE',
+      'MAX_FILES_PER_SESSION',
       'MAX_PAGES_PER_BATCH',
-      'CONFIDENCE_THRESHOLD'
+      'CONFIDENCE_THRESHOLD',
+      'DOCUMENT_PROVIDER',
+      'LAYOUT_FIXTURES_DIR',
+      'LLM_PROVIDER',
+      'LLM_BOUNDARY_PROVIDER',
+      'LLM_EXTRACTION_PROVIDER',
+      'LLM_FIELDS_PROVIDER',
+      'OPENAI_BASE_URL',
+      'OPENAI_API_KEY',
+      'BOUNDARY_STRATEGY',
+      'HEURISTIC_BOUNDARY_THRESHOLD',
+      'HYBRID_REVIEW_THRESHOLD',
+      'BOUNDARY_WINDOW_PAGES',
+      'BOUNDARY_WINDOW_OVERLAP',
+      'JOB_WORKER_EMBEDDED',
+      'JOB_CONCURRENCY',
+      'BOUNDARY_HEURISTIC_FALLBACK',
+      'SEPARATOR_BLANK_PAGES',
+      'SEPARATOR_MAX_WORDS',
+      'SEPARATOR_MARKERS',
+      'SEPARATOR_DROP_PAGES',
+      'AZURE_DI_BARCODES',
+      'SSE_POLL_INTERVAL_MS',
+      'WEBHOOK_MAX_ATTEMPTS',
+      'DATABASE_AUTO_MIGRATE',
+      'BLOB_STORE_DIR',
+      'ANALYSIS_REUSE',
+      'WATCH_FOLDER_DIR',
+      'WATCH_FOLDER_AUTO_PROCESS',
+      'AUTO_APPROVE_ENABLED',
+      'AUTO_APPROVE_EXTRACT',
+      'REVIEW_CLAIM_TTL_MINUTES',
+      'VENDOR_TEMPLATES_ENABLED',
+      'VENDOR_TEMPLATE_MIN_SAMPLES',
+      'VENDOR_TEMPLATE_MATCH',
+      'CASSETTE_MODE',
+      'CASSETTE_DIR'
     ];
   }
 
+  /**
+   * Required variables depend on the selected providers: the offline
+   * document provider does not need Azure Document Intelligence credentials,
+   * and Azure OpenAI settings are only needed by stages that use it. Replaying
+   * cassettes needs no credentials, only the deployment name.
+   */
+  getRequiredVars() {
+    const { STAGES, getStageProviderName } = require('../services/llm-providers');
+    const cassette = require('./cassette');
+    const llmProviders = STAGES.map(getStageProviderName);
+    const replaying = cassette.isReplaying();
+    const required = [];
+
+    if ((process.env.DOCUMENT_PROVIDER || 'azure').toLowerCase() === 'azure' && !replaying) {
+      required.push(...this.documentIntelligenceVars);
+    }
+    if (llmProviders.includes('azure-openai')) {
+      required.push(...(replaying ? ['AZURE_OPENAI_DEPLOYMENT_NAME'] : this.openAIVars));
+    }
+    if (llmProviders.includes('openai')) {
+      required.push('OPENAI_MODEL');
+    }
+    return required;
+  }
+
   validate() {
     const missing = [];
     const warnings = [];
 
+    const requiredVars = this.getRequiredVars();
+
     // Check required variables
-    this.requiredVars.forEach(varName => {
+    requiredVars.forEach(varName => {
       if (!process.env[varName]) {
         missing.push(varName);
       }
@@ -54,19 +121,30 @@ class EnvironmentValidator {
     }
 
     logger.info('Environment validation passed', {
-      configured: this.requiredVars.length,
+      configured: requiredVars.length,
       warnings: warnings.length
     });
 
     return true;
   }
 
+  getLLMProviderSummary() {
+    const { STAGES, getStageProviderName } = require('../services/llm-providers');
+    return STAGES.reduce((summary, stage) => {
+      summary[stage] = getStageProviderName(stage);
+      return summary;
+    }, {});
+  }
+
   getConfigSummary() {
     return {
       azure: {
+        documentProvider: process.env.DOCUMENT_PROVIDER || 'azure',
+        llmProviders: this.getLLMProviderSummary(),
         documentIntelligence: !!process.env.AZURE_FORM_RECOGNIZER_ENDPOINT,
         openAI: !!process.env.AZURE_OPENAI_ENDPOINT,
-        deployment: process.env.AZURE_OPENAI_DEPLOYMENT_NAME || 'not-set'
+        deployment: process.env.AZURE_OPENAI_DEPLOYMENT_NAME || 'not-set',
+        cassettes: process.env.CASSETTE_MODE || 'off'
       },
       app: {
         port: process.env.PORT || 3000,
@@ -0,0 +1,254 @@
+/**
+ * ================================================================================
+ * SCHEMA MIGRATIONS - VERSIONED SQLITE SCHEMA
+ * ================================================================================
+ *
+ * Applies the ordered migration files in `src/migrations` and records every
+ * applied version in `schema_migrations`, so each database knows which schema it
+ * is on.
+ *
+ * 📁 MIGRATION FILES:
+ * • Named `<version>_<name>.js`, e.g. `002_add_blob_store.js`
+ * • Export `up(db)` and `down(db)`; `db` offers promise-based run/get/all/exec
+ * • Each migration runs in its own transaction together with its version row
+ * • Never edit an applied migration - add a new one
+ *
+ * 🛡️ STARTUP CHECK:
+ * • A database with a version newer than the latest migration file was written
+ *   by a newer release and is refused (roll back with that release first)
+ * • Pending migrations are applied at startup unless DATABASE_AUTO_MIGRATE=false,
+ *   in which case startup is refused until `npm run migrate` was run
+ *
+ * ================================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+const createSchemaMigrationsTable = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`;
+
+function schemaError(message, code) {
+  const error = new Error(message);
+  error.name = 'SchemaVersionError';
+  error.code = code;
+  return error;
+}
+
+class Migrator {
+  constructor(migrationsDir = MIGRATIONS_DIR) {
+    this.migrationsDir = migrationsDir;
+  }
+
+  /**
+   * Promise wrappers around a sqlite3 connection, passed to the migrations
+   * @param {sqlite3.Database} db - Open connection
+   */
+  wrap(db) {
+    return {
+      run: (sql, params = []) => new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+          if (err) reject(err);
+          else resolve({ changes: this.changes, lastID: this.lastID });
+        });
+      }),
+      get: (sql, params = []) => new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+      }),
+      all: (sql, params = []) => new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+      }),
+      exec: (sql) => new Promise((resolve, reject) => {
+        db.exec(sql, (err) => (err ? reject(err) : resolve()));
+      })
+    };
+  }
+
+  /**
+   * Migration files, ordered by version
+   * @returns {Array<Object>} - [{ version, name, file, up, down }]
+   */
+  loadMigrations() {
+    const migrations = fs.readdirSync(this.migrationsDir)
+      .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+      .filter(({ match }) => match)
+      .map(({ file, match }) => {
+        const migration = require(path.join(this.migrationsDir, file));
+        if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+          throw new Error(`Migration ${file} must export up(db) and down(db)`);
+        }
+        return { version: parseInt(match[1], 10), name: match[2], file, up: migration.up, down: migration.down };
+      })
+      .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+      if (index > 0 && migration.version === migrations[index - 1].version) {
+        throw new Error(`Duplicate migration version ${migration.version}: ${migrations[index - 1].file}, ${migration.file}`);
+      }
+    });
+
+    return migrations;
+  }
+
+  /**
+   * Applied versions, oldest first
+   * @param {sqlite3.Database} db - Open connection
+   * @returns {Promise<Array<Object>>} - [{ version, name, applied_at }]
+   */
+  async getApplied(db) {
+    const sql = this.wrap(db);
+    await sql.run(createSchemaMigrationsTable);
+    return sql.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  }
+
+  /**
+   * Schema state of a database
+   * @param {sqlite3.Database} db - Open connection
+   * @returns {Promise<Object>} - { currentVersion, latestVersion, applied, pending, unknown }
+   */
+  async status(db) {
+    const migrations = this.loadMigrations();
+    const applied = await this.getApplied(db);
+    const appliedVersions = new Set(applied.map(row => row.version));
+    const knownVersions = new Set(migrations.map(m => m.version));
+
+    return {
+      currentVersion: applied.length > 0 ? applied[applied.length - 1].version : 0,
+      latestVersion: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+      applied,
+      pending: migrations.filter(m => !appliedVersions.has(m.version)),
+      // Applied by a newer release - this code cannot roll them back
+      unknown: applied.filter(row => !knownVersions.has(row.version))
+    };
+  }
+
+  /**
+   * Startup check: refuse newer schemas, then apply pending migrations (or refuse
+   * to start when auto-migration is disabled)
+   * @param {sqlite3.Database} db - Open connection
+   * @param {Object} [options] - { autoMigrate }
+   */
+  async prepare(db, { autoMigrate = process.env.DATABASE_AUTO_MIGRATE !== 'false' } = {}) {
+    const state = await this.status(db);
+
+    if (state.unknown.length > 0 || state.currentVersion > state.latestVersion) {
+      throw schemaError(
+        `Database schema version ${state.currentVersion} is newer than this release supports (${state.latestVersion}). ` +
+        'Deploy the newer release or roll the database back with it ("npm run migrate -- down --to <version>").',
+        'SCHEMA_TOO_NEW'
+      );
+    }
+
+    if (state.pending.length === 0) {
+      console.log(`🗄️  Database schema at version ${state.currentVersion}`);
+      return state;
+    }
+
+    if (!autoMigrate) {
+      throw schemaError(
+        `Database schema version ${state.currentVersion} is behind this release (${state.latestVersion}), ` +
+        `${state.pending.length} migration(s) pending. Run "npm run migrate" first.`,
+        'SCHEMA_OUTDATED'
+      );
+    }
+
+    await this.migrate(db);
+    return this.status(db);
+  }
+
+  /**
+   * Apply pending migrations
+   * @param {sqlite3.Database} db - Open connection
+   * @param {Object} [options] - { to } target version (default: latest)
+   * @returns {Promise<Array<Object>>} - Applied migrations
+   */
+  async migrate(db, { to = Infinity } = {}) {
+    const { pending } = await this.status(db);
+    const applied = [];
+
+    for (const migration of pending.filter(m => m.version <= to)) {
+      const ran = await this.runInTransaction(db, migration, 'up');
+      if (ran) applied.push(migration);
+    }
+
+    return applied;
+  }
+
+  /**
+   * Roll back applied migrations, newest first
+   * @param {sqlite3.Database} db - Open connection
+   * @param {Object} [options] - { to } version to keep (default: one step back) or { steps }
+   * @returns {Promise<Array<Object>>} - Rolled back migrations
+   */
+  async rollback(db, { to, steps = 1 } = {}) {
+    const migrations = this.loadMigrations();
+    const { applied, unknown } = await this.status(db);
+
+    if (unknown.length > 0) {
+      throw schemaError(
+        `Versions ${unknown.map(row => row.version).join(', ')} were applied by a newer release and cannot be rolled back here`,
+        'SCHEMA_TOO_NEW'
+      );
+    }
+
+    const byVersion = new Map(migrations.map(m => [m.version, m]));
+    const newestFirst = applied.map(row => byVersion.get(row.version)).reverse();
+    const targets = to === undefined
+      ? newestFirst.slice(0, steps)
+      : newestFirst.filter(m => m.version > to);
+
+    const rolledBack = [];
+    for (const migration of targets) {
+      const ran = await this.runInTransaction(db, migration, 'down');
+      if (ran) rolledBack.push(migration);
+    }
+
+    return rolledBack;
+  }
+
+  /**
+   * Run one direction of a migration together with its version bookkeeping.
+   * BEGIN IMMEDIATE serializes concurrent starts (server and worker); a
+   * migration another process already ran is skipped.
+   * @returns {Promise<boolean>} - Whether the migration ran
+   */
+  async runInTransaction(db, migration, direction) {
+    const sql = this.wrap(db);
+    const label = `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+
+    await sql.run('BEGIN IMMEDIATE');
+    try {
+      const row = await sql.get('SELECT version FROM schema_migrations WHERE version = ?', [migration.version]);
+      if ((direction === 'up') === Boolean(row)) {
+        await sql.run('COMMIT');
+        return false;
+      }
+
+      await migration[direction](sql);
+
+      if (direction === 'up') {
+        await sql.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      } else {
+        await sql.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      }
+
+      await sql.run('COMMIT');
+      console.log(`${direction === 'up' ? '⬆️ ' : '⬇️ '} Migration ${label} ${direction === 'up' ? 'applied' : 'rolled back'}`);
+      return true;
+    } catch (error) {
+      await sql.run('ROLLBACK').catch(() => {});
+      error.message = `Migration ${label} (${direction}) failed: ${error.message}`;
+      throw error;
+    }
+  }
+}
+
+module.exports = new Migrator();
@@ -0,0 +1,144 @@
+/**
+ * Auto-approve policies controller - per-tenant auto-approval of proposed splits.
+ *
+ * • listPolicies(req, res)   - GET    /api/auto-approve-policies
+ * • getPolicy(req, res)      - GET    /api/auto-approve-policies/:tenantId (policy in effect)
+ * • updatePolicy(req, res)   - PUT    /api/auto-approve-policies/:tenantId { enabled?, confidenceThreshold?, autoExtract? }
+ * • deletePolicy(req, res)   - DELETE /api/auto-approve-policies/:tenantId (back to the defaults)
+ */
+
+const AutoApprovePolicy = require('../models/auto-approve-policy.model');
+const { requestActor } = require('../utils/request-actor');
+const { isValidTenantId } = require('../utils/request-tenant');
+
+class AutoApprovePoliciesController {
+  async listPolicies(req, res) {
+    try {
+      const policies = await AutoApprovePolicy.findAll();
+
+      res.json({
+        success: true,
+        data: {
+          defaults: AutoApprovePolicy.getDefaults(),
+          policies: policies.map(policy => policy.toJSON())
+        }
+      });
+    } catch (error) {
+      console.error('List auto-approve policies error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to list auto-approve policies'
+      });
+    }
+  }
+
+  async getPolicy(req, res) {
+    try {
+      const { tenantId } = req.params;
+      const policy = await AutoApprovePolicy.findByTenant(tenantId);
+
+      res.json({
+        success: true,
+        data: {
+          ...(await AutoApprovePolicy.resolve(tenantId)),
+          policy: policy ? policy.toJSON() : null
+        }
+      });
+    } catch (error) {
+      console.error('Get auto-approve policy error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to get auto-approve policy'
+      });
+    }
+  }
+
+  /**
+   * Create or update the policy of a tenant. Omitted fields keep their current
+   * value (or the default); confidenceThreshold: null follows CONFIDENCE_THRESHOLD.
+   */
+  async updatePolicy(req, res) {
+    try {
+      const { tenantId } = req.params;
+      const { enabled, confidenceThreshold, autoExtract } = req.body || {};
+
+      const validationError = this.validatePolicy(tenantId, { enabled, confidenceThreshold, autoExtract });
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+
+      const current = await AutoApprovePolicy.findByTenant(tenantId);
+      const base = current || { ...AutoApprovePolicy.getDefaults(), confidenceThreshold: null };
+      const actor = requestActor(req);
+
+      const policy = await AutoApprovePolicy.upsert(tenantId, {
+        enabled: enabled === undefined ? base.enabled : enabled,
+        confidenceThreshold: confidenceThreshold === undefined ? base.confidenceThreshold : confidenceThreshold,
+        autoExtract: autoExtract === undefined ? base.autoExtract : autoExtract
+      }, { actor });
+      console.log(`🤖 Auto-approve policy of tenant ${tenantId} updated by ${actor}: ${policy.enabled ? 'enabled' : 'disabled'}`);
+
+      res.json({
+        success: true,
+        message: 'Auto-approve policy updated',
+        data: {
+          ...(await AutoApprovePolicy.resolve(tenantId)),
+          policy: policy.toJSON()
+        }
+      });
+    } catch (error) {
+      console.error('Update auto-approve policy error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to update auto-approve policy'
+      });
+    }
+  }
+
+  async deletePolicy(req, res) {
+    try {
+      const policy = await AutoApprovePolicy.findByTenant(req.params.tenantId);
+      if (!policy) {
+        return res.status(404).json({
+          success: false,
+          error: 'Auto-approve policy not found'
+        });
+      }
+
+      await policy.delete();
+
+      res.json({
+        success: true,
+        message: 'Auto-approve policy deleted - the tenant uses the defaults'
+      });
+    } catch (error) {
+      console.error('Delete auto-approve policy error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to delete auto-approve policy'
+      });
+    }
+  }
+
+  validatePolicy(tenantId, { enabled, confidenceThreshold, autoExtract }) {
+    if (!isValidTenantId(tenantId)) {
+      return 'Invalid tenant ID (letters, digits, ".", "_" and "-", at most 64 characters)';
+    }
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return 'enabled must be a boolean';
+    }
+    if (autoExtract !== undefined && typeof autoExtract !== 'boolean') {
+      return 'autoExtract must be a boolean';
+    }
+    if (confidenceThreshold !== undefined && confidenceThreshold !== null &&
+        (typeof confidenceThreshold !== 'number' || confidenceThreshold < 0 || confidenceThreshold > 1)) {
+      return 'confidenceThreshold must be a number between 0 and 1 (or null for the default)';
+    }
+    return null;
+  }
+}
+
+module.exports = new AutoApprovePoliciesController();
@@ -0,0 +1,143 @@
+/**
+ * Events controller - live batch progress over Server-Sent Events.
+ *
+ * GET /api/batches/:batchId/events
+ * • `snapshot` event first (current status, page and invoice counts)
+ * • then `status`, `stage` and `progress` events as they are published
+ * • every event carries an `id`; reconnecting browsers send Last-Event-ID and
+ *   receive the events they missed
+ * • an `end` event closes the stream once the batch is COMPLETED or in ERROR;
+ *   streams still open at shutdown are ended without it, so browsers reconnect
+ */
+
+const DocumentBatch = require('../models/document-batch.model');
+const batchProgressService = require('../services/batch-progress.service');
+
+const POLL_INTERVAL_MS = parseInt(process.env.SSE_POLL_INTERVAL_MS || '1000', 10);
+const HEARTBEAT_MS = 15000;
+const FINAL_STATUSES = ['COMPLETED', 'ERROR'];
+
+class EventsController {
+  constructor() {
+    // close() of every open stream
+    this.streams = new Set();
+  }
+
+  async streamBatchEvents(req, res) {
+    const { batchId } = req.params;
+
+    try {
+      const documentBatch = await DocumentBatch.findById(batchId);
+      if (!documentBatch) {
+        return res.status(404).json({
+          success: false,
+          error: 'Batch not found'
+        });
+      }
+
+      const resumeFrom = parseInt(req.get('Last-Event-ID') || req.query.lastEventId || '', 10);
+      let lastEventId = Number.isInteger(resumeFrom) ? resumeFrom : await batchProgressService.getLatestEventId();
+
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+      res.write(`retry: ${POLL_INTERVAL_MS * 3}\n\n`);
+
+      this.writeEvent(res, null, 'snapshot', {
+        batchId: documentBatch.id,
+        status: documentBatch.status,
+        totalPages: documentBatch.totalPages,
+        proposedSplits: (documentBatch.proposedSplits || []).length,
+        validatedSplits: (documentBatch.validatedSplits || []).length,
+        errorMessage: documentBatch.errorMessage || null
+      });
+
+      let closed = false;
+      let flushing = false;
+      let unsubscribe = () => {};
+      let pollTimer = null;
+      let heartbeatTimer = null;
+
+      const close = () => {
+        if (closed) return;
+        closed = true;
+        this.streams.delete(close);
+        unsubscribe();
+        clearInterval(pollTimer);
+        clearInterval(heartbeatTimer);
+        res.end();
+      };
+
+      const finish = (status) => {
+        this.writeEvent(res, null, 'end', { batchId, status });
+        close();
+      };
+
+      // Deliver everything stored after the last event sent to this client
+      const flush = async () => {
+        if (closed || flushing) return;
+        flushing = true;
+        try {
+          const events = await batchProgressService.getEventsSince(batchId, lastEventId);
+          for (const event of events) {
+            if (closed) break;
+            this.writeEvent(res, event.id, event.type, { ...event.data, at: event.createdAt });
+            lastEventId = event.id;
+            if (event.type === 'status' && FINAL_STATUSES.includes(event.data.status)) {
+              finish(event.data.status);
+            }
+          }
+        } catch (error) {
+          console.warn(`SSE flush failed for batch ${batchId}:`, error.message);
+        } finally {
+          flushing = false;
+        }
+      };
+
+      // Local publishes wake the stream up; polling covers jobs run by a separate worker
+      unsubscribe = batchProgressService.subscribe(batchId, flush);
+      pollTimer = setInterval(flush, POLL_INTERVAL_MS);
+      heartbeatTimer = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+      this.streams.add(close);
+      req.on('close', close);
+
+      await flush();
+      // Already finished when the client connected: send what it missed, then end
+      if (!closed && FINAL_STATUSES.includes(documentBatch.status)) {
+        finish(documentBatch.status);
+      }
+    } catch (error) {
+      console.error('Batch events stream error:', error);
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          error: error.message || 'Failed to stream batch events'
+        });
+      } else {
+        res.end();
+      }
+    }
+  }
+
+  /**
+   * End every open stream (graceful shutdown)
+   * @returns {number} - Streams ended
+   */
+  closeAllStreams() {
+    const streams = [...this.streams];
+    streams.forEach(close => close());
+    return streams.length;
+  }
+
+  writeEvent(res, id, type, data) {
+    if (id !== null) res.write(`id: ${id}\n`);
+    res.write(`event: ${type}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  }
+}
+
+module.exports = new EventsController();
@@ -0,0 +1,359 @@
+/**
+ * Invoices controller - split invoices as individual records.
+ *
+ * Invoice rows are created when the splits of a batch are validated (one row per
+ * split PDF), so there is no create endpoint. Each invoice is then extracted,
+ * corrected and approved on its own; once every invoice of a batch awaiting
+ * data validation is approved, the batch is completed.
+ *
+ * • listInvoices(req, res)    - GET    /api/invoices?batchId=&extractionStatus=&validationStatus=&limit=&offset=
+ * • getInvoice(req, res)      - GET    /api/invoices/:invoiceId
+ * • updateInvoice(req, res)   - PUT    /api/invoices/:invoiceId { extractedData?, invoiceNumber?, validationNotes? }
+ * • deleteInvoice(req, res)   - DELETE /api/invoices/:invoiceId
+ * • extractInvoice(req, res)  - POST   /api/invoices/:invoiceId/extract
+ * • approveInvoice(req, res)  - POST   /api/invoices/:invoiceId/approve { notes? }
+ * • rejectInvoice(req, res)   - POST   /api/invoices/:invoiceId/reject { notes? }
+ */
+
+const fs = require('fs').promises;
+const Invoice = require('../models/invoice.model');
+const DocumentBatch = require('../models/document-batch.model');
+const ReviewClaim = require('../models/review-claim.model');
+const processingController = require('./processing.controller');
+const { requestActor } = require('../utils/request-actor');
+
+// Batch statuses in which single invoices may be changed
+const EDITABLE_BATCH_STATUSES = ['SPLIT_VALIDATED', 'DATA_VALIDATION_PENDING', 'ERROR'];
+
+class InvoicesController {
+  async listInvoices(req, res) {
+    try {
+      const { batchId, extractionStatus, validationStatus } = req.query;
+      const limit = Math.min(parseInt(req.query.limit || '100', 10) || 100, 500);
+      const offset = Math.max(parseInt(req.query.offset || '0', 10) || 0, 0);
+
+      if (extractionStatus && !Invoice.EXTRACTION_STATUSES.includes(extractionStatus)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid extraction status: ${extractionStatus}. Available: ${Invoice.EXTRACTION_STATUSES.join(', ')}`
+        });
+      }
+      if (validationStatus && !Invoice.VALIDATION_STATUSES.includes(validationStatus)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid validation status: ${validationStatus}. Available: ${Invoice.VALIDATION_STATUSES.join(', ')}`
+        });
+      }
+
+      if (batchId) {
+        const documentBatch = await DocumentBatch.findById(batchId);
+        if (!documentBatch) {
+          return res.status(404).json({
+            success: false,
+            error: 'Batch not found'
+          });
+        }
+        // Batches validated before invoices were stored get their rows now
+        await Invoice.ensureForBatch(documentBatch);
+      }
+
+      const invoices = await Invoice.findAll({ batchId, extractionStatus, validationStatus, limit, offset });
+
+      res.json({
+        success: true,
+        data: {
+          invoices: invoices.map(invoice => invoice.toJSON()),
+          total: invoices.length,
+          limit,
+          offset
+        }
+      });
+    } catch (error) {
+      console.error('List invoices error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to list invoices'
+      });
+    }
+  }
+
+  async getInvoice(req, res) {
+    try {
+      const invoice = await Invoice.findById(req.params.invoiceId);
+      if (!invoice) {
+        return res.status(404).json({
+          success: false,
+          error: 'Invoice not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: invoice.toJSON()
+      });
+    } catch (error) {
+      console.error('Get invoice error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to get invoice'
+      });
+    }
+  }
+
+  /**
+   * Correct extracted data, invoice number or notes. Corrected data needs a
+   * fresh approval.
+   */
+  async updateInvoice(req, res) {
+    try {
+      const { invoice, documentBatch } = await this.loadInvoice(req, res);
+      if (!invoice) return;
+
+      await ReviewClaim.assertAvailable(ReviewClaim.ITEM_TYPES.INVOICE, invoice.id, requestActor(req));
+
+      const { extractedData, invoiceNumber, validationNotes } = req.body || {};
+      const updates = {};
+
+      if (extractedData !== undefined) {
+        if (typeof extractedData !== 'object' || extractedData === null || Array.isArray(extractedData)) {
+          return res.status(400).json({
+            success: false,
+            error: 'extractedData must be an object'
+          });
+        }
+        updates.extracted_data = extractedData;
+        updates.extraction_status = 'EXTRACTED';
+        updates.extraction_error = null;
+        updates.validation_status = 'PENDING';
+        updates.validated_by = null;
+        updates.validated_at = null;
+      }
+      if (invoiceNumber !== undefined) {
+        updates.invoice_number = invoiceNumber;
+      }
+      if (validationNotes !== undefined) {
+        updates.validation_notes = validationNotes;
+      }
+
+      await invoice.update(updates);
+
+      if (extractedData !== undefined) {
+        // Keep the batch-level results the validation UI reads in sync
+        await processingController.storeExtractionResult(documentBatch, invoice.invoiceIndex, {
+          extractedData,
+          metadata: { ...(invoice.extractionMetadata || {}), correctedBy: requestActor(req) },
+          status: 'completed'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Invoice updated',
+        data: invoice.toJSON()
+      });
+    } catch (error) {
+      console.error('Update invoice error:', error);
+      res.status(error.message === 'No valid fields to update' ? 400 : (error.status || 500)).json({
+        success: false,
+        error: error.message || 'Failed to update invoice'
+      });
+    }
+  }
+
+  /**
+   * Delete a single invoice and its split PDF (e.g. a blank page split off by
+   * mistake); its split leaves the batch's validated splits. A batch whose
+   * remaining invoices are all approved is completed.
+   */
+  async deleteInvoice(req, res) {
+    try {
+      const { invoice, documentBatch } = await this.loadInvoice(req, res);
+      if (!invoice) return;
+
+      const actor = requestActor(req);
+      await ReviewClaim.assertAvailable(ReviewClaim.ITEM_TYPES.INVOICE, invoice.id, actor);
+
+      await invoice.delete();
+      await ReviewClaim.release(ReviewClaim.ITEM_TYPES.INVOICE, invoice.id);
+
+      if (invoice.filePath) {
+        await fs.unlink(invoice.filePath).catch(error => {
+          console.warn(`Could not delete split file ${invoice.filePath}: ${error.message}`);
+        });
+      }
+
+      console.log(`🗑️ Invoice ${invoice.id} (${invoice.invoiceNumber}) deleted from batch ${invoice.batchId}`);
+
+      const batchCompleted = await this.completeBatchIfApproved(documentBatch, actor);
+
+      res.json({
+        success: true,
+        message: 'Invoice deleted',
+        data: {
+          batchStatus: documentBatch.status,
+          batchCompleted
+        }
+      });
+    } catch (error) {
+      console.error('Delete invoice error:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Failed to delete invoice'
+      });
+    }
+  }
+
+  /**
+   * Re-extract a single invoice; the new data needs a fresh approval
+   */
+  async extractInvoice(req, res) {
+    try {
+      const { invoice, documentBatch } = await this.loadInvoice(req, res);
+      if (!invoice) return;
+
+      await ReviewClaim.assertAvailable(ReviewClaim.ITEM_TYPES.INVOICE, invoice.id, requestActor(req));
+
+      const result = await processingController.extractInvoiceFromLayout(documentBatch, invoice);
+
+      res.json({
+        success: true,
+        message: 'Invoice extracted',
+        data: {
+          ...invoice.toJSON(),
+          diagnostics: result.diagnostics
+        }
+      });
+    } catch (error) {
+      console.error('Invoice extraction error:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: processingController.describeExtractionError(error),
+        details: {
+          originalError: error.message,
+          invoiceId: req.params.invoiceId
+        }
+      });
+    }
+  }
+
+  async approveInvoice(req, res) {
+    return this.recordValidation(req, res, 'APPROVED');
+  }
+
+  async rejectInvoice(req, res) {
+    return this.recordValidation(req, res, 'REJECTED');
+  }
+
+  /**
+   * Approve or reject the extracted data of an invoice
+   * @param {string} validationStatus - APPROVED or REJECTED
+   */
+  async recordValidation(req, res, validationStatus) {
+    try {
+      const { invoice, documentBatch } = await this.loadInvoice(req, res);
+      if (!invoice) return;
+
+      if (invoice.extractionStatus !== 'EXTRACTED') {
+        return res.status(409).json({
+          success: false,
+          error: `Only extracted invoices can be approved or rejected (invoice is ${invoice.extractionStatus})`
+        });
+      }
+
+      const actor = requestActor(req);
+      const { notes } = req.body || {};
+
+      await ReviewClaim.assertAvailable(ReviewClaim.ITEM_TYPES.INVOICE, invoice.id, actor);
+
+      await invoice.update({
+        validation_status: validationStatus,
+        validated_by: actor,
+        validated_at: new Date().toISOString(),
+        ...(notes !== undefined && { validation_notes: notes })
+      });
+
+      console.log(`${validationStatus === 'APPROVED' ? '✅' : '❌'} Invoice ${invoice.id} ${validationStatus.toLowerCase()} by ${actor}`);
+      await ReviewClaim.release(ReviewClaim.ITEM_TYPES.INVOICE, invoice.id);
+
+      const batchCompleted = validationStatus === 'APPROVED'
+        ? await this.completeBatchIfApproved(documentBatch, actor)
+        : false;
+
+      res.json({
+        success: true,
+        message: `Invoice ${validationStatus.toLowerCase()}`,
+        data: {
+          ...invoice.toJSON(),
+          batchStatus: documentBatch.status,
+          batchCompleted
+        }
+      });
+    } catch (error) {
+      console.error('Invoice validation error:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Failed to record invoice validation'
+      });
+    }
+  }
+
+  /**
+   * Complete a batch awaiting data validation once all its invoices are approved
+   * @returns {Promise<boolean>} - Whether the batch was completed
+   */
+  async completeBatchIfApproved(documentBatch, actor) {
+    if (documentBatch.status !== 'DATA_VALIDATION_PENDING') {
+      return false;
+    }
+
+    const invoices = await Invoice.findByBatchId(documentBatch.id);
+    if (invoices.length === 0 || invoices.some(invoice => invoice.validationStatus !== 'APPROVED')) {
+      return false;
+    }
+
+    await documentBatch.update({ status: 'COMPLETED' }, {
+      actor,
+      reason: 'All invoices approved',
+      metadata: { invoices: invoices.length }
+    });
+    console.log(`🏁 Batch ${documentBatch.id} completed - all ${invoices.length} invoices approved`);
+    return true;
+  }
+
+  /**
+   * Load the invoice and its batch for a change; sends the error response
+   * (404 / 409) itself and returns an empty result when the change is not possible
+   * @returns {Promise<Object>} - { invoice, documentBatch }
+   */
+  async loadInvoice(req, res) {
+    const invoice = await Invoice.findById(req.params.invoiceId);
+    if (!invoice) {
+      res.status(404).json({
+        success: false,
+        error: 'Invoice not found'
+      });
+      return {};
+    }
+
+    const documentBatch = await DocumentBatch.findById(invoice.batchId);
+    if (!documentBatch) {
+      res.status(404).json({
+        success: false,
+        error: 'Batch for this invoice no longer exists'
+      });
+      return {};
+    }
+
+    if (!EDITABLE_BATCH_STATUSES.includes(documentBatch.status)) {
+      res.status(409).json({
+        success: false,
+        error: `Invoices cannot be changed while the batch is ${documentBatch.status}`
+      });
+      return {};
+    }
+
+    return { invoice, documentBatch };
+  }
+}
+
+module.exports = new InvoicesController();
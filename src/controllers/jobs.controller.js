@@ -0,0 +1,137 @@
+/**
+ * Jobs controller - inspect and retry background jobs.
+ *
+ * • listJobs(req, res)  - GET  /api/jobs?status=&type=&batchId=&limit= (with worker and watch folder state)
+ * • getJob(req, res)    - GET  /api/jobs/:jobId
+ * • retryJob(req, res)  - POST /api/jobs/:jobId/retry (FAILED jobs only)
+ */
+
+const Job = require('../models/job.model');
+const jobQueue = require('../services/job-queue.service');
+const watchFolder = require('../services/watch-folder.service');
+const DocumentBatch = require('../models/document-batch.model');
+const { JOB_TYPES } = require('../jobs');
+const { requestActor } = require('../utils/request-actor');
+
+const JOB_STATUSES = ['QUEUED', 'RUNNING', 'COMPLETED', 'FAILED'];
+
+// Batch status a retried job needs while it waits for the worker
+const RETRY_BATCH_STATUS = {
+  [JOB_TYPES.PROCESS_BATCH]: 'PROCESSING_SPLIT',
+  [JOB_TYPES.EXTRACT_BATCH]: 'EXTRACTING_DATA'
+};
+
+class JobsController {
+  async listJobs(req, res) {
+    try {
+      const { status, type, batchId } = req.query;
+      const limit = Math.min(parseInt(req.query.limit || '100', 10) || 100, 500);
+
+      if (status && !JOB_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid job status: ${status}. Available: ${JOB_STATUSES.join(', ')}`
+        });
+      }
+
+      const jobs = await Job.findAll({ status, type, batchId, limit });
+
+      res.json({
+        success: true,
+        data: {
+          jobs: jobs.map(job => job.toJSON()),
+          total: jobs.length,
+          worker: jobQueue.getStats(),
+          watchFolder: watchFolder.getStats()
+        }
+      });
+    } catch (error) {
+      console.error('List jobs error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to list jobs'
+      });
+    }
+  }
+
+  async getJob(req, res) {
+    try {
+      const job = await Job.findById(req.params.jobId);
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: job.toJSON()
+      });
+    } catch (error) {
+      console.error('Get job error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to get job'
+      });
+    }
+  }
+
+  async retryJob(req, res) {
+    try {
+      const job = await Job.findById(req.params.jobId);
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
+        });
+      }
+
+      if (job.status !== 'FAILED') {
+        return res.status(400).json({
+          success: false,
+          error: `Only failed jobs can be retried (job is ${job.status})`
+        });
+      }
+
+      if (job.batchId && RETRY_BATCH_STATUS[job.type]) {
+        const documentBatch = await DocumentBatch.findById(job.batchId);
+        if (!documentBatch) {
+          return res.status(404).json({
+            success: false,
+            error: 'Batch for this job no longer exists'
+          });
+        }
+        const retryStatus = RETRY_BATCH_STATUS[job.type];
+        if (documentBatch.status !== retryStatus && !documentBatch.canTransitionTo(retryStatus)) {
+          return res.status(409).json({
+            success: false,
+            error: documentBatch.getTransitionError(retryStatus)
+          });
+        }
+        if (documentBatch.status !== retryStatus) {
+          await documentBatch.update({ status: retryStatus, error_message: null }, {
+            actor: requestActor(req),
+            reason: `Job ${job.id} retried`
+          });
+        }
+      }
+
+      await job.requeue();
+
+      res.json({
+        success: true,
+        message: 'Job queued for retry',
+        data: job.toJSON()
+      });
+    } catch (error) {
+      console.error('Retry job error:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Failed to retry job'
+      });
+    }
+  }
+}
+
+module.exports = new JobsController();
@@ -0,0 +1,134 @@
+/**
+ * Metrics controller - splitting accuracy from proposed-vs-validated split diffs.
+ *
+ * • getSplittingMetrics(req, res)    - GET /api/metrics/splitting?from=&to=&tenantId=&strategy=&model=&period=&includeAutoApproved=
+ * • listSplitFeedback(req, res)      - GET /api/metrics/splitting/feedback (same filters, limit) - the per-batch diffs
+ * • getBatchSplitFeedback(req, res)  - GET /api/batches/:batchId/split-feedback
+ */
+
+const SplitFeedback = require('../models/split-feedback.model');
+const splitMetricsService = require('../services/split-metrics.service');
+const { isValidTenantId } = require('../utils/request-tenant');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[ T]\d{2}:\d{2}(?::\d{2})?)?$/;
+
+class MetricsController {
+  async getSplittingMetrics(req, res) {
+    try {
+      const filters = this.parseFilters(req.query);
+      if (filters.error) {
+        return res.status(400).json({
+          success: false,
+          error: filters.error
+        });
+      }
+
+      res.json({
+        success: true,
+        data: await splitMetricsService.report(filters)
+      });
+    } catch (error) {
+      console.error('Splitting metrics error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to compute splitting metrics'
+      });
+    }
+  }
+
+  async listSplitFeedback(req, res) {
+    try {
+      const filters = this.parseFilters(req.query);
+      if (filters.error) {
+        return res.status(400).json({
+          success: false,
+          error: filters.error
+        });
+      }
+
+      const limit = req.query.limit ? parseInt(req.query.limit, 10) : 500;
+      if (!Number.isInteger(limit) || limit < 1) {
+        return res.status(400).json({
+          success: false,
+          error: 'limit must be a positive integer'
+        });
+      }
+
+      const records = await SplitFeedback.findAll({
+        ...filters,
+        reviewedOnly: !filters.includeAutoApproved,
+        limit
+      });
+
+      res.json({
+        success: true,
+        data: {
+          feedback: records.map(record => record.toJSON()),
+          total: records.length
+        }
+      });
+    } catch (error) {
+      console.error('List split feedback error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to list split feedback'
+      });
+    }
+  }
+
+  async getBatchSplitFeedback(req, res) {
+    try {
+      const feedback = await SplitFeedback.findByBatch(req.params.batchId);
+      if (!feedback) {
+        return res.status(404).json({
+          success: false,
+          error: 'No split feedback for this batch (splits not validated yet)'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ...feedback.toJSON(),
+          ...splitMetricsService.scores(feedback)
+        }
+      });
+    } catch (error) {
+      console.error('Get batch split feedback error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to get split feedback'
+      });
+    }
+  }
+
+  /**
+   * @returns {Object} - Report filters or { error }
+   */
+  parseFilters({ from, to, tenantId, strategy, model, period, includeAutoApproved }) {
+    if (from && !DATE_PATTERN.test(from)) {
+      return { error: 'from must be a date (YYYY-MM-DD) or UTC timestamp (YYYY-MM-DD HH:MM:SS)' };
+    }
+    if (to && !DATE_PATTERN.test(to)) {
+      return { error: 'to must be a date (YYYY-MM-DD) or UTC timestamp (YYYY-MM-DD HH:MM:SS)' };
+    }
+    if (tenantId && !isValidTenantId(tenantId)) {
+      return { error: 'Invalid tenant ID (letters, digits, ".", "_" and "-", at most 64 characters)' };
+    }
+    if (period && !splitMetricsService.isValidPeriod(period)) {
+      return { error: `Invalid period: ${period}. Available: ${splitMetricsService.PERIODS.join(', ')}` };
+    }
+
+    return {
+      from: from ? from.replace('T', ' ') : null,
+      to: to ? to.replace('T', ' ') : null,
+      tenantId: tenantId || null,
+      strategy: strategy || null,
+      model: model || null,
+      period: period || 'day',
+      includeAutoApproved: includeAutoApproved === 'true'
+    };
+  }
+}
+
+module.exports = new MetricsController();
@@ -13,6 +13,7 @@
  * 📂 BATCH PROCESSING:
  * • startProcessing(req, res)              - Initialize batch processing workflow
  * • applySplits(req, res)                  - Apply PDF splits and extract invoice data
+ * • applyAutoApprovePolicy(batch, result)  - Validate confident splits per tenant policy
  * • reprocessBatch(req, res)               - Reprocess failed or updated batches
  * 
  * 📄 DATA EXTRACTION:
@@ -42,7 +43,7 @@
  * 
  * 3. **Data Extraction Pipeline**
  *    - Apply approved splits to create individual invoice PDFs
- *    - Process each invoice using Invoice Mapping Agent
+ *    - Process each invoice from the layout cached during analysis (page slices)
  *    - Extract structured data with 100% schema compliance
  *    - Perform validation and confidence assessment
  * 
@@ -83,6 +84,8 @@
  * • DocumentBatch Model           - Batch management and status tracking
  * • Azure Document Service        - PDF text extraction and invoice analysis
  * • Azure OpenAI Service          - AI-powered boundary detection and field extraction
+ * • Vendor Template Service       - Learns vendor page fingerprints from validated splits
+ * • Split Metrics Service         - Records proposed-vs-validated boundary diffs
  * • PDF Splitter Service          - PDF manipulation and file operations
  * • Data Mapper Service           - Schema validation and utility functions
  * 
@@ -97,9 +100,25 @@
  */
 
 const DocumentBatch = require('../models/document-batch.model');
+const Invoice = require('../models/invoice.model');
+const AutoApprovePolicy = require('../models/auto-approve-policy.model');
+const ReviewClaim = require('../models/review-claim.model');
 const azureDocumentService = require('../services/azure-document.service');
 const azureOpenAIService = require('../services/azure-openai.service');
+const boundaryDetectionService = require('../services/boundary-detection.service');
+const jobQueue = require('../services/job-queue.service');
+const batchProgressService = require('../services/batch-progress.service');
+const layoutCacheService = require('../services/layout-cache.service');
+const autoApproveService = require('../services/auto-approve.service');
+const vendorTemplateService = require('../services/vendor-template.service');
+const splitMetricsService = require('../services/split-metrics.service');
+const { JOB_TYPES } = require('../jobs');
 const pdfSplitterService = require('../services/pdf-splitter.service');
+const { requestActor } = require('../utils/request-actor');
+const { hasPageOperations, normalizeSplits } = require('../utils/split-pages');
+
+// Actor recorded in the audit trail for transitions made by the auto-approve policy
+const AUTO_APPROVE_ACTOR = 'auto-approve';
 
 class ProcessingController {
   constructor() {
@@ -135,10 +154,29 @@ class ProcessingController {
 
   /**
    * Start processing a document batch - extract text and detect boundaries
+   * Optional body: { boundaryStrategy: 'hybrid' | 'llm' | 'heuristic' | 'separator', reuseAnalysis: false,
+   * dropSeparatorPages: false }
+   * (reuseAnalysis: false analyzes the PDF again even if a batch with the same content was processed;
+   * dropSeparatorPages: false keeps separator pages in the split PDFs of the separator strategy)
    */
   async startProcessing(req, res) {
     try {
       const { batchId } = req.params;
+      const { boundaryStrategy, reuseAnalysis, dropSeparatorPages } = req.body || {};
+
+      if (boundaryStrategy && !boundaryDetectionService.isValidStrategy(boundaryStrategy)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid boundary strategy: ${boundaryStrategy}. Available: ${boundaryDetectionService.listStrategies().join(', ')}`
+        });
+      }
+
+      if (dropSeparatorPages !== undefined && typeof dropSeparatorPages !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: 'dropSeparatorPages must be true or false'
+        });
+      }
       
       // Get document batch
       const documentBatch = await DocumentBatch.findById(batchId);
@@ -149,23 +187,22 @@ class ProcessingController {
         });
       }
 
-      if (!['UPLOADED', 'SPLIT_PROPOSED', 'PROCESSING_FAILED'].includes(documentBatch.status)) {
+      if (!documentBatch.canTransitionTo('PROCESSING_SPLIT')) {
         return res.status(400).json({
           success: false,
           error: `Cannot process batch in status: ${documentBatch.status}`
         });
       }
 
-      // Update status to processing
-      await documentBatch.update({ status: 'PROCESSING_SPLIT' });
+      // Reprocessing replaces the proposed splits: not under another reviewer
+      const actor = requestActor(req);
+      await ReviewClaim.assertAvailable(ReviewClaim.ITEM_TYPES.BATCH, batchId, actor);
 
-      // Start processing asynchronously
-      this.processDocumentBatch(documentBatch).catch(error => {
-        console.error(`Processing failed for batch ${batchId}:`, error);
-        documentBatch.update({ 
-          status: 'ERROR',
-          error_message: error.message 
-        }).catch(console.error);
+      const { job, boundaryStrategy: strategy } = await this.queueProcessing(documentBatch, {
+        boundaryStrategy,
+        reuseAnalysis,
+        dropSeparatorPages,
+        actor
       });
 
       res.json({
@@ -173,59 +210,167 @@ class ProcessingController {
         message: 'Processing started',
         data: {
           batchId: documentBatch.id,
-          status: 'PROCESSING_SPLIT'
+          jobId: job.id,
+          status: 'PROCESSING_SPLIT',
+          boundaryStrategy: strategy
         }
       });
 
     } catch (error) {
       console.error('Start processing error:', error);
-      res.status(500).json({
+      res.status(error.status || 500).json({
         success: false,
         error: error.message || 'Failed to start processing'
       });
     }
   }
 
+  /**
+   * Move a batch to PROCESSING_SPLIT and queue its processing job
+   * @param {DocumentBatch} documentBatch - Batch that can move to PROCESSING_SPLIT
+   * @param {Object} [options] - { boundaryStrategy, reuseAnalysis, dropSeparatorPages, actor }
+   * @returns {Promise<Object>} - { job, boundaryStrategy }
+   */
+  async queueProcessing(documentBatch, { boundaryStrategy, reuseAnalysis, dropSeparatorPages, actor = 'system' } = {}) {
+    // Keep the previous strategy unless a new one is requested
+    const processingOptions = {
+      ...(documentBatch.processingOptions || {}),
+      ...(boundaryStrategy ? { boundaryStrategy } : {}),
+      ...(typeof reuseAnalysis === 'boolean' ? { reuseAnalysis } : {}),
+      ...(typeof dropSeparatorPages === 'boolean' ? { dropSeparatorPages } : {})
+    };
+    const strategy = processingOptions.boundaryStrategy || boundaryDetectionService.getDefaultStrategy();
+
+    await documentBatch.update({
+      status: 'PROCESSING_SPLIT',
+      processing_options: processingOptions
+    }, {
+      actor,
+      reason: 'Processing requested',
+      metadata: { boundaryStrategy: strategy }
+    });
+
+    // Queue processing for the job worker
+    const job = await jobQueue.enqueue(JOB_TYPES.PROCESS_BATCH, { batchId: documentBatch.id }, { batchId: documentBatch.id });
+    return { job, boundaryStrategy: strategy };
+  }
+
   /**
    * Process document batch (internal method)
+   * @param {DocumentBatch} documentBatch - Batch in PROCESSING_SPLIT
+   * @param {Object} [options] - { actor } recorded with the status transition
    */
-  async processDocumentBatch(documentBatch) {
+  async processDocumentBatch(documentBatch, { actor = 'system' } = {}) {
+    const { STAGES } = batchProgressService;
+    let currentStage = STAGES.TEXT_EXTRACTION;
+
     try {
       console.log(`Starting processing for batch: ${documentBatch.id}`);
 
       // Initialize Azure services if not already done
       await this.initializeServices();
 
-      // Step 1: Extract text from PDF
+      const strategy = documentBatch.processingOptions?.boundaryStrategy || boundaryDetectionService.getDefaultStrategy();
+      const reusable = await this.findReusableAnalysis(documentBatch, strategy);
+
+      // Step 1: Extract text from PDF (or reuse the layout of a batch with the same content)
       console.log('Step 1: Extracting text from PDF...');
-      const textExtractionResult = await azureDocumentService.extractTextFromPDF(documentBatch.filePath);
-      
-      if (!textExtractionResult.success) {
-        throw new Error(`Text extraction failed: ${textExtractionResult.error}`);
+      await batchProgressService.stage(documentBatch.id, currentStage, 'started');
+      let layoutData = null;
+      let pages;
+
+      if (reusable) {
+        console.log(`♻️ Reusing layout of batch ${reusable.batch.id} (same content)`);
+        layoutData = reusable.layout;
+        pages = azureDocumentService.toPages(layoutCacheService.slice(layoutData, 1, layoutData.totalPages));
+      } else {
+        const textExtractionResult = await azureDocumentService.extractTextFromPDF(documentBatch.filePath, {
+          onProgress: batchProgressService.reporter(documentBatch.id, currentStage, 'page')
+        });
+
+        if (!textExtractionResult.success) {
+          throw new Error(`Text extraction failed: ${textExtractionResult.error}`);
+        }
+
+        // Keep the layout keyed by page so extraction slices it instead of analyzing again
+        if (textExtractionResult.layoutData) {
+          layoutData = layoutCacheService.index(textExtractionResult.layoutData, { provider: azureDocumentService.getProviderName() });
+        }
+        pages = textExtractionResult.pages;
       }
 
-      console.log(`Text extracted: ${textExtractionResult.totalPages} pages, ${textExtractionResult.totalWords} words`);
+      const totalWords = pages.reduce((sum, page) => sum + page.wordCount, 0);
+      console.log(`Text extracted: ${pages.length} pages, ${totalWords} words`);
+      await batchProgressService.stage(documentBatch.id, currentStage, 'completed', {
+        totalPages: pages.length,
+        totalWords,
+        ...(reusable ? { reusedFrom: reusable.batch.id } : {})
+      });
 
-      // Step 2: Detect invoice boundaries using AI
+      // Step 2: Detect invoice boundaries (LLM or rule-based, per batch)
       console.log('Step 2: Detecting invoice boundaries...');
-      const boundaryDetectionResult = await azureOpenAIService.detectInvoiceBoundaries(textExtractionResult.pages);
+      currentStage = STAGES.BOUNDARY_DETECTION;
+      await batchProgressService.stage(documentBatch.id, currentStage, 'started');
+      let boundaryDetectionResult;
+      const boundaryReusedFrom = reusable && reusable.boundaryResult ? reusable.batch.id : null;
+
+      if (boundaryReusedFrom) {
+        console.log(`♻️ Reusing ${strategy} boundaries of batch ${boundaryReusedFrom}`);
+        boundaryDetectionResult = reusable.boundaryResult;
+      } else {
+        boundaryDetectionResult = await boundaryDetectionService.detect(pages, {
+          strategy,
+          onProgress: batchProgressService.reporter(documentBatch.id, currentStage, 'window'),
+          dropSeparatorPages: documentBatch.processingOptions?.dropSeparatorPages,
+          tenantId: documentBatch.tenantId
+        });
+      }
       
       if (!boundaryDetectionResult.success) {
         throw new Error(`Boundary detection failed: ${boundaryDetectionResult.error}`);
       }
 
-      console.log(`Boundaries detected: ${boundaryDetectionResult.invoiceCount} invoices`);
-
-      // Store the layout data for later extraction reuse
-      const layoutData = textExtractionResult.layoutData || null;
+      console.log(`Boundaries detected: ${boundaryDetectionResult.invoiceCount} invoices (${boundaryDetectionResult.metadata?.strategy})`);
+      await batchProgressService.stage(documentBatch.id, currentStage, 'completed', {
+        invoiceCount: boundaryDetectionResult.invoiceCount,
+        strategy: boundaryDetectionResult.metadata?.strategy,
+        ...(boundaryReusedFrom ? { reusedFrom: boundaryReusedFrom } : {})
+      });
+      if (boundaryDetectionResult.metadata?.fallback) {
+        console.warn(`⚠️ LLM boundary detection fell back to heuristic: ${boundaryDetectionResult.metadata.fallback.reason}`);
+      }
 
       // Update document batch with proposed splits and layout data
       await documentBatch.update({
         status: 'SPLIT_PROPOSED',
         proposed_splits: boundaryDetectionResult.proposedSplits,
-        layout_data: layoutData // Store for reuse in extraction
+        layout_data: layoutData, // Store for reuse in extraction
+        boundary_result: boundaryDetectionResult // Store for batches with the same content
+      }, {
+        actor,
+        reason: `${boundaryDetectionResult.invoiceCount} invoice(s) detected`,
+        metadata: { strategy: boundaryDetectionResult.metadata?.strategy }
       });
 
+      // reusedFrom: null removes the key (JSON merge patch)
+      await documentBatch.mergeMetadata({
+        layoutCache: layoutData
+          ? { provider: layoutData.provider, capturedAt: layoutData.capturedAt, pages: layoutData.totalPages, hits: 0, misses: 0 }
+          : { provider: azureDocumentService.getProviderName(), capturedAt: null, pages: 0, hits: 0, misses: 0 },
+        boundaryDetection: {
+          strategy,
+          invoiceCount: boundaryDetectionResult.invoiceCount,
+          fallback: Boolean(boundaryDetectionResult.metadata?.fallback)
+        },
+        analysisReuse: {
+          layoutFrom: reusable ? reusable.batch.id : null,
+          boundariesFrom: boundaryReusedFrom
+        }
+      });
+
+      // Tenant policy: validate confident, well-formed splits without a reviewer
+      await this.applyAutoApprovePolicy(documentBatch, boundaryDetectionResult);
+
       // If configured to deliver split-only, stop the pipeline here.
       if (process.env.SPLIT_ONLY === 'true') {
         console.log('SPLIT_ONLY mode enabled — stopping after split proposal (no extraction will run)');
@@ -235,15 +380,62 @@ class ProcessingController {
       console.log(`Processing completed for batch: ${documentBatch.id}`);
 
     } catch (error) {
+      // The job queue retries and moves the batch to ERROR after the last attempt
       console.error(`Processing error for batch ${documentBatch.id}:`, error);
-      await documentBatch.update({
-        status: 'ERROR',
-        error_message: error.message
-      });
+      await batchProgressService.stage(documentBatch.id, currentStage, 'failed', { error: error.message });
       throw error;
     }
   }
 
+  /**
+   * Whether processing may reuse the analysis of batches with the same content
+   * (ANALYSIS_REUSE=false or the reuseAnalysis: false processing option opt out)
+   */
+  isAnalysisReuseEnabled(documentBatch) {
+    return process.env.ANALYSIS_REUSE !== 'false' && documentBatch.processingOptions?.reuseAnalysis !== false;
+  }
+
+  /**
+   * Stored analysis of another batch with the same content hash: its layout
+   * (same document provider) and, when detected with the same strategy without
+   * an LLM fallback, its boundary detection result. Separator boundaries are
+   * never reused: they are cheap and depend on the separator settings.
+   * @param {DocumentBatch} documentBatch - Batch being processed
+   * @param {string} strategy - Boundary strategy of this run
+   * @returns {Promise<Object|null>} - { batch, layout, boundaryResult } or null
+   */
+  async findReusableAnalysis(documentBatch, strategy) {
+    if (!documentBatch.contentHash || !this.isAnalysisReuseEnabled(documentBatch)) {
+      return null;
+    }
+
+    const provider = azureDocumentService.getProviderName();
+    const candidates = await DocumentBatch.findByContentHash(documentBatch.contentHash, {
+      excludeId: documentBatch.id,
+      tenantId: documentBatch.tenantId
+    });
+    let layoutOnly = null;
+
+    for (const candidate of candidates) {
+      if (!candidate.layoutRef || candidate.metadata.layoutCache?.provider !== provider) continue;
+
+      const layout = await candidate.getLayoutData();
+      if (!layoutCacheService.isIndexed(layout)) continue;
+
+      const detection = candidate.metadata.boundaryDetection;
+      if (candidate.boundaryResultRef && detection && detection.strategy === strategy && !detection.fallback &&
+          strategy !== 'separator') {
+        const boundaryResult = await candidate.getBoundaryResult();
+        if (boundaryResult && boundaryResult.success) {
+          return { batch: candidate, layout, boundaryResult };
+        }
+      }
+      layoutOnly = layoutOnly || { batch: candidate, layout, boundaryResult: null };
+    }
+
+    return layoutOnly;
+  }
+
   /**
    * Get processing status
    */
@@ -311,18 +503,20 @@ class ProcessingController {
         });
       }
 
-      // Validate each split
-      for (const split of splits) {
-        if (!split.startPage || !split.endPage) {
-          return res.status(400).json({
-            success: false,
-            error: 'Each split must have startPage and endPage'
-          });
-        }
+      // Validate each split: a page range or page list, excluded pages, rotations
+      const { splits: normalizedSplits, errors } = normalizeSplits(splits, documentBatch.totalPages);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid splits: ${errors.join('; ')}`
+        });
       }
 
+      // Not while another reviewer has the batch claimed in the review queue
+      await ReviewClaim.assertAvailable(ReviewClaim.ITEM_TYPES.BATCH, batchId, requestActor(req));
+
       // Update the batch with new splits
-      await DocumentBatch.updateSplits(batchId, splits);
+      await DocumentBatch.updateSplits(batchId, normalizedSplits);
 
       res.json({
         success: true,
@@ -331,7 +525,7 @@ class ProcessingController {
 
     } catch (error) {
       console.error('Error updating splits:', error);
-      res.status(500).json({
+      res.status(error.status || 500).json({
         success: false,
         error: error.message
       });
@@ -362,36 +556,30 @@ class ProcessingController {
         });
       }
 
-      if (documentBatch.status !== 'SPLIT_PROPOSED') {
+      if (!documentBatch.canTransitionTo('SPLIT_VALIDATED')) {
         return res.status(400).json({
           success: false,
           error: `Cannot validate splits for batch in status: ${documentBatch.status}`
         });
       }
 
-      console.log(`Validating splits for batch: ${batchId}`);
-
-      // Split the PDF based on validated splits
-      const splitResult = await pdfSplitterService.splitPDF(
-        documentBatch.filePath,
-        validatedSplits,
-        batchId
-      );
-
-      if (!splitResult.success) {
-        return res.status(500).json({
+      // Plain ranges are clamped by the splitter; page operations must be valid
+      const { errors } = validatedSplits.some(hasPageOperations)
+        ? normalizeSplits(validatedSplits, documentBatch.totalPages)
+        : { errors: [] };
+      if (errors.length > 0) {
+        return res.status(400).json({
           success: false,
-          error: `PDF splitting failed: ${splitResult.error}`
+          error: `Invalid splits: ${errors.join('; ')}`
         });
       }
 
-      // Update document batch
-      await documentBatch.update({
-        status: 'SPLIT_VALIDATED',
-        validated_splits: splitResult.splits // Use the actual split results with filenames
-      });
+      await ReviewClaim.assertAvailable(ReviewClaim.ITEM_TYPES.BATCH, batchId, requestActor(req));
 
-      console.log(`Splits validated for batch: ${batchId} (${splitResult.totalSplits} files created)`);
+      console.log(`Validating splits for batch: ${batchId}`);
+      const { splitResult, invoices } = await this.applyValidatedSplits(documentBatch, validatedSplits, {
+        actor: requestActor(req)
+      });
 
       res.json({
         success: true,
@@ -400,19 +588,141 @@ class ProcessingController {
           batchId: documentBatch.id,
           status: 'SPLIT_VALIDATED',
           totalSplits: splitResult.totalSplits,
-          splits: splitResult.splits
+          splits: splitResult.splits,
+          invoiceIds: invoices.map(invoice => invoice.id)
         }
       });
 
     } catch (error) {
       console.error('Validate splits error:', error);
-      res.status(500).json({
+      res.status(error.status || 500).json({
         success: false,
         error: error.message || 'Failed to validate splits'
       });
     }
   }
 
+  /**
+   * Split the batch PDF along validated splits, create its invoices and move it
+   * to SPLIT_VALIDATED (used by validate-splits and by auto-approval). The
+   * diff with the proposed splits is recorded for the splitting metrics, and
+   * splits validated by a reviewer update the tenant's vendor templates.
+   * @param {DocumentBatch} documentBatch - Batch that can move to SPLIT_VALIDATED
+   * @param {Array<Object>} validatedSplits - { startPage, endPage, pages?, excludedPages?, rotations?, invoiceNumber, ... }
+   * @param {Object} [options] - { actor, reason }
+   * @returns {Promise<Object>} - { splitResult, invoices }
+   */
+  async applyValidatedSplits(documentBatch, validatedSplits, { actor = 'system', reason = null } = {}) {
+    const batchId = documentBatch.id;
+    const { SPLITTING } = batchProgressService.STAGES;
+    await batchProgressService.stage(batchId, SPLITTING, 'started', { invoiceCount: validatedSplits.length });
+
+    // Split the PDF based on validated splits
+    const splitResult = await pdfSplitterService.splitPDF(
+      documentBatch.filePath,
+      validatedSplits,
+      batchId,
+      { onProgress: batchProgressService.reporter(batchId, SPLITTING, 'invoice') }
+    );
+
+    if (!splitResult.success) {
+      await batchProgressService.stage(batchId, SPLITTING, 'failed', { error: splitResult.error });
+      const error = new Error(`PDF splitting failed: ${splitResult.error}`);
+      error.status = 500;
+      throw error;
+    }
+
+    // One invoice row per split - extraction and review continue per invoice
+    const invoices = await Invoice.replaceForBatch(batchId, splitResult.splits);
+
+    // Update document batch
+    await documentBatch.update({
+      status: 'SPLIT_VALIDATED',
+      validated_splits: splitResult.splits // Use the actual split results with filenames
+    }, {
+      actor,
+      reason: reason || `${splitResult.totalSplits} split(s) validated`
+    });
+
+    console.log(`Splits validated for batch: ${batchId} (${splitResult.totalSplits} files created)`);
+    await batchProgressService.stage(batchId, SPLITTING, 'completed', { invoiceCount: splitResult.totalSplits });
+
+    // Done with split review: the batch leaves the review queue
+    await ReviewClaim.release(ReviewClaim.ITEM_TYPES.BATCH, batchId);
+
+    const reviewed = actor !== AUTO_APPROVE_ACTOR;
+    await splitMetricsService.recordValidation(documentBatch, splitResult.splits, { actor, reviewed });
+    if (reviewed) {
+      await vendorTemplateService.learnFromBatch(documentBatch, splitResult.splits);
+    }
+
+    return { splitResult, invoices };
+  }
+
+  /**
+   * Apply the auto-approve policy of the batch tenant to freshly proposed splits:
+   * validate (and optionally extract) them, or leave the batch in SPLIT_PROPOSED
+   * for review. The outcome is recorded in metadata.autoApproval.
+   * Never throws: a failed auto-approval leaves the batch for review.
+   * @param {DocumentBatch} documentBatch - Batch in SPLIT_PROPOSED
+   * @param {Object} boundaryDetectionResult - Result the splits were proposed from
+   * @returns {Promise<Object>} - metadata.autoApproval
+   */
+  async applyAutoApprovePolicy(documentBatch, boundaryDetectionResult) {
+    const proposedSplits = boundaryDetectionResult.proposedSplits || [];
+    let autoApproval;
+
+    try {
+      const policy = await AutoApprovePolicy.resolve(documentBatch.tenantId);
+      const evaluation = autoApproveService.evaluate({
+        proposedSplits,
+        totalPages: documentBatch.totalPages,
+        boundaryMetadata: boundaryDetectionResult.metadata
+      }, policy);
+
+      autoApproval = {
+        tenantId: policy.tenantId,
+        policySource: policy.source,
+        ...evaluation,
+        evaluatedAt: new Date().toISOString(),
+        extractionJobId: null
+      };
+
+      if (evaluation.decision === autoApproveService.DECISIONS.APPROVED) {
+        await this.applyValidatedSplits(documentBatch, proposedSplits, {
+          actor: AUTO_APPROVE_ACTOR,
+          reason: `${proposedSplits.length} split(s) auto-approved (every confidence ≥ ${autoApproveService.percent(policy.confidenceThreshold)}, tenant ${policy.tenantId})`
+        });
+
+        if (policy.autoExtract && process.env.SPLIT_ONLY !== 'true') {
+          const job = await this.queueExtraction(documentBatch, {
+            actor: AUTO_APPROVE_ACTOR,
+            reason: 'Data extraction of auto-approved splits'
+          });
+          autoApproval.extractionJobId = job.id;
+        }
+      }
+    } catch (error) {
+      console.error(`Auto-approval error for batch ${documentBatch.id}:`, error);
+      // Splits already validated: only the extraction has to be started by hand
+      const validated = documentBatch.status !== 'SPLIT_PROPOSED';
+      autoApproval = {
+        ...(autoApproval || { tenantId: documentBatch.tenantId, evaluatedAt: new Date().toISOString() }),
+        decision: validated ? autoApproveService.DECISIONS.APPROVED : autoApproveService.DECISIONS.REVIEW,
+        reasons: [`Auto-approval failed: ${error.message}`]
+      };
+    }
+
+    await documentBatch.setMetadata('autoApproval', autoApproval);
+
+    if (autoApproval.decision === autoApproveService.DECISIONS.APPROVED) {
+      console.log(`✅ Batch ${documentBatch.id}: splits auto-approved${autoApproval.extractionJobId ? ', extraction queued' : ''}`);
+    } else if (autoApproval.decision === autoApproveService.DECISIONS.REVIEW) {
+      console.log(`👀 Batch ${documentBatch.id}: splits need review - ${autoApproval.reasons.join('; ')}`);
+    }
+    return autoApproval;
+  }
+
   /**
    * Extract data from individual invoice PDFs
    */
@@ -437,47 +747,56 @@ class ProcessingController {
         });
       }
 
-      if (documentBatch.status !== 'SPLIT_VALIDATED') {
+      if (!documentBatch.canTransitionTo('EXTRACTING_DATA')) {
         return res.status(400).json({
           success: false,
           error: `Cannot extract data for batch in status: ${documentBatch.status}`
         });
       }
 
-      // Update status
-      await documentBatch.update({ status: 'EXTRACTING_DATA' });
-
-      // Start data extraction asynchronously
-      this.extractBatchInvoiceData(documentBatch).catch(error => {
-        console.error(`Data extraction failed for batch ${batchId}:`, error);
-        documentBatch.update({ 
-          status: 'ERROR',
-          error_message: error.message 
-        }).catch(console.error);
-      });
+      const job = await this.queueExtraction(documentBatch, { actor: requestActor(req) });
 
       res.json({
         success: true,
         message: 'Data extraction started',
         data: {
           batchId: documentBatch.id,
+          jobId: job.id,
           status: 'EXTRACTING_DATA'
         }
       });
 
     } catch (error) {
       console.error('Extract invoice data error:', error);
-      res.status(500).json({
+      res.status(error.status || 500).json({
         success: false,
         error: error.message || 'Failed to start data extraction'
       });
     }
   }
 
+  /**
+   * Move a batch to EXTRACTING_DATA and queue its extraction job
+   * @param {DocumentBatch} documentBatch - Batch that can move to EXTRACTING_DATA
+   * @param {Object} [options] - { actor, reason }
+   * @returns {Promise<Job>}
+   */
+  async queueExtraction(documentBatch, { actor = 'system', reason = 'Data extraction requested' } = {}) {
+    await documentBatch.update({ status: 'EXTRACTING_DATA' }, { actor, reason });
+
+    // Queue data extraction for the job worker
+    return jobQueue.enqueue(JOB_TYPES.EXTRACT_BATCH, { batchId: documentBatch.id }, { batchId: documentBatch.id });
+  }
+
   /**
    * Extract data from all invoices in a batch (internal method)
+   * @param {DocumentBatch} documentBatch - Batch in EXTRACTING_DATA
+   * @param {Object} [options] - { actor } recorded with the status transition
    */
-  async extractBatchInvoiceData(documentBatch) {
+  async extractBatchInvoiceData(documentBatch, { actor = 'system' } = {}) {
+    const { EXTRACTION } = batchProgressService.STAGES;
+    let invoices = [];
+
     try {
       // Defensive: do not run extraction if SPLIT_ONLY is enabled
       if (process.env.SPLIT_ONLY === 'true') {
@@ -490,186 +809,52 @@ class ProcessingController {
         throw new Error('No validated splits found');
       }
 
+      invoices = await Invoice.ensureForBatch(documentBatch);
       const extractedInvoices = [];
       const confidenceScores = {};
+      const invoiceTotal = invoices.length;
+      await batchProgressService.stage(documentBatch.id, EXTRACTION, 'started', { invoiceCount: invoiceTotal });
+
+      // Process each invoice, slicing the layout cached during processing
+      for (let i = 0; i < invoices.length; i++) {
+        const invoice = invoices[i];
+        // Each invoice keeps the split it was created from
+        const split = invoice.splitData || {};
+        console.log(`Extracting data from invoice ${i + 1}/${invoices.length}: ${invoice.invoiceNumber}`);
+        batchProgressService.progress(documentBatch.id, EXTRACTION, i + 1, invoiceTotal, 'invoice', {
+          invoiceNumber: invoice.invoiceNumber
+        });
 
-      // Process each split
-      for (let i = 0; i < documentBatch.validatedSplits.length; i++) {
-        const split = documentBatch.validatedSplits[i];
-        console.log(`Extracting data from invoice ${i + 1}/${documentBatch.validatedSplits.length}: ${split.invoiceNumber}`);
-
-        // Construct file path for the split PDF
-        // Files are named like: DKEF-01286-1_pages_1-2_2025-08-31.pdf
-        const today = new Date().toISOString().split('T')[0];
-        // Clean invoice number by removing confidence markers
-        const cleanInvoiceNumber = (split.invoiceNumber || '')
-          .replace(/\s*\[LOW_CONFIDENCE\]\s*/g, '')
-          .trim();
-        const filename = `${cleanInvoiceNumber}_pages_${split.startPage}-${split.endPage}_${today}.pdf`;
-        const splitFilePath = `storage/split/${documentBatch.id}/${filename}`;
-        
-        console.log(`Looking for file: ${splitFilePath}`);
-
-        // Extract invoice data using Invoice Mapping Agent (100% Schema)
-        console.log('🚀 Using Invoice Mapping Agent (100% Schema Compliance)...');
-        console.log(`🗺️  ORCHESTRATOR: Starting mapping for invoice ${i + 1}/${documentBatch.validatedSplits.length}`);
-        console.log(`📁 Target file: ${splitFilePath}`);
-        const extractionResult = await azureDocumentService.processInvoiceWithFullMapping(splitFilePath);
-        
-        // Enhanced extraction debugging
-        console.log('🎯 MAPPING ORCHESTRATOR RESULTS');
-        console.log('====================================');
-        console.log('📁 File processed:', splitFilePath);
-        console.log('📊 Mapping success:', extractionResult.success);
-        if (extractionResult.success) {
-          const metadata = extractionResult.metadata;
-          console.log('📊 Invoice Mapping Agent summary:');
-          console.log(`  ✅ Fields covered: ${metadata?.fieldsCovered}/48 (${Math.round((metadata?.fieldsCovered/48)*100)}%)`);
-          console.log(`  � Items extracted: ${metadata?.itemsExtracted}`);
-          console.log(`  📈 Average confidence: ${Math.round((metadata?.averageConfidence || 0)*100)}%`);
-          console.log('🎯 Key mapped fields:');
-          const payload = extractionResult.finalPayload || {};
-          console.log(`  📄 Invoice ID: ${payload.invoice_id}`);
-          console.log(`  📅 Issue Date: ${payload.issue_date}`);
-          console.log(`  📅 Due Date: ${payload.due_date}`);
-          console.log(`  💰 Total HT: ${payload.total_ht}`);
-          console.log(`  💰 Total TTC: ${payload.total_ttc}`);
-          console.log(`  💱 Currency: ${payload.currency}`);
-          console.log(`  📦 Package: ${payload.package_number}`);
-          console.log(`  👥 Exporter: ${payload.exporter_name}`);
-          console.log(`  🏢 Importer: ${payload.importer_name}`);
-          console.log(`🔗 Field mapping process will now begin...`);
-        } else {
-          console.log('❌ Mapping failed:', extractionResult.error);
-        }
-        console.log('====================================');
-        console.log('🎯 MAPPING ORCHESTRATOR DEBUG END\n');
-        
-        if (extractionResult.success) {
-          // Mapping Agent returns finalPayload with complete schema
-          let extractedData = extractionResult.finalPayload;
-          
-          console.log('🔗 POST-MAPPING FIELD VARIATIONS');
-          console.log('=================================');
-          console.log('🔄 Applying field mapping variations...');
-          console.log(`📊 Original data keys: ${Object.keys(extractedData).join(', ')}`);
-          
-          // Log the data before field variations
-          console.log('📄 EXTRACTED DATA BEFORE FIELD VARIATIONS (JSON)');
-          console.log('=================================================');
-          const beforeVariationsStr = JSON.stringify(extractedData, null, 2);
-          if (beforeVariationsStr.length > 8000) {
-            console.log(beforeVariationsStr.substring(0, 4000) + '\n...[TRUNCATED]...');
-          } else {
-            console.log(beforeVariationsStr);
-          }
-          console.log('=================================================');
-          
-          // Apply field mapping to ensure canonical field names
-          extractedData = this.mapFieldVariations(extractedData);
-
-          // Normalize line item numeric fields and correct implausible unit prices (guardrail)
-          try {
-            if (Array.isArray(extractedData.items) && extractedData.items.length) {
-              extractedData.items = this.normalizeItemsNumbers(extractedData.items);
-            }
-          } catch (e) {
-            console.warn('Item normalization failed, continuing without correction:', e?.message || e);
-          }
-          console.log(`📊 Mapped data keys: ${Object.keys(extractedData).join(', ')}`);
-          
-          // Log the data after field variations
-          console.log('📄 FINAL EXTRACTED DATA AFTER FIELD VARIATIONS (JSON)');
-          console.log('======================================================');
-          const afterVariationsStr = JSON.stringify(extractedData, null, 2);
-          if (afterVariationsStr.length > 8000) {
-            console.log(afterVariationsStr.substring(0, 4000) + '\n...[TRUNCATED]...');
-          } else {
-            console.log(afterVariationsStr);
-          }
-          console.log('======================================================');
-          
-          console.log('✅ Field mapping variations applied');
-          console.log('=================================');
-          
-          // Create enhanced validation
-          console.log('🔍 VALIDATION PHASE');
-          console.log('===================');
-          const validation = this.validateEnhancedExtractionData(extractedData, extractionResult.metadata);
-          console.log(`✅ Validation result: ${validation.isValid ? 'VALID' : 'INVALID'}`);
-          if (validation.errors.length > 0) {
-            console.log(`❌ Validation errors: ${validation.errors.join(', ')}`);
-          }
-          if (validation.warnings.length > 0) {
-            console.log(`⚠️  Validation warnings: ${validation.warnings.join(', ')}`);
-          }
-          console.log('===================');
-          
-          // Calculate confidence from mapping agent metadata
-          const confidence = extractionResult.metadata?.averageConfidence || 0;
+        try {
+          const { extractedData, metadata } = await this.extractInvoiceFromLayout(documentBatch, invoice, { storeResult: false });
 
           extractedInvoices.push({
             splitId: split.id,
-            invoiceNumber: split.invoiceNumber,
-            pageRange: split.pageRange,
-            extractedData: extractedData,
-            items: extractedData.items || [],
-            confidence: confidence,
-            validation: validation,
-            metadata: {
-              ...extractionResult.metadata,
-              extractionMethod: 'mapping-agent',
-              auditTrail: extractionResult.auditPayload,
-              itemCurrencySummary: (() => {
-                try {
-                  const audit = extractionResult.auditPayload || {};
-                  const summary = {};
-                  Object.entries(audit).forEach(([k, v]) => {
-                    if (k.startsWith('item_') && v && typeof v === 'object' && v.detected_currency && v.detected_currency.evidence) {
-                      const code = String(v.detected_currency.evidence).match(/Detected in item context: (\w{3})/);
-                      const curr = code ? code[1] : 'UNKNOWN';
-                      summary[curr] = (summary[curr] || 0) + 1;
-                    }
-                  });
-                  return summary;
-                } catch { return {}; }
-              })()
-              , fieldSources: (() => {
-                try {
-                  const audit = extractionResult.auditPayload || {};
-                  const sources = {};
-                  Object.keys(extractedData || {}).forEach(k => {
-                    const a = audit[k];
-                    if (a && a.source) sources[k] = a.source;
-                  });
-                  return sources;
-                } catch { return {}; }
-              })()
-            }
+            invoiceId: invoice.id,
+            invoiceNumber: invoice.invoiceNumber,
+            pageRange: invoice.pageRange,
+            extractedData,
+            items: extractedData.lineItems || [],
+            confidence: metadata.confidence,
+            metadata
           });
+          confidenceScores[split.id] = metadata.confidence;
+          console.log(`✅ Invoice ${i + 1} processed successfully (confidence: ${Math.round(metadata.confidence * 100)}%)`);
+        } catch (error) {
+          console.warn(`Extraction failed for invoice ${invoice.id}: ${error.message}`);
 
-          confidenceScores[split.id] = confidence;
-          console.log(`✅ Invoice ${i + 1} processed successfully (confidence: ${Math.round(confidence * 100)}%)`);
-          try {
-            const itemCurrencySummary = extractedInvoices[extractedInvoices.length - 1].metadata.itemCurrencySummary || {};
-            const summaryPairs = Object.entries(itemCurrencySummary).map(([c, n]) => `${c}:${n}`).join(', ');
-            if (summaryPairs) console.log(`💱 Detected item currencies: ${summaryPairs}`);
-          } catch {}
-        } else {
-          console.warn(`Invoice Mapping Agent failed for split ${split.id}: ${extractionResult.error}`);
-          
-          // Create empty invoice with error info
+          // Keep going; the failed invoice can be re-extracted on its own
           extractedInvoices.push({
             splitId: split.id,
-            invoiceNumber: split.invoiceNumber,
-            pageRange: split.pageRange,
-            extractedData: {}, // Empty schema - extraction service archived
+            invoiceId: invoice.id,
+            invoiceNumber: invoice.invoiceNumber,
+            pageRange: invoice.pageRange,
+            extractedData: {},
             items: [],
             confidence: 0,
-            validation: { isValid: false, errors: [extractionResult.error], warnings: [] },
-            metadata: { error: extractionResult.error, extractionMethod: 'mapping-agent-failed' }
+            validation: { isValid: false, errors: [error.message], warnings: [] },
+            metadata: { error: error.message, extractionMethod: 'layout-failed' }
           });
-
           confidenceScores[split.id] = 0;
         }
       }
@@ -702,27 +887,37 @@ class ProcessingController {
         console.log(`⚠️  Lowest confidence: ${Math.round(Math.min(...validInvoices.map(inv => inv.confidence)) * 100)}%`);
       }
       console.log(`============================`);
+      await batchProgressService.stage(documentBatch.id, EXTRACTION, 'completed', {
+        invoiceCount: extractedInvoices.length,
+        failedCount: extractedInvoices.filter(inv => inv.confidence === 0).length
+      });
       
       await documentBatch.update({
         status: 'DATA_VALIDATION_PENDING',
         extracted_data: extractedInvoices,
         confidence_scores: confidenceScores
+      }, {
+        actor,
+        reason: `${extractedInvoices.length} invoice(s) extracted`
       });
 
       console.log(`✅ Data extraction completed for batch: ${documentBatch.id} (${extractedInvoices.length} invoices)`);
 
     } catch (error) {
+      // The job queue retries and moves the batch to ERROR after the last attempt
       console.error(`Data extraction error for batch ${documentBatch.id}:`, error);
-      await documentBatch.update({
-        status: 'ERROR',
-        error_message: error.message
-      });
+      for (const invoice of invoices.filter(inv => inv.extractionStatus === 'EXTRACTING')) {
+        await invoice.update({ extraction_status: 'FAILED', extraction_error: error.message }).catch(console.error);
+      }
+      await batchProgressService.stage(documentBatch.id, EXTRACTION, 'failed', { error: error.message });
       throw error;
     }
   }
 
   /**
-   * Extract data from a single invoice using stored layout data
+   * Extract data from a single invoice using stored layout data. `invoiceIndex`
+   * is the invoice's index, which is also the position of its split in
+   * `validatedSplits` (deleting an invoice renumbers the following ones).
    */
   async extractSingleInvoice(req, res) {
     try {
@@ -745,116 +940,40 @@ class ProcessingController {
       }
 
       const invoiceIdx = parseInt(invoiceIndex);
-      if (invoiceIdx < 0 || invoiceIdx >= documentBatch.validatedSplits.length) {
+      const invoices = await Invoice.ensureForBatch(documentBatch);
+      const invoice = invoices.find(candidate => candidate.invoiceIndex === invoiceIdx);
+      if (!invoice) {
         return res.status(400).json({
           success: false,
           error: 'Invalid invoice index'
         });
       }
 
-      const split = documentBatch.validatedSplits[invoiceIdx];
-      console.log(`Extracting data for invoice ${invoiceIdx + 1}: ${split.invoiceNumber}`);
+      await ReviewClaim.assertAvailable(ReviewClaim.ITEM_TYPES.INVOICE, invoice.id, requestActor(req));
 
-      // Try to reuse stored layout data first
-      let layoutData = documentBatch.layoutData;
-      
-      if (!layoutData) {
-        console.log('No stored layout data, extracting fresh layout...');
-        // Fallback: extract layout from the split PDF file
-        const today = new Date().toISOString().split('T')[0];
-        const cleanInvoiceNumber = (split.invoiceNumber || '')
-          .replace(/\s*\[LOW_CONFIDENCE\]\s*/g, '')
-          .trim();
-        const filename = `${cleanInvoiceNumber}_pages_${split.startPage}-${split.endPage}_${today}.pdf`;
-        const splitFilePath = `storage/split/${documentBatch.id}/${filename}`;
-        
-        const layoutResult = await azureDocumentService.getLayoutFromPDF(splitFilePath);
-        if (!layoutResult.success) {
-          return res.status(500).json({
-            success: false,
-            error: `Layout extraction failed: ${layoutResult.error}`
-          });
-        }
-        layoutData = layoutResult.layout;
-      } else {
-        console.log('Reusing stored layout data from initial processing');
-        // Filter layout data to only include pages for this specific invoice
-        layoutData = this.filterLayoutForPages(layoutData, split.startPage, split.endPage);
-      }
-
-      // Extract invoice data using the layout
-      const { extractFromLayout } = require('../services/extractor/extractFromLayout');
-      const { extract, diagnostics } = await extractFromLayout(layoutData);
-
-      // Map to your exact schema format
-      const mappedExtract = this.mapToExactSchema(extract);
-
-      // Store the extraction result in the database
-      await this.storeExtractionResult(documentBatch, invoiceIdx, {
-        extractedData: mappedExtract,
-        diagnostics: diagnostics,
-        metadata: {
-          extractionMethod: 'layout-reuse',
-          pagesProcessed: split.endPage - split.startPage + 1,
-          confidence: diagnostics.confidence || 0.85
-        },
-        status: 'completed'
-      });
+      console.log(`Extracting data for invoice ${invoiceIdx + 1}: ${invoice.invoiceNumber}`);
+      const result = await this.extractInvoiceFromLayout(documentBatch, invoice);
 
       res.json({
         success: true,
         data: {
           batchId: documentBatch.id,
+          invoiceId: invoice.id,
           invoiceIndex: invoiceIdx,
-          invoiceNumber: split.invoiceNumber,
-          pageRange: `${split.startPage}-${split.endPage}`,
-          extractedData: mappedExtract,
-          diagnostics: diagnostics,
-          metadata: {
-            extractionMethod: 'layout-reuse',
-            pagesProcessed: split.endPage - split.startPage + 1,
-            confidence: diagnostics.confidence || 0.85
-          }
+          invoiceNumber: invoice.invoiceNumber,
+          pageRange: invoice.pageRange,
+          extractedData: result.extractedData,
+          diagnostics: result.diagnostics,
+          metadata: result.metadata
         }
       });
 
     } catch (error) {
       console.error('Single invoice extraction error:', error);
       
-      // Store the failed extraction in the database
-      try {
-        await this.storeExtractionResult(documentBatch, invoiceIdx, {
-          error: error.message,
-          status: 'failed',
-          failedAt: new Date().toISOString()
-        });
-      } catch (storeError) {
-        console.error('Error storing failed extraction result:', storeError);
-      }
-      
-      // Provide more specific error messages
-      let errorMessage = 'Failed to extract invoice data';
-      if (error.message.includes('token limit') || error.message.includes('Token limit')) {
-        errorMessage = 'Document too large for AI processing. Try splitting into smaller sections or reducing the number of pages.';
-      } else if (error.message.includes('rate limit') || error.message.includes('Rate limit')) {
-        errorMessage = 'API rate limit exceeded. Please wait a moment before retrying.';
-      } else if (error.message.includes('quota') || error.message.includes('Quota')) {
-        errorMessage = 'API usage quota exceeded. Please check your Azure OpenAI limits.';
-      } else if (error.message.includes('JSON parsing failed') || error.message.includes('JSON')) {
-        errorMessage = 'AI response parsing failed. This may be due to token limitations or malformed response. Please try again.';
-      } else if (error.message.includes('Layout extraction failed')) {
-        errorMessage = 'Could not process the PDF file. Please check if the file is valid.';
-      } else if (error.message.includes('timeout')) {
-        errorMessage = 'Extraction timed out. Please try again with a smaller document.';
-      } else if (error.message.includes('Empty or invalid response')) {
-        errorMessage = 'AI model returned empty response. This usually indicates token limitations or processing issues.';
-      } else if (error.message) {
-        errorMessage = error.message;
-      }
-      
-      res.status(500).json({
+      res.status(error.status || 500).json({
         success: false,
-        error: errorMessage,
+        error: this.describeExtractionError(error),
         details: {
           originalError: error.message,
           invoiceIndex: req.params.invoiceIndex,
@@ -865,34 +984,140 @@ class ProcessingController {
   }
 
   /**
-   * Filter layout data to specific page range
+   * Extract one invoice from the stored layout (or a fresh layout of its split
+   * PDF) and store the result on the invoice row and on the batch
+   * @param {DocumentBatch} documentBatch - Batch of the invoice
+   * @param {Invoice} invoice - Invoice to extract
+   * @param {Object} [options] - { storeResult } false when the caller stores the batch results itself
+   * @returns {Promise<Object>} - { extractedData, diagnostics, metadata }
    */
-  filterLayoutForPages(layoutData, startPage, endPage) {
-    if (!layoutData || !layoutData.pages) return layoutData;
+  async extractInvoiceFromLayout(documentBatch, invoice, { storeResult = true } = {}) {
+    await invoice.update({ extraction_status: 'EXTRACTING', extraction_error: null });
 
-    const filteredLayout = { ...layoutData };
-    
-    // Filter pages
-    filteredLayout.pages = layoutData.pages.filter(page => {
-      const pageNum = page.pageNumber || 1;
-      return pageNum >= startPage && pageNum <= endPage;
-    });
+    try {
+      const { layout, cacheHit } = await this.getInvoiceLayout(documentBatch, invoice);
 
-    // Filter content to only include text from relevant pages
-    if (layoutData.content) {
-      const pageTexts = filteredLayout.pages.map(page => page.content || '').join('\n\n');
-      filteredLayout.content = pageTexts || layoutData.content;
-    }
+      // Extract invoice data using the layout
+      const { extractFromLayout } = require('../services/extractor/extractFromLayout');
+      const { extract, diagnostics } = await extractFromLayout(layout);
 
-    // Filter tables to only include those from relevant pages
-    if (layoutData.tables) {
-      filteredLayout.tables = layoutData.tables.filter(table => {
-        const tablePageNum = table.pageNumber || 1;
-        return tablePageNum >= startPage && tablePageNum <= endPage;
+      // Map to your exact schema format
+      const mappedExtract = this.mapToExactSchema(extract);
+      const metadata = {
+        extractionMethod: cacheHit ? 'layout-reuse' : 'layout-fresh',
+        layoutCacheHit: cacheHit,
+        pagesProcessed: invoice.pages.length,
+        confidence: diagnostics.confidence || 0.85
+      };
+
+      // Re-extracted data needs a fresh review
+      await invoice.update({
+        extraction_status: 'EXTRACTED',
+        extracted_data: mappedExtract,
+        extraction_metadata: { ...metadata, diagnostics },
+        confidence_score: metadata.confidence,
+        validation_status: 'PENDING',
+        validated_by: null,
+        validated_at: null
       });
+
+      // Store the extraction result in the database
+      if (storeResult) {
+        await this.storeExtractionResult(documentBatch, invoice.invoiceIndex, {
+          extractedData: mappedExtract,
+          diagnostics: diagnostics,
+          metadata,
+          status: 'completed'
+        });
+      }
+
+      return { extractedData: mappedExtract, diagnostics, metadata };
+
+    } catch (error) {
+      await invoice.update({ extraction_status: 'FAILED', extraction_error: error.message })
+        .catch(updateError => console.error('Error storing invoice extraction failure:', updateError));
+      if (storeResult) {
+        await this.storeExtractionResult(documentBatch, invoice.invoiceIndex, {
+          error: error.message,
+          status: 'failed',
+          failedAt: new Date().toISOString()
+        });
+      }
+      throw error;
     }
+  }
 
-    return filteredLayout;
+  /**
+   * User-facing message for an extraction error
+   */
+  describeExtractionError(error) {
+    if (error.message.includes('token limit') || error.message.includes('Token limit')) {
+      return 'Document too large for AI processing. Try splitting into smaller sections or reducing the number of pages.';
+    } else if (error.message.includes('rate limit') || error.message.includes('Rate limit')) {
+      return 'API rate limit exceeded. Please wait a moment before retrying.';
+    } else if (error.message.includes('quota') || error.message.includes('Quota')) {
+      return 'API usage quota exceeded. Please check your Azure OpenAI limits.';
+    } else if (error.message.includes('JSON parsing failed') || error.message.includes('JSON')) {
+      return 'AI response parsing failed. This may be due to token limitations or malformed response. Please try again.';
+    } else if (error.message.includes('Layout extraction failed')) {
+      return 'Could not process the PDF file. Please check if the file is valid.';
+    } else if (error.message.includes('timeout')) {
+      return 'Extraction timed out. Please try again with a smaller document.';
+    } else if (error.message.includes('Empty or invalid response')) {
+      return 'AI model returned empty response. This usually indicates token limitations or processing issues.';
+    }
+    return error.message || 'Failed to extract invoice data';
+  }
+
+  /**
+   * Path of a split PDF for splits stored without `filePath`
+   * Files are named like: DKEF-01286-1_pages_1-2_2025-08-31.pdf
+   */
+  getSplitFilePath(documentBatch, split) {
+    if (split.filePath) return split.filePath;
+    const today = new Date().toISOString().split('T')[0];
+    // Clean invoice number by removing confidence markers
+    const cleanInvoiceNumber = (split.invoiceNumber || '')
+      .replace(/\s*\[LOW_CONFIDENCE\]\s*/g, '')
+      .trim();
+    const filename = `${cleanInvoiceNumber}_pages_${split.startPage}-${split.endPage}_${today}.pdf`;
+    return `storage/split/${documentBatch.id}/${filename}`;
+  }
+
+  /**
+   * Filter layout data to specific pages
+   * @param {Array<number>} pageNumbers - Pages of the split, in output order
+   * @returns {Object|null} - Layout of the pages, or null when the layout does not cover them
+   */
+  filterLayoutForPages(layoutData, pageNumbers) {
+    if (!layoutData || !layoutData.pages) return null;
+    return layoutCacheService.slicePages(layoutData, pageNumbers);
+  }
+
+  /**
+   * Layout of an invoice's pages: sliced from the layout cached during
+   * processing, or analyzed from the split PDF on a cache miss. Both are counted
+   * in the batch metadata (layoutCache.hits / misses).
+   * @returns {Promise<Object>} - { layout, cacheHit }
+   */
+  async getInvoiceLayout(documentBatch, invoice) {
+    const cachedLayout = await documentBatch.getLayoutData();
+    const sliced = this.filterLayoutForPages(cachedLayout, invoice.pages);
+
+    if (sliced) {
+      console.log(`Reusing cached layout for pages ${invoice.pageRange}`);
+      await documentBatch.recordLayoutCacheUse(true);
+      return { layout: sliced, cacheHit: true };
+    }
+
+    console.log('No cached layout for these pages, analyzing the split PDF...');
+    const splitFilePath = invoice.filePath || this.getSplitFilePath(documentBatch, invoice);
+    const layoutResult = await azureDocumentService.getLayoutFromPDF(splitFilePath);
+    if (!layoutResult.success) {
+      throw new Error(`Layout extraction failed: ${layoutResult.error}`);
+    }
+    await documentBatch.recordLayoutCacheUse(false);
+    return { layout: layoutResult.layout, cacheHit: false };
   }
 
   /**
@@ -901,7 +1126,7 @@ class ProcessingController {
   async storeExtractionResult(documentBatch, invoiceIndex, extractionResult) {
     try {
       // Get current extraction results or initialize empty object
-      let extractionResults = documentBatch.extractedData || {};
+      let extractionResults = (await documentBatch.getExtractedData()) || {};
       
       // Store the result for this invoice index
       extractionResults[invoiceIndex] = {
@@ -1028,7 +1253,8 @@ class ProcessingController {
         });
       }
 
-      if (!documentBatch.extractedData) {
+      const extractedData = await documentBatch.getExtractedData();
+      if (!extractedData) {
         return res.status(400).json({
           success: false,
           error: 'No extracted data available'
@@ -1040,9 +1266,9 @@ class ProcessingController {
         data: {
           batchId: documentBatch.id,
           status: documentBatch.status,
-          extractedInvoices: documentBatch.extractedData,
+          extractedInvoices: extractedData,
           confidenceScores: documentBatch.confidenceScores,
-          totalInvoices: documentBatch.extractedData.length
+          totalInvoices: extractedData.length
         }
       });
 
@@ -0,0 +1,185 @@
+/**
+ * Review queue controller - work waiting for human validation.
+ *
+ * Reviewers are identified by the X-Actor header (see request-actor).
+ *
+ * • listQueue(req, res)    - GET  /api/review-queue?type=&sort=&order=&tenantId=
+ * • nextItem(req, res)     - POST /api/review-queue/next { type?, sort?, order?, tenantId?, currentItemType?, currentItemId? }
+ * • claimItem(req, res)    - POST /api/review-queue/:itemType/:itemId/claim
+ * • releaseItem(req, res)  - POST /api/review-queue/:itemType/:itemId/release
+ */
+
+const DocumentBatch = require('../models/document-batch.model');
+const Invoice = require('../models/invoice.model');
+const ReviewClaim = require('../models/review-claim.model');
+const reviewQueueService = require('../services/review-queue.service');
+const { requestActor } = require('../utils/request-actor');
+
+class ReviewQueueController {
+  async listQueue(req, res) {
+    try {
+      const options = this.parseQueueOptions(req.query);
+      if (options.error) {
+        return res.status(400).json({
+          success: false,
+          error: options.error
+        });
+      }
+
+      const reviewer = requestActor(req);
+      const items = await reviewQueueService.list({ ...options, reviewer });
+
+      res.json({
+        success: true,
+        data: {
+          items,
+          total: items.length,
+          unclaimed: items.filter(item => !item.claim).length,
+          reviewer,
+          sorts: reviewQueueService.SORTS
+        }
+      });
+    } catch (error) {
+      console.error('List review queue error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to list review queue'
+      });
+    }
+  }
+
+  /**
+   * Release the current item (if any) and claim the next one
+   */
+  async nextItem(req, res) {
+    try {
+      const body = req.body || {};
+      const options = this.parseQueueOptions(body);
+      if (options.error) {
+        return res.status(400).json({
+          success: false,
+          error: options.error
+        });
+      }
+
+      const reviewer = requestActor(req);
+      const item = await reviewQueueService.next(reviewer, {
+        ...options,
+        currentItemType: body.currentItemType || null,
+        currentItemId: body.currentItemId || null
+      });
+
+      if (item) {
+        console.log(`👀 ${reviewer} took ${item.itemType} ${item.itemId} from the review queue`);
+      }
+
+      res.json({
+        success: true,
+        message: item ? 'Next item claimed' : 'No unclaimed item left in the review queue',
+        data: item
+      });
+    } catch (error) {
+      console.error('Next review item error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to get the next review item'
+      });
+    }
+  }
+
+  async claimItem(req, res) {
+    try {
+      const { itemType, itemId } = req.params;
+      if (!reviewQueueService.isValidItemType(itemType)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid item type: ${itemType}. Available: ${Object.values(ReviewClaim.ITEM_TYPES).join(', ')}`
+        });
+      }
+
+      const exists = itemType === ReviewClaim.ITEM_TYPES.BATCH
+        ? await DocumentBatch.findById(itemId)
+        : await Invoice.findById(itemId);
+      if (!exists) {
+        return res.status(404).json({
+          success: false,
+          error: itemType === ReviewClaim.ITEM_TYPES.BATCH ? 'Batch not found' : 'Invoice not found'
+        });
+      }
+
+      const reviewer = requestActor(req);
+      const { acquired, claim } = await ReviewClaim.claim(itemType, itemId, reviewer);
+
+      if (!acquired) {
+        return res.status(409).json({
+          success: false,
+          error: `Already claimed by ${claim.claimedBy}`,
+          data: claim.toJSON()
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Item claimed',
+        data: claim.toJSON()
+      });
+    } catch (error) {
+      console.error('Claim review item error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to claim item'
+      });
+    }
+  }
+
+  /**
+   * Release the reviewer's claim; `{ "force": true }` releases anyone's claim
+   */
+  async releaseItem(req, res) {
+    try {
+      const { itemType, itemId } = req.params;
+      const force = Boolean(req.body && req.body.force);
+      const reviewer = requestActor(req);
+
+      const released = await ReviewClaim.release(itemType, itemId, force ? null : reviewer);
+      if (!released) {
+        const claim = await ReviewClaim.findActive(itemType, itemId);
+        return res.status(claim ? 409 : 404).json({
+          success: false,
+          error: claim ? `Claimed by ${claim.claimedBy} - use force to release it` : 'No claim on this item'
+        });
+      }
+
+      console.log(`👀 ${reviewer} released ${itemType} ${itemId}${force ? ' (forced)' : ''}`);
+
+      res.json({
+        success: true,
+        message: 'Claim released'
+      });
+    } catch (error) {
+      console.error('Release review item error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to release item'
+      });
+    }
+  }
+
+  /**
+   * @returns {Object} - { type, sort, order, tenantId } or { error }
+   */
+  parseQueueOptions({ type, sort, order, tenantId }) {
+    if (type && !reviewQueueService.isValidItemType(type)) {
+      return { error: `Invalid item type: ${type}. Available: ${Object.values(ReviewClaim.ITEM_TYPES).join(', ')}` };
+    }
+    if (sort && !reviewQueueService.isValidSort(sort)) {
+      return { error: `Invalid sort: ${sort}. Available: ${reviewQueueService.SORTS.join(', ')}` };
+    }
+    if (order && !['asc', 'desc'].includes(order)) {
+      return { error: 'Invalid order: use asc or desc' };
+    }
+    return { type: type || null, sort: sort || 'age', order: order || null, tenantId: tenantId || null };
+  }
+}
+
+module.exports = new ReviewQueueController();
@@ -0,0 +1,271 @@
+/**
+ * Upload sessions controller - multi-file and ZIP uploads.
+ *
+ * Every PDF or scanner image of the upload (including those inside ZIP
+ * archives) becomes its own DocumentBatch, grouped under an upload session.
+ * The session status is aggregated from its batches (see UploadSession.aggregateStatus).
+ *
+ * • createSession(req, res)   - POST /api/upload-sessions (multipart `files`, optional `name`)
+ * • listSessions(req, res)    - GET  /api/upload-sessions?limit=&offset=
+ * • getSession(req, res)      - GET  /api/upload-sessions/:sessionId
+ * • processSession(req, res)  - POST /api/upload-sessions/:sessionId/process { boundaryStrategy?, reuseAnalysis?, dropSeparatorPages? }
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const UploadSession = require('../models/upload-session.model');
+const uploadController = require('./upload.controller');
+const processingController = require('./processing.controller');
+const boundaryDetectionService = require('../services/boundary-detection.service');
+const zipArchiveService = require('../services/zip-archive.service');
+const imageToPdfService = require('../services/image-to-pdf.service');
+const { requestActor } = require('../utils/request-actor');
+const { requestTenant } = require('../utils/request-tenant');
+
+// Batches that "process all" picks up; later statuses keep the work already reviewed
+const PROCESSABLE_STATUSES = ['UPLOADED', 'ERROR'];
+
+class UploadSessionsController {
+  async createSession(req, res) {
+    const uploadedFiles = req.files || [];
+    const pendingPaths = new Set(uploadedFiles.map(file => file.path));
+
+    try {
+      if (uploadedFiles.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'No files uploaded'
+        });
+      }
+
+      const actor = requestActor(req);
+      const tenantId = requestTenant(req);
+      const maxFiles = parseInt(process.env.MAX_FILES_PER_SESSION) || 50;
+      const maxFileSize = parseInt(process.env.MAX_FILE_SIZE) || 50 * 1024 * 1024;
+      const name = (req.body && req.body.name) || uploadedFiles[0].originalname;
+      const session = await UploadSession.create({ name, actor });
+      console.log(`📦 Upload session ${session.id}: ${uploadedFiles.length} file(s) from ${actor}`);
+
+      // Expand ZIP archives into the documents they contain
+      const candidates = [];
+      const rejectedFiles = [];
+      for (const file of uploadedFiles) {
+        if (!zipArchiveService.isZipFile(file)) {
+          candidates.push({ filePath: file.path, originalFilename: file.originalname, mimetype: file.mimetype });
+          continue;
+        }
+
+        try {
+          const { files, skipped } = await zipArchiveService.extractDocuments(file.path, {
+            destDir: path.dirname(file.path),
+            maxFiles: Math.max(maxFiles - candidates.length, 0),
+            maxFileSize,
+            extensions: ['.pdf', ...imageToPdfService.getExtensions()]
+          });
+          files.forEach(extracted => {
+            pendingPaths.add(extracted.filePath);
+            candidates.push({ filePath: extracted.filePath, originalFilename: extracted.filename });
+          });
+          skipped.forEach(entry => rejectedFiles.push({ filename: `${file.originalname}/${entry.filename}`, reason: entry.reason }));
+          console.log(`🗜️  ${file.originalname}: ${files.length} document(s) extracted, ${skipped.length} skipped`);
+        } catch (error) {
+          rejectedFiles.push({ filename: file.originalname, reason: error.message });
+        }
+
+        await fs.unlink(file.path).catch(console.error);
+        pendingPaths.delete(file.path);
+      }
+
+      // One batch per document; rejected files are reported instead of failing the session
+      const batches = [];
+      for (const candidate of candidates) {
+        if (batches.length >= maxFiles) {
+          rejectedFiles.push({ filename: candidate.originalFilename, reason: 'Too many files' });
+          await fs.unlink(candidate.filePath).catch(console.error);
+          pendingPaths.delete(candidate.filePath);
+          continue;
+        }
+
+        try {
+          const { documentBatch, pdfInfo, duplicates } = await uploadController.createBatchFromFile(candidate, {
+            actor,
+            sessionId: session.id,
+            tenantId
+          });
+          pendingPaths.delete(candidate.filePath);
+          batches.push({ documentBatch, data: uploadController.describeUploadedBatch(documentBatch, pdfInfo, duplicates) });
+        } catch (error) {
+          if (!error.status) throw error;
+          rejectedFiles.push({ filename: candidate.originalFilename, reason: error.message });
+          await fs.unlink(candidate.filePath).catch(console.error);
+          pendingPaths.delete(candidate.filePath);
+        }
+      }
+
+      if (rejectedFiles.length > 0) {
+        await session.setRejectedFiles(rejectedFiles);
+      }
+
+      console.log(`📦 Upload session ${session.id}: ${batches.length} batch(es) created, ${rejectedFiles.length} file(s) rejected`);
+
+      res.status(201).json({
+        success: true,
+        message: `${batches.length} batch(es) created` + (rejectedFiles.length > 0 ? `, ${rejectedFiles.length} file(s) rejected` : ''),
+        data: {
+          ...session.toJSON(batches.map(batch => batch.documentBatch)),
+          batches: batches.map(batch => batch.data)
+        }
+      });
+    } catch (error) {
+      console.error('Upload session error:', error);
+      await Promise.all([...pendingPaths].map(filePath => fs.unlink(filePath).catch(() => {})));
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Upload failed'
+      });
+    }
+  }
+
+  async listSessions(req, res) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const offset = parseInt(req.query.offset) || 0;
+      const sessions = await UploadSession.findAll({ limit, offset });
+
+      const data = [];
+      for (const session of sessions) {
+        data.push(session.toJSON(await session.getBatches()));
+      }
+
+      res.json({
+        success: true,
+        data: {
+          sessions: data,
+          limit,
+          offset
+        }
+      });
+    } catch (error) {
+      console.error('List upload sessions error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to list upload sessions'
+      });
+    }
+  }
+
+  async getSession(req, res) {
+    try {
+      const session = await UploadSession.findById(req.params.sessionId);
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          error: 'Upload session not found'
+        });
+      }
+
+      const batches = await session.getBatches();
+
+      res.json({
+        success: true,
+        data: {
+          ...session.toJSON(batches),
+          batches: batches.map(batch => ({
+            batchId: batch.id,
+            originalFilename: batch.originalFilename,
+            totalPages: batch.totalPages,
+            status: batch.status,
+            errorMessage: batch.errorMessage,
+            createdAt: batch.createdAt,
+            updatedAt: batch.updatedAt,
+            url: `/api/batches/${batch.id}`
+          }))
+        }
+      });
+    } catch (error) {
+      console.error('Get upload session error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to get upload session'
+      });
+    }
+  }
+
+  /**
+   * Queue processing of every UPLOADED or ERROR batch of the session
+   */
+  async processSession(req, res) {
+    try {
+      const { boundaryStrategy, reuseAnalysis, dropSeparatorPages } = req.body || {};
+
+      if (boundaryStrategy && !boundaryDetectionService.isValidStrategy(boundaryStrategy)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid boundary strategy: ${boundaryStrategy}. Available: ${boundaryDetectionService.listStrategies().join(', ')}`
+        });
+      }
+
+      if (dropSeparatorPages !== undefined && typeof dropSeparatorPages !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: 'dropSeparatorPages must be true or false'
+        });
+      }
+
+      const session = await UploadSession.findById(req.params.sessionId);
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          error: 'Upload session not found'
+        });
+      }
+
+      const actor = requestActor(req);
+      const batches = await session.getBatches();
+      const queued = [];
+      const skipped = [];
+
+      for (const batch of batches) {
+        if (!PROCESSABLE_STATUSES.includes(batch.status) || !batch.canTransitionTo('PROCESSING_SPLIT')) {
+          skipped.push({ batchId: batch.id, status: batch.status, reason: `Cannot process batch in status: ${batch.status}` });
+          continue;
+        }
+
+        try {
+          const { job, boundaryStrategy: strategy } = await processingController.queueProcessing(batch, {
+            boundaryStrategy,
+            reuseAnalysis,
+            dropSeparatorPages,
+            actor
+          });
+          queued.push({ batchId: batch.id, jobId: job.id, boundaryStrategy: strategy });
+        } catch (error) {
+          // Moved by someone else in the meantime
+          if (error.code !== 'INVALID_STATUS_TRANSITION') throw error;
+          skipped.push({ batchId: batch.id, status: batch.status, reason: error.message });
+        }
+      }
+
+      console.log(`📦 Upload session ${session.id}: processing queued for ${queued.length} batch(es), ${skipped.length} skipped`);
+
+      res.json({
+        success: true,
+        message: `Processing started for ${queued.length} batch(es)`,
+        data: {
+          sessionId: session.id,
+          status: UploadSession.aggregateStatus(await session.getBatches()),
+          queued,
+          skipped
+        }
+      });
+    } catch (error) {
+      console.error('Process upload session error:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Failed to process upload session'
+      });
+    }
+  }
+}
+
+module.exports = new UploadSessionsController();
@@ -15,7 +15,8 @@
  * • uploadMiddleware()                     - Multer middleware for file processing
  * 
  * 📂 BATCH MANAGEMENT:
- * • createDocumentBatch(fileInfo)          - Create new document batch record
+ * • createBatchFromFile(file, options)     - Check an uploaded PDF and create its batch
+ *                                            (also used by upload sessions, see upload-sessions.controller)
  * • validateUploadedFile(file)             - Validate PDF file integrity and format
  * • generateBatchMetadata(file)            - Generate batch metadata and identifiers
  * 
@@ -23,6 +24,8 @@
  * • getBatches(req, res)                   - Retrieve all document batches
  * • getBatch(req, res)                     - Get specific batch details
  * • deleteBatch(req, res)                  - Delete batch and associated files
+ * • getBatchHistory(req, res)              - Status transition audit trail
+ * • getBatchArtifact(req, res)             - Stored layout / extraction results (blob store)
  * • updateBatchStatus(batchId, status)     - Update batch processing status
  * 
  * 🔧 UTILITY METHODS:
@@ -39,22 +42,24 @@
  * storage/
  * ├── uploads/           - Original uploaded PDFs
  * ├── processing/        - Files being processed
+ * ├── blobs/             - Layout JSON and extraction results (content-addressed)
  * └── split/            - Individual invoice PDFs after splitting
  *     └── {batchId}/    - Batch-specific split files
  * ```
  * 
  * 🔒 **Security Features:**
- * • File type validation (PDF only)
+ * • File type validation (PDF, or TIFF / JPEG / PNG converted to PDF)
  * • File size limits (configurable, default 50MB)
  * • Unique filename generation to prevent conflicts
  * • Directory traversal protection
  * • MIME type verification
  * 
  * ✅ **Upload Validation:**
- * • PDF format verification
+ * • PDF format verification (images are converted first, one page per image or TIFF frame)
  * • File integrity checks
  * • Size limit enforcement
- * • Duplicate detection
+ * • Duplicate detection (SHA-256 content hash; the response links batches with
+ *   the same content, whose analysis processing reuses unless ANALYSIS_REUSE=false)
  * • Malformed file detection
  * 
  * 🔄 UPLOAD WORKFLOW:
@@ -84,13 +89,17 @@
  * 📊 BATCH STATUS LIFECYCLE:
  * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
  * 
- * • **UPLOADED**        - File successfully uploaded and validated
- * • **PROCESSING**      - Text extraction and boundary detection in progress
- * • **SPLIT_PROPOSED**  - AI has proposed invoice splits for review
- * • **SPLIT_APPROVED**  - User has approved the proposed splits
- * • **EXTRACTING**      - Invoice data extraction in progress
- * • **COMPLETED**       - All invoices processed successfully
- * • **FAILED**          - Processing failed with errors
+ * • **UPLOADED**                - File successfully uploaded and validated
+ * • **PROCESSING_SPLIT**        - Text extraction and boundary detection in progress
+ * • **SPLIT_PROPOSED**          - AI has proposed invoice splits for review
+ * • **SPLIT_VALIDATED**         - User has validated the splits, PDFs created
+ * • **EXTRACTING_DATA**         - Invoice data extraction in progress
+ * • **DATA_VALIDATION_PENDING** - Extracted data awaits review
+ * • **COMPLETED**               - All invoices processed successfully
+ * • **ERROR**                   - Processing or extraction failed
+ * 
+ * Allowed transitions are enforced by DocumentBatch (see TRANSITIONS) and every
+ * transition is recorded in `batch_events` (GET /api/batches/:batchId/history).
  * 
  * 🔧 DEPENDENCIES:
  * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -116,19 +125,31 @@ const path = require('path');
 const fs = require('fs').promises;
 const { v4: uuidv4 } = require('uuid');
 const DocumentBatch = require('../models/document-batch.model');
+const BatchEvent = require('../models/batch-event.model');
+const { requestActor } = require('../utils/request-actor');
+const { DEFAULT_TENANT, requestTenant } = require('../utils/request-tenant');
+const { hashFile } = require('../utils/file-hash');
 const pdfSplitter = require('../services/pdf-splitter.service');
+const zipArchiveService = require('../services/zip-archive.service');
+const imageToPdfService = require('../services/image-to-pdf.service');
+
+function uploadRejectedError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function unsupportedFileTypeError(message) {
+  const error = new Error(message);
+  error.code = 'UNSUPPORTED_FILE_TYPE';
+  return error;
+}
 
 class UploadController {
   constructor() {
     this.storage = multer.diskStorage({
       destination: async (req, file, cb) => {
-        const uploadDir = path.join(__dirname, '../../storage/uploads');
-        try {
-          await fs.access(uploadDir);
-        } catch (error) {
-          await fs.mkdir(uploadDir, { recursive: true });
-        }
-        cb(null, uploadDir);
+        cb(null, await this.ensureUploadDirectory());
       },
       filename: (req, file, cb) => {
         const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
@@ -144,15 +165,46 @@ class UploadController {
         files: 1
       },
       fileFilter: (req, file, cb) => {
-        if (file.mimetype === 'application/pdf') {
+        // Scanner images (TIFF, JPEG, PNG) are converted to PDF before the batch is created
+        if (file.mimetype === 'application/pdf' || imageToPdfService.isConvertible(file)) {
           cb(null, true);
         } else {
-          cb(new Error('Only PDF files are allowed'), false);
+          cb(unsupportedFileTypeError('Only PDF, TIFF, JPEG and PNG files are allowed'), false);
+        }
+      }
+    });
+
+    // Upload sessions: several PDFs and/or ZIP archives of PDFs
+    this.sessionUpload = multer({
+      storage: this.storage,
+      limits: {
+        fileSize: parseInt(process.env.MAX_FILE_SIZE) || 50 * 1024 * 1024,
+        files: parseInt(process.env.MAX_FILES_PER_SESSION) || 50
+      },
+      fileFilter: (req, file, cb) => {
+        if (file.mimetype === 'application/pdf' || imageToPdfService.isConvertible(file) || zipArchiveService.isZipFile(file)) {
+          cb(null, true);
+        } else {
+          cb(unsupportedFileTypeError('Only PDF, TIFF, JPEG, PNG and ZIP files are allowed'), false);
         }
       }
     });
   }
 
+  /**
+   * Upload directory, created on first use (also used by the watch folder)
+   * @returns {Promise<string>}
+   */
+  async ensureUploadDirectory() {
+    const uploadDir = path.join(__dirname, '../../storage/uploads');
+    try {
+      await fs.access(uploadDir);
+    } catch (error) {
+      await fs.mkdir(uploadDir, { recursive: true });
+    }
+    return uploadDir;
+  }
+
   /**
    * Upload PDF file and create document batch
    */
@@ -167,51 +219,17 @@ class UploadController {
 
       console.log(`File uploaded: ${req.file.originalname} (${req.file.size} bytes)`);
 
-      // Get PDF information
-      const pdfInfo = await pdfSplitter.getPDFInfo(req.file.path);
-      
-      if (!pdfInfo.success) {
-        // Clean up uploaded file
-        await fs.unlink(req.file.path).catch(console.error);
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid PDF file'
-        });
-      }
-
-      // Validate page count
-      const maxPages = parseInt(process.env.MAX_PAGES_PER_BATCH) || 200;
-      if (pdfInfo.pageCount > maxPages) {
-        await fs.unlink(req.file.path).catch(console.error);
-        return res.status(400).json({
-          success: false,
-          error: `PDF has too many pages (${pdfInfo.pageCount}). Maximum allowed: ${maxPages}`
-        });
-      }
-
-      // Create document batch record
-      const batchId = uuidv4();
-      const documentBatch = await DocumentBatch.create({
-        id: batchId,
-        originalFilename: req.file.originalname,
-        filePath: req.file.path,
-        status: 'UPLOADED',
-        totalPages: pdfInfo.pageCount
-      });
-
-      console.log(`Document batch created: ${batchId} (${pdfInfo.pageCount} pages)`);
+      const { documentBatch, pdfInfo, duplicates } = await this.createBatchFromFile(
+        { filePath: req.file.path, originalFilename: req.file.originalname, mimetype: req.file.mimetype },
+        { actor: requestActor(req), tenantId: requestTenant(req) }
+      );
 
       res.json({
         success: true,
-        message: 'File uploaded successfully',
-        data: {
-          batchId: documentBatch.id,
-          originalFilename: documentBatch.originalFilename,
-          totalPages: documentBatch.totalPages,
-          fileSize: pdfInfo.fileSize,
-          status: documentBatch.status,
-          uploadedAt: documentBatch.createdAt
-        }
+        message: duplicates.length > 0
+          ? `File uploaded successfully (same content as ${duplicates.length} existing batch(es))`
+          : 'File uploaded successfully',
+        data: this.describeUploadedBatch(documentBatch, pdfInfo, duplicates)
       });
 
     } catch (error) {
@@ -222,13 +240,114 @@ class UploadController {
         await fs.unlink(req.file.path).catch(console.error);
       }
 
-      res.status(500).json({
+      res.status(error.status || 500).json({
         success: false,
         error: error.message || 'Upload failed'
       });
     }
   }
 
+  /**
+   * Check an uploaded PDF and create its batch. Images (TIFF, JPEG, PNG) are
+   * converted to a PDF first, which replaces the image once the batch exists.
+   * The caller removes the uploaded file when it is rejected.
+   * @param {Object} file - { filePath, originalFilename, mimetype }
+   * @param {Object} [options] - { actor, sessionId, tenantId }
+   * @returns {Promise<Object>} - { documentBatch, pdfInfo, duplicates }
+   * @throws {Error} - status 400 for an unreadable image, an invalid PDF or too many pages
+   */
+  async createBatchFromFile({ filePath, originalFilename, mimetype = null }, { actor = 'system', sessionId = null, tenantId = DEFAULT_TENANT } = {}) {
+    // Fingerprint the uploaded content so re-uploads are recognized (and their analysis reused)
+    const contentHash = await hashFile(filePath);
+
+    const imageFormat = imageToPdfService.getFormat({ mimetype, originalname: originalFilename });
+    const conversion = imageFormat ? await imageToPdfService.convertToPdf(filePath, imageFormat) : null;
+    const pdfPath = conversion ? conversion.outputPath : filePath;
+
+    let result;
+    try {
+      result = await this.createBatchFromPdf({ filePath: pdfPath, originalFilename, contentHash }, { actor, sessionId, tenantId, conversion });
+    } catch (error) {
+      if (conversion) {
+        await fs.unlink(pdfPath).catch(console.error);
+      }
+      throw error;
+    }
+
+    if (conversion) {
+      await fs.unlink(filePath).catch(console.error);
+      await result.documentBatch.mergeMetadata({
+        source: { format: conversion.format, pageCount: conversion.pageCount }
+      });
+    }
+    return result;
+  }
+
+  async createBatchFromPdf({ filePath, originalFilename, contentHash }, { actor, sessionId, tenantId, conversion }) {
+    // Get PDF information
+    const pdfInfo = await pdfSplitter.getPDFInfo(filePath);
+    if (!pdfInfo.success) {
+      throw uploadRejectedError('Invalid PDF file');
+    }
+
+    // Validate page count
+    const maxPages = parseInt(process.env.MAX_PAGES_PER_BATCH) || 200;
+    if (pdfInfo.pageCount > maxPages) {
+      throw uploadRejectedError(`PDF has too many pages (${pdfInfo.pageCount}). Maximum allowed: ${maxPages}`);
+    }
+
+    const duplicates = await DocumentBatch.findByContentHash(contentHash, { tenantId });
+
+    // Create document batch record
+    const batchId = uuidv4();
+    const reason = [
+      `Uploaded ${originalFilename}`,
+      conversion ? `converted from ${conversion.format.toUpperCase()}` : null,
+      sessionId ? `session ${sessionId}` : null
+    ].filter(Boolean);
+    const documentBatch = await DocumentBatch.create({
+      id: batchId,
+      originalFilename,
+      filePath,
+      status: 'UPLOADED',
+      totalPages: pdfInfo.pageCount,
+      contentHash,
+      sessionId,
+      tenantId
+    }, {
+      actor,
+      reason: reason.length > 1 ? `${reason[0]} (${reason.slice(1).join(', ')})` : reason[0]
+    });
+
+    console.log(`Document batch created: ${batchId} (${pdfInfo.pageCount} pages)`);
+    if (duplicates.length > 0) {
+      console.log(`♻️ Same content as ${duplicates.length} existing batch(es): ${duplicates.map(batch => batch.id).join(', ')}`);
+    }
+
+    return { documentBatch, pdfInfo, duplicates };
+  }
+
+  describeUploadedBatch(documentBatch, pdfInfo, duplicates) {
+    return {
+      batchId: documentBatch.id,
+      originalFilename: documentBatch.originalFilename,
+      totalPages: documentBatch.totalPages,
+      fileSize: pdfInfo.fileSize,
+      status: documentBatch.status,
+      uploadedAt: documentBatch.createdAt,
+      tenantId: documentBatch.tenantId,
+      contentHash: documentBatch.contentHash,
+      convertedFrom: documentBatch.metadata.source ? documentBatch.metadata.source.format : null,
+      duplicateOf: duplicates.map(batch => ({
+        batchId: batch.id,
+        originalFilename: batch.originalFilename,
+        status: batch.status,
+        createdAt: batch.createdAt,
+        url: `/api/batches/${batch.id}`
+      }))
+    };
+  }
+
   /**
    * Get upload status and batch information
    */
@@ -253,8 +372,16 @@ class UploadController {
           status: documentBatch.status,
           proposedSplits: documentBatch.proposedSplits,
           validatedSplits: documentBatch.validatedSplits,
-          extractedData: documentBatch.extractedData,
+          extractedData: await documentBatch.getExtractedData(),
           confidenceScores: documentBatch.confidenceScores,
+          tenantId: documentBatch.tenantId,
+          contentHash: documentBatch.contentHash,
+          artifacts: {
+            layout: documentBatch.layoutRef ? `/api/batches/${documentBatch.id}/artifacts/layout` : null,
+            extractedData: documentBatch.extractedDataRef ? `/api/batches/${documentBatch.id}/artifacts/extracted-data` : null,
+            boundaries: documentBatch.boundaryResultRef ? `/api/batches/${documentBatch.id}/artifacts/boundaries` : null
+          },
+          metadata: documentBatch.metadata,
           errorMessage: documentBatch.errorMessage,
           createdAt: documentBatch.createdAt,
           updatedAt: documentBatch.updatedAt
@@ -270,6 +397,92 @@ class UploadController {
     }
   }
 
+  /**
+   * Get the status history (audit trail) of a batch. Also works for deleted batches.
+   */
+  async getBatchHistory(req, res) {
+    try {
+      const { batchId } = req.params;
+
+      const documentBatch = await DocumentBatch.findById(batchId);
+      const history = await BatchEvent.findByBatchId(batchId);
+
+      if (!documentBatch && history.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Batch not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          batchId,
+          status: documentBatch ? documentBatch.status : 'DELETED',
+          allowedTransitions: documentBatch ? DocumentBatch.TRANSITIONS[documentBatch.status] || [] : [],
+          history: history.map(event => event.toJSON())
+        }
+      });
+
+    } catch (error) {
+      console.error('Get batch history error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to get batch history'
+      });
+    }
+  }
+
+  /**
+   * Get a stored artifact of a batch (`layout`, `extracted-data` or `boundaries`). Artifacts
+   * live in the blob store and are only loaded by this endpoint and the batch detail.
+   */
+  async getBatchArtifact(req, res) {
+    try {
+      const { batchId, artifact } = req.params;
+      const loaders = {
+        layout: batch => batch.getLayoutData(),
+        'extracted-data': batch => batch.getExtractedData(),
+        boundaries: batch => batch.getBoundaryResult()
+      };
+
+      if (!loaders[artifact]) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown artifact: ${artifact}. Available: ${Object.keys(loaders).join(', ')}`
+        });
+      }
+
+      const documentBatch = await DocumentBatch.findById(batchId);
+      if (!documentBatch) {
+        return res.status(404).json({
+          success: false,
+          error: 'Batch not found'
+        });
+      }
+
+      const data = await loaders[artifact](documentBatch);
+      if (data === null) {
+        return res.status(404).json({
+          success: false,
+          error: `No ${artifact} stored for this batch`
+        });
+      }
+
+      res.json({
+        success: true,
+        data
+      });
+
+    } catch (error) {
+      console.error('Get batch artifact error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to get batch artifact'
+      });
+    }
+  }
+
   /**
    * List all document batches
    */
@@ -332,7 +545,7 @@ class UploadController {
       }
 
       // Delete database record
-      await documentBatch.delete();
+      await documentBatch.delete({ actor: requestActor(req) });
 
       console.log(`Batch deleted: ${batchId}`);
 
@@ -399,10 +612,10 @@ class UploadController {
           error: 'Too many files'
         });
       }
-    } else if (error.message === 'Only PDF files are allowed') {
+    } else if (error.code === 'UNSUPPORTED_FILE_TYPE') {
       return res.status(400).json({
         success: false,
-        error: 'Only PDF files are allowed'
+        error: error.message
       });
     }
 
@@ -0,0 +1,100 @@
+/**
+ * Vendor templates controller - page fingerprints learned from validated splits.
+ *
+ * • listTemplates(req, res)   - GET    /api/vendor-templates?tenantId=
+ * • getTemplate(req, res)     - GET    /api/vendor-templates/:templateId (with the full fingerprint)
+ * • deleteTemplate(req, res)  - DELETE /api/vendor-templates/:templateId (forget a vendor)
+ */
+
+const VendorTemplate = require('../models/vendor-template.model');
+const vendorTemplateService = require('../services/vendor-template.service');
+const { requestActor } = require('../utils/request-actor');
+const { isValidTenantId } = require('../utils/request-tenant');
+
+class VendorTemplatesController {
+  async listTemplates(req, res) {
+    try {
+      const { tenantId } = req.query;
+      if (tenantId && !isValidTenantId(tenantId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid tenant ID (letters, digits, ".", "_" and "-", at most 64 characters)'
+        });
+      }
+
+      const templates = await VendorTemplate.findAll({ tenantId: tenantId || null });
+
+      res.json({
+        success: true,
+        data: {
+          enabled: vendorTemplateService.isEnabled(),
+          ...vendorTemplateService.getConfig(),
+          templates: templates.map(template => template.toJSON())
+        }
+      });
+    } catch (error) {
+      console.error('List vendor templates error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to list vendor templates'
+      });
+    }
+  }
+
+  async getTemplate(req, res) {
+    try {
+      const template = await VendorTemplate.findById(req.params.templateId);
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          error: 'Vendor template not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ...template.toJSON({ includeFingerprint: true }),
+          recurringAnchors: {
+            firstPage: vendorTemplateService.recurringAnchors(template.fingerprint.firstPage),
+            continuation: vendorTemplateService.recurringAnchors(template.fingerprint.continuation)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get vendor template error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to get vendor template'
+      });
+    }
+  }
+
+  async deleteTemplate(req, res) {
+    try {
+      const template = await VendorTemplate.findById(req.params.templateId);
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          error: 'Vendor template not found'
+        });
+      }
+
+      await template.delete();
+      console.log(`🧠 Vendor template ${template.vendorName} (tenant ${template.tenantId}) deleted by ${requestActor(req)}`);
+
+      res.json({
+        success: true,
+        message: 'Vendor template deleted'
+      });
+    } catch (error) {
+      console.error('Delete vendor template error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to delete vendor template'
+      });
+    }
+  }
+}
+
+module.exports = new VendorTemplatesController();
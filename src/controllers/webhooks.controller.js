@@ -0,0 +1,300 @@
+/**
+ * Webhooks controller - manage webhook subscriptions and their delivery log.
+ *
+ * • listWebhooks(req, res)       - GET    /api/webhooks
+ * • createWebhook(req, res)      - POST   /api/webhooks { url, events, secret?, description? }
+ * • getWebhook(req, res)         - GET    /api/webhooks/:webhookId
+ * • updateWebhook(req, res)      - PUT    /api/webhooks/:webhookId { url?, events?, secret?, description?, active? }
+ * • deleteWebhook(req, res)      - DELETE /api/webhooks/:webhookId
+ * • listDeliveries(req, res)     - GET    /api/webhooks/deliveries?webhookId=&status=&event=&batchId=&limit=
+ * • getDelivery(req, res)        - GET    /api/webhooks/deliveries/:deliveryId
+ * • redeliver(req, res)          - POST   /api/webhooks/deliveries/:deliveryId/redeliver
+ */
+
+const WebhookSubscription = require('../models/webhook-subscription.model');
+const WebhookDelivery = require('../models/webhook-delivery.model');
+const webhookService = require('../services/webhook.service');
+
+const DELIVERY_STATUSES = ['PENDING', 'DELIVERED', 'FAILED'];
+
+class WebhooksController {
+  async listWebhooks(req, res) {
+    try {
+      const subscriptions = await WebhookSubscription.findAll();
+
+      res.json({
+        success: true,
+        data: {
+          webhooks: subscriptions.map(s => s.toJSON()),
+          total: subscriptions.length,
+          availableEvents: Object.values(webhookService.EVENTS)
+        }
+      });
+    } catch (error) {
+      console.error('List webhooks error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to list webhooks'
+      });
+    }
+  }
+
+  async createWebhook(req, res) {
+    try {
+      const { url, events, secret, description } = req.body || {};
+
+      const validationError = this.validateSubscription({ url, events, secret }, true);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+
+      const subscription = await WebhookSubscription.create({ url, events, secret, description });
+      console.log(`🔔 Webhook subscription created: ${subscription.id} → ${url} (${events.join(', ')})`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Webhook created. Store the secret now - it is not returned again.',
+        data: subscription.toJSON({ includeSecret: true })
+      });
+    } catch (error) {
+      console.error('Create webhook error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to create webhook'
+      });
+    }
+  }
+
+  async getWebhook(req, res) {
+    try {
+      const subscription = await WebhookSubscription.findById(req.params.webhookId);
+      if (!subscription) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: subscription.toJSON()
+      });
+    } catch (error) {
+      console.error('Get webhook error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to get webhook'
+      });
+    }
+  }
+
+  async updateWebhook(req, res) {
+    try {
+      const subscription = await WebhookSubscription.findById(req.params.webhookId);
+      if (!subscription) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook not found'
+        });
+      }
+
+      const { url, events, secret, description, active } = req.body || {};
+
+      const validationError = this.validateSubscription({ url, events, secret }, false);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+
+      await subscription.update({
+        url,
+        events,
+        secret,
+        description,
+        active: active === undefined ? undefined : Boolean(active)
+      });
+
+      res.json({
+        success: true,
+        message: 'Webhook updated',
+        data: subscription.toJSON()
+      });
+    } catch (error) {
+      console.error('Update webhook error:', error);
+      res.status(error.message === 'No valid fields to update' ? 400 : 500).json({
+        success: false,
+        error: error.message || 'Failed to update webhook'
+      });
+    }
+  }
+
+  async deleteWebhook(req, res) {
+    try {
+      const subscription = await WebhookSubscription.findById(req.params.webhookId);
+      if (!subscription) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook not found'
+        });
+      }
+
+      await subscription.delete();
+
+      res.json({
+        success: true,
+        message: 'Webhook deleted'
+      });
+    } catch (error) {
+      console.error('Delete webhook error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to delete webhook'
+      });
+    }
+  }
+
+  async listDeliveries(req, res) {
+    try {
+      const { webhookId, status, event, batchId } = req.query;
+      const limit = Math.min(parseInt(req.query.limit || '100', 10) || 100, 500);
+
+      if (status && !DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid delivery status: ${status}. Available: ${DELIVERY_STATUSES.join(', ')}`
+        });
+      }
+
+      const deliveries = await WebhookDelivery.findAll({ subscriptionId: webhookId, status, event, batchId, limit });
+
+      res.json({
+        success: true,
+        data: {
+          deliveries: deliveries.map(d => d.toJSON()),
+          total: deliveries.length
+        }
+      });
+    } catch (error) {
+      console.error('List webhook deliveries error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to list webhook deliveries'
+      });
+    }
+  }
+
+  async getDelivery(req, res) {
+    try {
+      const delivery = await WebhookDelivery.findById(req.params.deliveryId);
+      if (!delivery) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook delivery not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: delivery.toJSON()
+      });
+    } catch (error) {
+      console.error('Get webhook delivery error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to get webhook delivery'
+      });
+    }
+  }
+
+  async redeliver(req, res) {
+    try {
+      const delivery = await WebhookDelivery.findById(req.params.deliveryId);
+      if (!delivery) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook delivery not found'
+        });
+      }
+
+      if (delivery.status === 'PENDING') {
+        return res.status(400).json({
+          success: false,
+          error: 'Delivery is still pending'
+        });
+      }
+
+      const subscription = await WebhookSubscription.findById(delivery.subscriptionId);
+      if (!subscription) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook for this delivery no longer exists'
+        });
+      }
+
+      const job = await webhookService.redeliver(delivery);
+
+      res.json({
+        success: true,
+        message: 'Delivery queued for redelivery',
+        data: {
+          ...delivery.toJSON(),
+          jobId: job.id
+        }
+      });
+    } catch (error) {
+      console.error('Redeliver webhook error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to redeliver webhook'
+      });
+    }
+  }
+
+  /**
+   * Validate subscription fields
+   * @param {Object} fields - { url, events, secret }
+   * @param {boolean} required - url and events must be present (creation)
+   * @returns {string|null} - Error message
+   */
+  validateSubscription({ url, events, secret }, required) {
+    if (required && (!url || !events)) {
+      return 'url and events are required';
+    }
+
+    if (url !== undefined) {
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch (error) {
+        return `Invalid url: ${url}`;
+      }
+      if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return 'Webhook url must use http or https';
+      }
+    }
+
+    if (events !== undefined) {
+      const availableEvents = Object.values(webhookService.EVENTS);
+      if (!Array.isArray(events) || events.length === 0) {
+        return 'events must be a non-empty array';
+      }
+      const unknown = events.filter(e => e !== '*' && !availableEvents.includes(e));
+      if (unknown.length > 0) {
+        return `Unknown events: ${unknown.join(', ')}. Available: ${availableEvents.join(', ')}, *`;
+      }
+    }
+
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+      return 'secret must be a string of at least 16 characters';
+    }
+
+    return null;
+  }
+}
+
+module.exports = new WebhooksController();
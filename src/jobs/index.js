@@ -0,0 +1,75 @@
+/**
+ * Background job handlers.
+ *
+ * • process-batch  - Text extraction + boundary detection (POST /api/batches/:id/process)
+ * • extract-batch  - Data extraction for validated splits (POST /api/batches/:id/extract-data)
+ * • deliver-webhook - One webhook delivery (queued by the webhook service)
+ *
+ * Handlers run inside the job worker (embedded in the web server, or
+ * `npm run worker`). When every attempt of a batch job has failed the batch is
+ * moved to ERROR; a failed webhook job marks its delivery FAILED.
+ */
+
+const jobQueue = require('../services/job-queue.service');
+const DocumentBatch = require('../models/document-batch.model');
+const webhookService = require('../services/webhook.service');
+
+const JOB_TYPES = {
+  PROCESS_BATCH: 'process-batch',
+  EXTRACT_BATCH: 'extract-batch',
+  DELIVER_WEBHOOK: 'deliver-webhook'
+};
+
+// Actor recorded in the batch audit trail for transitions made by a job
+function jobActor(job) {
+  return `job:${job.type}:${job.id}`;
+}
+
+async function markBatchFailed(job, error) {
+  const documentBatch = await DocumentBatch.findById(job.batchId);
+  if (!documentBatch) return;
+  await documentBatch.update({
+    status: 'ERROR',
+    error_message: error.message
+  }, {
+    actor: jobActor(job),
+    reason: `Failed after ${job.attempts} attempt(s): ${error.message}`
+  });
+}
+
+async function loadBatch(batchId) {
+  const documentBatch = await DocumentBatch.findById(batchId);
+  if (!documentBatch) {
+    throw new Error(`Batch not found: ${batchId}`);
+  }
+  return documentBatch;
+}
+
+function registerJobHandlers() {
+  // Required lazily: the controller enqueues jobs through the queue service
+  const processingController = require('../controllers/processing.controller');
+
+  jobQueue.register(JOB_TYPES.PROCESS_BATCH, async ({ batchId }, job) => {
+    const documentBatch = await loadBatch(batchId);
+    await processingController.processDocumentBatch(documentBatch, { actor: jobActor(job) });
+    return {
+      status: documentBatch.status,
+      invoiceCount: (documentBatch.proposedSplits || []).length
+    };
+  }, { onFailure: markBatchFailed });
+
+  jobQueue.register(JOB_TYPES.EXTRACT_BATCH, async ({ batchId }, job) => {
+    const documentBatch = await loadBatch(batchId);
+    await processingController.extractBatchInvoiceData(documentBatch, { actor: jobActor(job) });
+    return {
+      status: documentBatch.status,
+      invoiceCount: ((await documentBatch.getExtractedData()) || []).length
+    };
+  }, { onFailure: markBatchFailed });
+
+  jobQueue.register(JOB_TYPES.DELIVER_WEBHOOK, async ({ deliveryId }) => {
+    return webhookService.deliver(deliveryId);
+  }, { onFailure: (job, error) => webhookService.markDeliveryFailed(job, error) });
+}
+
+module.exports = { JOB_TYPES, registerJobHandlers };
@@ -0,0 +1,192 @@
+/**
+ * Baseline schema - the tables created by `Database.createTables` before
+ * migrations were versioned.
+ *
+ * Databases created before `schema_migrations` existed already have some of
+ * these tables, possibly without the newer columns: tables are created only if
+ * missing and missing columns are added, so those databases are adopted at
+ * version 1.
+ */
+
+const TABLES = {
+  document_batches: `
+    CREATE TABLE IF NOT EXISTS document_batches (
+      id TEXT PRIMARY KEY,
+      original_filename TEXT NOT NULL,
+      file_path TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'UPLOADED',
+      total_pages INTEGER,
+      proposed_splits TEXT, -- JSON string
+      validated_splits TEXT, -- JSON string
+      extracted_data TEXT, -- JSON string
+      confidence_scores TEXT, -- JSON string
+      layout_data TEXT, -- JSON string - stored DI layout for reuse
+      processing_options TEXT, -- JSON string - e.g. { boundaryStrategy }
+      error_message TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+
+  // One row per split invoice, created when the splits of a batch are validated
+  invoices: `
+    CREATE TABLE IF NOT EXISTS invoices (
+      id TEXT PRIMARY KEY,
+      batch_id TEXT NOT NULL,
+      invoice_index INTEGER, -- position in the batch (0-based)
+      invoice_number TEXT,
+      page_range TEXT NOT NULL, -- "1-3" format
+      start_page INTEGER,
+      end_page INTEGER,
+      file_path TEXT,
+      split_data TEXT, -- JSON string - split descriptor (filename, size, reasoning)
+      extracted_data TEXT, -- JSON string
+      extraction_status TEXT DEFAULT 'PENDING', -- PENDING | EXTRACTING | EXTRACTED | FAILED
+      extraction_error TEXT,
+      extraction_metadata TEXT, -- JSON string - method, diagnostics, validation
+      confidence_score REAL,
+      validation_status TEXT DEFAULT 'PENDING', -- PENDING | APPROVED | REJECTED
+      validated_by TEXT,
+      validated_at DATETIME,
+      validation_notes TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (batch_id) REFERENCES document_batches (id)
+    )
+  `,
+
+  jobs: `
+    CREATE TABLE IF NOT EXISTS jobs (
+      id TEXT PRIMARY KEY,
+      type TEXT NOT NULL, -- e.g. 'process-batch', 'extract-batch'
+      batch_id TEXT,
+      payload TEXT, -- JSON string
+      status TEXT NOT NULL DEFAULT 'QUEUED', -- QUEUED | RUNNING | COMPLETED | FAILED
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 3,
+      run_at DATETIME DEFAULT CURRENT_TIMESTAMP, -- not picked up before this time (retry backoff)
+      locked_by TEXT, -- worker id + claim token while RUNNING
+      locked_at DATETIME, -- refreshed by the worker heartbeat
+      last_error TEXT,
+      result TEXT, -- JSON string
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME
+    )
+  `,
+
+  // Progress events streamed to clients over SSE (short-lived, pruned)
+  progress_events: `
+    CREATE TABLE IF NOT EXISTS progress_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      batch_id TEXT NOT NULL,
+      type TEXT NOT NULL, -- status | stage | progress
+      data TEXT, -- JSON string
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+
+  // Audit trail of batch status transitions (kept after the batch is deleted)
+  batch_events: `
+    CREATE TABLE IF NOT EXISTS batch_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      batch_id TEXT NOT NULL,
+      from_status TEXT, -- NULL for the creation event
+      to_status TEXT NOT NULL, -- DELETED for the deletion event
+      actor TEXT NOT NULL, -- e.g. 'api:127.0.0.1', 'job:process-batch:<jobId>'
+      reason TEXT,
+      metadata TEXT, -- JSON string
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+
+  webhook_subscriptions: `
+    CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+      id TEXT PRIMARY KEY,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL, -- HMAC-SHA256 signing key
+      events TEXT NOT NULL, -- JSON array of event names, ["*"] for all
+      description TEXT,
+      active INTEGER NOT NULL DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+
+  // One row per event and subscription; attempts are run by 'deliver-webhook' jobs
+  webhook_deliveries: `
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id TEXT PRIMARY KEY,
+      subscription_id TEXT NOT NULL,
+      event TEXT NOT NULL,
+      batch_id TEXT,
+      payload TEXT NOT NULL, -- JSON body sent on every attempt
+      status TEXT NOT NULL DEFAULT 'PENDING', -- PENDING | DELIVERED | FAILED
+      attempts INTEGER NOT NULL DEFAULT 0,
+      response_status INTEGER,
+      response_body TEXT, -- truncated
+      last_error TEXT,
+      job_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      delivered_at DATETIME
+    )
+  `
+};
+
+// Columns that unversioned databases may be missing
+const LATE_COLUMNS = {
+  document_batches: [
+    { name: 'layout_data', type: 'TEXT' },
+    { name: 'processing_options', type: 'TEXT' }
+  ],
+  invoices: [
+    { name: 'invoice_index', type: 'INTEGER' },
+    { name: 'invoice_number', type: 'TEXT' },
+    { name: 'start_page', type: 'INTEGER' },
+    { name: 'end_page', type: 'INTEGER' },
+    { name: 'split_data', type: 'TEXT' },
+    { name: 'extraction_status', type: "TEXT DEFAULT 'PENDING'" },
+    { name: 'extraction_error', type: 'TEXT' },
+    { name: 'extraction_metadata', type: 'TEXT' },
+    { name: 'validated_by', type: 'TEXT' },
+    { name: 'validated_at', type: 'DATETIME' },
+    { name: 'validation_notes', type: 'TEXT' }
+  ]
+};
+
+const INDEXES = [
+  'CREATE INDEX IF NOT EXISTS idx_invoices_batch ON invoices (batch_id, invoice_index)',
+  'CREATE INDEX IF NOT EXISTS idx_jobs_status_run_at ON jobs (status, run_at)',
+  'CREATE INDEX IF NOT EXISTS idx_progress_events_batch ON progress_events (batch_id, id)',
+  'CREATE INDEX IF NOT EXISTS idx_batch_events_batch ON batch_events (batch_id, id)',
+  'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries (subscription_id, created_at)'
+];
+
+async function up(db) {
+  for (const sql of Object.values(TABLES)) {
+    await db.run(sql);
+  }
+
+  for (const [table, columns] of Object.entries(LATE_COLUMNS)) {
+    const existing = new Set((await db.all(`PRAGMA table_info(${table})`)).map(column => column.name));
+    for (const { name, type } of columns.filter(column => !existing.has(column.name))) {
+      await db.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+    }
+  }
+
+  for (const sql of INDEXES) {
+    await db.run(sql);
+  }
+
+  // PROCESSING_FAILED was an alias of ERROR in older versions
+  await db.run(`UPDATE document_batches SET status = 'ERROR' WHERE status = 'PROCESSING_FAILED'`);
+}
+
+async function down(db) {
+  for (const table of Object.keys(TABLES).reverse()) {
+    await db.run(`DROP TABLE IF EXISTS ${table}`);
+  }
+}
+
+module.exports = { up, down };
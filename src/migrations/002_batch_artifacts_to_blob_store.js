@@ -0,0 +1,61 @@
+/**
+ * Move `document_batches.layout_data` and `extracted_data` into the blob store.
+ *
+ * The batch row keeps `layout_ref` / `extracted_data_ref` ("sha256:<hex>")
+ * instead of the serialized JSON, so listing batches no longer reads whole
+ * Document Intelligence responses.
+ */
+
+const blobStore = require('../services/blob-store.service');
+
+const ARTIFACT_COLUMNS = [
+  { column: 'layout_data', refColumn: 'layout_ref' },
+  { column: 'extracted_data', refColumn: 'extracted_data_ref' }
+];
+
+async function up(db) {
+  for (const { refColumn } of ARTIFACT_COLUMNS) {
+    await db.run(`ALTER TABLE document_batches ADD COLUMN ${refColumn} TEXT`);
+  }
+
+  const rows = await db.all(
+    'SELECT id, layout_data, extracted_data FROM document_batches WHERE layout_data IS NOT NULL OR extracted_data IS NOT NULL'
+  );
+
+  for (const row of rows) {
+    for (const { column, refColumn } of ARTIFACT_COLUMNS) {
+      if (!row[column]) continue;
+      const { ref } = await blobStore.put(JSON.parse(row[column]));
+      await db.run(`UPDATE document_batches SET ${refColumn} = ? WHERE id = ?`, [ref, row.id]);
+    }
+  }
+
+  for (const { column } of ARTIFACT_COLUMNS) {
+    await db.run(`ALTER TABLE document_batches DROP COLUMN ${column}`);
+  }
+}
+
+async function down(db) {
+  for (const { column } of ARTIFACT_COLUMNS) {
+    await db.run(`ALTER TABLE document_batches ADD COLUMN ${column} TEXT`);
+  }
+
+  const rows = await db.all(
+    'SELECT id, layout_ref, extracted_data_ref FROM document_batches WHERE layout_ref IS NOT NULL OR extracted_data_ref IS NOT NULL'
+  );
+
+  for (const row of rows) {
+    for (const { column, refColumn } of ARTIFACT_COLUMNS) {
+      if (!row[refColumn]) continue;
+      const value = await blobStore.get(row[refColumn]);
+      await db.run(`UPDATE document_batches SET ${column} = ? WHERE id = ?`, [value === null ? null : JSON.stringify(value), row.id]);
+    }
+  }
+
+  // Blobs are left in place; they are removed by garbage collection once unreferenced
+  for (const { refColumn } of ARTIFACT_COLUMNS) {
+    await db.run(`ALTER TABLE document_batches DROP COLUMN ${refColumn}`);
+  }
+}
+
+module.exports = { up, down };
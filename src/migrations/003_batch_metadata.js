@@ -0,0 +1,14 @@
+/**
+ * `document_batches.metadata` - JSON report of batch-level facts that are not
+ * part of the processing state, e.g. layout cache use ({ layoutCache: { hits, misses } }).
+ */
+
+async function up(db) {
+  await db.run('ALTER TABLE document_batches ADD COLUMN metadata TEXT');
+}
+
+async function down(db) {
+  await db.run('ALTER TABLE document_batches DROP COLUMN metadata');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,31 @@
+/**
+ * `document_batches.content_hash` (SHA-256 of the uploaded PDF) so re-uploads
+ * are recognized, and `boundary_result_ref` (blob store) so the boundary
+ * detection result of a batch can be reused by batches with the same content.
+ *
+ * Existing batches are fingerprinted from their file when it is still on disk.
+ */
+
+const { hashFile } = require('../utils/file-hash');
+
+async function up(db) {
+  await db.run('ALTER TABLE document_batches ADD COLUMN content_hash TEXT');
+  await db.run('ALTER TABLE document_batches ADD COLUMN boundary_result_ref TEXT');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_document_batches_content_hash ON document_batches (content_hash)');
+
+  const rows = await db.all('SELECT id, file_path FROM document_batches');
+  for (const row of rows) {
+    const contentHash = await hashFile(row.file_path).catch(() => null);
+    if (contentHash) {
+      await db.run('UPDATE document_batches SET content_hash = ? WHERE id = ?', [contentHash, row.id]);
+    }
+  }
+}
+
+async function down(db) {
+  await db.run('DROP INDEX IF EXISTS idx_document_batches_content_hash');
+  await db.run('ALTER TABLE document_batches DROP COLUMN boundary_result_ref');
+  await db.run('ALTER TABLE document_batches DROP COLUMN content_hash');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,27 @@
+/**
+ * Upload sessions: one multi-file or ZIP upload, expanded into one
+ * `document_batches` row per PDF (`document_batches.session_id`).
+ */
+
+async function up(db) {
+  await db.run(`
+    CREATE TABLE upload_sessions (
+      id TEXT PRIMARY KEY,
+      name TEXT, -- client-provided label, else the first uploaded file name
+      actor TEXT NOT NULL,
+      rejected_files TEXT, -- JSON array of { filename, reason } not turned into batches
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.run('ALTER TABLE document_batches ADD COLUMN session_id TEXT');
+  await db.run('CREATE INDEX idx_document_batches_session ON document_batches (session_id)');
+}
+
+async function down(db) {
+  await db.run('DROP INDEX IF EXISTS idx_document_batches_session');
+  await db.run('ALTER TABLE document_batches DROP COLUMN session_id');
+  await db.run('DROP TABLE IF EXISTS upload_sessions');
+}
+
+module.exports = { up, down };
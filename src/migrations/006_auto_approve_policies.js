@@ -0,0 +1,31 @@
+/**
+ * Tenants and their auto-approve policy.
+ *
+ * `document_batches.tenant_id` records the tenant a batch was uploaded for
+ * (X-Tenant-Id header, 'default' otherwise). `auto_approve_policies` holds the
+ * per-tenant overrides of the AUTO_APPROVE_* / CONFIDENCE_THRESHOLD defaults.
+ */
+
+async function up(db) {
+  await db.run("ALTER TABLE document_batches ADD COLUMN tenant_id TEXT NOT NULL DEFAULT 'default'");
+  await db.run('CREATE INDEX idx_document_batches_tenant ON document_batches (tenant_id)');
+  await db.run(`
+    CREATE TABLE auto_approve_policies (
+      tenant_id TEXT PRIMARY KEY,
+      enabled INTEGER NOT NULL DEFAULT 0,
+      confidence_threshold REAL, -- NULL = CONFIDENCE_THRESHOLD
+      auto_extract INTEGER NOT NULL DEFAULT 0,
+      updated_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function down(db) {
+  await db.run('DROP TABLE IF EXISTS auto_approve_policies');
+  await db.run('DROP INDEX IF EXISTS idx_document_batches_tenant');
+  await db.run('ALTER TABLE document_batches DROP COLUMN tenant_id');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,24 @@
+/**
+ * Review claims: a reviewer working on a queue item (a batch awaiting split
+ * validation or an invoice awaiting data validation) holds it until the claim
+ * is released, the item is validated or the claim expires.
+ */
+
+async function up(db) {
+  await db.run(`
+    CREATE TABLE review_claims (
+      item_type TEXT NOT NULL, -- 'batch' | 'invoice'
+      item_id TEXT NOT NULL,
+      claimed_by TEXT NOT NULL,
+      claimed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      PRIMARY KEY (item_type, item_id)
+    )
+  `);
+}
+
+async function down(db) {
+  await db.run('DROP TABLE IF EXISTS review_claims');
+}
+
+module.exports = { up, down };
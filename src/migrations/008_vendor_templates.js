@@ -0,0 +1,27 @@
+/**
+ * Vendor templates: per-tenant page fingerprints of a vendor's invoices,
+ * learned from splits validated by reviewers and used as hints by the next
+ * boundary detection.
+ */
+
+async function up(db) {
+  await db.run(`
+    CREATE TABLE vendor_templates (
+      id TEXT PRIMARY KEY,
+      tenant_id TEXT NOT NULL DEFAULT 'default',
+      vendor_key TEXT NOT NULL,
+      vendor_name TEXT,
+      sample_count INTEGER NOT NULL DEFAULT 0, -- validated invoices learned from
+      fingerprint TEXT NOT NULL, -- JSON: header anchors, page counts, examples
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (tenant_id, vendor_key)
+    )
+  `);
+}
+
+async function down(db) {
+  await db.run('DROP TABLE IF EXISTS vendor_templates');
+}
+
+module.exports = { up, down };
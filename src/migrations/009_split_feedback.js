@@ -0,0 +1,37 @@
+/**
+ * Split feedback: for every batch with validated splits, the diff between the
+ * boundaries proposed by detection and the validated ones. Rows outlive their
+ * batch so accuracy history is kept.
+ */
+
+async function up(db) {
+  await db.run(`
+    CREATE TABLE split_feedback (
+      batch_id TEXT PRIMARY KEY,
+      tenant_id TEXT NOT NULL DEFAULT 'default',
+      strategy TEXT,
+      provider TEXT,
+      model TEXT,
+      prompt_version TEXT,
+      reviewed INTEGER NOT NULL DEFAULT 1, -- 0 = auto-approved, nothing was checked
+      validated_by TEXT,
+      total_pages INTEGER,
+      proposed_count INTEGER NOT NULL, -- proposed invoices
+      validated_count INTEGER NOT NULL, -- validated invoices
+      matched INTEGER NOT NULL DEFAULT 0,
+      added INTEGER NOT NULL DEFAULT 0,
+      removed INTEGER NOT NULL DEFAULT 0,
+      moved INTEGER NOT NULL DEFAULT 0,
+      boundaries TEXT NOT NULL, -- JSON: [{ page, status, from?, vendor }]
+      validated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.run('CREATE INDEX idx_split_feedback_validated_at ON split_feedback (validated_at)');
+}
+
+async function down(db) {
+  await db.run('DROP INDEX IF EXISTS idx_split_feedback_validated_at');
+  await db.run('DROP TABLE IF EXISTS split_feedback');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,139 @@
+const database = require('../config/database');
+
+/**
+ * Auto-approve policy of a tenant: whether proposed splits are validated
+ * without a reviewer when they all reach the confidence threshold, and whether
+ * data extraction is then started as well.
+ *
+ * Tenants without a row use the defaults from the environment:
+ * • AUTO_APPROVE_ENABLED  - 'true' to auto-approve (default false)
+ * • CONFIDENCE_THRESHOLD  - Minimum confidence of every split (default 0.85)
+ * • AUTO_APPROVE_EXTRACT  - 'true' to queue data extraction after auto-approval (default false)
+ */
+class AutoApprovePolicy {
+  constructor(data) {
+    this.tenantId = data.tenant_id;
+    this.enabled = Boolean(data.enabled);
+    this.confidenceThreshold = data.confidence_threshold === null || data.confidence_threshold === undefined
+      ? null
+      : Number(data.confidence_threshold);
+    this.autoExtract = Boolean(data.auto_extract);
+    this.updatedBy = data.updated_by || null;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  static getDefaults() {
+    const threshold = parseFloat(process.env.CONFIDENCE_THRESHOLD);
+    return {
+      enabled: process.env.AUTO_APPROVE_ENABLED === 'true',
+      confidenceThreshold: Number.isFinite(threshold) ? threshold : 0.85,
+      autoExtract: process.env.AUTO_APPROVE_EXTRACT === 'true'
+    };
+  }
+
+  static async findByTenant(tenantId) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM auto_approve_policies WHERE tenant_id = ?', [tenantId], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? new AutoApprovePolicy(row) : null);
+        }
+      });
+    });
+  }
+
+  static async findAll() {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.all('SELECT * FROM auto_approve_policies ORDER BY tenant_id', [], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => new AutoApprovePolicy(row)));
+        }
+      });
+    });
+  }
+
+  /**
+   * Create or replace the policy of a tenant
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} policy - { enabled, confidenceThreshold (null = default), autoExtract }
+   * @param {Object} [options] - { actor }
+   * @returns {Promise<AutoApprovePolicy>}
+   */
+  static async upsert(tenantId, { enabled, confidenceThreshold = null, autoExtract = false }, { actor = 'system' } = {}) {
+    const db = database.getDb();
+
+    await new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO auto_approve_policies (tenant_id, enabled, confidence_threshold, auto_extract, updated_by)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (tenant_id) DO UPDATE SET
+          enabled = excluded.enabled,
+          confidence_threshold = excluded.confidence_threshold,
+          auto_extract = excluded.auto_extract,
+          updated_by = excluded.updated_by,
+          updated_at = CURRENT_TIMESTAMP
+      `;
+
+      db.run(sql, [tenantId, enabled ? 1 : 0, confidenceThreshold, autoExtract ? 1 : 0, actor], (err) => (err ? reject(err) : resolve()));
+    });
+
+    return AutoApprovePolicy.findByTenant(tenantId);
+  }
+
+  /**
+   * Policy that applies to a tenant: its own row, else the defaults
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Object>} - { tenantId, enabled, confidenceThreshold, autoExtract, source: 'tenant' | 'default' }
+   */
+  static async resolve(tenantId) {
+    const defaults = AutoApprovePolicy.getDefaults();
+    const policy = await AutoApprovePolicy.findByTenant(tenantId);
+
+    if (!policy) {
+      return { tenantId, ...defaults, source: 'default' };
+    }
+    return {
+      tenantId,
+      enabled: policy.enabled,
+      confidenceThreshold: policy.confidenceThreshold === null ? defaults.confidenceThreshold : policy.confidenceThreshold,
+      autoExtract: policy.autoExtract,
+      source: 'tenant'
+    };
+  }
+
+  async delete() {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM auto_approve_policies WHERE tenant_id = ?', [this.tenantId], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+
+  toJSON() {
+    return {
+      tenantId: this.tenantId,
+      enabled: this.enabled,
+      confidenceThreshold: this.confidenceThreshold,
+      autoExtract: this.autoExtract,
+      updatedBy: this.updatedBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = AutoApprovePolicy;
@@ -0,0 +1,75 @@
+const database = require('../config/database');
+
+/**
+ * Audit trail of batch status transitions (`batch_events`). Rows are kept after
+ * the batch is deleted.
+ */
+class BatchEvent {
+  constructor(data) {
+    this.id = data.id;
+    this.batchId = data.batch_id;
+    this.fromStatus = data.from_status;
+    this.toStatus = data.to_status;
+    this.actor = data.actor;
+    this.reason = data.reason;
+    this.metadata = data.metadata ? JSON.parse(data.metadata) : null;
+    this.createdAt = data.created_at;
+  }
+
+  /**
+   * Record a transition
+   * @param {Object} event - { batchId, fromStatus, toStatus, actor, reason, metadata }
+   */
+  static async create({ batchId, fromStatus = null, toStatus, actor = 'system', reason = null, metadata = null }) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO batch_events (batch_id, from_status, to_status, actor, reason, metadata)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `;
+
+      db.run(sql, [batchId, fromStatus, toStatus, actor, reason, metadata ? JSON.stringify(metadata) : null], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+    });
+  }
+
+  /**
+   * Transitions of a batch, oldest first
+   * @param {string} batchId - Batch ID
+   * @returns {Promise<Array<BatchEvent>>}
+   */
+  static async findByBatchId(batchId) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.all('SELECT * FROM batch_events WHERE batch_id = ? ORDER BY id', [batchId], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => new BatchEvent(row)));
+        }
+      });
+    });
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      batchId: this.batchId,
+      fromStatus: this.fromStatus,
+      toStatus: this.toStatus,
+      actor: this.actor,
+      reason: this.reason,
+      metadata: this.metadata,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = BatchEvent;
@@ -1,4 +1,60 @@
 const database = require('../config/database');
+const batchProgressService = require('../services/batch-progress.service');
+const blobStore = require('../services/blob-store.service');
+const webhookService = require('../services/webhook.service');
+const BatchEvent = require('./batch-event.model');
+const Invoice = require('./invoice.model');
+
+/**
+ * Batch status state machine. Status changes only happen through
+ * DocumentBatch.update, which rejects transitions missing from TRANSITIONS and
+ * records accepted ones (who, when, from, to, reason) in `batch_events`.
+ */
+const STATUSES = {
+  UPLOADED: 'UPLOADED',
+  PROCESSING_SPLIT: 'PROCESSING_SPLIT',
+  SPLIT_PROPOSED: 'SPLIT_PROPOSED',
+  SPLIT_VALIDATED: 'SPLIT_VALIDATED',
+  EXTRACTING_DATA: 'EXTRACTING_DATA',
+  DATA_VALIDATION_PENDING: 'DATA_VALIDATION_PENDING',
+  COMPLETED: 'COMPLETED',
+  ERROR: 'ERROR'
+};
+
+const TRANSITIONS = {
+  UPLOADED: ['PROCESSING_SPLIT'],
+  PROCESSING_SPLIT: ['SPLIT_PROPOSED', 'ERROR'],
+  SPLIT_PROPOSED: ['PROCESSING_SPLIT', 'SPLIT_VALIDATED'],
+  SPLIT_VALIDATED: ['EXTRACTING_DATA'],
+  EXTRACTING_DATA: ['DATA_VALIDATION_PENDING', 'ERROR'],
+  DATA_VALIDATION_PENDING: ['COMPLETED'],
+  COMPLETED: [],
+  // Reprocess from scratch, or retry a failed extraction
+  ERROR: ['PROCESSING_SPLIT', 'EXTRACTING_DATA']
+};
+
+// Additional conditions: return a reason to reject the transition
+const TRANSITION_GUARDS = {
+  'ERROR->EXTRACTING_DATA': batch => ((batch.validatedSplits || []).length > 0 ? null : 'the batch has no validated splits')
+};
+
+/**
+ * Large JSON artifacts live in the blob store; the row only holds their
+ * reference. update() accepts the data column names and stores the blob.
+ */
+const ARTIFACTS = {
+  layout_data: { refColumn: 'layout_ref', property: 'layoutData', refProperty: 'layoutRef' },
+  extracted_data: { refColumn: 'extracted_data_ref', property: 'extractedData', refProperty: 'extractedDataRef' },
+  boundary_result: { refColumn: 'boundary_result_ref', property: 'boundaryResult', refProperty: 'boundaryResultRef' }
+};
+
+function invalidTransitionError(message) {
+  const error = new Error(message);
+  error.name = 'InvalidTransitionError';
+  error.code = 'INVALID_STATUS_TRANSITION';
+  error.status = 409;
+  return error;
+}
 
 class DocumentBatch {
   constructor(data) {
@@ -9,32 +65,50 @@ class DocumentBatch {
     this.totalPages = data.total_pages;
     this.proposedSplits = data.proposed_splits ? JSON.parse(data.proposed_splits) : null;
     this.validatedSplits = data.validated_splits ? JSON.parse(data.validated_splits) : null;
-    this.extractedData = data.extracted_data ? JSON.parse(data.extracted_data) : null;
     this.confidenceScores = data.confidence_scores ? JSON.parse(data.confidence_scores) : null;
-    this.layoutData = data.layout_data ? JSON.parse(data.layout_data) : null;
+    // Artifacts are loaded on demand (getLayoutData / getExtractedData / getBoundaryResult)
+    this.layoutRef = data.layout_ref || null;
+    this.extractedDataRef = data.extracted_data_ref || null;
+    this.boundaryResultRef = data.boundary_result_ref || null;
+    this.layoutData = undefined;
+    this.extractedData = undefined;
+    this.boundaryResult = undefined;
+    this.processingOptions = data.processing_options ? JSON.parse(data.processing_options) : null;
+    this.metadata = data.metadata ? JSON.parse(data.metadata) : {};
+    this.contentHash = data.content_hash || null;
+    this.sessionId = data.session_id || null;
+    this.tenantId = data.tenant_id || 'default';
     this.errorMessage = data.error_message;
     this.createdAt = data.created_at;
     this.updatedAt = data.updated_at;
   }
 
-  static async create(batchData) {
+  /**
+   * Create a batch and record its creation in the audit trail
+   * @param {Object} batchData - { id, originalFilename, filePath, status, totalPages, contentHash, sessionId, tenantId }
+   * @param {Object} [audit] - { actor, reason }
+   */
+  static async create(batchData, { actor = 'system', reason = 'Batch created' } = {}) {
     const db = database.getDb();
     const {
       id,
       originalFilename,
       filePath,
       status = 'UPLOADED',
-      totalPages = null
+      totalPages = null,
+      contentHash = null,
+      sessionId = null,
+      tenantId = 'default'
     } = batchData;
 
     return new Promise((resolve, reject) => {
       const sql = `
         INSERT INTO document_batches (
-          id, original_filename, file_path, status, total_pages
-        ) VALUES (?, ?, ?, ?, ?)
+          id, original_filename, file_path, status, total_pages, content_hash, session_id, tenant_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
       `;
 
-      db.run(sql, [id, originalFilename, filePath, status, totalPages], function(err) {
+      db.run(sql, [id, originalFilename, filePath, status, totalPages, contentHash, sessionId, tenantId], function(err) {
         if (err) {
           reject(err);
         } else {
@@ -43,10 +117,16 @@ class DocumentBatch {
             original_filename: originalFilename,
             file_path: filePath,
             status,
-            total_pages: totalPages
+            total_pages: totalPages,
+            content_hash: contentHash,
+            session_id: sessionId,
+            tenant_id: tenantId
           }));
         }
       });
+    }).then(async (documentBatch) => {
+      await BatchEvent.create({ batchId: id, toStatus: status, actor, reason });
+      return documentBatch;
     });
   }
 
@@ -84,18 +164,254 @@ class DocumentBatch {
     });
   }
 
-  async update(updateData) {
+  /**
+   * Batches created by an upload session, in upload order
+   * @param {string} sessionId - Upload session ID
+   * @returns {Promise<Array<DocumentBatch>>}
+   */
+  static async findBySessionId(sessionId) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.all('SELECT * FROM document_batches WHERE session_id = ? ORDER BY rowid', [sessionId], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => new DocumentBatch(row)));
+        }
+      });
+    });
+  }
+
+  /**
+   * Batches waiting for split validation (review queue)
+   * @param {Object} [filters] - { tenantId }
+   * @returns {Promise<Array<Object>>} - { documentBatch, waitingSince } (time of the move to SPLIT_PROPOSED)
+   */
+  static async findAwaitingSplitReview({ tenantId = null } = {}) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT b.*, (
+          SELECT MAX(e.created_at) FROM batch_events e WHERE e.batch_id = b.id AND e.to_status = b.status
+        ) AS waiting_since
+        FROM document_batches b
+        WHERE b.status = 'SPLIT_PROPOSED' AND (? IS NULL OR b.tenant_id = ?)
+      `;
+
+      db.all(sql, [tenantId, tenantId], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => ({
+            documentBatch: new DocumentBatch(row),
+            waitingSince: row.waiting_since || row.updated_at
+          })));
+        }
+      });
+    });
+  }
+
+  /**
+   * Batches with the same uploaded content, newest first
+   * @param {string} contentHash - SHA-256 of the PDF
+   * @param {Object} [options] - { excludeId, tenantId } (tenantId limits the search to one tenant)
+   * @returns {Promise<Array<DocumentBatch>>}
+   */
+  static async findByContentHash(contentHash, { excludeId = null, tenantId = null } = {}) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT * FROM document_batches
+        WHERE content_hash = ? AND id IS NOT ? AND (? IS NULL OR tenant_id = ?)
+        ORDER BY created_at DESC, rowid DESC
+      `;
+
+      db.all(sql, [contentHash, excludeId, tenantId, tenantId], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => new DocumentBatch(row)));
+        }
+      });
+    });
+  }
+
+  /**
+   * Stored Document Intelligence layout (loaded from the blob store once)
+   * @returns {Promise<Object|null>}
+   */
+  async getLayoutData() {
+    return this.loadArtifact(ARTIFACTS.layout_data);
+  }
+
+  /**
+   * Stored extraction results (loaded from the blob store once)
+   * @returns {Promise<Array|Object|null>}
+   */
+  async getExtractedData() {
+    return this.loadArtifact(ARTIFACTS.extracted_data);
+  }
+
+  /**
+   * Stored boundary detection result (loaded from the blob store once)
+   * @returns {Promise<Object|null>}
+   */
+  async getBoundaryResult() {
+    return this.loadArtifact(ARTIFACTS.boundary_result);
+  }
+
+  async loadArtifact({ property, refProperty }) {
+    if (this[property] === undefined) {
+      this[property] = this[refProperty] ? await blobStore.get(this[refProperty]) : null;
+    }
+    return this[property];
+  }
+
+  /**
+   * Merge values into the batch metadata (JSON merge patch, applied in SQL so
+   * concurrent writers do not overwrite each other)
+   * @param {Object} patch - e.g. { layoutCache: { provider, capturedAt } }
+   */
+  async mergeMetadata(patch) {
+    await this.updateMetadata(
+      "metadata = json_patch(COALESCE(metadata, '{}'), ?)",
+      [JSON.stringify(patch)]
+    );
+  }
+
+  /**
+   * Replace one top-level metadata entry (unlike mergeMetadata, keys of the
+   * previous value do not survive and null values are kept)
+   * @param {string} key - e.g. 'autoApproval'
+   * @param {*} value - JSON value
+   */
+  async setMetadata(key, value) {
+    await this.updateMetadata(
+      "metadata = json_set(COALESCE(metadata, '{}'), ?, json(?))",
+      [`$.${key}`, JSON.stringify(value)]
+    );
+  }
+
+  /**
+   * Count a use of the layout cached during processing
+   * @param {boolean} hit - Whether the cached layout covered the requested pages
+   */
+  async recordLayoutCacheUse(hit) {
+    await this.updateMetadata(`metadata = json_set(COALESCE(metadata, '{}'),
+      '$.layoutCache.hits', COALESCE(json_extract(metadata, '$.layoutCache.hits'), 0) + ?,
+      '$.layoutCache.misses', COALESCE(json_extract(metadata, '$.layoutCache.misses'), 0) + ?,
+      '$.layoutCache.lastUsedAt', ?)`, [hit ? 1 : 0, hit ? 0 : 1, new Date().toISOString()]);
+  }
+
+  async updateMetadata(assignment, values) {
+    const db = database.getDb();
+
+    const row = await new Promise((resolve, reject) => {
+      db.run(`UPDATE document_batches SET ${assignment} WHERE id = ?`, [...values, this.id], (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        db.get('SELECT metadata FROM document_batches WHERE id = ?', [this.id], (getErr, result) => {
+          if (getErr) reject(getErr);
+          else resolve(result);
+        });
+      });
+    });
+
+    this.metadata = row && row.metadata ? JSON.parse(row.metadata) : {};
+    return this.metadata;
+  }
+
+  /**
+   * Blob references of all batches, for blob store garbage collection
+   * @returns {Promise<Array<string>>}
+   */
+  static async getBlobRefs() {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.all('SELECT layout_ref, extracted_data_ref, boundary_result_ref FROM document_batches', [], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.flatMap(row => [row.layout_ref, row.extracted_data_ref, row.boundary_result_ref]).filter(Boolean));
+        }
+      });
+    });
+  }
+
+  /**
+   * Whether the state machine allows moving this batch to a status
+   * @param {string} status - Target status
+   * @returns {boolean}
+   */
+  canTransitionTo(status) {
+    return this.getTransitionError(status) === null;
+  }
+
+  /**
+   * Why a transition is rejected
+   * @param {string} status - Target status
+   * @returns {string|null} - Reason, or null when the transition is allowed
+   */
+  getTransitionError(status) {
+    if (!STATUSES[status]) {
+      return `Unknown batch status: ${status}`;
+    }
+
+    const allowed = TRANSITIONS[this.status] || [];
+    if (!allowed.includes(status)) {
+      return `Invalid status transition ${this.status} → ${status}` +
+        (allowed.length > 0 ? ` (allowed: ${allowed.join(', ')})` : ' (final status)');
+    }
+
+    const guard = TRANSITION_GUARDS[`${this.status}->${status}`];
+    const guardError = guard ? guard(this) : null;
+    return guardError ? `Invalid status transition ${this.status} → ${status}: ${guardError}` : null;
+  }
+
+  /**
+   * Update batch fields. A status change is checked against the state machine
+   * (throws InvalidTransitionError, HTTP 409) and recorded in `batch_events`.
+   * @param {Object} updateData - Column values
+   * @param {Object} [audit] - { actor, reason, metadata } for the transition record
+   */
+  async update(updateData, { actor = 'system', reason = null, metadata = null } = {}) {
     const db = database.getDb();
     const allowedFields = [
       'status', 'total_pages', 'proposed_splits', 'validated_splits',
-      'extracted_data', 'confidence_scores', 'layout_data', 'error_message'
+      'extracted_data', 'confidence_scores', 'layout_data', 'processing_options',
+      'error_message'
     ];
 
+    const previousStatus = this.status;
+    const statusChanged = Boolean(updateData.status) && updateData.status !== previousStatus;
+
+    if (statusChanged) {
+      const transitionError = this.getTransitionError(updateData.status);
+      if (transitionError) {
+        throw invalidTransitionError(transitionError);
+      }
+    }
+
     const updates = [];
     const values = [];
+    const artifactRefs = {};
+
+    for (const key of Object.keys(updateData).filter(k => ARTIFACTS[k])) {
+      const value = updateData[key];
+      artifactRefs[key] = value === null || value === undefined ? null : (await blobStore.put(value)).ref;
+    }
 
     Object.keys(updateData).forEach(key => {
-      if (allowedFields.includes(key)) {
+      if (ARTIFACTS[key]) {
+        updates.push(`${ARTIFACTS[key].refColumn} = ?`);
+        values.push(artifactRefs[key]);
+      } else if (allowedFields.includes(key)) {
         updates.push(`${key} = ?`);
         // Convert objects to JSON strings for storage
         if (typeof updateData[key] === 'object' && updateData[key] !== null) {
@@ -113,28 +429,62 @@ class DocumentBatch {
     updates.push('updated_at = CURRENT_TIMESTAMP');
     values.push(this.id);
 
-    const sql = `UPDATE document_batches SET ${updates.join(', ')} WHERE id = ?`;
+    // A status change only applies if nobody else moved the batch in the meantime
+    let sql = `UPDATE document_batches SET ${updates.join(', ')} WHERE id = ?`;
+    if (statusChanged) {
+      sql += ' AND status = ?';
+      values.push(previousStatus);
+    }
 
-    return new Promise((resolve, reject) => {
+    await new Promise((resolve, reject) => {
       db.run(sql, values, function(err) {
         if (err) {
           reject(err);
+        } else if (statusChanged && this.changes === 0) {
+          reject(invalidTransitionError(`Batch is no longer in status ${previousStatus}; ${updateData.status} was not applied`));
         } else {
-          // Update instance properties
-          Object.keys(updateData).forEach((key) => {
-            if (allowedFields.includes(key)) {
-              if (key.includes('splits') || key.includes('data') || key.includes('scores')) {
-                this[this.toCamelCase(key)] = updateData[key];
-              } else {
-                this[this.toCamelCase(key)] = updateData[key];
-              }
-            }
-          });
-          
-          resolve(this);
+          resolve();
         }
-      }.bind(this));
+      });
     });
+
+    // Update instance properties
+    Object.keys(updateData).forEach((key) => {
+      if (allowedFields.includes(key)) {
+        this[this.toCamelCase(key)] = updateData[key];
+      }
+      if (ARTIFACTS[key]) {
+        this[ARTIFACTS[key].refProperty] = artifactRefs[key];
+      }
+    });
+
+    if (statusChanged) {
+      await BatchEvent.create({
+        batchId: this.id,
+        fromStatus: previousStatus,
+        toStatus: updateData.status,
+        actor,
+        reason: reason || updateData.error_message || null,
+        metadata
+      });
+
+      batchProgressService.publish(this.id, 'status', {
+        status: updateData.status,
+        previousStatus,
+        errorMessage: updateData.error_message || null
+      });
+      webhookService.handleStatusChange(this, previousStatus);
+    }
+
+    return this;
+  }
+
+  /**
+   * Status transitions of this batch, oldest first
+   * @returns {Promise<Array<BatchEvent>>}
+   */
+  async getHistory() {
+    return BatchEvent.findByBatchId(this.id);
   }
 
   toCamelCase(str) {
@@ -162,10 +512,16 @@ class DocumentBatch {
     });
   }
 
-  async delete() {
+  /**
+   * Delete the batch row and its invoices; the deletion is recorded in the audit trail
+   * @param {Object} [audit] - { actor, reason }
+   */
+  async delete({ actor = 'system', reason = 'Batch deleted' } = {}) {
     const db = database.getDb();
+
+    await Invoice.deleteForBatch(this.id);
     
-    return new Promise((resolve, reject) => {
+    const deleted = await new Promise((resolve, reject) => {
       const sql = 'DELETE FROM document_batches WHERE id = ?';
       
       db.run(sql, [this.id], function(err) {
@@ -176,8 +532,22 @@ class DocumentBatch {
         }
       });
     });
+
+    batchProgressService.deleteForBatch(this.id).catch(console.error);
+    if (deleted) {
+      await BatchEvent.create({ batchId: this.id, fromStatus: this.status, toStatus: 'DELETED', actor, reason });
+      // Awaited: the event payload may still read this batch's blobs
+      await webhookService.handleBatchDeleted(this);
+    }
+    DocumentBatch.getBlobRefs()
+      .then(refs => blobStore.collectGarbage(refs))
+      .catch(error => console.error('Blob garbage collection failed:', error.message));
+    return deleted;
   }
 }
 
+DocumentBatch.STATUSES = STATUSES;
+DocumentBatch.TRANSITIONS = TRANSITIONS;
+
 module.exports = DocumentBatch;
 
@@ -0,0 +1,349 @@
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const blobStore = require('../services/blob-store.service');
+const { splitPages } = require('../utils/split-pages');
+
+const EXTRACTION_STATUSES = ['PENDING', 'EXTRACTING', 'EXTRACTED', 'FAILED'];
+const VALIDATION_STATUSES = ['PENDING', 'APPROVED', 'REJECTED'];
+
+/**
+ * Batch extraction results without the one of a deleted invoice: the array of a
+ * batch extraction, or the object of single-invoice results keyed by index
+ */
+function withoutResultAt(results, index) {
+  if (Array.isArray(results)) {
+    return results.filter((result, position) => position !== index);
+  }
+  return Object.keys(results).reduce((remaining, key) => {
+    const position = parseInt(key, 10);
+    if (position !== index) {
+      remaining[position > index ? position - 1 : position] = results[key];
+    }
+    return remaining;
+  }, {});
+}
+
+/**
+ * A split invoice of a batch. Rows are created when the splits are validated;
+ * extraction and review then happen per invoice.
+ */
+class Invoice {
+  constructor(data) {
+    this.id = data.id;
+    this.batchId = data.batch_id;
+    this.invoiceIndex = data.invoice_index;
+    this.invoiceNumber = data.invoice_number;
+    this.pageRange = data.page_range;
+    this.startPage = data.start_page;
+    this.endPage = data.end_page;
+    this.filePath = data.file_path;
+    this.splitData = data.split_data ? JSON.parse(data.split_data) : null;
+    // Pages of the split PDF in order (excluded pages left out)
+    this.pages = splitPages(this.splitData && this.splitData.startPage ? this.splitData : this);
+    this.extractedData = data.extracted_data ? JSON.parse(data.extracted_data) : null;
+    this.extractionStatus = data.extraction_status || 'PENDING';
+    this.extractionError = data.extraction_error;
+    this.extractionMetadata = data.extraction_metadata ? JSON.parse(data.extraction_metadata) : null;
+    this.confidenceScore = data.confidence_score;
+    this.validationStatus = data.validation_status || 'PENDING';
+    this.validatedBy = data.validated_by;
+    this.validatedAt = data.validated_at;
+    this.validationNotes = data.validation_notes;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  /**
+   * Replace the invoices of a batch with its validated splits
+   * @param {string} batchId - Batch ID
+   * @param {Array} splits - Split results of PDFSplitterService.splitPDF
+   * @returns {Promise<Array<Invoice>>}
+   */
+  static async replaceForBatch(batchId, splits) {
+    await database.transaction(async (sql) => {
+      await sql.run('DELETE FROM invoices WHERE batch_id = ?', [batchId]);
+
+      const insert = `
+        INSERT INTO invoices (
+          id, batch_id, invoice_index, invoice_number, page_range,
+          start_page, end_page, file_path, split_data
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      for (const [index, split] of splits.entries()) {
+        await sql.run(insert, [
+          uuidv4(),
+          batchId,
+          index,
+          split.invoiceNumber || null,
+          split.pageRange || `${split.startPage}-${split.endPage}`,
+          split.startPage,
+          split.endPage,
+          split.filePath || null,
+          JSON.stringify(split)
+        ]);
+      }
+    });
+
+    return Invoice.findByBatchId(batchId);
+  }
+
+  /**
+   * Invoices of a batch; batches validated before invoices were stored get
+   * their rows created from `validatedSplits`
+   * @param {DocumentBatch} documentBatch - Batch
+   * @returns {Promise<Array<Invoice>>}
+   */
+  static async ensureForBatch(documentBatch) {
+    const invoices = await Invoice.findByBatchId(documentBatch.id);
+    if (invoices.length > 0 || !(documentBatch.validatedSplits || []).length) {
+      return invoices;
+    }
+    return Invoice.replaceForBatch(documentBatch.id, documentBatch.validatedSplits);
+  }
+
+  static async findById(id) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM invoices WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? new Invoice(row) : null);
+        }
+      });
+    });
+  }
+
+  static async findByBatchId(batchId) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.all('SELECT * FROM invoices WHERE batch_id = ? ORDER BY invoice_index', [batchId], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => new Invoice(row)));
+        }
+      });
+    });
+  }
+
+  /**
+   * Extracted invoices waiting for data validation in DATA_VALIDATION_PENDING batches (review queue)
+   * @param {Object} [filters] - { tenantId }
+   * @returns {Promise<Array<Object>>} - { invoice, originalFilename, tenantId, waitingSince }
+   */
+  static async findAwaitingDataReview({ tenantId = null } = {}) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT i.*, b.original_filename AS batch_original_filename, b.tenant_id AS batch_tenant_id
+        FROM invoices i
+        JOIN document_batches b ON b.id = i.batch_id
+        WHERE b.status = 'DATA_VALIDATION_PENDING'
+          AND i.extraction_status = 'EXTRACTED' AND i.validation_status = 'PENDING'
+          AND (? IS NULL OR b.tenant_id = ?)
+      `;
+
+      db.all(sql, [tenantId, tenantId], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => ({
+            invoice: new Invoice(row),
+            originalFilename: row.batch_original_filename,
+            tenantId: row.batch_tenant_id,
+            waitingSince: row.updated_at
+          })));
+        }
+      });
+    });
+  }
+
+  /**
+   * List invoices, newest batch first
+   * @param {Object} [filters] - { batchId, extractionStatus, validationStatus, limit, offset }
+   */
+  static async findAll({ batchId, extractionStatus, validationStatus, limit = 100, offset = 0 } = {}) {
+    const db = database.getDb();
+    const conditions = [];
+    const values = [];
+
+    if (batchId) {
+      conditions.push('batch_id = ?');
+      values.push(batchId);
+    }
+    if (extractionStatus) {
+      conditions.push('extraction_status = ?');
+      values.push(extractionStatus);
+    }
+    if (validationStatus) {
+      conditions.push('validation_status = ?');
+      values.push(validationStatus);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    values.push(limit, offset);
+
+    return new Promise((resolve, reject) => {
+      const sql = `SELECT * FROM invoices ${where} ORDER BY created_at DESC, invoice_index LIMIT ? OFFSET ?`;
+
+      db.all(sql, values, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => new Invoice(row)));
+        }
+      });
+    });
+  }
+
+  async update(updateData) {
+    const db = database.getDb();
+    const allowedFields = [
+      'invoice_number', 'extracted_data', 'extraction_status', 'extraction_error',
+      'extraction_metadata', 'confidence_score', 'validation_status', 'validated_by',
+      'validated_at', 'validation_notes'
+    ];
+
+    const updates = [];
+    const values = [];
+
+    Object.keys(updateData).forEach(key => {
+      if (allowedFields.includes(key)) {
+        updates.push(`${key} = ?`);
+        // Convert objects to JSON strings for storage
+        if (typeof updateData[key] === 'object' && updateData[key] !== null) {
+          values.push(JSON.stringify(updateData[key]));
+        } else {
+          values.push(updateData[key]);
+        }
+      }
+    });
+
+    if (updates.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    updates.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(this.id);
+
+    return new Promise((resolve, reject) => {
+      const sql = `UPDATE invoices SET ${updates.join(', ')} WHERE id = ?`;
+
+      db.run(sql, values, (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          Object.keys(updateData).forEach((key) => {
+            if (allowedFields.includes(key)) {
+              this[this.toCamelCase(key)] = updateData[key];
+            }
+          });
+          resolve(this);
+        }
+      });
+    });
+  }
+
+  toCamelCase(str) {
+    return str.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+  }
+
+  /**
+   * Delete the invoice and, in the same transaction, drop its split from the
+   * batch's validated splits (so ensureForBatch does not recreate it) and its
+   * batch extraction result. The following invoices move up one index, so
+   * invoice_index stays the position of the split in validated_splits.
+   * @returns {Promise<boolean>} - Whether the invoice existed
+   */
+  async delete() {
+    return database.transaction(async (sql) => {
+      const { changes } = await sql.run('DELETE FROM invoices WHERE id = ?', [this.id]);
+      if (changes === 0) return false;
+
+      await sql.run(
+        'UPDATE invoices SET invoice_index = invoice_index - 1, updated_at = CURRENT_TIMESTAMP WHERE batch_id = ? AND invoice_index > ?',
+        [this.batchId, this.invoiceIndex]
+      );
+
+      const batch = await sql.get(
+        'SELECT validated_splits, extracted_data_ref FROM document_batches WHERE id = ?',
+        [this.batchId]
+      );
+      if (!batch) return true;
+
+      const splits = batch.validated_splits ? JSON.parse(batch.validated_splits) : [];
+      const extractedData = batch.extracted_data_ref ? await blobStore.get(batch.extracted_data_ref) : null;
+      const extractedDataRef = extractedData
+        ? (await blobStore.put(withoutResultAt(extractedData, this.invoiceIndex))).ref
+        : batch.extracted_data_ref;
+
+      await sql.run(
+        'UPDATE document_batches SET validated_splits = ?, extracted_data_ref = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [JSON.stringify(splits.filter(split => !this.isCreatedFrom(split))), extractedDataRef, this.batchId]
+      );
+
+      return true;
+    });
+  }
+
+  /**
+   * Whether a validated split of the batch is the one this invoice was created from
+   */
+  isCreatedFrom(split) {
+    if (this.filePath && split.filePath) {
+      return split.filePath === this.filePath;
+    }
+    return Boolean(this.splitData) && split.id === this.splitData.id &&
+      split.startPage === this.startPage && split.endPage === this.endPage;
+  }
+
+  static async deleteForBatch(batchId) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM invoices WHERE batch_id = ?', [batchId], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      batchId: this.batchId,
+      invoiceIndex: this.invoiceIndex,
+      invoiceNumber: this.invoiceNumber,
+      pageRange: this.pageRange,
+      startPage: this.startPage,
+      endPage: this.endPage,
+      pages: this.pages,
+      filePath: this.filePath,
+      filename: this.splitData?.filename || null,
+      extractionStatus: this.extractionStatus,
+      extractionError: this.extractionError,
+      extractedData: this.extractedData,
+      extractionMetadata: this.extractionMetadata,
+      confidenceScore: this.confidenceScore,
+      validationStatus: this.validationStatus,
+      validatedBy: this.validatedBy,
+      validatedAt: this.validatedAt,
+      validationNotes: this.validationNotes,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+Invoice.EXTRACTION_STATUSES = EXTRACTION_STATUSES;
+Invoice.VALIDATION_STATUSES = VALIDATION_STATUSES;
+
+module.exports = Invoice;
@@ -0,0 +1,253 @@
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+
+class Job {
+  constructor(data) {
+    this.id = data.id;
+    this.type = data.type;
+    this.batchId = data.batch_id;
+    this.payload = data.payload ? JSON.parse(data.payload) : {};
+    this.status = data.status || 'QUEUED';
+    this.attempts = data.attempts || 0;
+    this.maxAttempts = data.max_attempts;
+    this.runAt = data.run_at;
+    this.lockedBy = data.locked_by;
+    this.lockedAt = data.locked_at;
+    this.lastError = data.last_error;
+    this.result = data.result ? JSON.parse(data.result) : null;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+    this.completedAt = data.completed_at;
+  }
+
+  static async create({ type, batchId = null, payload = {}, maxAttempts = 3 }) {
+    const db = database.getDb();
+    const id = uuidv4();
+
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO jobs (id, type, batch_id, payload, max_attempts)
+        VALUES (?, ?, ?, ?, ?)
+      `;
+
+      db.run(sql, [id, type, batchId, JSON.stringify(payload), maxAttempts], (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          Job.findById(id).then(resolve).catch(reject);
+        }
+      });
+    });
+  }
+
+  static async findById(id) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM jobs WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? new Job(row) : null);
+        }
+      });
+    });
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} [filters] - { status, type, batchId, limit }
+   */
+  static async findAll({ status, type, batchId, limit = 100 } = {}) {
+    const db = database.getDb();
+    const conditions = [];
+    const values = [];
+
+    if (status) {
+      conditions.push('status = ?');
+      values.push(status);
+    }
+    if (type) {
+      conditions.push('type = ?');
+      values.push(type);
+    }
+    if (batchId) {
+      conditions.push('batch_id = ?');
+      values.push(batchId);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    values.push(limit);
+
+    return new Promise((resolve, reject) => {
+      const sql = `SELECT * FROM jobs ${where} ORDER BY created_at DESC LIMIT ?`;
+
+      db.all(sql, values, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => new Job(row)));
+        }
+      });
+    });
+  }
+
+  /**
+   * Atomically claim the next due job for a worker
+   * @param {string} workerId - Worker identifier
+   * @param {Array<string>} types - Job types the worker can run
+   * @returns {Promise<Job|null>}
+   */
+  static async claimNext(workerId, types) {
+    const db = database.getDb();
+    // Unique token so the claimed row can be read back even with several workers
+    const lockToken = `${workerId}:${uuidv4()}`;
+    const placeholders = types.map(() => '?').join(', ');
+
+    const claimed = await new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE jobs
+        SET status = 'RUNNING', locked_by = ?, locked_at = DATETIME('now'),
+            attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = (
+          SELECT id FROM jobs
+          WHERE status = 'QUEUED' AND run_at <= DATETIME('now') AND type IN (${placeholders})
+          ORDER BY run_at, created_at
+          LIMIT 1
+        ) AND status = 'QUEUED'
+      `;
+
+      db.run(sql, [lockToken, ...types], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+
+    if (!claimed) return null;
+
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM jobs WHERE locked_by = ?', [lockToken], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? new Job(row) : null);
+        }
+      });
+    });
+  }
+
+  /**
+   * Put RUNNING jobs whose worker stopped sending heartbeats back in the queue
+   * @param {number} staleSeconds - Heartbeat age after which a job counts as interrupted
+   * @returns {Promise<number>} - Number of requeued jobs
+   */
+  static async requeueStale(staleSeconds) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE jobs
+        SET status = 'QUEUED', locked_by = NULL, locked_at = NULL, run_at = DATETIME('now'),
+            last_error = 'Interrupted (worker stopped)', updated_at = CURRENT_TIMESTAMP
+        WHERE status = 'RUNNING' AND (locked_at IS NULL OR locked_at <= DATETIME('now', ?))
+      `;
+
+      db.run(sql, [`-${staleSeconds} seconds`], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  async heartbeat() {
+    return this.updateRow(`locked_at = DATETIME('now')`, []);
+  }
+
+  async markCompleted(result = null) {
+    await this.updateRow(
+      `status = 'COMPLETED', result = ?, locked_by = NULL, completed_at = CURRENT_TIMESTAMP`,
+      [result === null ? null : JSON.stringify(result)]
+    );
+    this.status = 'COMPLETED';
+    this.result = result;
+  }
+
+  /**
+   * Schedule another attempt after a delay
+   * @param {string} errorMessage - Error of the failed attempt
+   * @param {number} delaySeconds - Backoff before the next attempt
+   */
+  async markRetry(errorMessage, delaySeconds) {
+    await this.updateRow(
+      `status = 'QUEUED', last_error = ?, locked_by = NULL, locked_at = NULL, run_at = DATETIME('now', ?)`,
+      [errorMessage, `+${Math.ceil(delaySeconds)} seconds`]
+    );
+    this.status = 'QUEUED';
+    this.lastError = errorMessage;
+  }
+
+  async markFailed(errorMessage) {
+    await this.updateRow(
+      `status = 'FAILED', last_error = ?, locked_by = NULL, completed_at = CURRENT_TIMESTAMP`,
+      [errorMessage]
+    );
+    this.status = 'FAILED';
+    this.lastError = errorMessage;
+  }
+
+  /**
+   * Queue a failed job again with a fresh set of attempts
+   */
+  async requeue() {
+    await this.updateRow(
+      `status = 'QUEUED', attempts = 0, last_error = NULL, locked_by = NULL, locked_at = NULL,
+       run_at = DATETIME('now'), completed_at = NULL`,
+      []
+    );
+    this.status = 'QUEUED';
+    this.attempts = 0;
+  }
+
+  async updateRow(assignments, values) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const sql = `UPDATE jobs SET ${assignments}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
+
+      db.run(sql, [...values, this.id], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      batchId: this.batchId,
+      payload: this.payload,
+      status: this.status,
+      attempts: this.attempts,
+      maxAttempts: this.maxAttempts,
+      runAt: this.runAt,
+      lockedBy: this.lockedBy,
+      lastError: this.lastError,
+      result: this.result,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+      completedAt: this.completedAt
+    };
+  }
+}
+
+module.exports = Job;
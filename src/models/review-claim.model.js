@@ -0,0 +1,164 @@
+const database = require('../config/database');
+
+const ITEM_TYPES = {
+  BATCH: 'batch',
+  INVOICE: 'invoice'
+};
+
+function claimedError(claim) {
+  const error = new Error(`Claimed by ${claim.claimedBy} until ${claim.expiresAt}`);
+  error.code = 'REVIEW_CLAIMED';
+  error.status = 409;
+  error.claim = claim;
+  return error;
+}
+
+/**
+ * Claim of a review queue item (batch awaiting split validation, invoice
+ * awaiting data validation) by a reviewer, so two reviewers do not validate
+ * the same item. Claims expire after REVIEW_CLAIM_TTL_MINUTES (default 30);
+ * claiming again renews them.
+ */
+class ReviewClaim {
+  constructor(data) {
+    this.itemType = data.item_type;
+    this.itemId = data.item_id;
+    this.claimedBy = data.claimed_by;
+    this.claimedAt = data.claimed_at;
+    this.expiresAt = data.expires_at;
+  }
+
+  static getTtlSeconds() {
+    return (parseInt(process.env.REVIEW_CLAIM_TTL_MINUTES, 10) || 30) * 60;
+  }
+
+  /**
+   * Claim an item, or renew the reviewer's own claim. Fails when another
+   * reviewer holds a claim that has not expired.
+   * @param {string} itemType - ITEM_TYPES value
+   * @param {string} itemId - Batch or invoice ID
+   * @param {string} reviewer - Actor claiming the item
+   * @returns {Promise<Object>} - { acquired, claim } (claim = current holder when not acquired)
+   */
+  static async claim(itemType, itemId, reviewer) {
+    const db = database.getDb();
+    const ttl = `+${ReviewClaim.getTtlSeconds()} seconds`;
+
+    const acquired = await new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO review_claims (item_type, item_id, claimed_by, claimed_at, expires_at)
+        VALUES (?, ?, ?, DATETIME('now'), DATETIME('now', ?))
+        ON CONFLICT (item_type, item_id) DO UPDATE SET
+          claimed_at = CASE WHEN review_claims.claimed_by = excluded.claimed_by
+            THEN review_claims.claimed_at ELSE excluded.claimed_at END,
+          claimed_by = excluded.claimed_by,
+          expires_at = excluded.expires_at
+        WHERE review_claims.claimed_by = excluded.claimed_by OR review_claims.expires_at <= DATETIME('now')
+      `;
+
+      db.run(sql, [itemType, itemId, reviewer, ttl], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+
+    return { acquired, claim: await ReviewClaim.findActive(itemType, itemId) };
+  }
+
+  /**
+   * Unexpired claim of an item
+   * @returns {Promise<ReviewClaim|null>}
+   */
+  static async findActive(itemType, itemId) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT * FROM review_claims
+        WHERE item_type = ? AND item_id = ? AND expires_at > DATETIME('now')
+      `;
+
+      db.get(sql, [itemType, itemId], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? new ReviewClaim(row) : null);
+        }
+      });
+    });
+  }
+
+  /**
+   * Unexpired claims of one item type, by item ID
+   * @returns {Promise<Map<string, ReviewClaim>>}
+   */
+  static async findActiveByType(itemType) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const sql = "SELECT * FROM review_claims WHERE item_type = ? AND expires_at > DATETIME('now')";
+
+      db.all(sql, [itemType], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(new Map(rows.map(row => [row.item_id, new ReviewClaim(row)])));
+        }
+      });
+    });
+  }
+
+  /**
+   * Reject a change by a reviewer while someone else holds the item
+   * @throws {Error} - status 409, code REVIEW_CLAIMED
+   */
+  static async assertAvailable(itemType, itemId, reviewer) {
+    const claim = await ReviewClaim.findActive(itemType, itemId);
+    if (claim && claim.claimedBy !== reviewer) {
+      throw claimedError(claim.toJSON());
+    }
+  }
+
+  /**
+   * Release a claim
+   * @param {string} itemType - ITEM_TYPES value
+   * @param {string} itemId - Batch or invoice ID
+   * @param {string|null} reviewer - Only release this reviewer's claim (null: any claim, e.g. once validated)
+   * @returns {Promise<boolean>} - Whether a claim was removed
+   */
+  static async release(itemType, itemId, reviewer = null) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const sql = `
+        DELETE FROM review_claims
+        WHERE item_type = ? AND item_id = ? AND (? IS NULL OR claimed_by = ?)
+      `;
+
+      db.run(sql, [itemType, itemId, reviewer, reviewer], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+
+  toJSON() {
+    return {
+      itemType: this.itemType,
+      itemId: this.itemId,
+      claimedBy: this.claimedBy,
+      claimedAt: this.claimedAt,
+      expiresAt: this.expiresAt
+    };
+  }
+}
+
+ReviewClaim.ITEM_TYPES = ITEM_TYPES;
+
+module.exports = ReviewClaim;
@@ -0,0 +1,161 @@
+const database = require('../config/database');
+
+/**
+ * Proposed-vs-validated boundary diff of a batch (see SplitMetricsService).
+ *
+ * A boundary is the first page of an invoice other than the first one.
+ * `boundaries` lists each of them with its status:
+ * • matched - Proposed and validated
+ * • added   - Validated, not proposed (the reviewer split an invoice)
+ * • removed - Proposed, not validated (the reviewer merged two invoices)
+ * • moved   - Proposed on page `from`, validated a few pages away on `page`
+ */
+class SplitFeedback {
+  constructor(data) {
+    this.batchId = data.batch_id;
+    this.tenantId = data.tenant_id;
+    this.strategy = data.strategy || null;
+    this.provider = data.provider || null;
+    this.model = data.model || null;
+    this.promptVersion = data.prompt_version || null;
+    this.reviewed = Boolean(data.reviewed);
+    this.validatedBy = data.validated_by || null;
+    this.totalPages = data.total_pages;
+    this.proposedCount = data.proposed_count;
+    this.validatedCount = data.validated_count;
+    this.matched = data.matched;
+    this.added = data.added;
+    this.removed = data.removed;
+    this.moved = data.moved;
+    this.boundaries = data.boundaries ? JSON.parse(data.boundaries) : [];
+    this.validatedAt = data.validated_at;
+  }
+
+  /**
+   * Record the diff of a batch; validating the batch again replaces it
+   * @param {Object} feedback - Fields of the row (camelCase)
+   * @returns {Promise<SplitFeedback>}
+   */
+  static async upsert(feedback) {
+    const db = database.getDb();
+
+    await new Promise((resolve, reject) => {
+      const sql = `
+        INSERT OR REPLACE INTO split_feedback (
+          batch_id, tenant_id, strategy, provider, model, prompt_version, reviewed, validated_by,
+          total_pages, proposed_count, validated_count, matched, added, removed, moved, boundaries, validated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, DATETIME('now'))
+      `;
+
+      db.run(sql, [
+        feedback.batchId,
+        feedback.tenantId,
+        feedback.strategy,
+        feedback.provider,
+        feedback.model,
+        feedback.promptVersion,
+        feedback.reviewed ? 1 : 0,
+        feedback.validatedBy,
+        feedback.totalPages,
+        feedback.proposedCount,
+        feedback.validatedCount,
+        feedback.matched,
+        feedback.added,
+        feedback.removed,
+        feedback.moved,
+        JSON.stringify(feedback.boundaries)
+      ], (err) => (err ? reject(err) : resolve()));
+    });
+
+    return SplitFeedback.findByBatch(feedback.batchId);
+  }
+
+  static async findByBatch(batchId) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM split_feedback WHERE batch_id = ?', [batchId], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? new SplitFeedback(row) : null);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {Object} [filters] - { from, to (UTC dates or timestamps), tenantId, strategy, model, reviewedOnly, limit }
+   * @returns {Promise<Array<SplitFeedback>>} - Oldest first
+   */
+  static async findAll({ from = null, to = null, tenantId = null, strategy = null, model = null, reviewedOnly = true, limit = null } = {}) {
+    const db = database.getDb();
+    const conditions = [];
+    const params = [];
+
+    if (from) {
+      conditions.push('validated_at >= ?');
+      params.push(from);
+    }
+    if (to) {
+      // A date without time includes the whole day
+      conditions.push(/^\d{4}-\d{2}-\d{2}$/.test(to) ? "validated_at < DATE(?, '+1 day')" : 'validated_at <= ?');
+      params.push(to);
+    }
+    if (tenantId) {
+      conditions.push('tenant_id = ?');
+      params.push(tenantId);
+    }
+    if (strategy) {
+      conditions.push('strategy = ?');
+      params.push(strategy);
+    }
+    if (model) {
+      conditions.push('model = ?');
+      params.push(model);
+    }
+    if (reviewedOnly) {
+      conditions.push('reviewed = 1');
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const limitClause = limit ? 'LIMIT ?' : '';
+    if (limit) params.push(limit);
+
+    return new Promise((resolve, reject) => {
+      const sql = `SELECT * FROM split_feedback ${where} ORDER BY validated_at, batch_id ${limitClause}`;
+
+      db.all(sql, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => new SplitFeedback(row)));
+        }
+      });
+    });
+  }
+
+  toJSON() {
+    return {
+      batchId: this.batchId,
+      tenantId: this.tenantId,
+      strategy: this.strategy,
+      provider: this.provider,
+      model: this.model,
+      promptVersion: this.promptVersion,
+      reviewed: this.reviewed,
+      validatedBy: this.validatedBy,
+      totalPages: this.totalPages,
+      proposedCount: this.proposedCount,
+      validatedCount: this.validatedCount,
+      matched: this.matched,
+      added: this.added,
+      removed: this.removed,
+      moved: this.moved,
+      boundaries: this.boundaries,
+      validatedAt: this.validatedAt
+    };
+  }
+}
+
+module.exports = SplitFeedback;
@@ -0,0 +1,138 @@
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const DocumentBatch = require('./document-batch.model');
+
+/**
+ * Aggregate status of a session, derived from the status of its batches:
+ * • EMPTY        - no batch (every file was rejected, or the batches were deleted)
+ * • PROCESSING   - at least one batch is being split or extracted
+ * • UPLOADED     - no batch was processed yet
+ * • COMPLETED    - every batch is completed
+ * • ERROR        - every batch failed
+ * • PARTIAL_ERROR - some batches failed, none is running
+ * • IN_REVIEW    - the remaining batches wait for split or data validation
+ */
+const SESSION_STATUSES = ['EMPTY', 'PROCESSING', 'UPLOADED', 'COMPLETED', 'ERROR', 'PARTIAL_ERROR', 'IN_REVIEW'];
+
+const RUNNING_BATCH_STATUSES = ['PROCESSING_SPLIT', 'EXTRACTING_DATA'];
+
+class UploadSession {
+  constructor(data) {
+    this.id = data.id;
+    this.name = data.name || null;
+    this.actor = data.actor;
+    this.rejectedFiles = data.rejected_files ? JSON.parse(data.rejected_files) : [];
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  static async create({ name = null, actor = 'system' } = {}) {
+    const db = database.getDb();
+    const id = uuidv4();
+
+    return new Promise((resolve, reject) => {
+      db.run('INSERT INTO upload_sessions (id, name, actor) VALUES (?, ?, ?)', [id, name, actor], (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          UploadSession.findById(id).then(resolve).catch(reject);
+        }
+      });
+    });
+  }
+
+  static async findById(id) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM upload_sessions WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? new UploadSession(row) : null);
+        }
+      });
+    });
+  }
+
+  static async findAll({ limit = 50, offset = 0 } = {}) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.all('SELECT * FROM upload_sessions ORDER BY created_at DESC, rowid DESC LIMIT ? OFFSET ?', [limit, offset], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => new UploadSession(row)));
+        }
+      });
+    });
+  }
+
+  /**
+   * Record files of the upload that did not become a batch
+   * @param {Array<Object>} rejectedFiles - { filename, reason }
+   */
+  async setRejectedFiles(rejectedFiles) {
+    const db = database.getDb();
+
+    await new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE upload_sessions SET rejected_files = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [JSON.stringify(rejectedFiles), this.id],
+        (err) => (err ? reject(err) : resolve())
+      );
+    });
+
+    this.rejectedFiles = rejectedFiles;
+    return this;
+  }
+
+  async getBatches() {
+    return DocumentBatch.findBySessionId(this.id);
+  }
+
+  /**
+   * @param {Array<DocumentBatch>} batches - Batches of a session
+   * @returns {string} - One of SESSION_STATUSES
+   */
+  static aggregateStatus(batches) {
+    const statuses = batches.map(batch => batch.status);
+    const errorCount = statuses.filter(status => status === 'ERROR').length;
+
+    if (statuses.length === 0) return 'EMPTY';
+    if (statuses.some(status => RUNNING_BATCH_STATUSES.includes(status))) return 'PROCESSING';
+    if (statuses.every(status => status === 'UPLOADED')) return 'UPLOADED';
+    if (statuses.every(status => status === 'COMPLETED')) return 'COMPLETED';
+    if (errorCount === statuses.length) return 'ERROR';
+    if (errorCount > 0) return 'PARTIAL_ERROR';
+    return 'IN_REVIEW';
+  }
+
+  /**
+   * @param {Array<DocumentBatch>} batches - Batches of this session
+   */
+  toJSON(batches) {
+    const statusCounts = {};
+    batches.forEach(batch => {
+      statusCounts[batch.status] = (statusCounts[batch.status] || 0) + 1;
+    });
+
+    return {
+      sessionId: this.id,
+      name: this.name,
+      status: UploadSession.aggregateStatus(batches),
+      batchCount: batches.length,
+      statusCounts,
+      totalPages: batches.reduce((sum, batch) => sum + (batch.totalPages || 0), 0),
+      rejectedFiles: this.rejectedFiles,
+      actor: this.actor,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+UploadSession.SESSION_STATUSES = SESSION_STATUSES;
+
+module.exports = UploadSession;
@@ -0,0 +1,135 @@
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+
+/**
+ * Learned page fingerprint of one vendor's invoices within a tenant (see
+ * VendorTemplateService). `fingerprint` holds:
+ * • firstPage / continuation - { samples, anchors: { "<normalized header line>": count } }
+ * • pageCounts               - { "<pages per invoice>": count }
+ * • examples                 - Latest validated invoices (header lines) for LLM few-shot prompts
+ * • batchIds                 - Batches already learned from
+ */
+class VendorTemplate {
+  constructor(data) {
+    this.id = data.id;
+    this.tenantId = data.tenant_id;
+    this.vendorKey = data.vendor_key;
+    this.vendorName = data.vendor_name || null;
+    this.sampleCount = data.sample_count || 0;
+    this.fingerprint = data.fingerprint ? JSON.parse(data.fingerprint) : {};
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  static async findById(id) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM vendor_templates WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? new VendorTemplate(row) : null);
+        }
+      });
+    });
+  }
+
+  static async findByVendor(tenantId, vendorKey) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM vendor_templates WHERE tenant_id = ? AND vendor_key = ?', [tenantId, vendorKey], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? new VendorTemplate(row) : null);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {Object} [filters] - { tenantId }
+   * @returns {Promise<Array<VendorTemplate>>} - Most samples first
+   */
+  static async findAll({ tenantId = null } = {}) {
+    const db = database.getDb();
+    const where = tenantId ? 'WHERE tenant_id = ?' : '';
+
+    return new Promise((resolve, reject) => {
+      const sql = `SELECT * FROM vendor_templates ${where} ORDER BY sample_count DESC, vendor_key`;
+
+      db.all(sql, tenantId ? [tenantId] : [], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => new VendorTemplate(row)));
+        }
+      });
+    });
+  }
+
+  /**
+   * Create or replace the template of a vendor
+   * @param {Object} template - { tenantId, vendorKey, vendorName, sampleCount, fingerprint }
+   * @returns {Promise<VendorTemplate>}
+   */
+  static async upsert({ tenantId, vendorKey, vendorName, sampleCount, fingerprint }) {
+    const db = database.getDb();
+
+    await new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO vendor_templates (id, tenant_id, vendor_key, vendor_name, sample_count, fingerprint)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT (tenant_id, vendor_key) DO UPDATE SET
+          vendor_name = excluded.vendor_name,
+          sample_count = excluded.sample_count,
+          fingerprint = excluded.fingerprint,
+          updated_at = CURRENT_TIMESTAMP
+      `;
+
+      db.run(sql, [uuidv4(), tenantId, vendorKey, vendorName, sampleCount, JSON.stringify(fingerprint)], (err) => (err ? reject(err) : resolve()));
+    });
+
+    return VendorTemplate.findByVendor(tenantId, vendorKey);
+  }
+
+  async delete() {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM vendor_templates WHERE id = ?', [this.id], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {Object} [options] - { includeFingerprint } - the full fingerprint is only returned when inspecting
+   */
+  toJSON({ includeFingerprint = false } = {}) {
+    const { firstPage = {}, continuation = {}, pageCounts = {}, batchIds = [] } = this.fingerprint;
+
+    return {
+      id: this.id,
+      tenantId: this.tenantId,
+      vendorKey: this.vendorKey,
+      vendorName: this.vendorName,
+      sampleCount: this.sampleCount,
+      pageCounts,
+      firstPageAnchors: Object.keys(firstPage.anchors || {}).length,
+      continuationAnchors: Object.keys(continuation.anchors || {}).length,
+      batchCount: batchIds.length,
+      ...(includeFingerprint ? { fingerprint: this.fingerprint } : {}),
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = VendorTemplate;
@@ -0,0 +1,169 @@
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+
+class WebhookDelivery {
+  constructor(data) {
+    this.id = data.id;
+    this.subscriptionId = data.subscription_id;
+    this.event = data.event;
+    this.batchId = data.batch_id;
+    this.payload = data.payload ? JSON.parse(data.payload) : {};
+    this.status = data.status || 'PENDING';
+    this.attempts = data.attempts || 0;
+    this.responseStatus = data.response_status;
+    this.responseBody = data.response_body;
+    this.lastError = data.last_error;
+    this.jobId = data.job_id;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+    this.deliveredAt = data.delivered_at;
+  }
+
+  static async create({ id = uuidv4(), subscriptionId, event, batchId = null, payload }) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO webhook_deliveries (id, subscription_id, event, batch_id, payload)
+        VALUES (?, ?, ?, ?, ?)
+      `;
+
+      db.run(sql, [id, subscriptionId, event, batchId, JSON.stringify(payload)], (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          WebhookDelivery.findById(id).then(resolve).catch(reject);
+        }
+      });
+    });
+  }
+
+  static async findById(id) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM webhook_deliveries WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? new WebhookDelivery(row) : null);
+        }
+      });
+    });
+  }
+
+  /**
+   * Delivery log, newest first
+   * @param {Object} [filters] - { subscriptionId, status, event, batchId, limit }
+   */
+  static async findAll({ subscriptionId, status, event, batchId, limit = 100 } = {}) {
+    const db = database.getDb();
+    const conditions = [];
+    const values = [];
+
+    if (subscriptionId) {
+      conditions.push('subscription_id = ?');
+      values.push(subscriptionId);
+    }
+    if (status) {
+      conditions.push('status = ?');
+      values.push(status);
+    }
+    if (event) {
+      conditions.push('event = ?');
+      values.push(event);
+    }
+    if (batchId) {
+      conditions.push('batch_id = ?');
+      values.push(batchId);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    values.push(limit);
+
+    return new Promise((resolve, reject) => {
+      const sql = `SELECT * FROM webhook_deliveries ${where} ORDER BY created_at DESC LIMIT ?`;
+
+      db.all(sql, values, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => new WebhookDelivery(row)));
+        }
+      });
+    });
+  }
+
+  /**
+   * Record the outcome of one HTTP attempt
+   * @param {Object} attempt - { responseStatus, responseBody, error }
+   */
+  async recordAttempt({ responseStatus = null, responseBody = null, error = null }) {
+    await this.updateRow(
+      'attempts = attempts + 1, response_status = ?, response_body = ?, last_error = ?',
+      [responseStatus, responseBody, error]
+    );
+    this.attempts += 1;
+    this.responseStatus = responseStatus;
+    this.responseBody = responseBody;
+    this.lastError = error;
+  }
+
+  async markDelivered() {
+    await this.updateRow(`status = 'DELIVERED', delivered_at = CURRENT_TIMESTAMP`, []);
+    this.status = 'DELIVERED';
+  }
+
+  async markFailed(errorMessage) {
+    await this.updateRow(`status = 'FAILED', last_error = ?`, [errorMessage]);
+    this.status = 'FAILED';
+    this.lastError = errorMessage;
+  }
+
+  /**
+   * Queue the delivery again (redelivery keeps the delivery ID and payload)
+   * @param {string} jobId - Job running the new attempts
+   */
+  async markPending(jobId) {
+    await this.updateRow(`status = 'PENDING', job_id = ?, delivered_at = NULL`, [jobId]);
+    this.status = 'PENDING';
+    this.jobId = jobId;
+  }
+
+  async updateRow(assignments, values) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const sql = `UPDATE webhook_deliveries SET ${assignments}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
+
+      db.run(sql, [...values, this.id], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      subscriptionId: this.subscriptionId,
+      event: this.event,
+      batchId: this.batchId,
+      payload: this.payload,
+      status: this.status,
+      attempts: this.attempts,
+      responseStatus: this.responseStatus,
+      responseBody: this.responseBody,
+      lastError: this.lastError,
+      jobId: this.jobId,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+      deliveredAt: this.deliveredAt
+    };
+  }
+}
+
+module.exports = WebhookDelivery;
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+
+class WebhookSubscription {
+  constructor(data) {
+    this.id = data.id;
+    this.url = data.url;
+    this.secret = data.secret;
+    this.events = data.events ? JSON.parse(data.events) : [];
+    this.description = data.description || null;
+    this.active = data.active === undefined ? true : Boolean(data.active);
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  static generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  static async create({ url, events, secret = null, description = null }) {
+    const db = database.getDb();
+    const id = uuidv4();
+
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO webhook_subscriptions (id, url, secret, events, description)
+        VALUES (?, ?, ?, ?, ?)
+      `;
+
+      db.run(sql, [id, url, secret || WebhookSubscription.generateSecret(), JSON.stringify(events), description], (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          WebhookSubscription.findById(id).then(resolve).catch(reject);
+        }
+      });
+    });
+  }
+
+  static async findById(id) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM webhook_subscriptions WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? new WebhookSubscription(row) : null);
+        }
+      });
+    });
+  }
+
+  static async findAll() {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.all('SELECT * FROM webhook_subscriptions ORDER BY created_at DESC', [], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => new WebhookSubscription(row)));
+        }
+      });
+    });
+  }
+
+  /**
+   * Active subscriptions listening to an event (or to every event with "*")
+   * @param {string} event - Event name
+   * @returns {Promise<Array<WebhookSubscription>>}
+   */
+  static async findActiveForEvent(event) {
+    const db = database.getDb();
+
+    const subscriptions = await new Promise((resolve, reject) => {
+      db.all('SELECT * FROM webhook_subscriptions WHERE active = 1', [], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => new WebhookSubscription(row)));
+        }
+      });
+    });
+
+    return subscriptions.filter(s => s.events.includes('*') || s.events.includes(event));
+  }
+
+  async update(updateData) {
+    const db = database.getDb();
+    const allowedFields = ['url', 'secret', 'events', 'description', 'active'];
+
+    const updates = [];
+    const values = [];
+
+    Object.keys(updateData).forEach(key => {
+      if (allowedFields.includes(key) && updateData[key] !== undefined) {
+        updates.push(`${key} = ?`);
+        if (key === 'events') {
+          values.push(JSON.stringify(updateData[key]));
+        } else if (key === 'active') {
+          values.push(updateData[key] ? 1 : 0);
+        } else {
+          values.push(updateData[key]);
+        }
+      }
+    });
+
+    if (updates.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    updates.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(this.id);
+
+    return new Promise((resolve, reject) => {
+      const sql = `UPDATE webhook_subscriptions SET ${updates.join(', ')} WHERE id = ?`;
+
+      db.run(sql, values, (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          Object.keys(updateData).forEach((key) => {
+            if (allowedFields.includes(key) && updateData[key] !== undefined) {
+              this[key] = key === 'active' ? Boolean(updateData[key]) : updateData[key];
+            }
+          });
+          resolve(this);
+        }
+      });
+    });
+  }
+
+  async delete() {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM webhook_subscriptions WHERE id = ?', [this.id], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {Object} [options] - { includeSecret } - the secret is only returned on creation
+   */
+  toJSON({ includeSecret = false } = {}) {
+    return {
+      id: this.id,
+      url: this.url,
+      events: this.events,
+      description: this.description,
+      active: this.active,
+      ...(includeSecret ? { secret: this.secret } : {}),
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = WebhookSubscription;
@@ -574,7 +574,7 @@ async function loadSpecificExtractionResults(batchId, invoiceIndex) {
                                         ${invoice.invoiceNumber || `Invoice ${invoiceIndex + 1}`}
                                     </h4>
                                     <p class="mb-0 opacity-75">
-                                        Pages ${invoice.startPage}-${invoice.endPage} • 
+                                        Pages ${invoice.pageRange || `${invoice.startPage}-${invoice.endPage}`} • 
                                         Batch: ${batchResult.data.originalFilename}
                                     </p>
                                 </div>
@@ -600,7 +600,7 @@ async function loadSpecificExtractionResults(batchId, invoiceIndex) {
             // Trigger extraction
             const extractResponse = await fetch(`/api/batches/${batchId}/extract-invoice/${invoiceIndex}`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' }
+                headers: InvoiceProcessingSystem.review.headers({ 'Content-Type': 'application/json' })
             });
             
             const extractResult = await extractResponse.json();
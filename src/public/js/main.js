@@ -237,7 +237,7 @@ const InvoiceProcessingSystem = {
         /**
          * Show auto-refresh status indicator
          */
-        showAutoRefreshIndicator(batchId, status) {
+        showAutoRefreshIndicator(batchId, status, detail = null) {
             // Add to top of page if not already present
             let indicator = document.getElementById('autoRefreshIndicator');
             if (!indicator) {
@@ -256,7 +256,8 @@ const InvoiceProcessingSystem = {
             // Update indicator text
             const textElement = document.getElementById('autoRefreshText');
             if (textElement) {
-                textElement.textContent = `Monitoring batch ${batchId.substring(0, 8)}... (${status})`;
+                textElement.textContent = `Monitoring batch ${batchId.substring(0, 8)}... (${status})` +
+                    (detail ? ` - ${detail}` : '');
             }
         },
 
@@ -416,6 +417,14 @@ const InvoiceProcessingSystem = {
     // Status polling functionality
     polling: {
         activePolls: new Map(),
+        streamUnavailable: new Set(),
+        finalStatuses: ['COMPLETED', 'ERROR', 'SPLIT_PROPOSED', 'DATA_VALIDATION_PENDING'],
+        stageLabels: {
+            'text-extraction': 'Extracting text',
+            'boundary-detection': 'Detecting invoice boundaries',
+            'splitting': 'Splitting PDF',
+            'extraction': 'Extracting invoice data'
+        },
 
         /**
          * Start polling for batch status with auto-refresh
@@ -431,6 +440,12 @@ const InvoiceProcessingSystem = {
             // Stop existing poll if any
             this.stopPolling(pollId);
             
+            // Prefer live Server-Sent Events; plain polling is the fallback
+            if (window.EventSource && !this.streamUnavailable.has(batchId)) {
+                this.startBatchEventStream(batchId, onStatusChange, maxAttempts);
+                return;
+            }
+            
             let attempts = 0;
             const maxPollAttempts = maxAttempts || InvoiceProcessingSystem.config.maxPollAttempts;
             
@@ -459,7 +474,7 @@ const InvoiceProcessingSystem = {
                         this.handleStatusTransition(previousStatus, status, batchId, response.data);
                         
                         // Stop polling if status is final
-                        if (['COMPLETED', 'ERROR', 'SPLIT_PROPOSED', 'DATA_VALIDATION_PENDING'].includes(status)) {
+                        if (this.finalStatuses.includes(status)) {
                             this.stopPolling(pollId);
                             // Hide indicator after a delay for final statuses
                             setTimeout(() => {
@@ -496,6 +511,92 @@ const InvoiceProcessingSystem = {
             this.activePolls.set(pollId, timeoutId);
         },
 
+        /**
+         * Follow batch status and progress over Server-Sent Events
+         * (GET /api/batches/:batchId/events). Falls back to polling when the
+         * stream cannot be opened.
+         */
+        startBatchEventStream(batchId, onStatusChange, maxAttempts = null) {
+            const pollId = 'batch-' + batchId;
+            const source = new EventSource(`${InvoiceProcessingSystem.config.apiBaseUrl}/batches/${batchId}/events`);
+            let currentStatus = null;
+            
+            this.activePolls.set(pollId, source);
+            InvoiceProcessingSystem.ui.showAutoRefreshIndicator(batchId, 'MONITORING');
+            
+            const applyStatus = (status, data) => {
+                const previousStatus = currentStatus;
+                if (status === previousStatus) return;
+                currentStatus = status;
+                
+                InvoiceProcessingSystem.ui.showAutoRefreshIndicator(batchId, status);
+                
+                if (onStatusChange) {
+                    onStatusChange(status, { ...data, error: data.errorMessage });
+                }
+                
+                this.handleStatusTransition(previousStatus, status, batchId, { ...data, error: data.errorMessage });
+                
+                if (this.finalStatuses.includes(status)) {
+                    this.stopPolling(pollId);
+                    setTimeout(() => {
+                        InvoiceProcessingSystem.ui.hideAutoRefreshIndicator();
+                    }, 5000);
+                }
+            };
+            
+            const parse = (event) => {
+                try {
+                    return JSON.parse(event.data);
+                } catch (error) {
+                    console.error('Invalid batch event:', event.data);
+                    return null;
+                }
+            };
+            
+            source.addEventListener('snapshot', (event) => {
+                const data = parse(event);
+                if (data) applyStatus(data.status, data);
+            });
+            
+            source.addEventListener('status', (event) => {
+                const data = parse(event);
+                if (data) applyStatus(data.status, data);
+            });
+            
+            source.addEventListener('stage', (event) => {
+                const data = parse(event);
+                if (!data) return;
+                const label = this.stageLabels[data.stage] || data.stage;
+                const detail = data.state === 'started' ? `${label}...`
+                    : data.state === 'failed' ? `${label} failed`
+                    : `${label} done`;
+                InvoiceProcessingSystem.ui.showAutoRefreshIndicator(batchId, currentStatus || 'MONITORING', detail);
+            });
+            
+            source.addEventListener('progress', (event) => {
+                const data = parse(event);
+                if (!data) return;
+                const label = this.stageLabels[data.stage] || data.stage;
+                const detail = `${label}: ${data.unit} ${data.current} of ${data.total}`;
+                InvoiceProcessingSystem.ui.showAutoRefreshIndicator(batchId, currentStatus || 'MONITORING', detail);
+            });
+            
+            // The server closes the stream once the batch is finished
+            source.addEventListener('end', () => {
+                if (this.activePolls.get(pollId) === source) this.stopPolling(pollId);
+            });
+            
+            source.onerror = () => {
+                // The browser reconnects by itself unless the stream was refused
+                if (source.readyState !== EventSource.CLOSED || this.activePolls.get(pollId) !== source) return;
+                console.warn(`Event stream unavailable for batch ${batchId}, falling back to polling`);
+                this.activePolls.delete(pollId);
+                this.streamUnavailable.add(batchId);
+                this.startBatchStatusPolling(batchId, onStatusChange, maxAttempts);
+            };
+        },
+
         /**
          * Handle automatic redirects based on status transitions
          */
@@ -591,7 +692,7 @@ const InvoiceProcessingSystem = {
          */
         stopPolling(pollId) {
             if (this.activePolls.has(pollId)) {
-                clearTimeout(this.activePolls.get(pollId));
+                this.clearHandle(this.activePolls.get(pollId));
                 this.activePolls.delete(pollId);
             }
         },
@@ -600,10 +701,21 @@ const InvoiceProcessingSystem = {
          * Stop all active polls
          */
         stopAllPolling() {
-            this.activePolls.forEach((timeoutId) => {
-                clearTimeout(timeoutId);
+            this.activePolls.forEach((handle) => {
+                this.clearHandle(handle);
             });
             this.activePolls.clear();
+        },
+
+        /**
+         * Cancel a poll timeout or close an event stream
+         */
+        clearHandle(handle) {
+            if (handle && typeof handle.close === 'function') {
+                handle.close();
+            } else {
+                clearTimeout(handle);
+            }
         }
     },
 
@@ -649,6 +761,48 @@ const InvoiceProcessingSystem = {
         }
     },
 
+    // Review queue helpers
+    review: {
+        /**
+         * Reviewer name of this browser (sent as X-Actor)
+         */
+        getReviewer() {
+            return InvoiceProcessingSystem.storage.getItem('reviewer', '');
+        },
+
+        setReviewer(name) {
+            return InvoiceProcessingSystem.storage.setItem('reviewer', (name || '').trim());
+        },
+
+        /**
+         * Request headers identifying the reviewer
+         */
+        headers(extraHeaders = {}) {
+            const reviewer = this.getReviewer();
+            return reviewer ? { ...extraHeaders, 'X-Actor': reviewer } : extraHeaders;
+        },
+
+        /**
+         * Release the current item and navigate to the next one in the queue
+         * @returns {Promise<Object|null>} - Claimed item, or null when the queue is empty
+         */
+        async next(currentItemType = null, currentItemId = null, options = {}) {
+            const response = await fetch('/api/review-queue/next', {
+                method: 'POST',
+                headers: this.headers({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({ ...options, currentItemType, currentItemId })
+            });
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to get the next review item');
+            }
+            if (result.data) {
+                window.location.href = result.data.reviewUrl;
+            }
+            return result.data;
+        }
+    },
+
     // Initialize the application
     init() {
         console.log('Invoice Processing System initialized');
@@ -15,12 +15,65 @@
  * • GET    /api/batches                    - List all document batches
  * • GET    /api/batches/:batchId           - Get specific batch information
  * • DELETE /api/batches/:batchId           - Delete batch and associated files
+ * • GET    /api/batches/:batchId/history   - Status transition audit trail
+ * • GET    /api/batches/:batchId/artifacts/:artifact - Stored layout, extraction or boundary results
+ * • POST   /api/upload-sessions        - Upload several PDFs / ZIP archives (one batch per PDF)
+ * • GET    /api/upload-sessions        - List upload sessions with aggregate status
+ * • GET    /api/upload-sessions/:sessionId         - Session with its batches
+ * • POST   /api/upload-sessions/:sessionId/process - Start processing all its new or failed batches
  * 
  * 🔄 PROCESSING ENDPOINTS:
  * • POST   /api/batches/:batchId/process   - Start batch processing (text extraction + AI)
  * • POST   /api/batches/:batchId/splits    - Apply splits and extract invoice data
  * • POST   /api/batches/:batchId/reprocess - Reprocess failed or updated batch
  * • GET    /api/batches/:batchId/health    - Check Azure services health status
+ * • GET    /api/batches/:batchId/events    - Live progress stream (Server-Sent Events)
+ * • GET    /api/batches/:batchId/split-feedback - Proposed vs validated boundaries of a batch
+ * 
+ * 🧾 INVOICE ENDPOINTS:
+ * • GET    /api/invoices                   - List split invoices (?batchId=&extractionStatus=&validationStatus=)
+ * • GET    /api/invoices/:invoiceId        - Get an invoice
+ * • PUT    /api/invoices/:invoiceId        - Correct extracted data, invoice number or notes
+ * • DELETE /api/invoices/:invoiceId        - Delete an invoice and its split PDF
+ * • POST   /api/invoices/:invoiceId/extract - Re-extract a single invoice
+ * • POST   /api/invoices/:invoiceId/approve - Approve extracted data (completes the batch when all are approved)
+ * • POST   /api/invoices/:invoiceId/reject  - Reject extracted data
+ * 
+ * ⏱️ JOB ENDPOINTS:
+ * • GET    /api/jobs                       - List background jobs (?status=&type=&batchId=)
+ * • GET    /api/jobs/:jobId                - Get a background job
+ * • POST   /api/jobs/:jobId/retry          - Retry a failed job
+ * 
+ * 🔔 WEBHOOK ENDPOINTS:
+ * • GET    /api/webhooks                   - List webhook subscriptions
+ * • POST   /api/webhooks                   - Create a subscription (returns the signing secret)
+ * • GET    /api/webhooks/:webhookId        - Get a subscription
+ * • PUT    /api/webhooks/:webhookId        - Update url, events, secret or active flag
+ * • DELETE /api/webhooks/:webhookId        - Delete a subscription
+ * • GET    /api/webhooks/deliveries        - Delivery log (?webhookId=&status=&event=&batchId=)
+ * • GET    /api/webhooks/deliveries/:deliveryId           - Get a delivery
+ * • POST   /api/webhooks/deliveries/:deliveryId/redeliver - Send a delivery again
+ * 
+ * 🤖 AUTO-APPROVE ENDPOINTS (tenant from the X-Tenant-Id header on uploads):
+ * • GET    /api/auto-approve-policies                - Defaults and per-tenant policies
+ * • GET    /api/auto-approve-policies/:tenantId      - Policy in effect for a tenant
+ * • PUT    /api/auto-approve-policies/:tenantId      - Set enabled, confidenceThreshold, autoExtract
+ * • DELETE /api/auto-approve-policies/:tenantId      - Remove a tenant policy (defaults apply)
+ * 
+ * 👀 REVIEW QUEUE ENDPOINTS (reviewer from the X-Actor header):
+ * • GET    /api/review-queue                         - Batches and invoices awaiting review (?type=&sort=&order=&tenantId=)
+ * • POST   /api/review-queue/next                    - Release the current item and claim the next one
+ * • POST   /api/review-queue/:itemType/:itemId/claim   - Claim a batch or invoice
+ * • POST   /api/review-queue/:itemType/:itemId/release - Release a claim
+ * 
+ * 🧠 VENDOR TEMPLATE ENDPOINTS (learned from splits validated by reviewers):
+ * • GET    /api/vendor-templates                     - Learned templates (?tenantId=)
+ * • GET    /api/vendor-templates/:templateId         - Template with its full fingerprint
+ * • DELETE /api/vendor-templates/:templateId         - Forget a vendor template
+ * 
+ * 📏 METRICS ENDPOINTS:
+ * • GET    /api/metrics/splitting                    - Boundary precision / recall / F1 over time, per deployment and vendor
+ * • GET    /api/metrics/splitting/feedback           - Per-batch proposed-vs-validated boundary diffs
  * 
  * ✅ VALIDATION ENDPOINTS:
  * • POST   /api/batches/:batchId/validate/:invoiceIndex - Submit validated invoice data
@@ -139,6 +192,15 @@ const { extractFromLayout } = require('../services/extractor/extractFromLayout')
 // Import controllers
 const uploadController = require('../controllers/upload.controller');
 const processingController = require('../controllers/processing.controller');
+const jobsController = require('../controllers/jobs.controller');
+const invoicesController = require('../controllers/invoices.controller');
+const eventsController = require('../controllers/events.controller');
+const webhooksController = require('../controllers/webhooks.controller');
+const uploadSessionsController = require('../controllers/upload-sessions.controller');
+const autoApprovePoliciesController = require('../controllers/auto-approve-policies.controller');
+const reviewQueueController = require('../controllers/review-queue.controller');
+const vendorTemplatesController = require('../controllers/vendor-templates.controller');
+const metricsController = require('../controllers/metrics.controller');
 
 // Import services for debugging (split-only minimal services)
 const azureDocumentService = require('../services/azure-document.service');
@@ -190,6 +252,54 @@ router.get('/batches/:batchId', uploadController.getBatchInfo.bind(uploadControl
  */
 router.delete('/batches/:batchId', uploadController.deleteBatch.bind(uploadController));
 
+/**
+ * GET /api/batches/:batchId/history
+ * Status transitions of a batch (who, when, from, to, reason)
+ */
+router.get('/batches/:batchId/history', uploadController.getBatchHistory.bind(uploadController));
+
+/**
+ * GET /api/batches/:batchId/artifacts/:artifact
+ * Stored layout (`layout`), extraction results (`extracted-data`) or boundary detection result (`boundaries`) of a batch
+ */
+router.get('/batches/:batchId/artifacts/:artifact', uploadController.getBatchArtifact.bind(uploadController));
+
+/**
+ * GET /api/batches/:batchId/split-feedback
+ * Boundaries proposed by detection vs validated (matched, added, removed, moved) with precision / recall / F1
+ */
+router.get('/batches/:batchId/split-feedback', metricsController.getBatchSplitFeedback.bind(metricsController));
+
+/**
+ * POST /api/upload-sessions
+ * Upload several PDFs and/or ZIP archives of PDFs (multipart field `files`,
+ * optional `name`); every PDF becomes a batch of the new upload session
+ */
+router.post('/upload-sessions',
+  uploadController.sessionUpload.array('files'),
+  uploadSessionsController.createSession.bind(uploadSessionsController),
+  uploadController.handleUploadError.bind(uploadController)
+);
+
+/**
+ * GET /api/upload-sessions
+ * List upload sessions with their aggregate status (?limit=&offset=)
+ */
+router.get('/upload-sessions', uploadSessionsController.listSessions.bind(uploadSessionsController));
+
+/**
+ * GET /api/upload-sessions/:sessionId
+ * Upload session with its batches
+ */
+router.get('/upload-sessions/:sessionId', uploadSessionsController.getSession.bind(uploadSessionsController));
+
+/**
+ * POST /api/upload-sessions/:sessionId/process
+ * Start processing every UPLOADED or ERROR batch of the session
+ * Body (optional): { boundaryStrategy, reuseAnalysis, dropSeparatorPages }
+ */
+router.post('/upload-sessions/:sessionId/process', uploadSessionsController.processSession.bind(uploadSessionsController));
+
 /**
  * GET /api/storage/stats
  * Get storage statistics
@@ -209,6 +319,8 @@ router.get('/files/:batchId/pdf', uploadController.servePDF.bind(uploadControlle
 /**
  * POST /api/batches/:batchId/process
  * Start processing a document batch (text extraction + boundary detection)
+ * Body (optional): { boundaryStrategy: 'hybrid' | 'llm' | 'heuristic' | 'separator', reuseAnalysis: false,
+ *                   dropSeparatorPages: false }
  */
 router.post('/batches/:batchId/process', processingController.startProcessing.bind(processingController));
 
@@ -218,6 +330,12 @@ router.post('/batches/:batchId/process', processingController.startProcessing.bi
  */
 router.get('/batches/:batchId/status', processingController.getProcessingStatus.bind(processingController));
 
+/**
+ * GET /api/batches/:batchId/events
+ * Server-Sent Events stream of status changes, stage transitions and progress
+ */
+router.get('/batches/:batchId/events', eventsController.streamBatchEvents.bind(eventsController));
+
 /**
  * POST /api/batches/:batchId/validate-splits
  * Validate and confirm splits, create individual PDF files
@@ -226,7 +344,8 @@ router.post('/batches/:batchId/validate-splits', processingController.validateSp
 
 /**
  * PUT /api/batches/:batchId/splits
- * Update splits manually for a batch
+ * Update splits manually for a batch - each split is a startPage/endPage range
+ * or a pages list, with optional excludedPages and rotations ({ "<page>": 90|180|270 })
  */
 router.put('/batches/:batchId/splits', processingController.updateSplits.bind(processingController));
 
@@ -264,6 +383,212 @@ router.post('/batches/:batchId/extract-invoice/:invoiceIndex', processingControl
  */
 router.get('/health', processingController.checkServiceHealth.bind(processingController));
 
+// ============================================================================
+// INVOICE ROUTES
+// ============================================================================
+
+/**
+ * GET /api/invoices
+ * List split invoices (optional filters: batchId, extractionStatus, validationStatus, limit, offset)
+ */
+router.get('/invoices', invoicesController.listInvoices.bind(invoicesController));
+
+/**
+ * GET /api/invoices/:invoiceId
+ * Get an invoice with its page range, file, extracted data and validation state
+ */
+router.get('/invoices/:invoiceId', invoicesController.getInvoice.bind(invoicesController));
+
+/**
+ * PUT /api/invoices/:invoiceId
+ * Correct an invoice - body: { extractedData?, invoiceNumber?, validationNotes? }
+ */
+router.put('/invoices/:invoiceId', invoicesController.updateInvoice.bind(invoicesController));
+
+/**
+ * DELETE /api/invoices/:invoiceId
+ * Delete an invoice and its split PDF
+ */
+router.delete('/invoices/:invoiceId', invoicesController.deleteInvoice.bind(invoicesController));
+
+/**
+ * POST /api/invoices/:invoiceId/extract
+ * Re-extract a single invoice
+ */
+router.post('/invoices/:invoiceId/extract', (req, res, next) => {
+  if (process.env.SPLIT_ONLY === '1' || process.env.SPLIT_ONLY === 'true') {
+    return sendArchivedApi(res, 'data extraction');
+  }
+  return invoicesController.extractInvoice(req, res, next);
+});
+
+/**
+ * POST /api/invoices/:invoiceId/approve
+ * Approve the extracted data - body: { notes? }
+ */
+router.post('/invoices/:invoiceId/approve', invoicesController.approveInvoice.bind(invoicesController));
+
+/**
+ * POST /api/invoices/:invoiceId/reject
+ * Reject the extracted data - body: { notes? }
+ */
+router.post('/invoices/:invoiceId/reject', invoicesController.rejectInvoice.bind(invoicesController));
+
+// ============================================================================
+// JOB ROUTES
+// ============================================================================
+
+/**
+ * GET /api/jobs
+ * List background jobs (optional filters: status, type, batchId, limit)
+ */
+router.get('/jobs', jobsController.listJobs.bind(jobsController));
+
+/**
+ * GET /api/jobs/:jobId
+ * Get a background job with attempts, last error and result
+ */
+router.get('/jobs/:jobId', jobsController.getJob.bind(jobsController));
+
+/**
+ * POST /api/jobs/:jobId/retry
+ * Queue a failed job again
+ */
+router.post('/jobs/:jobId/retry', jobsController.retryJob.bind(jobsController));
+
+// ============================================================================
+// WEBHOOK ROUTES
+// ============================================================================
+
+/**
+ * GET /api/webhooks
+ * List webhook subscriptions and the available events
+ */
+router.get('/webhooks', webhooksController.listWebhooks.bind(webhooksController));
+
+/**
+ * POST /api/webhooks
+ * Create a subscription - body: { url, events, secret?, description? }
+ */
+router.post('/webhooks', webhooksController.createWebhook.bind(webhooksController));
+
+/**
+ * GET /api/webhooks/deliveries
+ * Delivery log (optional filters: webhookId, status, event, batchId, limit)
+ */
+router.get('/webhooks/deliveries', webhooksController.listDeliveries.bind(webhooksController));
+
+/**
+ * GET /api/webhooks/deliveries/:deliveryId
+ * Get a delivery with payload, attempts and last response
+ */
+router.get('/webhooks/deliveries/:deliveryId', webhooksController.getDelivery.bind(webhooksController));
+
+/**
+ * POST /api/webhooks/deliveries/:deliveryId/redeliver
+ * Send a delivered or failed delivery again (same ID and payload)
+ */
+router.post('/webhooks/deliveries/:deliveryId/redeliver', webhooksController.redeliver.bind(webhooksController));
+
+/**
+ * GET /api/webhooks/:webhookId
+ * Get a subscription
+ */
+router.get('/webhooks/:webhookId', webhooksController.getWebhook.bind(webhooksController));
+
+/**
+ * PUT /api/webhooks/:webhookId
+ * Update a subscription - body: { url?, events?, secret?, description?, active? }
+ */
+router.put('/webhooks/:webhookId', webhooksController.updateWebhook.bind(webhooksController));
+
+/**
+ * DELETE /api/webhooks/:webhookId
+ * Delete a subscription
+ */
+router.delete('/webhooks/:webhookId', webhooksController.deleteWebhook.bind(webhooksController));
+
+/**
+ * GET /api/auto-approve-policies
+ * Default policy (environment) and the tenants that override it
+ */
+router.get('/auto-approve-policies', autoApprovePoliciesController.listPolicies.bind(autoApprovePoliciesController));
+
+/**
+ * GET /api/auto-approve-policies/:tenantId
+ * Policy in effect for a tenant (its own, else the defaults)
+ */
+router.get('/auto-approve-policies/:tenantId', autoApprovePoliciesController.getPolicy.bind(autoApprovePoliciesController));
+
+/**
+ * PUT /api/auto-approve-policies/:tenantId
+ * Create or update a tenant policy - body: { enabled?, confidenceThreshold?, autoExtract? }
+ */
+router.put('/auto-approve-policies/:tenantId', autoApprovePoliciesController.updatePolicy.bind(autoApprovePoliciesController));
+
+/**
+ * DELETE /api/auto-approve-policies/:tenantId
+ * Remove a tenant policy (the defaults apply again)
+ */
+router.delete('/auto-approve-policies/:tenantId', autoApprovePoliciesController.deletePolicy.bind(autoApprovePoliciesController));
+
+/**
+ * GET /api/review-queue
+ * Batches awaiting split validation and invoices awaiting data validation,
+ * with their claims - query: type=batch|invoice, sort=age|confidence|pages, order=asc|desc, tenantId
+ */
+router.get('/review-queue', reviewQueueController.listQueue.bind(reviewQueueController));
+
+/**
+ * POST /api/review-queue/next
+ * Release the reviewer's current item and claim the next unclaimed one -
+ * body: { type?, sort?, order?, tenantId?, currentItemType?, currentItemId? }
+ */
+router.post('/review-queue/next', reviewQueueController.nextItem.bind(reviewQueueController));
+
+/**
+ * POST /api/review-queue/:itemType/:itemId/claim
+ * Claim (or renew the claim of) a batch or invoice - 409 when another reviewer holds it
+ */
+router.post('/review-queue/:itemType/:itemId/claim', reviewQueueController.claimItem.bind(reviewQueueController));
+
+/**
+ * POST /api/review-queue/:itemType/:itemId/release
+ * Release the reviewer's claim - body: { force? } to release another reviewer's claim
+ */
+router.post('/review-queue/:itemType/:itemId/release', reviewQueueController.releaseItem.bind(reviewQueueController));
+
+/**
+ * GET /api/vendor-templates
+ * Vendor templates learned from validated splits - query: tenantId
+ */
+router.get('/vendor-templates', vendorTemplatesController.listTemplates.bind(vendorTemplatesController));
+
+/**
+ * GET /api/vendor-templates/:templateId
+ * Template with its fingerprint (header anchors, page counts, examples)
+ */
+router.get('/vendor-templates/:templateId', vendorTemplatesController.getTemplate.bind(vendorTemplatesController));
+
+/**
+ * DELETE /api/vendor-templates/:templateId
+ * Forget a vendor template (it is learned again from the next validated splits)
+ */
+router.delete('/vendor-templates/:templateId', vendorTemplatesController.deleteTemplate.bind(vendorTemplatesController));
+
+/**
+ * GET /api/metrics/splitting
+ * Boundary precision, recall and F1 overall, over time, per model deployment and per vendor -
+ * query: from, to, tenantId, strategy, model, period=day|week|month, includeAutoApproved=true
+ */
+router.get('/metrics/splitting', metricsController.getSplittingMetrics.bind(metricsController));
+
+/**
+ * GET /api/metrics/splitting/feedback
+ * Proposed-vs-validated boundary diffs of the batches (feedback dataset) - same filters, plus limit
+ */
+router.get('/metrics/splitting/feedback', metricsController.listSplitFeedback.bind(metricsController));
+
 // ============================================================================
 // EXTRACTION ROUTES (Second Layer: Extraction & Mapping)
 // ============================================================================
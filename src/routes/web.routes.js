@@ -18,6 +18,7 @@
  * • GET /batches/:batchId/validate-splits  - Split validation interface (UI 1)
  * • GET /batches/:batchId/validate-data    - Data validation interface (UI 2)
  * • GET /batches/:batchId/processing       - Processing status monitor
+ * • GET /review-queue                      - Items awaiting human validation, with claims
  * 
  * 🛠️ ADMINISTRATIVE INTERFACES:
  * • GET /admin                             - Administrative dashboard
@@ -34,6 +35,7 @@
  * │   ├── dashboard.html      - Main batch overview
  * │   ├── validate-splits.html - Split validation UI
  * │   ├── validate-data.html  - Data validation UI
+ * │   ├── review-queue.html   - Reviewer workload and claims
  * │   └── processing.html     - Processing monitor
  * ├── css/               - Styling and themes
  * ├── js/                - Client-side JavaScript
@@ -210,6 +212,14 @@ router.get('/batches/:batchId/invoices/:invoiceIndex/validate', (req, res) => {
   sendHtmlNoCache(res, '../public/html/validate-data.html');
 });
 
+/**
+ * GET /review-queue
+ * UI: Batches and invoices awaiting human validation
+ */
+router.get('/review-queue', (req, res) => {
+  sendHtmlNoCache(res, '../public/html/review-queue.html');
+});
+
 /**
  * GET /extract-results
  * UI: Invoice extraction results viewer
@@ -0,0 +1,123 @@
+/**
+ * ================================================================================
+ * AUTO-APPROVE SERVICE - SPLIT PROPOSALS THAT NEED NO REVIEWER
+ * ================================================================================
+ *
+ * Decides whether the proposed splits of a batch can be validated without a
+ * human, under the auto-approve policy of its tenant (AutoApprovePolicy).
+ * Applying the decision (splitting, queuing extraction) is done by the
+ * processing controller right after the splits are proposed.
+ *
+ * ✅ APPROVED WHEN:
+ * • The tenant policy is enabled
+ * • Every proposed split has a confidence at or above the policy threshold
+ * • The structural checks pass:
+ *   - at least one split, with valid page ranges or page lists inside the document
+ *   - every page in exactly one split (written or excluded), no gaps or overlaps
+ *   - no boundary flagged by the hybrid check
+ *   - no heuristic fallback after a failed LLM boundary detection
+ *
+ * Otherwise the batch stays in SPLIT_PROPOSED for review, with the reasons.
+ *
+ * ================================================================================
+ */
+
+const { splitPagesErrors, coveredPages, formatPageList } = require('../utils/split-pages');
+
+const DECISIONS = {
+  APPROVED: 'approved',
+  REVIEW: 'review',
+  DISABLED: 'disabled'
+};
+
+class AutoApproveService {
+  /**
+   * @param {Object} input
+   * @param {Array<Object>} input.proposedSplits - Splits proposed by boundary detection
+   * @param {number} input.totalPages - Pages of the batch PDF
+   * @param {Object} [input.boundaryMetadata] - Metadata of the boundary detection result
+   * @param {Object} policy - Resolved policy (AutoApprovePolicy.resolve)
+   * @returns {Object} - { decision, reasons, minConfidence, threshold }
+   */
+  evaluate({ proposedSplits, totalPages, boundaryMetadata = {} }, policy) {
+    const splits = proposedSplits || [];
+    const confidences = splits.map(split => (typeof split.confidence === 'number' ? split.confidence : null));
+    const known = confidences.filter(confidence => confidence !== null);
+    const minConfidence = known.length > 0 ? Math.min(...known) : null;
+    const result = { minConfidence, threshold: policy.confidenceThreshold };
+
+    if (!policy.enabled) {
+      return { decision: DECISIONS.DISABLED, reasons: [`Auto-approve is disabled for tenant ${policy.tenantId}`], ...result };
+    }
+
+    const reasons = this.checkStructure(splits, totalPages);
+
+    if (boundaryMetadata && boundaryMetadata.fallback) {
+      reasons.push(`Boundary detection fell back to heuristics: ${boundaryMetadata.fallback.reason || 'LLM unavailable'}`);
+    }
+
+    splits.forEach((split, index) => {
+      const label = `Split ${index + 1} (pages ${split.startPage}-${split.endPage})`;
+      if (confidences[index] === null) {
+        reasons.push(`${label} has no confidence score`);
+      } else if (confidences[index] < policy.confidenceThreshold) {
+        reasons.push(`${label}: confidence ${this.percent(confidences[index])} is below the ${this.percent(policy.confidenceThreshold)} threshold`);
+      }
+      if (split.boundaryCheck && split.boundaryCheck.flagged) {
+        reasons.push(`${label}: boundary flagged by the hybrid check`);
+      }
+    });
+
+    return { decision: reasons.length === 0 ? DECISIONS.APPROVED : DECISIONS.REVIEW, reasons, ...result };
+  }
+
+  /**
+   * Page-range problems that make a split proposal unsafe to apply unreviewed
+   * @returns {Array<string>} - Reasons (empty when the structure is sound)
+   */
+  checkStructure(splits, totalPages) {
+    if (splits.length === 0) {
+      return ['No invoice was detected'];
+    }
+
+    const reasons = [];
+    const owners = new Map();
+
+    splits.forEach((split, index) => {
+      const label = `Split ${index + 1}`;
+
+      const errors = splitPagesErrors(split, totalPages);
+      if (errors.length > 0) {
+        reasons.push(`${label}: ${errors.join(', ')}`);
+        return;
+      }
+
+      const overlapping = coveredPages(split).filter(page => owners.has(page));
+      if (overlapping.length > 0) {
+        reasons.push(`${label} overlaps split ${owners.get(overlapping[0]) + 1} (pages ${formatPageList(overlapping)})`);
+      }
+      coveredPages(split).forEach(page => {
+        if (!owners.has(page)) owners.set(page, index);
+      });
+    });
+
+    const uncovered = [];
+    for (let page = 1; page <= totalPages; page++) {
+      if (!owners.has(page)) uncovered.push(page);
+    }
+    if (uncovered.length > 0) {
+      reasons.push(`${uncovered.length === 1 ? 'Page' : 'Pages'} ${formatPageList(uncovered)} ${uncovered.length === 1 ? 'belongs' : 'belong'} to no invoice`);
+    }
+
+    return reasons;
+  }
+
+  percent(value) {
+    return `${Math.round(value * 100)}%`;
+  }
+}
+
+const autoApproveService = new AutoApproveService();
+autoApproveService.DECISIONS = DECISIONS;
+
+module.exports = autoApproveService;
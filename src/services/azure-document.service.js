@@ -2,48 +2,47 @@
 // This file intentionally only contains the minimal methods needed by the split
 // flow (layout extraction). All heavy extraction/mapping logic is archived in
 // archive/extraction/ and not present here.
+//
+// The actual analysis is delegated to a document provider (see
+// services/document-providers): Azure prebuilt-layout by default, or the offline
+// local provider when DOCUMENT_PROVIDER=local.
 
-const fs = require('fs');
+const { getDocumentProvider } = require('./document-providers');
 
 class AzureDocumentLayoutService {
   constructor() {
-    this.client = null;
+    this.provider = null;
   }
 
   async initialize() {
-    if (this.client) return;
-    try {
-      const cfg = require('../config/azure');
-      if (cfg && typeof cfg.initialize === 'function') cfg.initialize();
-      if (cfg && typeof cfg.getFormRecognizerClient === 'function') this.client = cfg.getFormRecognizerClient();
-    } catch (e) {
-      this.client = null;
-    }
+    if (this.provider) return;
+    this.provider = getDocumentProvider();
+    await this.provider.initialize();
   }
 
-  // Extracts simple page-level text using Azure Document Intelligence prebuilt-layout
-  async extractTextFromPDF(filePath) {
+  getProviderName() {
+    return this.provider ? this.provider.name : (process.env.DOCUMENT_PROVIDER || 'azure');
+  }
+
+  // Extracts simple page-level text using the configured layout provider. The
+  // full layout is returned as `layoutData` so callers can keep it for extraction.
+  async extractTextFromPDF(filePath, { onProgress } = {}) {
     try {
       await this.initialize();
-      const pdfBuffer = fs.readFileSync(filePath);
-      if (!this.client) return { success: false, error: 'Azure Form Recognizer client not configured', pages: [] };
+      if (!this.provider.isConfigured()) return { success: false, error: `Document provider "${this.provider.name}" not configured`, pages: [] };
 
-      const poller = await this.client.beginAnalyzeDocument('prebuilt-layout', pdfBuffer);
-      const result = await poller.pollUntilDone();
+      const result = await this.provider.analyzeLayout(filePath, { onProgress });
       if (!result || !result.pages) return { success: false, error: 'No pages found', pages: [] };
 
-      const pages = result.pages.map(pg => {
-        const pageNumber = pg.pageNumber;
-        let text = '';
-        if (result.paragraphs) {
-          const pageParagraphs = result.paragraphs.filter(p => p.boundingRegions && p.boundingRegions.some(br => br.pageNumber === pageNumber));
-          text = pageParagraphs.map(p => p.content).join('\n');
-        }
-        if (!text && pg.lines) text = pg.lines.map(l => l.content).join('\n');
-        return { pageNumber, text: (text || '').trim(), wordCount: (text || '').split(/\s+/).filter(Boolean).length };
-      });
-
-      return { success: true, pages, totalPages: pages.length, totalWords: pages.reduce((s, p) => s + p.wordCount, 0) };
+      const pages = this.toPages(result);
+
+      return {
+        success: true,
+        pages,
+        totalPages: pages.length,
+        totalWords: pages.reduce((s, p) => s + p.wordCount, 0),
+        layoutData: this.toLayout(result)
+      };
     } catch (err) {
       return { success: false, error: err.message || String(err), pages: [] };
     }
@@ -53,35 +52,70 @@ class AzureDocumentLayoutService {
   async getLayoutFromPDF(filePath) {
     try {
       await this.initialize();
-      const pdfBuffer = fs.readFileSync(filePath);
-      if (!this.client) return { success: false, error: 'Azure Form Recognizer client not configured' };
+      if (!this.provider.isConfigured()) return { success: false, error: `Document provider "${this.provider.name}" not configured` };
 
-      const poller = await this.client.beginAnalyzeDocument('prebuilt-layout', pdfBuffer);
-      const result = await poller.pollUntilDone();
-      if (!result) return { success: false, error: 'No result from Azure' };
+      const result = await this.provider.analyzeLayout(filePath);
+      if (!result) return { success: false, error: `No result from document provider "${this.provider.name}"` };
 
-      // Convert to markdown content
-      let content = '';
+      return { success: true, layout: this.toLayout(result) };
+    } catch (err) {
+      return { success: false, error: err.message || String(err) };
+    }
+  }
+
+  // Page text (paragraphs, else lines) for boundary detection. Also works on a
+  // stored layout, so a cached analysis can be detected again.
+  toPages(result) {
+    return (result.pages || []).map(pg => {
+      const pageNumber = pg.pageNumber;
+      let text = '';
       if (result.paragraphs) {
-        content = result.paragraphs.map(p => p.content).join('\n\n');
+        const pageParagraphs = result.paragraphs.filter(p => p.boundingRegions && p.boundingRegions.some(br => br.pageNumber === pageNumber));
+        text = pageParagraphs.map(p => p.content).join('\n');
       }
-
-      // Return full layout structure
-      const layout = {
-        content: content,
-        pages: result.pages || [],
-        tables: result.tables || [],
-        paragraphs: result.paragraphs || [],
-        spans: result.spans || []
+      if (!text && pg.lines) text = pg.lines.map(l => l.content).join('\n');
+      return {
+        pageNumber,
+        text: (text || '').trim(),
+        wordCount: (text || '').split(/\s+/).filter(Boolean).length,
+        lines: this.getPositionedLines(pg),
+        barcodes: (pg.barcodes || []).map(b => ({ kind: b.kind, value: b.value }))
       };
+    });
+  }
 
-      return { success: true, layout };
-    } catch (err) {
-      return { success: false, error: err.message || String(err) };
+  // Full layout structure with markdown content
+  toLayout(result) {
+    let content = '';
+    if (result.paragraphs) {
+      content = result.paragraphs.map(p => p.content).join('\n\n');
     }
+
+    return {
+      content: content,
+      pages: result.pages || [],
+      tables: result.tables || [],
+      paragraphs: result.paragraphs || [],
+      spans: result.spans || []
+    };
+  }
+
+  // Page lines with their vertical position (0 = top, 1 = bottom) so structural
+  // signals such as page-number footers and totals positions can be located.
+  getPositionedLines(page) {
+    if (!page.lines || !page.height) return [];
+    return page.lines.map(line => {
+      const polygon = line.polygon || [];
+      // Flat [x1, y1, ...] (REST / local provider) or [{ x, y }, ...] (SDK)
+      const top = typeof polygon[0] === 'object' ? polygon[0].y : polygon[1];
+      return {
+        content: line.content,
+        y: typeof top === 'number' ? Number((top / page.height).toFixed(3)) : null
+      };
+    });
   }
 
-  isConfigured() { return !!this.client; }
+  isConfigured() { return !!this.provider && this.provider.isConfigured(); }
 
   // Disabled heavy APIs — archived
   async mapInvoiceToSchema() { throw new Error('mapInvoiceToSchema is disabled in split-only delivery'); }
@@ -10,14 +10,20 @@
  * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
  * 
  * 🔧 SETUP & INITIALIZATION:
- * • initialize()                           - Initialize Azure OpenAI client and deployment
+ * • initialize()                           - Resolve the LLM provider for boundary detection
+ * • getStageLLM(stage)                    - Resolve client/model for a pipeline stage
  * • isConfigured()                         - Check if service is properly configured
  * 
  * 📄 INVOICE BOUNDARY DETECTION:
  * • detectInvoiceBoundaries(pages)         - Main entry point for multi-page invoice splitting
+ * • planBoundaryWindows(totalPages)        - Overlapping page windows for large documents
+ * • requestBoundarySplits(llm, pages, win) - One LLM call for a window of pages
+ * • stitchWindowSplits(windows, total)     - Merge window proposals into one split list
  * • getSystemPrompt()                      - System prompt for boundary detection
- * • createBoundaryDetectionPrompt(pages)   - Create formatted prompt for GPT-4
+ * • getPromptVersion()                     - Hash of the system prompt (recorded with results)
+ * • createBoundaryDetectionPrompt(pages)   - Create formatted prompt for GPT-4 (with learned vendor layouts)
  * • parseAIResponse(response, totalPages)  - Parse GPT-4 response into structured splits
+ * • heuristicFallback(pages, reason)       - Rule-based splits when the LLM fails
  * • validateSplits(splits, totalPages)     - Validate and fix proposed splits
  * • calculateSplitConfidence(splits, pages)- Calculate confidence scores for splits
  * 
@@ -80,28 +86,51 @@
  * @since 2024
  */
 
-const azureConfig = require('../config/azure');
+const crypto = require('crypto');
+const llmProviders = require('./llm-providers');
+const heuristicBoundaryService = require('./heuristic-boundary.service');
+const vendorTemplateService = require('./vendor-template.service');
 
 class AzureOpenAIService {
   constructor() {
     this.client = null;
     this.deploymentName = null;
+    this.providerName = null;
   this.maxJsonWindowBytes = parseInt(process.env.MAX_JSON_WINDOW_BYTES || '30000', 10);
   this.llmFallbackMode = (process.env.LLM_FALLBACK_MODE || 'confirm-only').toLowerCase();
+    this.heuristicFallbackEnabled = process.env.BOUNDARY_HEURISTIC_FALLBACK !== 'false';
+    // Windowed boundary detection: pages per LLM request, pages shared by neighbouring
+    // windows, and a character budget for the page text of one request
+    this.boundaryWindowPages = parseInt(process.env.BOUNDARY_WINDOW_PAGES || '20', 10);
+    this.boundaryWindowOverlap = parseInt(process.env.BOUNDARY_WINDOW_OVERLAP || '4', 10);
+    this.boundaryPromptChars = parseInt(process.env.BOUNDARY_PROMPT_CHAR_BUDGET || '40000', 10);
+    this.boundaryMaxTokens = parseInt(process.env.BOUNDARY_MAX_TOKENS || '2000', 10);
   }
 
   initialize() {
     try {
-      // Ensure Azure config is initialized
-      if (!azureConfig.openAIClient) {
-        azureConfig.initialize();
-      }
-      this.client = azureConfig.getOpenAIClient();
-      this.deploymentName = azureConfig.getOpenAIDeploymentName();
+      const { provider, client, model } = llmProviders.getLLM('boundary');
+      this.client = client;
+      this.deploymentName = model;
+      this.providerName = provider;
     } catch (error) {
-      console.warn('Azure OpenAI not available:', error.message);
+      console.warn('LLM provider for boundary detection not available:', error.message);
       this.client = null;
       this.deploymentName = null;
+      this.providerName = null;
+    }
+  }
+
+  /**
+   * Resolve the client and model configured for a pipeline stage
+   * @param {string} stage - 'boundary' | 'extraction' | 'fields'
+   * @returns {{ provider: string, client: Object, model: string }}
+   */
+  getStageLLM(stage) {
+    try {
+      return llmProviders.getLLM(stage);
+    } catch (error) {
+      throw new Error(`LLM client not available for ${stage} stage: ${error.message}`);
     }
   }
 
@@ -110,8 +139,7 @@ class AzureOpenAIService {
    * Never computes or reformats. Returns null when not found verbatim in provided windows.
    */
   async confirmFromJsonWindows({ field, hints = [], windows = [] }) {
-    if (!this.client) this.initialize();
-    if (!this.client) throw new Error('Azure OpenAI client not available');
+    const { client, model } = this.getStageLLM('fields');
 
     // Enforce confirm-only mode
     if (this.llmFallbackMode !== 'confirm-only') {
@@ -144,8 +172,8 @@ class AzureOpenAIService {
       windows: safeWindows
     };
 
-    const resp = await this.client.chat.completions.create({
-      model: this.deploymentName,
+    const resp = await client.chat.completions.create({
+      model,
       messages: [
         { role: 'system', content: systemPrompt },
         { role: 'user', content: JSON.stringify(userPayload) }
@@ -200,15 +228,16 @@ class AzureOpenAIService {
   /**
    * Detect invoice boundaries in a multi-page document
    * @param {Array} pages - Array of page objects with text content
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - ({ current, total, startPage, endPage }) after every window
+   * @param {Object} [options.templateHints] - Learned vendor templates matching the pages (VendorTemplateService.matchPages)
    * @returns {Promise<Object>} - Proposed invoice splits
    */
-  async detectInvoiceBoundaries(pages) {
+  async detectInvoiceBoundaries(pages, { onProgress, templateHints = null } = {}) {
     try {
-      if (!this.client) {
-        this.initialize();
-      }
+      const { provider, client, model } = this.getStageLLM('boundary');
 
-      console.log(`Analyzing ${pages.length} pages for invoice boundaries`);
+      console.log(`Analyzing ${pages.length} pages for invoice boundaries (${provider}/${model})`);
 
       // Prepare the text content for analysis
       const pageTexts = pages.map((page, index) => ({
@@ -217,36 +246,55 @@ class AzureOpenAIService {
         wordCount: page.wordCount || 0
       }));
 
-      // Create the prompt for GPT-4o
-      const prompt = this.createBoundaryDetectionPrompt(pageTexts);
-
-      // Call Azure OpenAI
-      const response = await this.client.chat.completions.create({
-        model: this.deploymentName,
-        messages: [
-          {
-            role: 'system',
-            content: this.getSystemPrompt()
-          },
-          {
-            role: 'user',
-            content: prompt
+      const windows = this.planBoundaryWindows(pageTexts.length);
+      let proposedSplits;
+      let aiResponse;
+      let windowSummaries;
+
+      if (windows.length === 1) {
+        const result = await this.requestBoundarySplits({ client, model }, pageTexts, windows[0], templateHints);
+        if (onProgress) onProgress({ current: 1, total: 1, startPage: 1, endPage: pageTexts.length });
+        aiResponse = result.aiResponse;
+        proposedSplits = result.splits;
+        if (!proposedSplits) {
+          if (this.heuristicFallbackEnabled) {
+            return this.heuristicFallback(pages, result.error || 'Could not parse AI response', { provider, model, aiResponse }, templateHints);
           }
-        ],
-        temperature: 0.1, // Low temperature for consistent results
-        max_tokens: 2000,
-        top_p: 0.95
-      });
+          proposedSplits = [this.singleInvoiceFallback(pages.length, 'Fallback: Could not parse AI response, treating as single invoice')];
+        }
+      } else {
+        console.log(`Large document: detecting boundaries in ${windows.length} windows of ${this.boundaryWindowPages} pages (${this.boundaryWindowOverlap} overlapping)`);
+        const windowResults = [];
 
-      if (!response.choices || response.choices.length === 0) {
-        throw new Error('No response from OpenAI');
-      }
+        for (const window of windows) {
+          const windowPages = pageTexts.slice(window.startPage - 1, window.endPage);
+          const result = await this.requestBoundarySplits({ client, model }, windowPages, window, templateHints);
 
-      const aiResponse = response.choices[0].message.content;
-      console.log('AI Response:', aiResponse);
+          if (!result.splits) {
+            if (!this.heuristicFallbackEnabled) {
+              throw new Error(`Boundary detection failed for pages ${window.startPage}-${window.endPage}: ${result.error}`);
+            }
+            console.warn(`Window ${window.startPage}-${window.endPage} unusable (${result.error}), using heuristic detector for it`);
+            const heuristic = await heuristicBoundaryService.detectInvoiceBoundaries(windowPages, { templateHints });
+            windowResults.push({ ...window, splits: heuristic.proposedSplits, fallback: result.error });
+          } else {
+            windowResults.push({ ...window, splits: result.splits });
+          }
 
-      // Parse the AI response to extract invoice boundaries
-      const proposedSplits = this.parseAIResponse(aiResponse, pages.length);
+          if (onProgress) {
+            onProgress({ current: windowResults.length, total: windows.length, startPage: window.startPage, endPage: window.endPage });
+          }
+        }
+
+        proposedSplits = this.stitchWindowSplits(windowResults, pageTexts.length);
+        aiResponse = windowResults.map(w => `[pages ${w.startPage}-${w.endPage}] ${w.fallback ? 'heuristic fallback' : JSON.stringify(w.splits.map(sp => sp.pageRange))}`).join('\n');
+        windowSummaries = windowResults.map(w => ({
+          startPage: w.startPage,
+          endPage: w.endPage,
+          invoiceCount: w.splits.length,
+          ...(w.fallback ? { fallback: w.fallback } : {})
+        }));
+      }
 
       // Validate the proposed splits
       const validatedSplits = this.validateSplits(proposedSplits, pages.length);
@@ -261,13 +309,19 @@ class AzureOpenAIService {
         aiResponse: aiResponse,
         metadata: {
           analyzedAt: new Date().toISOString(),
-          model: this.deploymentName,
-          confidence: this.calculateSplitConfidence(validatedSplits, pageTexts)
+          provider,
+          model,
+          promptVersion: this.getPromptVersion(),
+          confidence: this.calculateSplitConfidence(validatedSplits, pageTexts),
+          ...(windowSummaries ? { windows: windowSummaries } : {})
         }
       };
 
     } catch (error) {
       console.error('Error detecting invoice boundaries:', error);
+      if (this.heuristicFallbackEnabled && pages.length > 0) {
+        return this.heuristicFallback(pages, error.message, {}, templateHints);
+      }
       return {
         success: false,
         error: error.message,
@@ -278,6 +332,173 @@ class AzureOpenAIService {
     }
   }
 
+  /**
+   * Split the document into overlapping page windows that fit one LLM request
+   * @param {number} totalPages - Total number of pages
+   * @returns {Array} - [{ startPage, endPage, totalPages }]
+   */
+  planBoundaryWindows(totalPages) {
+    const size = Math.max(2, this.boundaryWindowPages);
+    const overlap = Math.min(Math.max(0, this.boundaryWindowOverlap), size - 1);
+
+    if (totalPages <= size) {
+      return [{ startPage: 1, endPage: totalPages, totalPages }];
+    }
+
+    const windows = [];
+    let startPage = 1;
+    while (true) {
+      const endPage = Math.min(startPage + size - 1, totalPages);
+      windows.push({ startPage, endPage, totalPages });
+      if (endPage === totalPages) break;
+      startPage = endPage - overlap + 1;
+    }
+    return windows;
+  }
+
+  /**
+   * Ask the LLM for invoice boundaries within one window of pages
+   * @param {Object} llm - { client, model }
+   * @param {Array} pageTexts - Pages of the window
+   * @param {Object} window - { startPage, endPage, totalPages }
+   * @param {Object} [templateHints] - Learned vendor templates matching the pages
+   * @returns {Promise<Object>} - { splits (null when unusable), aiResponse, error }
+   */
+  async requestBoundarySplits({ client, model }, pageTexts, window, templateHints = null) {
+    const prompt = this.createBoundaryDetectionPrompt(pageTexts, window, templateHints);
+
+    const response = await client.chat.completions.create({
+      model,
+      messages: [
+        {
+          role: 'system',
+          content: this.getSystemPrompt()
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      temperature: 0.1, // Low temperature for consistent results
+      max_tokens: this.boundaryMaxTokens,
+      top_p: 0.95
+    });
+
+    if (!response.choices || response.choices.length === 0) {
+      throw new Error('No response from OpenAI');
+    }
+
+    const choice = response.choices[0];
+    const aiResponse = choice.message.content;
+    console.log(`AI Response (pages ${window.startPage}-${window.endPage}):`, aiResponse);
+
+    // A cut-off answer is missing its last invoices - never use it as is
+    if (choice.finish_reason === 'length') {
+      return { splits: null, aiResponse, error: 'AI response truncated (max_tokens reached)' };
+    }
+
+    const splits = this.parseAIResponse(aiResponse, window.endPage);
+    return { splits, aiResponse, error: splits ? null : 'Could not parse AI response' };
+  }
+
+  /**
+   * Merge the proposals of overlapping windows.
+   * Every page is decided by the window in which it sits furthest from a window
+   * edge (edges lack context: the first page of a window always looks like a
+   * start). Boundaries where overlapping windows disagree get a lower confidence.
+   * @param {Array} windowResults - [{ startPage, endPage, splits }]
+   * @param {number} totalPages - Total number of pages
+   * @returns {Array} - Splits covering the whole document
+   */
+  stitchWindowSplits(windowResults, totalPages) {
+    const lastIndex = windowResults.length - 1;
+    const starts = [];
+
+    for (let page = 1; page <= totalPages; page++) {
+      const covering = windowResults
+        .map((window, index) => ({ window, index }))
+        .filter(({ window }) => page >= window.startPage && page <= window.endPage);
+
+      const votes = covering.map(({ window, index }) => {
+        // Document start/end are real edges, not window edges
+        const fromStart = index === 0 ? Infinity : page - window.startPage;
+        const fromEnd = index === lastIndex ? Infinity : window.endPage - page;
+        return {
+          distance: Math.min(fromStart, fromEnd),
+          split: window.splits.find(split => split.startPage === page) || null
+        };
+      });
+
+      const owner = votes.reduce((best, vote) => (vote.distance > best.distance ? vote : best), votes[0]);
+      if (page === 1 || owner.split) {
+        const split = owner.split || { invoiceNumber: null, confidence: 0.5, reasoning: 'Document start' };
+        const disagreement = votes.some(vote => !!vote.split !== !!owner.split);
+        starts.push({
+          startPage: page,
+          invoiceNumber: split.invoiceNumber,
+          confidence: disagreement ? Number((split.confidence * 0.8).toFixed(2)) : split.confidence,
+          reasoning: disagreement
+            ? `${split.reasoning} (overlapping windows disagreed on this boundary)`
+            : split.reasoning
+        });
+      }
+    }
+
+    return starts.map((start, index) => {
+      const endPage = index < starts.length - 1 ? starts[index + 1].startPage - 1 : totalPages;
+      return {
+        id: `invoice_${index + 1}`,
+        invoiceNumber: start.invoiceNumber || `Invoice ${index + 1}`,
+        startPage: start.startPage,
+        endPage,
+        confidence: start.confidence,
+        reasoning: start.reasoning,
+        pageRange: `${start.startPage}-${endPage}`
+      };
+    });
+  }
+
+  /**
+   * Run the rule-based detector when the LLM call or its response fails
+   * @param {Array} pages - Array of page objects with text content
+   * @param {string} reason - Why the LLM result could not be used
+   * @param {Object} [details] - Extra metadata (provider, model, raw response)
+   * @param {Object} [templateHints] - Learned vendor templates matching the pages
+   * @returns {Promise<Object>} - Heuristic boundary detection result
+   */
+  async heuristicFallback(pages, reason, details = {}, templateHints = null) {
+    console.warn(`LLM boundary detection unusable (${reason}), falling back to heuristic detector`);
+    const result = await heuristicBoundaryService.detectInvoiceBoundaries(pages, { templateHints });
+    if (result.success) {
+      result.aiResponse = details.aiResponse;
+      result.metadata = {
+        ...result.metadata,
+        provider: details.provider,
+        model: details.model,
+        fallback: { from: 'llm', reason }
+      };
+    }
+    return result;
+  }
+
+  /**
+   * Single invoice covering every page (last-resort fallback)
+   * @param {number} totalPages - Total number of pages
+   * @param {string} reasoning - Explanation stored on the split
+   * @returns {Object} - Split
+   */
+  singleInvoiceFallback(totalPages, reasoning) {
+    return {
+      id: 'invoice_1',
+      invoiceNumber: 'Invoice 1',
+      startPage: 1,
+      endPage: totalPages,
+      confidence: 0.3,
+      reasoning,
+      pageRange: `1-${totalPages}`
+    };
+  }
+
   /**
    * Get the system prompt for invoice boundary detection
    * @returns {string} - System prompt
@@ -321,18 +542,38 @@ Example response:
 ]`;
   }
 
+  /**
+   * Short hash of the boundary system prompt, so split accuracy can be compared
+   * before and after a prompt change
+   * @returns {string}
+   */
+  getPromptVersion() {
+    return crypto.createHash('sha256').update(this.getSystemPrompt()).digest('hex').substring(0, 12);
+  }
+
   /**
    * Create the boundary detection prompt
    * @param {Array} pageTexts - Array of page text objects
+   * @param {Object} [window] - { startPage, endPage, totalPages } when only part of the document is sent
+   * @param {Object} [templateHints] - Learned vendor templates, described before the pages
    * @returns {string} - Formatted prompt
    */
-  createBoundaryDetectionPrompt(pageTexts) {
+  createBoundaryDetectionPrompt(pageTexts, window = null, templateHints = null) {
+    // Keep the whole request within the character budget
+    const maxPageChars = Math.max(200, Math.min(2000, Math.floor(this.boundaryPromptChars / Math.max(1, pageTexts.length))));
     let prompt = `Please analyze the following ${pageTexts.length} pages of text and identify individual invoice boundaries:\n\n`;
 
+    if (window && (window.startPage > 1 || window.endPage < window.totalPages)) {
+      prompt = `Please analyze pages ${window.startPage} to ${window.endPage} of a ${window.totalPages}-page document and identify individual invoice boundaries.
+The first invoice shown may have started before page ${window.startPage} and the last one may continue after page ${window.endPage}; only start an invoice on page ${window.startPage} if that page really begins a new invoice. Use the page numbers shown below.\n\n`;
+    }
+
+    prompt += vendorTemplateService.describeForPrompt(templateHints, window);
+
     pageTexts.forEach((page) => {
       prompt += `--- PAGE ${page.pageNumber} (${page.wordCount} words) ---\n`;
-      prompt += page.text.substring(0, 2000); // Limit text to avoid token limits
-      if (page.text.length > 2000) {
+      prompt += page.text.substring(0, maxPageChars); // Limit text to avoid token limits
+      if (page.text.length > maxPageChars) {
         prompt += '\n[... text truncated ...]';
       }
       prompt += '\n\n';
@@ -347,7 +588,7 @@ Example response:
    * Parse AI response to extract invoice boundaries
    * @param {string} aiResponse - Raw AI response
    * @param {number} totalPages - Total number of pages
-   * @returns {Array} - Parsed invoice splits
+   * @returns {Array|null} - Parsed invoice splits, or null when the response is unusable
    */
   parseAIResponse(aiResponse, totalPages) {
     try {
@@ -375,17 +616,7 @@ Example response:
 
     } catch (error) {
       console.warn('Failed to parse AI response as JSON, using fallback:', error.message);
-      
-      // Fallback: create a single invoice spanning all pages
-      return [{
-        id: 'invoice_1',
-        invoiceNumber: 'Invoice 1',
-        startPage: 1,
-        endPage: totalPages,
-        confidence: 0.3,
-        reasoning: 'Fallback: Could not parse AI response, treating as single invoice',
-        pageRange: `1-${totalPages}`
-      }];
+      return null;
     }
   }
 
@@ -483,13 +714,7 @@ Example response:
    */
   async extractTaxRateFromText(documentText, financialData = {}) {
     try {
-      if (!this.client) {
-        this.initialize();
-      }
-
-      if (!this.client) {
-        throw new Error('Azure OpenAI client not available');
-      }
+      const { client, model } = this.getStageLLM('fields');
 
       const prompt = `You are an expert at extracting tax rate information from French and English invoices.
 
@@ -524,8 +749,8 @@ Response format (JSON only):
   "method": "direct_extraction" or "calculation" or "not_found"
 }`;
 
-      const response = await this.client.chat.completions.create({
-        model: this.deploymentName,
+      const response = await client.chat.completions.create({
+        model,
         messages: [
           {
             role: 'system',
@@ -577,21 +802,15 @@ Response format (JSON only):
    */
   async extractMissingFields(azureResponse, currentData, missingFields) {
     try {
-      if (!this.client) {
-        this.initialize();
-      }
-
-      if (!this.client) {
-        throw new Error('Azure OpenAI client not available');
-      }
+      const { client, model } = this.getStageLLM('fields');
 
       console.log(`🔍 LLM extracting ${missingFields.length} missing fields:`, missingFields);
 
       // Create enhanced prompt with schema awareness
       const prompt = this.createMissingFieldsPrompt(azureResponse, currentData, missingFields);
 
-      const response = await this.client.chat.completions.create({
-        model: this.deploymentName,
+      const response = await client.chat.completions.create({
+        model,
         messages: [
           {
             role: 'system',
@@ -622,7 +841,7 @@ Response format (JSON only):
         confidence: extractedFields.confidence || {},
         evidence: extractedFields.evidence || {},
         method: 'llm_extraction',
-        model: this.deploymentName,
+        model,
         timestamp: new Date().toISOString()
       };
 
@@ -1078,11 +1297,7 @@ Return ONLY valid JSON in this format:
    * @returns {boolean} - True if configured
    */
   isConfigured() {
-    try {
-      return !!(azureConfig.getOpenAIClient() && azureConfig.getOpenAIDeploymentName());
-    } catch (error) {
-      return false;
-    }
+    return llmProviders.isStageConfigured('boundary');
   }
 }
 
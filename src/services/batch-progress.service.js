@@ -0,0 +1,201 @@
+/**
+ * ================================================================================
+ * BATCH PROGRESS SERVICE - LIVE PIPELINE EVENTS
+ * ================================================================================
+ *
+ * Publishes batch progress for the Server-Sent Events endpoint
+ * (GET /api/batches/:batchId/events). Events are stored in `progress_events`
+ * so a job worker running in another process reaches the web server too; the
+ * in-process emitter only wakes up local streams without waiting for the poll.
+ *
+ * 📡 EVENT TYPES:
+ * • status    - { status, errorMessage }            (DocumentBatch.update)
+ * • stage     - { stage, state, ... }               state: started | completed | failed
+ * • progress  - { stage, current, total, unit }     unit: page | window | invoice
+ *
+ * 🧭 STAGES:
+ * • text-extraction, boundary-detection, splitting, extraction
+ *
+ * ================================================================================
+ */
+
+const { EventEmitter } = require('events');
+const database = require('../config/database');
+
+const STAGES = {
+  TEXT_EXTRACTION: 'text-extraction',
+  BOUNDARY_DETECTION: 'boundary-detection',
+  SPLITTING: 'splitting',
+  EXTRACTION: 'extraction'
+};
+
+// Minimum delay between two progress events of the same batch/stage
+const PROGRESS_THROTTLE_MS = 250;
+
+class BatchProgressService {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.lastProgressAt = new Map();
+    this.retentionHours = parseInt(process.env.PROGRESS_EVENT_RETENTION_HOURS || '24', 10);
+    this.lastPruneAt = 0;
+  }
+
+  /**
+   * Store and announce an event. Never throws: progress must not break processing.
+   * @param {string} batchId - Batch ID
+   * @param {string} type - status | stage | progress
+   * @param {Object} data - Event payload
+   */
+  async publish(batchId, type, data = {}) {
+    try {
+      const db = database.getDb();
+      if (!db) return;
+
+      const id = await new Promise((resolve, reject) => {
+        db.run(
+          'INSERT INTO progress_events (batch_id, type, data) VALUES (?, ?, ?)',
+          [batchId, type, JSON.stringify(data)],
+          function(err) {
+            if (err) reject(err);
+            else resolve(this.lastID);
+          }
+        );
+      });
+
+      this.emitter.emit(batchId, id);
+      this.pruneIfDue();
+    } catch (error) {
+      console.warn(`Progress event not stored for batch ${batchId}:`, error.message);
+    }
+  }
+
+  /**
+   * Announce a stage transition
+   * @param {string} batchId - Batch ID
+   * @param {string} stage - One of STAGES
+   * @param {string} state - started | completed | failed
+   * @param {Object} [details] - Extra data (counts, error)
+   */
+  async stage(batchId, stage, state, details = {}) {
+    this.lastProgressAt.delete(`${batchId}:${stage}`);
+    return this.publish(batchId, 'stage', { stage, state, ...details });
+  }
+
+  /**
+   * Announce progress within a stage (throttled, the last step is always sent)
+   * @param {string} batchId - Batch ID
+   * @param {string} stage - One of STAGES
+   * @param {number} current - Items done
+   * @param {number} total - Items in the stage
+   * @param {string} unit - page | window | invoice
+   * @param {Object} [details] - Extra data
+   */
+  async progress(batchId, stage, current, total, unit, details = {}) {
+    const key = `${batchId}:${stage}`;
+    const now = Date.now();
+    if (current < total && now - (this.lastProgressAt.get(key) || 0) < PROGRESS_THROTTLE_MS) {
+      return;
+    }
+    this.lastProgressAt.set(key, now);
+    return this.publish(batchId, 'progress', { stage, current, total, unit, ...details });
+  }
+
+  /**
+   * Progress callback for a stage, for services that report (current, total)
+   * @param {string} batchId - Batch ID
+   * @param {string} stage - One of STAGES
+   * @param {string} unit - page | window | invoice
+   * @returns {Function} - ({ current, total, ...details }) => void
+   */
+  reporter(batchId, stage, unit) {
+    return ({ current, total, ...details }) => {
+      this.progress(batchId, stage, current, total, unit, details);
+    };
+  }
+
+  /**
+   * Events stored after the given event ID
+   * @param {string} batchId - Batch ID
+   * @param {number} afterId - Last event ID already delivered
+   * @returns {Promise<Array>} - [{ id, type, data, createdAt }]
+   */
+  async getEventsSince(batchId, afterId = 0) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT * FROM progress_events WHERE batch_id = ? AND id > ? ORDER BY id LIMIT 500',
+        [batchId, afterId],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows.map(row => ({
+              id: row.id,
+              type: row.type,
+              data: row.data ? JSON.parse(row.data) : {},
+              createdAt: row.created_at
+            })));
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * ID of the newest stored event (streams start after it)
+   * @returns {Promise<number>}
+   */
+  async getLatestEventId() {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.get('SELECT MAX(id) AS id FROM progress_events', [], (err, row) => {
+        if (err) reject(err);
+        else resolve((row && row.id) || 0);
+      });
+    });
+  }
+
+  /**
+   * Wake-up notifications for events published in this process
+   * @param {string} batchId - Batch ID
+   * @param {Function} listener - Called with the new event ID
+   * @returns {Function} - Unsubscribe
+   */
+  subscribe(batchId, listener) {
+    this.emitter.on(batchId, listener);
+    return () => this.emitter.removeListener(batchId, listener);
+  }
+
+  async deleteForBatch(batchId) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM progress_events WHERE batch_id = ?', [batchId], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
+
+  pruneIfDue() {
+    const now = Date.now();
+    if (now - this.lastPruneAt < 60 * 60 * 1000) return;
+    this.lastPruneAt = now;
+
+    database.getDb().run(
+      'DELETE FROM progress_events WHERE created_at < DATETIME(\'now\', ?)',
+      [`-${this.retentionHours} hours`],
+      (err) => {
+        if (err) console.warn('Progress event pruning failed:', err.message);
+      }
+    );
+  }
+}
+
+const batchProgressService = new BatchProgressService();
+batchProgressService.STAGES = STAGES;
+
+module.exports = batchProgressService;
@@ -0,0 +1,144 @@
+/**
+ * ================================================================================
+ * BLOB STORE SERVICE - CONTENT-ADDRESSED ARTIFACT STORAGE
+ * ================================================================================
+ *
+ * Keeps large JSON artifacts (Document Intelligence layouts, extraction results)
+ * out of the database rows. Values are stored gzip-compressed under the SHA-256
+ * of their JSON, so rows only hold a short reference and identical artifacts are
+ * stored once.
+ *
+ * 🗂️ LAYOUT:
+ * • <BLOB_STORE_DIR>/<first 2 hex chars>/<sha256>.json.gz
+ * • References look like "sha256:<hex>"
+ *
+ * 🧹 GARBAGE COLLECTION:
+ * • Blobs are shared, so they are never deleted with a row; collectGarbage()
+ *   removes blobs no longer referenced (skipping recently written ones, which
+ *   may belong to a row that is being saved)
+ *
+ * ⚙️ CONFIGURATION:
+ * • BLOB_STORE_DIR - Storage directory (default storage/blobs)
+ *
+ * ================================================================================
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const REF_PREFIX = 'sha256:';
+const REF_PATTERN = /^sha256:([a-f0-9]{64})$/;
+
+// Blobs written within this window are kept by garbage collection
+const GC_GRACE_MS = 10 * 60 * 1000;
+
+class BlobStoreService {
+  constructor() {
+    this.baseDir = process.env.BLOB_STORE_DIR || path.join(__dirname, '../../storage/blobs');
+  }
+
+  /**
+   * Store a JSON-serializable value
+   * @param {*} value - Value to store
+   * @returns {Promise<Object>} - { ref, size } (size of the JSON in bytes)
+   */
+  async put(value) {
+    const json = JSON.stringify(value);
+    const hash = crypto.createHash('sha256').update(json).digest('hex');
+    const ref = `${REF_PREFIX}${hash}`;
+    const filePath = this.pathFor(ref);
+
+    try {
+      // Already stored - refresh mtime so garbage collection sees it as recent
+      const now = new Date();
+      await fs.utimes(filePath, now, now);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      // Write to a temp file first so readers never see a partial blob
+      const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      await fs.writeFile(tempPath, await gzip(json));
+      await fs.rename(tempPath, filePath);
+    }
+
+    return { ref, size: Buffer.byteLength(json) };
+  }
+
+  /**
+   * Load a stored value
+   * @param {string} ref - Reference returned by put()
+   * @returns {Promise<*>} - The value, or null when the blob is missing
+   */
+  async get(ref) {
+    let compressed;
+    try {
+      compressed = await fs.readFile(this.pathFor(ref));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.warn(`⚠️ Blob not found: ${ref}`);
+        return null;
+      }
+      throw error;
+    }
+    return JSON.parse((await gunzip(compressed)).toString('utf8'));
+  }
+
+  pathFor(ref) {
+    const match = REF_PATTERN.exec(ref || '');
+    if (!match) {
+      throw new Error(`Invalid blob reference: ${ref}`);
+    }
+    const hash = match[1];
+    return path.join(this.baseDir, hash.slice(0, 2), `${hash}.json.gz`);
+  }
+
+  /**
+   * Delete blobs that are not referenced anymore
+   * @param {Iterable<string>} referencedRefs - All references still in use
+   * @returns {Promise<number>} - Number of deleted blobs
+   */
+  async collectGarbage(referencedRefs) {
+    const keep = new Set(referencedRefs);
+    const cutoff = Date.now() - GC_GRACE_MS;
+    let deleted = 0;
+
+    let prefixes;
+    try {
+      prefixes = await fs.readdir(this.baseDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    for (const prefix of prefixes) {
+      const dir = path.join(this.baseDir, prefix);
+      const files = await fs.readdir(dir).catch(() => []);
+
+      for (const file of files.filter(name => name.endsWith('.json.gz'))) {
+        const ref = `${REF_PREFIX}${file.slice(0, -'.json.gz'.length)}`;
+        if (keep.has(ref)) continue;
+
+        const filePath = path.join(dir, file);
+        const stats = await fs.stat(filePath).catch(() => null);
+        if (!stats || stats.mtimeMs > cutoff) continue;
+
+        await fs.unlink(filePath).catch(() => {});
+        deleted++;
+      }
+    }
+
+    if (deleted > 0) {
+      console.log(`🧹 Removed ${deleted} unreferenced blob(s)`);
+    }
+    return deleted;
+  }
+}
+
+module.exports = new BlobStoreService();
@@ -0,0 +1,113 @@
+/**
+ * Boundary detection strategy dispatcher.
+ *
+ * • hybrid     - LLM splits checked against structural page signals (HybridBoundaryService)
+ * • llm        - AzureOpenAIService.detectInvoiceBoundaries (heuristic fallback on failure)
+ * • heuristic  - Rule-based, offline HeuristicBoundaryService
+ * • separator  - Split on blank / patch-sheet separator pages (SeparatorBoundaryService)
+ *
+ * The strategy is chosen per batch (processing options) and defaults to
+ * BOUNDARY_STRATEGY, then 'hybrid'. Vendor templates learned for the batch
+ * tenant are passed to every strategy except separator as hints; the matched
+ * pages are recorded in metadata.vendorTemplates.
+ */
+
+const azureOpenAIService = require('./azure-openai.service');
+const heuristicBoundaryService = require('./heuristic-boundary.service');
+const hybridBoundaryService = require('./hybrid-boundary.service');
+const separatorBoundaryService = require('./separator-boundary.service');
+const vendorTemplateService = require('./vendor-template.service');
+
+const STRATEGIES = ['hybrid', 'llm', 'heuristic', 'separator'];
+
+class BoundaryDetectionService {
+  getDefaultStrategy() {
+    return (process.env.BOUNDARY_STRATEGY || 'hybrid').toLowerCase();
+  }
+
+  isValidStrategy(strategy) {
+    return STRATEGIES.includes(strategy);
+  }
+
+  listStrategies() {
+    return [...STRATEGIES];
+  }
+
+  /**
+   * Detect invoice boundaries with the requested strategy
+   * @param {Array} pages - Array of page objects with text content
+   * @param {Object} [options]
+   * @param {string} [options.strategy] - Strategy name
+   * @param {Function} [options.onProgress] - ({ current, total }) per LLM window
+   * @param {boolean} [options.dropSeparatorPages] - separator: leave separator pages out of the split PDFs
+   * @param {string} [options.tenantId] - Tenant whose learned vendor templates apply
+   * @returns {Promise<Object>} - Proposed invoice splits
+   */
+  async detect(pages, { strategy, onProgress, dropSeparatorPages, tenantId } = {}) {
+    const selected = (strategy || this.getDefaultStrategy()).toLowerCase();
+    if (!this.isValidStrategy(selected)) {
+      throw new Error(`Unknown boundary strategy: ${selected}. Available: ${STRATEGIES.join(', ')}`);
+    }
+
+    console.log(`Boundary detection strategy: ${selected}`);
+
+    const templateHints = selected !== 'separator' && tenantId
+      ? await this.matchVendorTemplates(pages, tenantId)
+      : null;
+
+    let result;
+    if (selected === 'heuristic') {
+      result = await heuristicBoundaryService.detectInvoiceBoundaries(pages, { templateHints });
+    } else if (selected === 'separator') {
+      result = await separatorBoundaryService.detectInvoiceBoundaries(pages, { dropSeparatorPages });
+    } else if (selected === 'hybrid') {
+      result = await hybridBoundaryService.detectInvoiceBoundaries(pages, { onProgress, templateHints });
+    } else {
+      result = await azureOpenAIService.detectInvoiceBoundaries(pages, { onProgress, templateHints });
+    }
+
+    if (result.success) {
+      result.metadata = {
+        ...(result.metadata || {}),
+        strategy: result.metadata?.strategy || selected,
+        ...(templateHints ? { vendorTemplates: this.describeMatches(templateHints) } : {})
+      };
+    }
+    return result;
+  }
+
+  /**
+   * Learned vendor templates matching the pages; detection goes on without
+   * them when they cannot be loaded
+   * @returns {Promise<Object|null>} - templateHints
+   */
+  async matchVendorTemplates(pages, tenantId) {
+    try {
+      const templateHints = await vendorTemplateService.matchPages(pages, tenantId);
+      if (templateHints) {
+        console.log(`🧠 ${Object.keys(templateHints.pages).length} page(s) match learned vendor templates: ${templateHints.templates.map(t => t.vendorName).join(', ')}`);
+      }
+      return templateHints;
+    } catch (error) {
+      console.warn('Vendor template matching failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * @returns {Array} - [{ templateId, vendorName, firstPages, continuationPages }]
+   */
+  describeMatches(templateHints) {
+    return templateHints.templates.map(template => {
+      const matches = Object.entries(templateHints.pages).filter(([, hint]) => hint.templateId === template.id);
+      return {
+        templateId: template.id,
+        vendorName: template.vendorName,
+        firstPages: matches.filter(([, hint]) => hint.role === 'first').map(([pageNumber]) => Number(pageNumber)),
+        continuationPages: matches.filter(([, hint]) => hint.role === 'continuation').map(([pageNumber]) => Number(pageNumber))
+      };
+    });
+  }
+}
+
+module.exports = new BoundaryDetectionService();
@@ -0,0 +1,56 @@
+/**
+ * Azure Document Intelligence layout provider.
+ * Runs the `prebuilt-layout` model through the Form Recognizer SDK and returns
+ * the raw analyze result ({ content, pages, tables, paragraphs, spans }).
+ * AZURE_DI_BARCODES=true adds the barcode add-on (pages[].barcodes), used by
+ * the separator boundary strategy to find patch sheets.
+ */
+
+const fs = require('fs');
+
+class AzureLayoutProvider {
+  constructor() {
+    this.name = 'azure';
+    this.client = null;
+  }
+
+  initialize() {
+    if (this.client) return;
+    try {
+      const cfg = require('../../config/azure');
+      cfg.initializeFormRecognizer();
+      this.client = cfg.getFormRecognizerClient();
+    } catch (e) {
+      console.warn('Azure Document Intelligence not available:', e.message);
+      this.client = null;
+    }
+  }
+
+  isConfigured() {
+    return !!this.client;
+  }
+
+  /**
+   * Analyze a PDF with the prebuilt-layout model
+   * @param {string} filePath - Path to the PDF file
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - ({ current, total }) once the analysis is done
+   * @returns {Promise<Object>} - Raw analyze result
+   */
+  async analyzeLayout(filePath, { onProgress } = {}) {
+    this.initialize();
+    if (!this.client) throw new Error('Azure Form Recognizer client not configured');
+
+    const pdfBuffer = fs.readFileSync(filePath);
+    const analyzeOptions = process.env.AZURE_DI_BARCODES === 'true' ? { features: ['barcodes'] } : {};
+    const poller = await this.client.beginAnalyzeDocument('prebuilt-layout', pdfBuffer, analyzeOptions);
+    const result = await poller.pollUntilDone();
+
+    // The service analyzes all pages in one operation
+    const pageCount = (result.pages || []).length;
+    if (onProgress && pageCount > 0) onProgress({ current: pageCount, total: pageCount });
+    return result;
+  }
+}
+
+module.exports = AzureLayoutProvider;
@@ -0,0 +1,46 @@
+/**
+ * Document analysis provider registry.
+ *
+ * Providers expose the same small interface:
+ * • name                      - Provider identifier
+ * • initialize()              - Prepare clients (no-op for offline providers)
+ * • isConfigured()            - Whether the provider can analyze documents
+ * • analyzeLayout(filePath, { onProgress })
+ *                             - Return a prebuilt-layout shaped result
+ *
+ * The active provider is chosen with DOCUMENT_PROVIDER (azure | local).
+ */
+
+const AzureLayoutProvider = require('./azure-layout.provider');
+const LocalLayoutProvider = require('./local-layout.provider');
+
+const PROVIDERS = {
+  azure: AzureLayoutProvider,
+  local: LocalLayoutProvider
+};
+
+const instances = {};
+
+/**
+ * Get a document provider by name (defaults to DOCUMENT_PROVIDER, then azure)
+ * @param {string} [name] - Provider name
+ * @returns {Object} - Provider instance
+ */
+function getDocumentProvider(name) {
+  const providerName = (name || process.env.DOCUMENT_PROVIDER || 'azure').toLowerCase();
+  const Provider = PROVIDERS[providerName];
+  if (!Provider) {
+    throw new Error(`Unknown document provider: ${providerName}. Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  if (!instances[providerName]) {
+    instances[providerName] = new Provider();
+  }
+  return instances[providerName];
+}
+
+function listDocumentProviders() {
+  return Object.keys(PROVIDERS);
+}
+
+module.exports = { getDocumentProvider, listDocumentProviders };
@@ -0,0 +1,291 @@
+/**
+ * Offline layout provider.
+ * Produces a Document Intelligence-shaped layout without any network access:
+ * 1. Replays a recorded layout JSON fixture when one matches the PDF
+ *    (LAYOUT_FIXTURES_DIR, looked up by file name or SHA-256 of the file)
+ * 2. Otherwise reads the PDF's embedded text layer with pdf.js
+ *
+ * Scanned PDFs without a text layer yield empty pages — use a fixture for those.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Points per inch — Azure DI reports PDF coordinates in inches
+const POINTS_PER_INCH = 72;
+
+class LocalLayoutProvider {
+  constructor() {
+    this.name = 'local';
+    this.fixturesDir = process.env.LAYOUT_FIXTURES_DIR || null;
+    this.pdfjs = null;
+  }
+
+  initialize() {
+    // Nothing to connect to
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Analyze a PDF and return a layout in the prebuilt-layout shape
+   * @param {string} filePath - Path to the PDF file
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - ({ current, total }) after every page
+   * @returns {Promise<Object>} - Layout ({ content, pages, tables, paragraphs, spans })
+   */
+  async analyzeLayout(filePath, { onProgress } = {}) {
+    const pdfBuffer = fs.readFileSync(filePath);
+
+    const fixture = this.findFixture(filePath, pdfBuffer);
+    if (fixture) {
+      console.log(`📼 Replaying layout fixture: ${fixture}`);
+      const json = JSON.parse(fs.readFileSync(fixture, 'utf8'));
+      const layout = json.analyzeResult || json;
+      const pageCount = (layout.pages || []).length;
+      if (onProgress && pageCount > 0) onProgress({ current: pageCount, total: pageCount });
+      return layout;
+    }
+
+    return this.readTextLayer(pdfBuffer, onProgress);
+  }
+
+  /**
+   * Locate a recorded layout fixture for the given PDF
+   * @param {string} filePath - Path to the PDF file
+   * @param {Buffer} pdfBuffer - PDF contents
+   * @returns {string|null} - Fixture path, if any
+   */
+  findFixture(filePath, pdfBuffer) {
+    if (!this.fixturesDir) return null;
+
+    const baseName = path.basename(filePath, path.extname(filePath));
+    const hash = crypto.createHash('sha256').update(pdfBuffer).digest('hex');
+    const candidates = [
+      `${hash}.json`,
+      `${baseName}.layout.json`,
+      `${baseName}.json`
+    ];
+
+    for (const candidate of candidates) {
+      const fixturePath = path.join(this.fixturesDir, candidate);
+      if (fs.existsSync(fixturePath)) return fixturePath;
+    }
+    return null;
+  }
+
+  /**
+   * Build a layout from the PDF's embedded text layer
+   * @param {Buffer} pdfBuffer - PDF contents
+   * @param {Function} [onProgress] - ({ current, total }) after every page
+   * @returns {Promise<Object>} - Layout
+   */
+  async readTextLayer(pdfBuffer, onProgress) {
+    if (!this.pdfjs) {
+      this.pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+    }
+
+    const doc = await this.pdfjs.getDocument({
+      data: new Uint8Array(pdfBuffer),
+      disableFontFace: true,
+      isEvalSupported: false,
+      verbosity: 0
+    }).promise;
+
+    const pages = [];
+    const paragraphs = [];
+    let content = '';
+
+    try {
+      for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+        const page = await doc.getPage(pageNumber);
+        const viewport = page.getViewport({ scale: 1 });
+        const textContent = await page.getTextContent();
+
+        const lines = this.groupIntoLines(textContent.items, viewport.height);
+        const pageOffset = content.length;
+        const pageLines = [];
+        const pageWords = [];
+
+        lines.forEach((line) => {
+          if (content.length > pageOffset) content += '\n';
+          const lineOffset = content.length;
+          content += line.text;
+
+          pageLines.push({
+            content: line.text,
+            polygon: line.polygon,
+            spans: [{ offset: lineOffset, length: line.text.length }]
+          });
+          pageWords.push(...this.splitWords(line, lineOffset));
+        });
+
+        paragraphs.push(...this.groupIntoParagraphs(pageLines, pageNumber));
+
+        pages.push({
+          pageNumber,
+          angle: 0,
+          width: viewport.width / POINTS_PER_INCH,
+          height: viewport.height / POINTS_PER_INCH,
+          unit: 'inch',
+          lines: pageLines,
+          words: pageWords,
+          spans: [{ offset: pageOffset, length: content.length - pageOffset }]
+        });
+
+        if (pageNumber < doc.numPages) content += '\n';
+        page.cleanup();
+        if (onProgress) onProgress({ current: pageNumber, total: doc.numPages });
+      }
+    } finally {
+      await doc.destroy();
+    }
+
+    return {
+      modelId: 'local-text-layer',
+      content,
+      pages,
+      tables: [],
+      paragraphs,
+      spans: [{ offset: 0, length: content.length }]
+    };
+  }
+
+  /**
+   * Group pdf.js text items into lines by baseline
+   * @param {Array} items - pdf.js text items
+   * @param {number} pageHeight - Page height in points
+   * @returns {Array} - Lines with text and polygon (inches, top-left origin)
+   */
+  groupIntoLines(items, pageHeight) {
+    const fragments = items
+      .filter(item => typeof item.str === 'string' && item.str.trim() !== '')
+      .map(item => {
+        const x = item.transform[4];
+        const baseline = item.transform[5];
+        const height = item.height || Math.abs(item.transform[3]) || 10;
+        return { text: item.str, x, baseline, width: item.width || 0, height };
+      })
+      // Top of page first, then left to right
+      .sort((a, b) => (b.baseline - a.baseline) || (a.x - b.x));
+
+    const lines = [];
+    fragments.forEach(fragment => {
+      const current = lines[lines.length - 1];
+      const tolerance = Math.max(2, fragment.height * 0.5);
+      if (current && Math.abs(current.baseline - fragment.baseline) <= tolerance) {
+        current.fragments.push(fragment);
+      } else {
+        lines.push({ baseline: fragment.baseline, fragments: [fragment] });
+      }
+    });
+
+    return lines.map(line => {
+      const sorted = line.fragments.sort((a, b) => a.x - b.x);
+      let text = '';
+      let lastEnd = null;
+      sorted.forEach(fragment => {
+        // Insert a space when fragments are visibly apart
+        if (lastEnd !== null && fragment.x - lastEnd > fragment.height * 0.15 && !text.endsWith(' ')) {
+          text += ' ';
+        }
+        text += fragment.text;
+        lastEnd = fragment.x + fragment.width;
+      });
+
+      const left = sorted[0].x;
+      const right = Math.max(...sorted.map(f => f.x + f.width));
+      const height = Math.max(...sorted.map(f => f.height));
+      const top = pageHeight - line.baseline - height;
+      const bottom = pageHeight - line.baseline;
+      const toInch = v => Number((v / POINTS_PER_INCH).toFixed(4));
+
+      return {
+        text: text.replace(/\s+/g, ' ').trim(),
+        height,
+        polygon: [
+          toInch(left), toInch(top),
+          toInch(right), toInch(top),
+          toInch(right), toInch(bottom),
+          toInch(left), toInch(bottom)
+        ]
+      };
+    }).filter(line => line.text);
+  }
+
+  /**
+   * Split a line into words with approximate positions
+   * @param {Object} line - Line from groupIntoLines
+   * @param {number} lineOffset - Offset of the line in the document content
+   * @returns {Array} - Words
+   */
+  splitWords(line, lineOffset) {
+    const [left, top, right, , , bottom] = line.polygon;
+    const charWidth = line.text.length ? (right - left) / line.text.length : 0;
+    const words = [];
+    const pattern = /\S+/g;
+    let match;
+
+    while ((match = pattern.exec(line.text)) !== null) {
+      const x1 = left + match.index * charWidth;
+      const x2 = x1 + match[0].length * charWidth;
+      words.push({
+        content: match[0],
+        polygon: [x1, top, x2, top, x2, bottom, x1, bottom].map(v => Number(v.toFixed(4))),
+        confidence: 1,
+        span: { offset: lineOffset + match.index, length: match[0].length }
+      });
+    }
+    return words;
+  }
+
+  /**
+   * Merge vertically adjacent lines into paragraphs
+   * @param {Array} lines - Page lines
+   * @param {number} pageNumber - Page number
+   * @returns {Array} - Paragraphs with boundingRegions
+   */
+  groupIntoParagraphs(lines, pageNumber) {
+    const paragraphs = [];
+    let current = null;
+
+    lines.forEach(line => {
+      const top = line.polygon[1];
+      const bottom = line.polygon[5];
+      const lineHeight = bottom - top;
+
+      if (current && top - current.bottom <= lineHeight * 0.8) {
+        current.lines.push(line);
+        current.bottom = bottom;
+      } else {
+        current = { lines: [line], bottom };
+        paragraphs.push(current);
+      }
+    });
+
+    return paragraphs.map(({ lines: paragraphLines }) => {
+      const first = paragraphLines[0];
+      const last = paragraphLines[paragraphLines.length - 1];
+      const left = Math.min(...paragraphLines.map(l => l.polygon[0]));
+      const right = Math.max(...paragraphLines.map(l => l.polygon[2]));
+      const top = first.polygon[1];
+      const bottom = last.polygon[5];
+      const offset = first.spans[0].offset;
+      const end = last.spans[0].offset + last.spans[0].length;
+
+      return {
+        content: paragraphLines.map(l => l.content).join('\n'),
+        boundingRegions: [{
+          pageNumber,
+          polygon: [left, top, right, top, right, bottom, left, bottom]
+        }],
+        spans: [{ offset, length: end - offset }]
+      };
+    });
+  }
+}
+
+module.exports = LocalLayoutProvider;
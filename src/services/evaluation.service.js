@@ -0,0 +1,428 @@
+/**
+ * ================================================================================
+ * EVALUATION SERVICE - SPLITTING & EXTRACTION AGAINST LABELED FIXTURES
+ * ================================================================================
+ *
+ * Scores boundary detection and extractFromLayout on labeled documents so a
+ * prompt, model or strategy change can be measured before it ships. Used by the
+ * evaluation CLI (bin/extract.js).
+ *
+ * 📁 FIXTURE (one directory per document):
+ * • layout.json         - Provider layout ({ pages, paragraphs, tables }), stored
+ *                         layout artifact (page-keyed) or raw { analyzeResult }
+ * • expected.json       - { splits: [{ startPage, endPage } | { pages }], invoices: [InvoiceExtract | null] }
+ *                         with one invoice per expected split (null = not labeled)
+ * • llm-responses.json  - Recorded LLM answers per stage, in call order:
+ *                         { boundary: [...], extraction: [...] }
+ *
+ * 📏 SCORES:
+ * • Boundaries - Detected vs expected splits (SplitMetricsService.diffSplits):
+ *                precision / recall / F1
+ * • Fields     - Every labeled field of an invoice, extracted from the expected
+ *                pages (boundary errors do not leak into field scores). Numbers
+ *                match within NUMBER_TOLERANCE, text case- and whitespace-
+ *                insensitively; labels use the normalized output format (ISO
+ *                dates, alpha-2 countries, ISO currencies)
+ *
+ * 📊 BASELINE:
+ * • toBaseline(report) keeps the overall, per-fixture and per-field metrics
+ * • diffBaseline(baseline, current) lists what improved or regressed
+ *
+ * ================================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const azureDocumentService = require('./azure-document.service');
+const boundaryDetectionService = require('./boundary-detection.service');
+const layoutCacheService = require('./layout-cache.service');
+const splitMetricsService = require('./split-metrics.service');
+const { extractFromLayout } = require('./extractor/extractFromLayout');
+const { normalizeSplits, splitPages } = require('../utils/split-pages');
+
+const FIXTURE_FILES = {
+  layout: 'layout.json',
+  expected: 'expected.json',
+  llmResponses: 'llm-responses.json'
+};
+const NUMBER_TOLERANCE = 0.01;
+
+function round(value) {
+  return Number(value.toFixed(4));
+}
+
+function accuracy(correct, total) {
+  return total > 0 ? round(correct / total) : null;
+}
+
+class EvaluationService {
+  /**
+   * @param {string} fixturesDir - Directory with one fixture directory per document
+   * @param {Object} [options] - { only: fixture names }
+   * @returns {Array<Object>} - Fixtures, by name
+   */
+  loadFixtures(fixturesDir, { only = null } = {}) {
+    if (!fs.existsSync(fixturesDir)) {
+      throw new Error(`Fixtures directory not found: ${fixturesDir}`);
+    }
+
+    const names = fs.readdirSync(fixturesDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name)
+      .sort();
+
+    const unknown = (only || []).filter(name => !names.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown fixture(s): ${unknown.join(', ')}`);
+    }
+
+    return names
+      .filter(name => !only || only.includes(name))
+      .map(name => this.loadFixture(path.join(fixturesDir, name)));
+  }
+
+  loadFixture(fixtureDir) {
+    const name = path.basename(fixtureDir);
+    const read = (file, { required = true } = {}) => {
+      const filePath = path.join(fixtureDir, file);
+      if (!fs.existsSync(filePath)) {
+        if (required) throw new Error(`Fixture ${name}: ${file} missing`);
+        return null;
+      }
+      try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        throw new Error(`Fixture ${name}: ${file} is not valid JSON (${error.message})`);
+      }
+    };
+
+    const expected = read(FIXTURE_FILES.expected);
+    if (!Array.isArray(expected.splits) || expected.splits.length === 0) {
+      throw new Error(`Fixture ${name}: expected.json needs a non-empty "splits" array`);
+    }
+
+    return {
+      name,
+      dir: fixtureDir,
+      layout: this.toProviderLayout(read(FIXTURE_FILES.layout)),
+      expected,
+      llmResponses: read(FIXTURE_FILES.llmResponses, { required: false })
+    };
+  }
+
+  /**
+   * Store the LLM answers recorded while evaluating a fixture
+   * @param {Object} fixture - Loaded fixture
+   * @param {Object} llmResponses - { <stage>: [content, ...] }
+   */
+  saveLlmResponses(fixture, llmResponses) {
+    fs.writeFileSync(path.join(fixture.dir, FIXTURE_FILES.llmResponses), `${JSON.stringify(llmResponses, null, 2)}\n`);
+  }
+
+  /**
+   * Plain provider layout from any stored layout shape
+   */
+  toProviderLayout(layout) {
+    if (layout && layout.analyzeResult) {
+      return azureDocumentService.toLayout(layout.analyzeResult);
+    }
+    if (layoutCacheService.isIndexed(layout)) {
+      return layoutCacheService.slice(layout, 1, layout.totalPages);
+    }
+    return layout;
+  }
+
+  /**
+   * Detect boundaries and extract the labeled invoices of a fixture
+   * @param {Object} fixture - Loaded fixture
+   * @param {Object} [options] - { strategy, extraction: false to score boundaries only }
+   * @returns {Promise<Object>} - Fixture result
+   */
+  async evaluateFixture(fixture, { strategy, extraction = true } = {}) {
+    const pages = azureDocumentService.toPages(fixture.layout);
+    const errors = [];
+
+    const { splits: expectedSplits, errors: splitErrors } = normalizeSplits(fixture.expected.splits, pages.length);
+    if (splitErrors.length > 0) {
+      throw new Error(`Fixture ${fixture.name}: invalid expected splits (${splitErrors.join('; ')})`);
+    }
+
+    // A failed detection scores as if no boundary was found
+    const detection = await boundaryDetectionService.detect(pages, { strategy });
+    if (!detection.success) {
+      errors.push(`Boundary detection failed: ${detection.error}`);
+    }
+    const detectedSplits = detection.success ? detection.proposedSplits : [];
+    const diff = splitMetricsService.diffSplits(detectedSplits, expectedSplits);
+
+    const invoices = [];
+    if (extraction) {
+      const expectedInvoices = fixture.expected.invoices || [];
+      for (let index = 0; index < expectedSplits.length; index++) {
+        if (!expectedInvoices[index]) continue;
+        invoices.push(await this.evaluateInvoice(fixture, expectedSplits[index], expectedInvoices[index], index));
+      }
+      invoices.filter(invoice => invoice.error).forEach(invoice => {
+        errors.push(`Invoice ${invoice.index + 1}: ${invoice.error}`);
+      });
+    }
+
+    const fieldCounts = this.countFields(invoices);
+    return {
+      name: fixture.name,
+      totalPages: pages.length,
+      expectedInvoices: expectedSplits.length,
+      detectedInvoices: detectedSplits.length,
+      strategy: detection.metadata?.strategy || strategy || boundaryDetectionService.getDefaultStrategy(),
+      boundaries: {
+        matched: diff.matched,
+        added: diff.added,
+        removed: diff.removed,
+        moved: diff.moved,
+        ...splitMetricsService.scores(diff),
+        details: diff.boundaries
+      },
+      fields: {
+        correct: fieldCounts.correct,
+        total: fieldCounts.total,
+        unexpected: fieldCounts.unexpected,
+        accuracy: accuracy(fieldCounts.correct, fieldCounts.total),
+        byField: fieldCounts.byField
+      },
+      invoices,
+      errors
+    };
+  }
+
+  async evaluateInvoice(fixture, split, expectedInvoice, index) {
+    const pageNumbers = splitPages(split);
+    const layout = layoutCacheService.slicePages(fixture.layout, pageNumbers);
+
+    let extract = {};
+    let error = null;
+    if (!layout) {
+      error = `pages ${split.pageRange} are missing from the layout`;
+    } else {
+      try {
+        ({ extract } = await extractFromLayout(layout));
+      } catch (extractionError) {
+        error = `extraction failed: ${extractionError.message}`;
+      }
+    }
+
+    return {
+      index,
+      pageRange: split.pageRange,
+      ...this.compareExtract(expectedInvoice, extract),
+      ...(error ? { error } : {})
+    };
+  }
+
+  /**
+   * Compare an extracted invoice with its label, field by field
+   * @param {Object} expected - Labeled InvoiceExtract
+   * @param {Object} actual - Extracted InvoiceExtract
+   * @returns {Object} - { byField: { "<section>[].<field>": { correct, total } }, mismatches, unexpected }
+   */
+  compareExtract(expected, actual) {
+    const expectedValues = this.flattenExtract(expected);
+    const actualValues = this.flattenExtract(actual);
+    const byField = {};
+    const mismatches = [];
+
+    expectedValues.forEach((value, fieldPath) => {
+      const field = fieldPath.replace(/\[\d+\]/, '[]');
+      if (!byField[field]) byField[field] = { correct: 0, total: 0 };
+      byField[field].total += 1;
+
+      const actualValue = actualValues.get(fieldPath);
+      if (this.valuesMatch(value, actualValue)) {
+        byField[field].correct += 1;
+      } else {
+        mismatches.push({ path: fieldPath, expected: value, actual: actualValue === undefined ? null : actualValue });
+      }
+    });
+
+    const unexpected = [...actualValues.keys()].filter(fieldPath => !expectedValues.has(fieldPath)).length;
+    return { byField, mismatches, unexpected };
+  }
+
+  /**
+   * @returns {Map<string, *>} - "<section>[<index>].<field>" → value, for every filled field
+   */
+  flattenExtract(extract) {
+    const values = new Map();
+
+    Object.entries(extract || {}).forEach(([section, items]) => {
+      (Array.isArray(items) ? items : [items]).forEach((item, index) => {
+        Object.entries(item || {}).forEach(([field, value]) => {
+          if (value !== undefined && value !== null && value !== '') {
+            values.set(`${section}[${index}].${field}`, value);
+          }
+        });
+      });
+    });
+    return values;
+  }
+
+  valuesMatch(expected, actual) {
+    if (actual === undefined || actual === null) return false;
+
+    if (typeof expected === 'number' || typeof actual === 'number') {
+      const expectedNumber = Number(expected);
+      const actualNumber = Number(actual);
+      if (Number.isFinite(expectedNumber) && Number.isFinite(actualNumber)) {
+        return Math.abs(expectedNumber - actualNumber) <= NUMBER_TOLERANCE;
+      }
+    }
+
+    const text = value => String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+    return text(expected) === text(actual);
+  }
+
+  countFields(invoices) {
+    const byField = {};
+    let unexpected = 0;
+
+    invoices.forEach(invoice => {
+      unexpected += invoice.unexpected;
+      Object.entries(invoice.byField).forEach(([field, counts]) => {
+        if (!byField[field]) byField[field] = { correct: 0, total: 0 };
+        byField[field].correct += counts.correct;
+        byField[field].total += counts.total;
+      });
+    });
+
+    Object.values(byField).forEach(counts => {
+      counts.accuracy = accuracy(counts.correct, counts.total);
+    });
+
+    const correct = Object.values(byField).reduce((sum, counts) => sum + counts.correct, 0);
+    const total = Object.values(byField).reduce((sum, counts) => sum + counts.total, 0);
+    return { correct, total, unexpected, byField };
+  }
+
+  /**
+   * Overall scores of a run
+   * @param {Array<Object>} results - Fixture results (evaluateFixture)
+   * @returns {Object} - { fixtures, exactFixtures, boundaries, fields }
+   */
+  summarize(results) {
+    const counts = results.reduce((sum, result) => ({
+      matched: sum.matched + result.boundaries.matched,
+      added: sum.added + result.boundaries.added,
+      removed: sum.removed + result.boundaries.removed,
+      moved: sum.moved + result.boundaries.moved
+    }), { matched: 0, added: 0, removed: 0, moved: 0 });
+
+    const fields = this.countFields(results.flatMap(result => result.invoices));
+
+    return {
+      fixtures: results.length,
+      exactFixtures: results.filter(result => result.boundaries.added + result.boundaries.removed + result.boundaries.moved === 0).length,
+      boundaries: { ...counts, ...splitMetricsService.scores(counts) },
+      fields: {
+        correct: fields.correct,
+        total: fields.total,
+        unexpected: fields.unexpected,
+        accuracy: accuracy(fields.correct, fields.total),
+        byField: fields.byField
+      }
+    };
+  }
+
+  /**
+   * Metrics of a run worth comparing with later runs. Field metrics are left
+   * out when no field was scored (boundaries only).
+   * @param {Object} report - { strategy, results, summary }
+   * @returns {Object} - Baseline
+   */
+  toBaseline({ strategy, results, summary }) {
+    const scoredFields = summary.fields.total > 0;
+
+    const fixtures = {};
+    results.forEach(result => {
+      fixtures[result.name] = {
+        boundaryF1: result.boundaries.f1,
+        ...(scoredFields ? { fieldAccuracy: result.fields.accuracy } : {})
+      };
+    });
+
+    let fields = null;
+    if (scoredFields) {
+      fields = {};
+      Object.entries(summary.fields.byField).sort(([a], [b]) => a.localeCompare(b)).forEach(([field, counts]) => {
+        fields[field] = counts.accuracy;
+      });
+    }
+
+    return {
+      createdAt: new Date().toISOString(),
+      strategy,
+      overall: {
+        boundaryPrecision: summary.boundaries.precision,
+        boundaryRecall: summary.boundaries.recall,
+        boundaryF1: summary.boundaries.f1,
+        ...(scoredFields ? { fieldAccuracy: summary.fields.accuracy } : {})
+      },
+      fixtures,
+      fields
+    };
+  }
+
+  /**
+   * Metrics that changed since the baseline. Only the metrics of the current
+   * run are compared, so a partial run (--only, boundaries only) compares what
+   * it evaluated.
+   * @param {Object} baseline - Stored baseline
+   * @param {Object} current - Baseline of the current run
+   * @returns {Array<Object>} - [{ metric, baseline, current, delta, status: improved | regressed | new | missing }]
+   */
+  diffBaseline(baseline, current) {
+    const changes = [];
+    const compare = (metric, before, after) => {
+      const previous = before === undefined ? null : before;
+      const next = after === undefined ? null : after;
+      if (previous === next) return;
+
+      if (previous === null || next === null) {
+        changes.push({ metric, baseline: previous, current: next, delta: null, status: next === null ? 'missing' : 'new' });
+        return;
+      }
+      const delta = round(next - previous);
+      changes.push({ metric, baseline: previous, current: next, delta, status: delta < 0 ? 'regressed' : 'improved' });
+    };
+
+    const partial = Object.keys(baseline.fixtures || {}).some(name => !current.fixtures[name]);
+    if (!partial) {
+      Object.keys(current.overall).forEach(metric => {
+        compare(`overall.${metric}`, (baseline.overall || {})[metric], current.overall[metric]);
+      });
+    }
+    if (!partial && current.fields) {
+      const fields = new Set([...Object.keys(baseline.fields || {}), ...Object.keys(current.fields)]);
+      [...fields].sort().forEach(field => {
+        compare(`fields.${field}`, (baseline.fields || {})[field], current.fields[field]);
+      });
+    }
+
+    Object.entries(current.fixtures).forEach(([name, metrics]) => {
+      const previous = (baseline.fixtures || {})[name];
+      if (!previous) {
+        changes.push({ metric: `fixtures.${name}`, baseline: null, current: null, delta: null, status: 'new' });
+        return;
+      }
+      Object.keys(metrics).forEach(metric => {
+        compare(`fixtures.${name}.${metric}`, previous[metric], metrics[metric]);
+      });
+    });
+
+    return changes;
+  }
+}
+
+const evaluationService = new EvaluationService();
+evaluationService.FIXTURE_FILES = FIXTURE_FILES;
+evaluationService.NUMBER_TOLERANCE = NUMBER_TOLERANCE;
+
+module.exports = evaluationService;
@@ -1,4 +1,4 @@
-const azureConfig = require('../../config/azure');
+const { getLLM } = require('../llm-providers');
 const { deriveProductTableHints } = require('./deriveProductTableHints');
 const { buildExtractPrompt } = require('../../prompts/extractInvoice');
 const { InvoiceExtractSchema } = require('../../validation/invoice-extract.zod');
@@ -91,16 +91,12 @@ function normalizeInvoice(extract) {
   return { normalized, diagnostics };
 }
 
-async function callAzureOpenAI({ system, user }) {
-  if (!azureConfig.openAIClient) {
-    azureConfig.initialize();
-  }
-  const client = azureConfig.getOpenAIClient();
-  const deployment = azureConfig.getOpenAIDeploymentName();
+async function callLLM({ system, user }) {
+  const { client, model } = getLLM('extraction');
 
   try {
     const resp = await client.chat.completions.create({
-      model: deployment,
+      model,
       messages: [
         { role: 'system', content: system },
         { role: 'user', content: JSON.stringify(user) },
@@ -131,7 +127,7 @@ async function callAzureOpenAI({ system, user }) {
       throw new Error(`Rate limit exceeded: ${error.message}. Please wait a moment before retrying.`);
     }
     if (error.message.includes('quota')) {
-      throw new Error(`API quota exceeded: ${error.message}. Please check your Azure OpenAI usage limits.`);
+      throw new Error(`API quota exceeded: ${error.message}. Please check your LLM provider usage limits.`);
     }
     throw error;
   }
@@ -160,7 +156,7 @@ async function extractFromLayout(layout) {
   const maxRetries = 2;
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
     try {
-      raw = await callAzureOpenAI({ system, user });
+      raw = await callLLM({ system, user });
       console.log('LLM Response length:', raw.length);
       if (raw.length < 10) {
         throw new Error('LLM response too short: ' + raw);
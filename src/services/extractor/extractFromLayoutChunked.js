@@ -1,18 +1,14 @@
-const azureConfig = require('../../config/azure');
+const { getLLM } = require('../llm-providers');
 const { deriveProductTableHints } = require('./deriveProductTableHints');
 const { buildExtractPrompt } = require('../../prompts/extractInvoice');
 const { InvoiceExtractSchema } = require('../../validation/invoice-extract.zod');
 const { normalizeInvoice } = require('./extractFromLayout');
 
-async function callAzureOpenAI({ system, user }) {
-  if (!azureConfig.openAIClient) {
-    azureConfig.initialize();
-  }
-  const client = azureConfig.getOpenAIClient();
-  const deployment = azureConfig.getOpenAIDeploymentName();
+async function callLLM({ system, user }) {
+  const { client, model } = getLLM('extraction');
 
   const resp = await client.chat.completions.create({
-    model: deployment,
+    model,
     messages: [
       { role: 'system', content: system },
       { role: 'user', content: JSON.stringify(user) },
@@ -107,7 +103,7 @@ async function extractFromLayoutChunked(layout) {
       // Call LLM
       let raw = '{}';
       try {
-        raw = await callAzureOpenAI({ system, user });
+        raw = await callLLM({ system, user });
         console.log(`✅ Chunk ${Math.floor(i/CHUNK_SIZE) + 1} LLM response: ${raw.length} chars`);
       } catch (err) {
         console.error(`❌ Chunk ${Math.floor(i/CHUNK_SIZE) + 1} LLM failed:`, err.message);
@@ -0,0 +1,299 @@
+/**
+ * ================================================================================
+ * HEURISTIC BOUNDARY SERVICE - RULE-BASED INVOICE SPLITTING
+ * ================================================================================
+ *
+ * Deterministic, offline alternative to LLM boundary detection. Every page is
+ * scored from its extracted text; pages scoring above the threshold start a new
+ * invoice. Also used as the fallback when the LLM call or its JSON fails.
+ *
+ * 🎯 PRIMARY METHODS:
+ * • detectInvoiceBoundaries(pages)   - Propose splits (same shape as the LLM service)
+ * • analyzePageSignals(pages)        - Per-page structural signals
+ * • scorePages(signals)              - "Starts a new invoice" score per page
+ *
+ * 🔍 SIGNALS:
+ * • Invoice number / date header patterns (EN, FR, DE)
+ * • "Page 1 of N" markers (page-number footers when line positions are known)
+ * • Totals blocks (the page after a total usually starts a new invoice,
+ *   especially when the total is at the end of the page content)
+ * • Vendor name changes (first line of the page)
+ * • "Continued" markers and blank pages (never start an invoice)
+ * • Learned vendor templates (first / continuation page of a known vendor)
+ *
+ * ================================================================================
+ */
+
+const INVOICE_NUMBER_PATTERNS = [
+  /(?:invoice|inv)\.?\s*(?:no\.?|number|num\.?|nr\.?|#|n°)\s*[:.]?\s*([A-Z0-9][A-Z0-9\-/.]{2,})/i,
+  /(?:facture|fact\.)\s*(?:n°|no\.?|num[ée]ro|#)?\s*[:.]?\s*([A-Z0-9][A-Z0-9\-/.]{2,})/i,
+  /(?:rechnung|rechnungs)\s*-?\s*(?:nr\.?|nummer)\s*[:.]?\s*([A-Z0-9][A-Z0-9\-/.]{2,})/i
+];
+
+const INVOICE_TITLE_PATTERN = /^\s*(?:commercial\s+|tax\s+|proforma\s+|pro-forma\s+)?(?:invoice|facture|rechnung|fattura|factura)\b/im;
+const DATE_HEADER_PATTERN = /(?:invoice\s+date|date\s+(?:de\s+)?facture|rechnungsdatum|date)\s*[:.]?\s*(\d{1,4}[./-]\d{1,2}[./-]\d{1,4})/i;
+const PAGE_MARKER_PATTERN = /(?:page|seite|pag\.?)\s*(\d{1,3})\s*(?:of|\/|de|sur|von|di)\s*(\d{1,3})/i;
+const TOTALS_PATTERN = /\b(?:grand\s+total|total\s+(?:ttc|due|amount|eur|usd|chf|gbp)|amount\s+due|balance\s+due|total\s+à\s+payer|net\s+à\s+payer|montant\s+total|gesamtbetrag|endbetrag|invoice\s+total)\b/i;
+const CONTINUED_PATTERN = /\b(?:continued|cont'd|suite|à\s+reporter|report|fortsetzung|übertrag|carried\s+forward)\b/i;
+
+const HEADER_LINES = 10;
+const BLANK_PAGE_WORDS = 3;
+// Relative vertical positions (0 = top, 1 = bottom) from the layout lines
+const FOOTER_REGION = 0.85;
+const HEADER_REGION = 0.15;
+// More lines than this below the totals block means it is not the end of the page
+const MAX_LINES_AFTER_TOTALS = 5;
+
+class HeuristicBoundaryService {
+  constructor() {
+    this.threshold = parseFloat(process.env.HEURISTIC_BOUNDARY_THRESHOLD || '0.5');
+  }
+
+  /**
+   * Detect invoice boundaries from page text only
+   * @param {Array} pages - Array of page objects ({ pageNumber, text, wordCount })
+   * @param {Object} [options] - { templateHints } from VendorTemplateService.matchPages
+   * @returns {Promise<Object>} - Same result shape as AzureOpenAIService.detectInvoiceBoundaries
+   */
+  async detectInvoiceBoundaries(pages, { templateHints = null } = {}) {
+    try {
+      const signals = this.analyzePageSignals(pages);
+      if (templateHints) {
+        signals.forEach(signal => {
+          signal.template = templateHints.pages[signal.pageNumber] || null;
+        });
+      }
+      const scores = this.scorePages(signals);
+      const proposedSplits = this.buildSplits(signals, scores);
+
+      console.log(`Heuristic boundary detection completed: ${proposedSplits.length} invoices detected`);
+
+      return {
+        success: true,
+        totalPages: pages.length,
+        invoiceCount: proposedSplits.length,
+        proposedSplits,
+        metadata: {
+          analyzedAt: new Date().toISOString(),
+          strategy: 'heuristic',
+          threshold: this.threshold,
+          confidence: proposedSplits.reduce((sum, s) => sum + s.confidence, 0) / (proposedSplits.length || 1),
+          pageScores: scores.map(s => ({ pageNumber: s.pageNumber, score: s.score, reasons: s.reasons }))
+        }
+      };
+    } catch (error) {
+      console.error('Error in heuristic boundary detection:', error);
+      return {
+        success: false,
+        error: error.message,
+        totalPages: pages.length,
+        invoiceCount: 0,
+        proposedSplits: []
+      };
+    }
+  }
+
+  /**
+   * Extract structural signals from every page
+   * @param {Array} pages - Array of page objects with text (and optional
+   *                        positioned `lines` from the layout: [{ content, y }])
+   * @returns {Array} - Signals per page
+   */
+  analyzePageSignals(pages) {
+    return pages.map((page, index) => {
+      const text = page.text || '';
+      const lines = text.split('\n').map(l => l.trim()).filter(Boolean);
+      const header = lines.slice(0, HEADER_LINES).join('\n');
+      const wordCount = page.wordCount != null ? page.wordCount : text.split(/\s+/).filter(Boolean).length;
+
+      let invoiceNumber = null;
+      for (const pattern of INVOICE_NUMBER_PATTERNS) {
+        const match = text.match(pattern);
+        if (match) {
+          invoiceNumber = match[1].replace(/[.:]+$/, '');
+          break;
+        }
+      }
+
+      const positioned = (page.lines || []).filter(l => typeof l.y === 'number');
+      const footerText = positioned.filter(l => l.y >= FOOTER_REGION).map(l => l.content).join('\n');
+      const headerText = positioned.filter(l => l.y <= HEADER_REGION).map(l => l.content).join('\n');
+
+      let pageMarker = null;
+      for (const [location, source] of [['footer', footerText], ['header', headerText], ['body', text]]) {
+        const match = source.match(PAGE_MARKER_PATTERN);
+        if (match) {
+          pageMarker = { current: parseInt(match[1], 10), total: parseInt(match[2], 10), location };
+          break;
+        }
+      }
+
+      const totalsLines = positioned.filter(l => TOTALS_PATTERN.test(l.content));
+      const totalsPosition = totalsLines.length > 0 ? totalsLines[totalsLines.length - 1].y : null;
+      const linesAfterTotals = totalsPosition !== null ? positioned.filter(l => l.y > totalsPosition).length : null;
+
+      return {
+        pageNumber: page.pageNumber || (index + 1),
+        wordCount,
+        isBlank: wordCount < BLANK_PAGE_WORDS,
+        invoiceNumber,
+        hasInvoiceTitle: INVOICE_TITLE_PATTERN.test(header),
+        hasDateHeader: DATE_HEADER_PATTERN.test(header),
+        pageMarker,
+        hasTotals: TOTALS_PATTERN.test(text),
+        totalsPosition,
+        linesAfterTotals,
+        isContinued: CONTINUED_PATTERN.test(header),
+        vendor: this.normalizeVendor(lines[0])
+      };
+    });
+  }
+
+  /**
+   * Score how likely each page starts a new invoice
+   * @param {Array} signals - Output of analyzePageSignals
+   * @returns {Array} - [{ pageNumber, score, reasons }]
+   */
+  scorePages(signals) {
+    let currentInvoiceNumber = null;
+    let previousContent = null;
+
+    return signals.map((page, index) => {
+      const reasons = [];
+      let score = 0;
+
+      if (index === 0) {
+        if (page.invoiceNumber) currentInvoiceNumber = page.invoiceNumber;
+        if (!page.isBlank) previousContent = page;
+        return { pageNumber: page.pageNumber, score: 1, reasons: ['First page'] };
+      }
+
+      if (page.isBlank) {
+        return { pageNumber: page.pageNumber, score: 0, reasons: ['Blank page'] };
+      }
+
+      if (page.pageMarker) {
+        const label = page.pageMarker.location === 'footer' ? 'Page-number footer' : 'Page marker';
+        if (page.pageMarker.current === 1) {
+          score += 0.5;
+          reasons.push(`${label} "1 of ${page.pageMarker.total}"`);
+        } else {
+          score -= 0.6;
+          reasons.push(`${label} "${page.pageMarker.current} of ${page.pageMarker.total}" (continuation)`);
+        }
+      }
+
+      if (page.invoiceNumber) {
+        if (currentInvoiceNumber && page.invoiceNumber === currentInvoiceNumber) {
+          score -= 0.5;
+          reasons.push(`Same invoice number ${page.invoiceNumber}`);
+        } else {
+          score += 0.4;
+          reasons.push(`New invoice number ${page.invoiceNumber}`);
+        }
+      }
+
+      if (page.hasInvoiceTitle) {
+        score += 0.15;
+        reasons.push('Invoice title in header');
+      }
+
+      if (page.hasDateHeader) {
+        score += 0.1;
+        reasons.push('Date in header');
+      }
+
+      if (previousContent && previousContent.hasTotals) {
+        if (previousContent.linesAfterTotals !== null && previousContent.linesAfterTotals > MAX_LINES_AFTER_TOTALS) {
+          // Totals followed by more content are weaker evidence that the previous page ended an invoice
+          score += 0.1;
+          reasons.push(`Totals block mid-page on page ${previousContent.pageNumber}`);
+        } else {
+          score += 0.2;
+          reasons.push(`Totals block on page ${previousContent.pageNumber}`);
+        }
+      }
+
+      if (previousContent && page.vendor && previousContent.vendor && page.vendor !== previousContent.vendor) {
+        score += 0.2;
+        reasons.push('Vendor/header line changed');
+      }
+
+      if (page.isContinued) {
+        score -= 0.3;
+        reasons.push('"Continued" marker');
+      }
+
+      if (page.template && page.template.role === 'first') {
+        score += 0.5;
+        reasons.push(`First page of learned ${page.template.vendorName} template`);
+      } else if (page.template) {
+        score -= 0.5;
+        reasons.push(`Continuation page of learned ${page.template.vendorName} template`);
+      }
+
+      score = Number(score.toFixed(2));
+      if (score >= this.threshold && page.invoiceNumber) {
+        currentInvoiceNumber = page.invoiceNumber;
+      } else if (score >= this.threshold) {
+        currentInvoiceNumber = null;
+      }
+      previousContent = page;
+
+      return { pageNumber: page.pageNumber, score, reasons };
+    });
+  }
+
+  /**
+   * Turn page scores into contiguous splits
+   * @param {Array} signals - Page signals
+   * @param {Array} scores - Page scores
+   * @returns {Array} - Splits in the LLM proposal format
+   */
+  buildSplits(signals, scores) {
+    const splits = [];
+
+    scores.forEach((pageScore, index) => {
+      const page = signals[index];
+      if (index === 0 || pageScore.score >= this.threshold) {
+        splits.push({
+          startPage: page.pageNumber,
+          endPage: page.pageNumber,
+          invoiceNumber: page.invoiceNumber,
+          score: pageScore.score,
+          reasons: pageScore.reasons
+        });
+      } else {
+        const current = splits[splits.length - 1];
+        current.endPage = page.pageNumber;
+        if (!current.invoiceNumber && page.invoiceNumber) current.invoiceNumber = page.invoiceNumber;
+      }
+    });
+
+    return splits.map((split, index) => {
+      // Distance from the threshold drives the confidence of the boundary
+      const margin = index === 0
+        ? (signals[0].invoiceNumber || signals[0].hasInvoiceTitle ? 0.3 : 0.1)
+        : split.score - this.threshold;
+      const confidence = Number(Math.min(0.95, 0.55 + margin).toFixed(2));
+
+      return {
+        id: `invoice_${index + 1}`,
+        invoiceNumber: split.invoiceNumber || `Invoice ${index + 1}`,
+        startPage: split.startPage,
+        endPage: split.endPage,
+        confidence,
+        reasoning: `Heuristic: ${split.reasons.join('; ')}`,
+        pageRange: `${split.startPage}-${split.endPage}`
+      };
+    });
+  }
+
+  normalizeVendor(line) {
+    if (!line) return null;
+    const normalized = line.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    return normalized.length >= 3 ? normalized.substring(0, 40) : null;
+  }
+}
+
+module.exports = new HeuristicBoundaryService();
@@ -0,0 +1,166 @@
+/**
+ * ================================================================================
+ * HYBRID BOUNDARY SERVICE - LLM PROPOSALS CHECKED AGAINST STRUCTURAL SIGNALS
+ * ================================================================================
+ *
+ * Runs LLM boundary detection and the rule-based page scoring side by side. The
+ * LLM splits are kept, but every boundary is checked against the layout signals
+ * (page-number footers, repeated invoice IDs, "continued" markers, totals
+ * positions). Agreement raises the confidence; disagreement lowers it and flags
+ * the boundary for review with an explanation.
+ *
+ * 🎯 PRIMARY METHODS:
+ * • detectInvoiceBoundaries(pages)             - Hybrid detection (LLM result shape)
+ * • reconcile(llmResult, heuristicResult)      - Combine both proposals
+ * • checkBoundary(split, index, scoresByPage)  - Per-boundary agreement + explanation
+ *
+ * 📋 BOUNDARY CHECK (added to every split as `boundaryCheck`):
+ * • status       - agree | uncertain | disagree
+ * • flagged      - true when a reviewer should double-check this boundary
+ * • llmConfidence / signalScore - the two inputs behind `confidence`
+ * • explanation  - Human readable reasons (shown on the validate-splits page)
+ * • suggestedBoundaries - Pages inside the split that look like a new invoice
+ *
+ * ================================================================================
+ */
+
+const azureOpenAIService = require('./azure-openai.service');
+const heuristicBoundaryService = require('./heuristic-boundary.service');
+
+class HybridBoundaryService {
+  constructor() {
+    this.reviewThreshold = parseFloat(process.env.HYBRID_REVIEW_THRESHOLD || '0.7');
+  }
+
+  /**
+   * Detect invoice boundaries with the LLM and reconcile them with page signals
+   * @param {Array} pages - Array of page objects ({ pageNumber, text, wordCount, lines })
+   * @param {Object} [options] - { onProgress, templateHints } passed to the LLM detection
+   * @returns {Promise<Object>} - Same result shape as AzureOpenAIService.detectInvoiceBoundaries
+   */
+  async detectInvoiceBoundaries(pages, options = {}) {
+    const heuristicResult = await heuristicBoundaryService.detectInvoiceBoundaries(pages, { templateHints: options.templateHints });
+    const llmResult = await azureOpenAIService.detectInvoiceBoundaries(pages, options);
+
+    if (!llmResult.success) {
+      return llmResult;
+    }
+
+    // The LLM already fell back to the heuristic detector - nothing to reconcile
+    if (llmResult.metadata?.fallback || !heuristicResult.success) {
+      return llmResult;
+    }
+
+    return this.reconcile(llmResult, heuristicResult);
+  }
+
+  /**
+   * Combine the LLM proposal with the heuristic page scores
+   * @param {Object} llmResult - Result of the LLM boundary detection
+   * @param {Object} heuristicResult - Result of the heuristic boundary detection
+   * @returns {Object} - LLM result with reconciled confidences and boundary checks
+   */
+  reconcile(llmResult, heuristicResult) {
+    const scoresByPage = new Map(
+      (heuristicResult.metadata.pageScores || []).map(s => [s.pageNumber, s])
+    );
+
+    const proposedSplits = llmResult.proposedSplits.map((split, index) => {
+      const boundaryCheck = this.checkBoundary(split, index, scoresByPage);
+      return {
+        ...split,
+        confidence: boundaryCheck.confidence,
+        boundaryCheck: {
+          status: boundaryCheck.status,
+          flagged: boundaryCheck.flagged,
+          llmConfidence: split.confidence,
+          signalScore: boundaryCheck.signalScore,
+          explanation: boundaryCheck.explanation,
+          suggestedBoundaries: boundaryCheck.suggestedBoundaries
+        }
+      };
+    });
+
+    const flaggedBoundaries = proposedSplits.filter(s => s.boundaryCheck.flagged).length;
+    console.log(`Hybrid boundary check: ${flaggedBoundaries} of ${proposedSplits.length} boundaries flagged for review`);
+
+    return {
+      ...llmResult,
+      proposedSplits,
+      metadata: {
+        ...llmResult.metadata,
+        strategy: 'hybrid',
+        confidence: proposedSplits.reduce((sum, s) => sum + s.confidence, 0) / (proposedSplits.length || 1),
+        llmConfidence: llmResult.metadata?.confidence,
+        heuristicInvoiceCount: heuristicResult.invoiceCount,
+        threshold: heuristicResult.metadata.threshold,
+        reviewThreshold: this.reviewThreshold,
+        flaggedBoundaries,
+        pageScores: heuristicResult.metadata.pageScores
+      }
+    };
+  }
+
+  /**
+   * Check one LLM split against the page signals
+   * @param {Object} split - LLM split
+   * @param {number} index - Split index (the first split always starts on page 1)
+   * @param {Map} scoresByPage - pageNumber → { score, reasons }
+   * @returns {Object} - { status, flagged, confidence, signalScore, explanation, suggestedBoundaries }
+   */
+  checkBoundary(split, index, scoresByPage) {
+    const threshold = heuristicBoundaryService.threshold;
+    const llmConfidence = typeof split.confidence === 'number' ? split.confidence : 0.5;
+    const explanation = [];
+    let status = 'agree';
+    let confidence = llmConfidence;
+    let signalScore = null;
+
+    if (index > 0) {
+      const start = scoresByPage.get(split.startPage) || { score: 0, reasons: [] };
+      const signals = start.reasons.length > 0 ? start.reasons.join('; ') : 'no structural signals';
+      signalScore = start.score;
+      // Same mapping as heuristic split confidence, clamped to [0.05, 0.95]
+      const signalConfidence = Math.max(0.05, Math.min(0.95, 0.55 + (start.score - threshold)));
+
+      if (start.score >= threshold) {
+        confidence = Math.min(0.99, (llmConfidence + signalConfidence) / 2 + 0.1);
+        explanation.push(`Page ${split.startPage}: LLM and page signals agree (${signals})`);
+      } else if (start.score > 0) {
+        status = 'uncertain';
+        confidence = (llmConfidence + signalConfidence) / 2;
+        explanation.push(`Page ${split.startPage}: weak page signals for a new invoice (${signals})`);
+      } else {
+        status = 'disagree';
+        confidence = Math.min(llmConfidence, signalConfidence);
+        explanation.push(`Page ${split.startPage}: page signals indicate a continuation, not a new invoice (${signals})`);
+      }
+    }
+
+    // Pages inside the split that look like the start of another invoice
+    const suggestedBoundaries = [];
+    for (let page = split.startPage + 1; page <= split.endPage; page++) {
+      const pageScore = scoresByPage.get(page);
+      if (pageScore && pageScore.score >= threshold) {
+        suggestedBoundaries.push(page);
+        explanation.push(`Page ${page}: page signals suggest a new invoice starts here (${pageScore.reasons.join('; ')})`);
+      }
+    }
+
+    if (suggestedBoundaries.length > 0) {
+      if (status === 'agree') status = 'uncertain';
+      confidence = Math.min(confidence, 0.6);
+    }
+
+    confidence = Number(confidence.toFixed(2));
+    const flagged = status !== 'agree' || confidence < this.reviewThreshold;
+
+    if (flagged && status === 'agree') {
+      explanation.push(`Confidence ${Math.round(confidence * 100)}% is below the review threshold`);
+    }
+
+    return { status, flagged, confidence, signalScore, explanation, suggestedBoundaries };
+  }
+}
+
+module.exports = new HybridBoundaryService();
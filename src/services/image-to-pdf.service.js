@@ -0,0 +1,139 @@
+/**
+ * ================================================================================
+ * IMAGE TO PDF SERVICE - SCANNER OUTPUT NORMALIZATION
+ * ================================================================================
+ *
+ * Warehouse scanners emit TIFF (often multi-page), JPEG and PNG. Uploads in
+ * those formats are converted into a PDF with pdf-lib before the batch is
+ * created, so the rest of the pipeline (getPDFInfo, splitPDF, layout analysis)
+ * only ever sees PDFs.
+ *
+ * 📄 PAGES:
+ * • One page per JPEG / PNG image, one page per TIFF frame (IFD)
+ * • Page size follows the image resolution (TIFF XResolution), else DEFAULT_DPI
+ *
+ * 🖼️ FORMATS:
+ * • JPEG and PNG are embedded as they are
+ * • TIFF frames are decoded (UTIF) and embedded as PNG
+ *
+ * ================================================================================
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const { PNG } = require('pngjs');
+const UTIF = require('utif');
+
+const FORMATS = {
+  tiff: { mimeTypes: ['image/tiff', 'image/tif'], extensions: ['.tif', '.tiff'] },
+  jpeg: { mimeTypes: ['image/jpeg', 'image/jpg', 'image/pjpeg'], extensions: ['.jpg', '.jpeg'] },
+  png: { mimeTypes: ['image/png'], extensions: ['.png'] }
+};
+
+// Resolution assumed when the image does not carry a usable one (typical scan setting)
+const DEFAULT_DPI = 200;
+const MIN_DPI = 50;
+const MAX_DPI = 1200;
+const POINTS_PER_INCH = 72;
+
+function conversionError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+class ImageToPdfService {
+  /**
+   * Image format of an uploaded file, from its MIME type or extension
+   * @param {Object} file - { mimetype, originalname }
+   * @returns {string|null} - 'tiff' | 'jpeg' | 'png', or null for other files
+   */
+  getFormat({ mimetype, originalname }) {
+    const extension = path.extname(originalname || '').toLowerCase();
+    const format = Object.keys(FORMATS).find(name =>
+      FORMATS[name].mimeTypes.includes(mimetype) || FORMATS[name].extensions.includes(extension)
+    );
+    return format || null;
+  }
+
+  isConvertible(file) {
+    return this.getFormat(file) !== null;
+  }
+
+  getExtensions() {
+    return Object.values(FORMATS).flatMap(format => format.extensions);
+  }
+
+  /**
+   * Convert an image file into a PDF next to it
+   * @param {string} filePath - Image file
+   * @param {string} format - 'tiff' | 'jpeg' | 'png'
+   * @returns {Promise<Object>} - { outputPath, pageCount, format }
+   * @throws {Error} - status 400 when the image cannot be read
+   */
+  async convertToPdf(filePath, format) {
+    const bytes = await fs.readFile(filePath);
+    // No creation dates: the same image always gives the same PDF
+    const pdfDoc = await PDFDocument.create({ updateMetadata: false });
+
+    try {
+      if (format === 'tiff') {
+        await this.addTiffPages(pdfDoc, bytes);
+      } else {
+        const image = format === 'png' ? await pdfDoc.embedPng(bytes) : await pdfDoc.embedJpg(bytes);
+        this.addImagePage(pdfDoc, image, DEFAULT_DPI);
+      }
+    } catch (error) {
+      throw conversionError(`Invalid ${format.toUpperCase()} image: ${error.message}`);
+    }
+
+    if (pdfDoc.getPageCount() === 0) {
+      throw conversionError(`Invalid ${format.toUpperCase()} image: no pages found`);
+    }
+
+    const outputPath = path.join(path.dirname(filePath), `${path.basename(filePath, path.extname(filePath))}.pdf`);
+    await fs.writeFile(outputPath, await pdfDoc.save());
+
+    console.log(`🖼️  Converted ${format.toUpperCase()} to PDF: ${pdfDoc.getPageCount()} page(s)`);
+    return { outputPath, pageCount: pdfDoc.getPageCount(), format };
+  }
+
+  async addTiffPages(pdfDoc, bytes) {
+    const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    const frames = UTIF.decode(buffer).filter(ifd => ifd.t256 && ifd.t257);
+
+    // One frame at a time: decoded frames of a large scan take tens of MB each
+    for (const frame of frames) {
+      UTIF.decodeImage(buffer, frame);
+      const png = PNG.sync.write({
+        width: frame.width,
+        height: frame.height,
+        data: Buffer.from(UTIF.toRGBA8(frame))
+      });
+      frame.data = null;
+
+      this.addImagePage(pdfDoc, await pdfDoc.embedPng(png), this.getTiffDpi(frame));
+    }
+  }
+
+  addImagePage(pdfDoc, image, dpi) {
+    const scale = POINTS_PER_INCH / dpi;
+    const width = image.width * scale;
+    const height = image.height * scale;
+    const page = pdfDoc.addPage([width, height]);
+    page.drawImage(image, { x: 0, y: 0, width, height });
+  }
+
+  // XResolution in dots per inch (ResolutionUnit 3 = centimeters)
+  getTiffDpi(frame) {
+    const resolution = frame.t282 ? Number(frame.t282[0]) : NaN;
+    const dpi = frame.t296 && frame.t296[0] === 3 ? resolution * 2.54 : resolution;
+    return dpi >= MIN_DPI && dpi <= MAX_DPI ? dpi : DEFAULT_DPI;
+  }
+}
+
+const imageToPdfService = new ImageToPdfService();
+imageToPdfService.DEFAULT_DPI = DEFAULT_DPI;
+
+module.exports = imageToPdfService;
@@ -0,0 +1,208 @@
+/**
+ * ================================================================================
+ * JOB QUEUE SERVICE - PERSISTENT BACKGROUND WORK
+ * ================================================================================
+ *
+ * SQLite-backed queue for long-running batch work (text extraction, boundary
+ * detection, data extraction). Jobs survive restarts: a worker refreshes the
+ * lock of every running job with a heartbeat, and jobs whose heartbeat stopped
+ * are put back in the queue at startup and while polling.
+ *
+ * 🎯 PRIMARY METHODS:
+ * • register(type, handler, options)   - Register a handler for a job type
+ * • enqueue(type, payload, options)    - Persist a new job
+ * • start(options) / stop()            - Run / stop the polling worker
+ * • getStats()                         - Worker state for health endpoints
+ *
+ * ⚙️ CONFIGURATION:
+ * • JOB_CONCURRENCY       - Jobs run in parallel by one worker (default 2)
+ * • JOB_MAX_ATTEMPTS      - Attempts before a job is FAILED (default 3)
+ * • JOB_RETRY_BASE_MS     - Backoff base, doubled on every retry (default 5000)
+ * • JOB_POLL_INTERVAL_MS  - Queue polling interval (default 1000)
+ * • JOB_STALE_SECONDS     - Heartbeat age after which a running job is requeued (default 120)
+ * • JOB_WORKER_EMBEDDED   - 'false' to run jobs only in `npm run worker`
+ *
+ * ================================================================================
+ */
+
+const os = require('os');
+const Job = require('../models/job.model');
+
+class JobQueueService {
+  constructor() {
+    this.handlers = {};
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.concurrency = parseInt(process.env.JOB_CONCURRENCY || '2', 10);
+    this.maxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS || '3', 10);
+    this.retryBaseMs = parseInt(process.env.JOB_RETRY_BASE_MS || '5000', 10);
+    this.pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS || '1000', 10);
+    this.staleSeconds = parseInt(process.env.JOB_STALE_SECONDS || '120', 10);
+    // Heartbeat well inside the stale window
+    this.heartbeatMs = Math.max(1000, (this.staleSeconds * 1000) / 4);
+
+    this.running = false;
+    this.pollTimer = null;
+    this.lastStaleCheck = 0;
+    this.activeJobs = new Map();
+    this.ticking = false;
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type - Job type
+   * @param {Function} handler - async (payload, job) => result
+   * @param {Object} [options]
+   * @param {Function} [options.onFailure] - async (job, error) called once all attempts failed
+   */
+  register(type, handler, { onFailure } = {}) {
+    this.handlers[type] = { handler, onFailure };
+  }
+
+  /**
+   * Persist a new job
+   * @param {string} type - Registered job type
+   * @param {Object} payload - JSON payload passed to the handler
+   * @param {Object} [options] - { batchId, maxAttempts }
+   * @returns {Promise<Job>}
+   */
+  async enqueue(type, payload = {}, { batchId = null, maxAttempts } = {}) {
+    const job = await Job.create({
+      type,
+      batchId,
+      payload,
+      maxAttempts: maxAttempts || this.maxAttempts
+    });
+
+    console.log(`📥 Job queued: ${type} ${job.id}${batchId ? ` (batch ${batchId})` : ''}`);
+
+    // Pick it up right away when this process runs a worker
+    if (this.running) setImmediate(() => this.tick());
+    return job;
+  }
+
+  /**
+   * Start polling the queue
+   * @param {Object} [options] - { concurrency }
+   */
+  async start({ concurrency } = {}) {
+    if (this.running) return;
+    if (concurrency) this.concurrency = concurrency;
+    this.running = true;
+
+    // Resume jobs interrupted by a previous shutdown or crash
+    await this.requeueStaleJobs();
+
+    console.log(`👷 Job worker ${this.workerId} started (concurrency ${this.concurrency}, types: ${Object.keys(this.handlers).join(', ')})`);
+    this.scheduleTick();
+  }
+
+  /**
+   * Stop polling and wait for running jobs to finish
+   * @param {number} [timeoutMs] - Maximum wait for running jobs
+   */
+  async stop(timeoutMs = 25000) {
+    this.running = false;
+    if (this.pollTimer) clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+
+    if (this.activeJobs.size === 0) return;
+
+    console.log(`⏳ Waiting for ${this.activeJobs.size} running job(s) to finish...`);
+    await Promise.race([
+      Promise.allSettled([...this.activeJobs.values()]),
+      new Promise(resolve => setTimeout(resolve, timeoutMs))
+    ]);
+  }
+
+  scheduleTick() {
+    if (!this.running) return;
+    this.pollTimer = setTimeout(async () => {
+      await this.tick();
+      this.scheduleTick();
+    }, this.pollIntervalMs);
+  }
+
+  /**
+   * Claim due jobs until the concurrency limit is reached
+   */
+  async tick() {
+    if (!this.running || this.ticking) return;
+    this.ticking = true;
+
+    try {
+      if (Date.now() - this.lastStaleCheck > this.heartbeatMs) {
+        await this.requeueStaleJobs();
+      }
+
+      const types = Object.keys(this.handlers);
+      while (this.running && types.length > 0 && this.activeJobs.size < this.concurrency) {
+        const job = await Job.claimNext(this.workerId, types);
+        if (!job) break;
+
+        const execution = this.runJob(job)
+          .catch(error => console.error(`Job ${job.id} bookkeeping error:`, error))
+          .finally(() => this.activeJobs.delete(job.id));
+        this.activeJobs.set(job.id, execution);
+      }
+    } catch (error) {
+      console.error('Job queue polling error:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async requeueStaleJobs() {
+    this.lastStaleCheck = Date.now();
+    const requeued = await Job.requeueStale(this.staleSeconds);
+    if (requeued > 0) {
+      console.log(`♻️  Requeued ${requeued} interrupted job(s)`);
+    }
+  }
+
+  /**
+   * Run one claimed job with heartbeat, retry and failure handling
+   * @param {Job} job - Claimed job
+   */
+  async runJob(job) {
+    const { handler, onFailure } = this.handlers[job.type];
+    const heartbeat = setInterval(() => {
+      job.heartbeat().catch(error => console.warn(`Heartbeat failed for job ${job.id}:`, error.message));
+    }, this.heartbeatMs);
+
+    console.log(`▶️  Job ${job.type} ${job.id} started (attempt ${job.attempts}/${job.maxAttempts})`);
+
+    try {
+      const result = await handler(job.payload, job);
+      await job.markCompleted(result === undefined ? null : result);
+      console.log(`✅ Job ${job.type} ${job.id} completed`);
+    } catch (error) {
+      const message = error.message || String(error);
+
+      if (job.attempts < job.maxAttempts) {
+        const delayMs = this.retryBaseMs * Math.pow(2, job.attempts - 1);
+        await job.markRetry(message, delayMs / 1000);
+        console.warn(`🔁 Job ${job.type} ${job.id} failed (${message}), retrying in ${Math.round(delayMs / 1000)}s`);
+      } else {
+        await job.markFailed(message);
+        console.error(`❌ Job ${job.type} ${job.id} failed after ${job.attempts} attempt(s): ${message}`);
+        if (onFailure) {
+          await Promise.resolve(onFailure(job, error)).catch(err => console.error('Job failure handler error:', err));
+        }
+      }
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  getStats() {
+    return {
+      workerId: this.workerId,
+      running: this.running,
+      concurrency: this.concurrency,
+      activeJobs: [...this.activeJobs.keys()],
+      types: Object.keys(this.handlers)
+    };
+  }
+}
+
+module.exports = new JobQueueService();
@@ -0,0 +1,116 @@
+/**
+ * ================================================================================
+ * LAYOUT CACHE SERVICE - PAGE-KEYED DOCUMENT LAYOUT
+ * ================================================================================
+ *
+ * The document provider analyzes a batch once, during processing. The layout is
+ * stored with the batch (blob store) keyed by page number, so extraction slices
+ * the pages of each invoice instead of analyzing its split PDF again.
+ *
+ * 🗂️ CACHED LAYOUT:
+ * • { version, provider, capturedAt, totalPages, pages: { "<pageNumber>": { page, paragraphs, tables } } }
+ * • Paragraphs and tables belong to the first page of their bounding regions
+ *
+ * ✂️ SLICE:
+ * • slice(cachedLayout, startPage, endPage) returns the provider layout shape
+ *   ({ content, pages, tables, paragraphs, spans }) expected by extractFromLayout
+ * • slicePages(cachedLayout, pageNumbers) does the same for a page list (splits
+ *   with excluded or reordered pages)
+ *
+ * ================================================================================
+ */
+
+const CACHE_VERSION = 1;
+
+class LayoutCacheService {
+  /**
+   * Build the page-keyed cache entry for a full document layout
+   * @param {Object} layout - Provider layout ({ pages, tables, paragraphs })
+   * @param {Object} [info] - { provider }
+   * @returns {Object} - Cached layout
+   */
+  index(layout, { provider = null } = {}) {
+    const pages = {};
+    const entryFor = (pageNumber) => {
+      if (!pages[pageNumber]) {
+        pages[pageNumber] = { page: null, paragraphs: [], tables: [] };
+      }
+      return pages[pageNumber];
+    };
+
+    (layout.pages || []).forEach((page, index) => {
+      entryFor(page.pageNumber || index + 1).page = page;
+    });
+    (layout.paragraphs || []).forEach(paragraph => {
+      entryFor(this.firstPageOf(paragraph)).paragraphs.push(paragraph);
+    });
+    (layout.tables || []).forEach(table => {
+      entryFor(this.firstPageOf(table)).tables.push(table);
+    });
+
+    return {
+      version: CACHE_VERSION,
+      provider,
+      capturedAt: new Date().toISOString(),
+      totalPages: (layout.pages || []).length,
+      pages
+    };
+  }
+
+  isIndexed(layout) {
+    return Boolean(layout && layout.version === CACHE_VERSION && layout.pages && !Array.isArray(layout.pages));
+  }
+
+  /**
+   * Layout of a page range in the provider format
+   * @param {Object} layout - Cached layout (a plain provider layout is indexed first)
+   * @param {number} startPage - First page (1-based, inclusive)
+   * @param {number} endPage - Last page (inclusive)
+   * @returns {Object|null} - { content, pages, tables, paragraphs, spans }, or null when a page is missing
+   */
+  slice(layout, startPage, endPage) {
+    const pageNumbers = [];
+    for (let pageNumber = startPage; pageNumber <= endPage; pageNumber++) {
+      pageNumbers.push(pageNumber);
+    }
+    return this.slicePages(layout, pageNumbers);
+  }
+
+  /**
+   * Layout of a list of pages, in list order
+   * @param {Object} layout - Cached layout (a plain provider layout is indexed first)
+   * @param {Array<number>} pageNumbers - Pages (1-based)
+   * @returns {Object|null} - { content, pages, tables, paragraphs, spans }, or null when a page is missing
+   */
+  slicePages(layout, pageNumbers) {
+    const cached = this.isIndexed(layout) ? layout : this.index(layout);
+    const sliced = { content: '', pages: [], tables: [], paragraphs: [], spans: [] };
+
+    for (const pageNumber of pageNumbers) {
+      const entry = cached.pages[pageNumber];
+      if (!entry || !entry.page) {
+        return null;
+      }
+      sliced.pages.push(entry.page);
+      sliced.paragraphs.push(...entry.paragraphs);
+      sliced.tables.push(...entry.tables);
+    }
+
+    // Same markdown-ish content as getLayoutFromPDF builds for a whole document
+    sliced.content = sliced.paragraphs.length > 0
+      ? sliced.paragraphs.map(p => p.content).join('\n\n')
+      : sliced.pages.map(page => (page.lines || []).map(line => line.content).join('\n')).join('\n\n');
+
+    return sliced;
+  }
+
+  firstPageOf(element) {
+    const regions = element.boundingRegions || [];
+    return regions.length > 0 ? regions[0].pageNumber : 1;
+  }
+}
+
+const layoutCacheService = new LayoutCacheService();
+layoutCacheService.CACHE_VERSION = CACHE_VERSION;
+
+module.exports = layoutCacheService;
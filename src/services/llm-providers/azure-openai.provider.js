@@ -0,0 +1,52 @@
+/**
+ * Azure OpenAI chat provider.
+ * Reuses the client built by AzureConfig for the default deployment and builds
+ * extra clients when a pipeline stage targets another deployment.
+ */
+
+const azureConfig = require('../../config/azure');
+
+class AzureOpenAIProvider {
+  constructor() {
+    this.name = 'azure-openai';
+    this.clients = {};
+  }
+
+  initialize() {
+    azureConfig.initializeOpenAI();
+  }
+
+  isConfigured() {
+    try {
+      this.initialize();
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * @param {string} stage - Pipeline stage (unused, all stages share clients)
+   * @param {string} [model] - Deployment name override
+   * @returns {Object} - OpenAI SDK client bound to the deployment
+   */
+  getClient(stage, model) {
+    this.initialize();
+    const deployment = model || azureConfig.getOpenAIDeploymentName();
+    if (deployment === azureConfig.getOpenAIDeploymentName()) {
+      return azureConfig.getOpenAIClient();
+    }
+
+    // Azure routes by deployment in the URL, so each deployment needs its own client
+    if (!this.clients[deployment]) {
+      this.clients[deployment] = azureConfig.createOpenAIClient(deployment);
+    }
+    return this.clients[deployment];
+  }
+
+  getDefaultModel() {
+    return azureConfig.getOpenAIDeploymentName();
+  }
+}
+
+module.exports = AzureOpenAIProvider;
@@ -0,0 +1,93 @@
+/**
+ * LLM provider registry.
+ *
+ * Providers expose:
+ * • name                      - Provider identifier
+ * • initialize()              - Build clients (throws when not configured)
+ * • isConfigured()            - Whether the provider can serve requests
+ * • getClient(stage, model)   - OpenAI SDK compatible client (chat.completions.create)
+ * • getDefaultModel()         - Model/deployment used when no override is set
+ *
+ * Each pipeline stage picks its provider independently:
+ * • boundary   - Invoice boundary detection     (LLM_BOUNDARY_PROVIDER / LLM_BOUNDARY_MODEL)
+ * • extraction - Layout → InvoiceExtract         (LLM_EXTRACTION_PROVIDER / LLM_EXTRACTION_MODEL)
+ * • fields     - Field confirmation & tax rates  (LLM_FIELDS_PROVIDER / LLM_FIELDS_MODEL)
+ * Stages without an override use LLM_PROVIDER, then azure-openai.
+ */
+
+const AzureOpenAIProvider = require('./azure-openai.provider');
+const OpenAICompatibleProvider = require('./openai-compatible.provider');
+const MockProvider = require('./mock.provider');
+
+const PROVIDERS = {
+  'azure-openai': AzureOpenAIProvider,
+  openai: OpenAICompatibleProvider,
+  mock: MockProvider
+};
+
+const STAGES = ['boundary', 'extraction', 'fields'];
+
+const instances = {};
+
+function getProvider(name) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider: ${name}. Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  if (!instances[name]) {
+    instances[name] = new Provider();
+  }
+  return instances[name];
+}
+
+/**
+ * Name of the provider configured for a stage
+ * @param {string} stage - Pipeline stage
+ * @returns {string}
+ */
+function getStageProviderName(stage) {
+  const stageVar = `LLM_${String(stage).toUpperCase()}_PROVIDER`;
+  return (process.env[stageVar] || process.env.LLM_PROVIDER || 'azure-openai').toLowerCase();
+}
+
+/**
+ * Resolve the client and model for a pipeline stage
+ * @param {string} stage - Pipeline stage (boundary | extraction | fields)
+ * @returns {{ provider: string, client: Object, model: string }}
+ */
+function getLLM(stage) {
+  if (!STAGES.includes(stage)) {
+    throw new Error(`Unknown LLM stage: ${stage}. Available: ${STAGES.join(', ')}`);
+  }
+
+  const provider = getProvider(getStageProviderName(stage));
+  provider.initialize();
+
+  const model = process.env[`LLM_${stage.toUpperCase()}_MODEL`] || provider.getDefaultModel();
+  return {
+    provider: provider.name,
+    client: provider.getClient(stage, model),
+    model
+  };
+}
+
+function isStageConfigured(stage) {
+  try {
+    return getProvider(getStageProviderName(stage)).isConfigured();
+  } catch (error) {
+    return false;
+  }
+}
+
+function listLLMProviders() {
+  return Object.keys(PROVIDERS);
+}
+
+module.exports = {
+  STAGES,
+  getLLM,
+  getProvider,
+  getStageProviderName,
+  isStageConfigured,
+  listLLMProviders
+};
@@ -0,0 +1,120 @@
+/**
+ * Deterministic mock chat provider.
+ * Returns a fixed response per pipeline stage so the pipeline can run in CI
+ * without any model. Responses can be overridden with LLM_MOCK_RESPONSES, a
+ * JSON file mapping stage name to the response content (string or JSON value).
+ * Responses queued for a stage (queueResponses) are served first, in order,
+ * which replays recorded LLM answers (bin/extract.js). Every request is kept in
+ * `calls` for inspection.
+ */
+
+const fs = require('fs');
+
+const DEFAULT_RESPONSES = {
+  // Empty proposal — boundary validation turns it into a single invoice
+  boundary: [],
+  extraction: {
+    lineItems: [],
+    totalsAndSubtotals: [],
+    basicInformation: [],
+    importer: [],
+    exporter: []
+  },
+  fields: {}
+};
+
+class MockProvider {
+  constructor() {
+    this.name = 'mock';
+    this.responses = null;
+    this.clients = {};
+    this.calls = [];
+    this.queues = {};
+  }
+
+  initialize() {
+    if (this.responses) return;
+    this.responses = { ...DEFAULT_RESPONSES };
+
+    if (process.env.LLM_MOCK_RESPONSES) {
+      const overrides = JSON.parse(fs.readFileSync(process.env.LLM_MOCK_RESPONSES, 'utf8'));
+      Object.assign(this.responses, overrides);
+    }
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Override the response for a stage at runtime
+   * @param {string} stage - Pipeline stage
+   * @param {string|Object} response - Response content
+   */
+  setResponse(stage, response) {
+    this.initialize();
+    this.responses[stage] = response;
+  }
+
+  /**
+   * Serve these responses, in order, before the stage's fixed response
+   * @param {string} stage - Pipeline stage
+   * @param {Array<string|Object>} responses - Response contents
+   */
+  queueResponses(stage, responses) {
+    this.queues[stage] = [...responses];
+  }
+
+  /**
+   * Forget queued responses and recorded calls
+   */
+  reset() {
+    this.queues = {};
+    this.calls = [];
+  }
+
+  getClient(stage) {
+    this.initialize();
+    if (!this.clients[stage]) {
+      this.clients[stage] = {
+        chat: {
+          completions: {
+            create: async (params) => this.complete(stage, params)
+          }
+        }
+      };
+    }
+    return this.clients[stage];
+  }
+
+  getDefaultModel() {
+    return 'mock';
+  }
+
+  async complete(stage, params) {
+    this.calls.push({ stage, params });
+
+    const queue = this.queues[stage] || [];
+    let response;
+    if (queue.length > 0) {
+      response = queue.shift();
+    } else {
+      response = this.responses[stage] !== undefined ? this.responses[stage] : {};
+    }
+    const content = typeof response === 'string' ? response : JSON.stringify(response);
+
+    return {
+      id: `mock-${this.calls.length}`,
+      object: 'chat.completion',
+      model: params.model || 'mock',
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content },
+        finish_reason: 'stop'
+      }],
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+    };
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,49 @@
+/**
+ * OpenAI-compatible chat provider.
+ * Targets api.openai.com or any server speaking the same API, such as
+ * llama.cpp's server or Ollama (e.g. OPENAI_BASE_URL=http://localhost:11434/v1).
+ * Requests go through the cassette layer (CASSETTE_MODE) like Azure OpenAI ones.
+ */
+
+const OpenAI = require('openai');
+const cassette = require('../../config/cassette');
+
+class OpenAICompatibleProvider {
+  constructor() {
+    this.name = 'openai';
+    this.client = null;
+  }
+
+  initialize() {
+    if (this.client) return;
+    if (!process.env.OPENAI_MODEL) {
+      throw new Error('Missing required environment variables: OPENAI_MODEL');
+    }
+
+    this.client = cassette.chatClient(() => new OpenAI({
+      // Local servers usually ignore the key, but the SDK requires one
+      apiKey: process.env.OPENAI_API_KEY || 'not-needed',
+      baseURL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    }));
+  }
+
+  isConfigured() {
+    try {
+      this.initialize();
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  getClient() {
+    this.initialize();
+    return this.client;
+  }
+
+  getDefaultModel() {
+    return process.env.OPENAI_MODEL;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -12,6 +12,7 @@
  * 📄 PDF SPLITTING OPERATIONS:
  * • splitPDF(filePath, splits, batchId)    - Main entry point for PDF splitting
  * • createSplitPDF(pdf, split, dir, index) - Create individual split PDF files
+ *                                            (page list, excluded pages, rotations)
  * • validateSplits(splits, totalPages)     - Validate and fix page ranges
  * • generateSplitFilename(split, index)    - Generate semantic filenames
  * 
@@ -68,6 +69,7 @@
  * ✅ Storage usage monitoring and statistics
  * ✅ Automatic cleanup of temporary files
  * ✅ Support for complex page range scenarios
+ * ✅ Page operations per split: explicit page order, excluded pages, rotation
  * ✅ Unicode filename support for international content
  * 
  * 🛡️ ERROR HANDLING:
@@ -85,10 +87,11 @@
  * @since 2024
  */
 
-const { PDFDocument } = require('pdf-lib');
+const { PDFDocument, degrees } = require('pdf-lib');
 const fs = require('fs').promises;
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { hasPageOperations, splitPages, normalizeSplits } = require('../utils/split-pages');
 
 class PDFSplitterService {
   constructor() {
@@ -102,10 +105,11 @@ class PDFSplitterService {
    * Split a PDF file into multiple files based on page ranges
    * @param {string} originalFilePath - Path to the original PDF file
    * @param {Array} splits - Array of split objects with startPage and endPage
+   *   (or pages), optional excludedPages and rotations
    * @param {string} batchId - Batch ID for organizing files
    * @returns {Promise<Object>} - Result with split file paths
    */
-  async splitPDF(originalFilePath, splits, batchId) {
+  async splitPDF(originalFilePath, splits, batchId, { onProgress } = {}) {
     try {
       console.log(`Starting PDF split for batch ${batchId} with ${splits.length} splits`);
 
@@ -141,6 +145,9 @@ class PDFSplitterService {
         );
         
         splitResults.push(splitResult);
+        if (onProgress) {
+          onProgress({ current: i + 1, total: validatedSplits.length, invoiceNumber: split.invoiceNumber });
+        }
       }
 
       console.log(`PDF split completed: ${splitResults.length} files created`);
@@ -182,20 +189,20 @@ class PDFSplitterService {
       // Create new PDF document
       const newPdf = await PDFDocument.create();
       
-      // Copy pages from original PDF
-      const startPage = split.startPage - 1; // Convert to 0-based index
-      const endPage = split.endPage - 1;     // Convert to 0-based index
-      
-      const pagesToCopy = [];
-      for (let pageIndex = startPage; pageIndex <= endPage; pageIndex++) {
-        pagesToCopy.push(pageIndex);
-      }
+      // Copy pages from original PDF, in the split's page order without excluded pages
+      const pageNumbers = splitPages(split);
+      const pagesToCopy = pageNumbers.map(pageNumber => pageNumber - 1); // Convert to 0-based index
 
       // Copy the pages
       const copiedPages = await newPdf.copyPages(originalPdf, pagesToCopy);
       
-      // Add copied pages to new document
-      copiedPages.forEach(page => {
+      // Add copied pages to new document, turned by the requested rotation
+      const rotations = split.rotations || {};
+      copiedPages.forEach((page, index) => {
+        const rotation = rotations[pageNumbers[index]];
+        if (rotation) {
+          page.setRotation(degrees((page.getRotation().angle + rotation) % 360));
+        }
         newPdf.addPage(page);
       });
 
@@ -219,6 +226,10 @@ class PDFSplitterService {
         filePath,
         startPage: split.startPage,
         endPage: split.endPage,
+        pageRange: split.pageRange || `${split.startPage}-${split.endPage}`,
+        pages: pageNumbers,
+        excludedPages: split.excludedPages || [],
+        rotations,
         pageCount: copiedPages.length,
         fileSize: stats.size,
         confidence: split.confidence || 0.5,
@@ -232,13 +243,25 @@ class PDFSplitterService {
   }
 
   /**
-   * Validate and fix split page ranges
+   * Validate and fix split page ranges. Splits with page operations (page list,
+   * excluded pages, rotations) are taken as given and must be valid; plain
+   * ranges are clamped and the last one extended to the end of the document.
    * @param {Array} splits - Array of split objects
    * @param {number} totalPages - Total pages in original PDF
    * @returns {Array} - Validated splits
    */
   validateSplits(splits, totalPages) {
     const validatedSplits = [];
+
+    if (splits.some(hasPageOperations)) {
+      const { splits: normalized, errors } = normalizeSplits(splits, totalPages);
+      if (errors.length > 0) {
+        throw new Error(`Invalid split pages: ${errors.join('; ')}`);
+      }
+      return normalized
+        .map((split, index) => ({ ...split, id: split.id || `split_${index + 1}` }))
+        .sort((a, b) => a.startPage - b.startPage);
+    }
     
     // Sort splits by start page
     const sortedSplits = [...splits].sort((a, b) => a.startPage - b.startPage);
@@ -0,0 +1,176 @@
+/**
+ * ================================================================================
+ * REVIEW QUEUE SERVICE - HUMAN VALIDATION WORKLOAD
+ * ================================================================================
+ *
+ * Lists the work waiting for a reviewer and hands it out one item at a time:
+ * • batch items   - batches in SPLIT_PROPOSED (split validation), with the
+ *                   auto-approval reasons that sent them to review
+ * • invoice items - extracted invoices awaiting data validation in
+ *                   DATA_VALIDATION_PENDING batches
+ *
+ * 🔀 SORTS (default order in brackets):
+ * • age         - Time waiting in the queue [oldest first]
+ * • confidence  - Lowest split / extraction confidence [least confident first]
+ * • pages       - Page count [largest first]
+ *
+ * 🔒 CLAIMS:
+ * • Items are claimed (ReviewClaim) while a reviewer works on them; next()
+ *   releases the reviewer's current item and claims the next unclaimed one
+ *
+ * ================================================================================
+ */
+
+const DocumentBatch = require('../models/document-batch.model');
+const Invoice = require('../models/invoice.model');
+const ReviewClaim = require('../models/review-claim.model');
+
+const { ITEM_TYPES } = ReviewClaim;
+
+const SORTS = {
+  age: { value: item => item.waitingSinceMs, defaultOrder: 'asc' },
+  confidence: { value: item => (item.confidence === null ? -1 : item.confidence), defaultOrder: 'asc' },
+  pages: { value: item => item.pageCount || 0, defaultOrder: 'desc' }
+};
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone designator
+function parseTimestamp(value) {
+  if (!value) return NaN;
+  return Date.parse(/[zZ]|[+-]\d\d:\d\d$/.test(value) ? value : `${value.replace(' ', 'T')}Z`);
+}
+
+class ReviewQueueService {
+  isValidSort(sort) {
+    return Object.prototype.hasOwnProperty.call(SORTS, sort);
+  }
+
+  isValidItemType(itemType) {
+    return Object.values(ITEM_TYPES).includes(itemType);
+  }
+
+  /**
+   * Items waiting for review
+   * @param {Object} [options]
+   * @param {string} [options.type] - 'batch' | 'invoice' (default both)
+   * @param {string} [options.sort] - 'age' | 'confidence' | 'pages' (default 'age')
+   * @param {string} [options.order] - 'asc' | 'desc' (default depends on the sort)
+   * @param {string} [options.tenantId] - Only this tenant's items
+   * @param {string} [options.reviewer] - Marks the reviewer's own claims (claim.mine)
+   * @returns {Promise<Array<Object>>}
+   */
+  async list({ type = null, sort = 'age', order = null, tenantId = null, reviewer = null } = {}) {
+    const items = [];
+
+    if (!type || type === ITEM_TYPES.BATCH) {
+      const [batches, claims] = await Promise.all([
+        DocumentBatch.findAwaitingSplitReview({ tenantId }),
+        ReviewClaim.findActiveByType(ITEM_TYPES.BATCH)
+      ]);
+      batches.forEach(({ documentBatch, waitingSince }) => {
+        items.push(this.describeBatch(documentBatch, waitingSince, claims.get(documentBatch.id), reviewer));
+      });
+    }
+
+    if (!type || type === ITEM_TYPES.INVOICE) {
+      const [invoices, claims] = await Promise.all([
+        Invoice.findAwaitingDataReview({ tenantId }),
+        ReviewClaim.findActiveByType(ITEM_TYPES.INVOICE)
+      ]);
+      invoices.forEach(entry => {
+        items.push(this.describeInvoice(entry, claims.get(entry.invoice.id), reviewer));
+      });
+    }
+
+    const { value, defaultOrder } = SORTS[sort] || SORTS.age;
+    const direction = (order || defaultOrder) === 'desc' ? -1 : 1;
+    items.sort((a, b) => (value(a) - value(b)) * direction || a.waitingSinceMs - b.waitingSinceMs);
+
+    return items.map(({ waitingSinceMs, ...item }) => item);
+  }
+
+  /**
+   * Release the reviewer's current item and claim the next available one
+   * @param {string} reviewer - Actor asking for work
+   * @param {Object} [options] - list() options, plus { currentItemType, currentItemId }
+   * @returns {Promise<Object|null>} - Claimed item, or null when nothing is left
+   */
+  async next(reviewer, { currentItemType = null, currentItemId = null, ...listOptions } = {}) {
+    if (currentItemType && currentItemId) {
+      await ReviewClaim.release(currentItemType, currentItemId, reviewer);
+    }
+
+    const items = await this.list({ ...listOptions, reviewer });
+    for (const item of items) {
+      if (item.itemType === currentItemType && item.itemId === currentItemId) continue;
+      if (item.claim && !item.claim.mine) continue;
+
+      // Someone else may have claimed it since the list was read
+      const { acquired, claim } = await ReviewClaim.claim(item.itemType, item.itemId, reviewer);
+      if (acquired) {
+        return { ...item, claim: { ...claim.toJSON(), mine: true } };
+      }
+    }
+    return null;
+  }
+
+  describeBatch(documentBatch, waitingSince, claim, reviewer) {
+    const splits = documentBatch.proposedSplits || [];
+    const confidences = splits.map(split => split.confidence).filter(confidence => typeof confidence === 'number');
+    const autoApproval = documentBatch.metadata.autoApproval || null;
+
+    return {
+      itemType: ITEM_TYPES.BATCH,
+      itemId: documentBatch.id,
+      batchId: documentBatch.id,
+      invoiceId: null,
+      tenantId: documentBatch.tenantId,
+      title: documentBatch.originalFilename,
+      status: documentBatch.status,
+      pageCount: documentBatch.totalPages,
+      invoiceCount: splits.length,
+      confidence: confidences.length > 0 ? Math.min(...confidences) : null,
+      flaggedBoundaries: splits.filter(split => split.boundaryCheck && split.boundaryCheck.flagged).length,
+      reasons: autoApproval ? autoApproval.reasons || [] : [],
+      ...this.describeWait(waitingSince),
+      claim: this.describeClaim(claim, reviewer),
+      reviewUrl: `/batches/${documentBatch.id}/validate-splits`
+    };
+  }
+
+  describeInvoice({ invoice, originalFilename, tenantId, waitingSince }, claim, reviewer) {
+    return {
+      itemType: ITEM_TYPES.INVOICE,
+      itemId: invoice.id,
+      batchId: invoice.batchId,
+      invoiceId: invoice.id,
+      tenantId,
+      title: `${originalFilename} - ${invoice.invoiceNumber || `Invoice ${invoice.invoiceIndex + 1}`}`,
+      status: invoice.validationStatus,
+      pageCount: invoice.pages.length,
+      pageRange: invoice.pageRange,
+      confidence: typeof invoice.confidenceScore === 'number' ? invoice.confidenceScore : null,
+      reasons: [],
+      ...this.describeWait(waitingSince),
+      claim: this.describeClaim(claim, reviewer),
+      reviewUrl: `/invoices/${invoice.batchId}?invoiceId=${invoice.id}`
+    };
+  }
+
+  describeWait(waitingSince) {
+    const waitingSinceMs = parseTimestamp(waitingSince);
+    return {
+      waitingSince,
+      waitingSinceMs: Number.isNaN(waitingSinceMs) ? 0 : waitingSinceMs,
+      ageMinutes: Number.isNaN(waitingSinceMs) ? null : Math.max(0, Math.round((Date.now() - waitingSinceMs) / 60000))
+    };
+  }
+
+  describeClaim(claim, reviewer) {
+    return claim ? { ...claim.toJSON(), mine: claim.claimedBy === reviewer } : null;
+  }
+}
+
+const reviewQueueService = new ReviewQueueService();
+reviewQueueService.SORTS = Object.keys(SORTS);
+
+module.exports = reviewQueueService;
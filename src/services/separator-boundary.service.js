@@ -0,0 +1,209 @@
+/**
+ * ================================================================================
+ * SEPARATOR BOUNDARY SERVICE - SPLIT ON SEPARATOR / PATCH SHEETS
+ * ================================================================================
+ *
+ * For scanning stations that insert a sheet between documents: every separator
+ * page starts a new document. Works from the layout only, with zero LLM calls.
+ *
+ * 🎯 PRIMARY METHODS:
+ * • detectInvoiceBoundaries(pages, options) - Propose splits (LLM result shape)
+ * • findSeparators(pages)                   - Separator pages with the reason
+ *
+ * 🔍 SEPARATOR PAGES:
+ * • Near-empty pages - at most SEPARATOR_MAX_WORDS words (default 2);
+ *   SEPARATOR_BLANK_PAGES=false turns this off
+ * • Patch sheets - a SEPARATOR_MARKERS value (comma-separated, case-insensitive)
+ *   in a barcode / QR code of the page, or in the text of a short page
+ *   (barcodes need AZURE_DI_BARCODES=true with the Azure provider)
+ *
+ * ✂️ SPLITS:
+ * • A separator belongs to the document after it (trailing separators to the
+ *   last document); consecutive separators count as one
+ * • With dropSeparatorPages (SEPARATOR_DROP_PAGES, default true) they are the
+ *   split's excludedPages, so they are left out of the split PDFs
+ *
+ * ================================================================================
+ */
+
+const heuristicBoundaryService = require('./heuristic-boundary.service');
+const { splitPages, formatPageList } = require('../utils/split-pages');
+
+// Marker text only counts on short pages (a patch sheet, not an invoice mentioning it)
+const MARKER_PAGE_MAX_WORDS = 40;
+
+const CONFIDENCE = {
+  MARKER: 0.98,
+  BLANK: 0.9,
+  FIRST: 0.95,
+  NO_SEPARATOR: 0.5
+};
+
+class SeparatorBoundaryService {
+  getConfig() {
+    return {
+      blankPages: process.env.SEPARATOR_BLANK_PAGES !== 'false',
+      maxWords: parseInt(process.env.SEPARATOR_MAX_WORDS || '2', 10),
+      markers: (process.env.SEPARATOR_MARKERS || '')
+        .split(',')
+        .map(marker => marker.trim().toUpperCase())
+        .filter(Boolean),
+      dropPages: process.env.SEPARATOR_DROP_PAGES !== 'false'
+    };
+  }
+
+  /**
+   * Split the document on separator pages
+   * @param {Array} pages - Array of page objects ({ pageNumber, text, wordCount, barcodes })
+   * @param {Object} [options] - { dropSeparatorPages } overrides SEPARATOR_DROP_PAGES
+   * @returns {Promise<Object>} - Same result shape as AzureOpenAIService.detectInvoiceBoundaries
+   */
+  async detectInvoiceBoundaries(pages, { dropSeparatorPages } = {}) {
+    try {
+      const config = this.getConfig();
+      const dropPages = typeof dropSeparatorPages === 'boolean' ? dropSeparatorPages : config.dropPages;
+      const separators = this.findSeparators(pages, config);
+      const proposedSplits = this.buildSplits(pages, separators, { dropPages });
+
+      console.log(`Separator boundary detection completed: ${separators.size} separator page(s), ${proposedSplits.length} documents`);
+
+      return {
+        success: true,
+        totalPages: pages.length,
+        invoiceCount: proposedSplits.length,
+        proposedSplits,
+        metadata: {
+          analyzedAt: new Date().toISOString(),
+          strategy: 'separator',
+          dropSeparatorPages: dropPages,
+          markers: config.markers,
+          separatorPages: [...separators.entries()].map(([pageNumber, separator]) => ({ pageNumber, ...separator })),
+          confidence: proposedSplits.reduce((sum, s) => sum + s.confidence, 0) / (proposedSplits.length || 1)
+        }
+      };
+    } catch (error) {
+      console.error('Error in separator boundary detection:', error);
+      return {
+        success: false,
+        error: error.message,
+        totalPages: pages.length,
+        invoiceCount: 0,
+        proposedSplits: []
+      };
+    }
+  }
+
+  /**
+   * @param {Array} pages - Page objects
+   * @param {Object} [config] - getConfig()
+   * @returns {Map<number, Object>} - pageNumber -> { kind: 'marker' | 'blank', reason }
+   */
+  findSeparators(pages, config = this.getConfig()) {
+    const separators = new Map();
+
+    pages.forEach((page, index) => {
+      const pageNumber = page.pageNumber || index + 1;
+      const text = (page.text || '').toUpperCase();
+      const wordCount = page.wordCount != null ? page.wordCount : text.split(/\s+/).filter(Boolean).length;
+
+      const barcodeMarker = (page.barcodes || []).find(barcode =>
+        config.markers.some(marker => (barcode.value || '').toUpperCase().includes(marker)));
+      if (barcodeMarker) {
+        separators.set(pageNumber, { kind: 'marker', reason: `${barcodeMarker.kind || 'Barcode'} "${barcodeMarker.value}"` });
+        return;
+      }
+
+      const textMarker = wordCount <= MARKER_PAGE_MAX_WORDS && config.markers.find(marker => text.includes(marker));
+      if (textMarker) {
+        separators.set(pageNumber, { kind: 'marker', reason: `Marker text "${textMarker}"` });
+        return;
+      }
+
+      if (config.blankPages && wordCount <= config.maxWords) {
+        separators.set(pageNumber, { kind: 'blank', reason: wordCount === 0 ? 'Blank page' : `Near-empty page (${wordCount} word${wordCount === 1 ? '' : 's'})` });
+      }
+    });
+
+    return separators;
+  }
+
+  /**
+   * @returns {Array} - Splits in the LLM proposal format
+   */
+  buildSplits(pages, separators, { dropPages }) {
+    const pageNumbers = pages.map((page, index) => page.pageNumber || index + 1);
+    const signals = heuristicBoundaryService.analyzePageSignals(pages);
+    const invoiceNumbers = new Map(signals.map(signal => [signal.pageNumber, signal.invoiceNumber]));
+
+    // Separator pages are held until the next content page, which starts a document
+    const documents = [];
+    let pendingSeparators = [];
+
+    pageNumbers.forEach(pageNumber => {
+      if (separators.has(pageNumber)) {
+        pendingSeparators.push(pageNumber);
+        return;
+      }
+      if (documents.length === 0 || pendingSeparators.length > 0) {
+        documents.push({ separatorPages: pendingSeparators, contentPages: [] });
+        pendingSeparators = [];
+      }
+      documents[documents.length - 1].contentPages.push(pageNumber);
+    });
+
+    if (documents.length === 0) {
+      // Nothing but separator pages: leave the whole document to a reviewer
+      return pageNumbers.length === 0 ? [] : [this.toSplit({
+        separatorPages: [],
+        contentPages: pageNumbers
+      }, 0, { confidence: CONFIDENCE.NO_SEPARATOR, reasoning: 'Separator: every page looks like a separator sheet' }, invoiceNumbers, false)];
+    }
+    documents[documents.length - 1].trailingSeparators = pendingSeparators;
+
+    return documents.map((document, index) => {
+      const separatorKinds = document.separatorPages.map(pageNumber => separators.get(pageNumber));
+      let boundary;
+
+      if (separators.size === 0) {
+        boundary = { confidence: CONFIDENCE.NO_SEPARATOR, reasoning: 'Separator: no separator page found' };
+      } else if (separatorKinds.length === 0) {
+        boundary = { confidence: CONFIDENCE.FIRST, reasoning: 'Separator: first document (no separator before it)' };
+      } else {
+        const marker = separatorKinds.some(separator => separator.kind === 'marker');
+        boundary = {
+          confidence: marker ? CONFIDENCE.MARKER : CONFIDENCE.BLANK,
+          reasoning: `Separator: ${document.separatorPages.map(pageNumber => `page ${pageNumber} - ${separators.get(pageNumber).reason}`).join('; ')}`
+        };
+      }
+
+      return this.toSplit(document, index, boundary, invoiceNumbers, dropPages);
+    });
+  }
+
+  toSplit(document, index, { confidence, reasoning }, invoiceNumbers, dropPages) {
+    const separatorPages = [...document.separatorPages, ...(document.trailingSeparators || [])];
+    const allPages = [...separatorPages, ...document.contentPages].sort((a, b) => a - b);
+    const invoiceNumber = document.contentPages.map(pageNumber => invoiceNumbers.get(pageNumber)).find(Boolean);
+
+    const split = {
+      id: `invoice_${index + 1}`,
+      invoiceNumber: invoiceNumber || `Invoice ${index + 1}`,
+      startPage: allPages[0],
+      endPage: allPages[allPages.length - 1],
+      confidence,
+      reasoning,
+      separatorPages
+    };
+
+    if (dropPages && separatorPages.length > 0) {
+      split.excludedPages = separatorPages;
+    }
+    split.pageRange = split.excludedPages ? formatPageList(splitPages(split)) : `${split.startPage}-${split.endPage}`;
+    return split;
+  }
+}
+
+const separatorBoundaryService = new SeparatorBoundaryService();
+separatorBoundaryService.CONFIDENCE = CONFIDENCE;
+
+module.exports = separatorBoundaryService;
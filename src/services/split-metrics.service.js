@@ -0,0 +1,288 @@
+/**
+ * ================================================================================
+ * SPLIT METRICS SERVICE - PROPOSED VS VALIDATED SPLIT ACCURACY
+ * ================================================================================
+ *
+ * Records, for every batch whose splits are validated, how the validated
+ * boundaries differ from the ones boundary detection proposed, and turns these
+ * diffs into precision / recall / F1 so changes to a prompt, model or strategy
+ * can be measured.
+ *
+ * 🎯 PRIMARY METHODS:
+ * • diffSplits(proposed, validated)           - Boundaries matched, added, removed, moved
+ * • recordValidation(batch, splits, options)  - Store the diff of a batch (SplitFeedback)
+ * • report(filters)                           - Metrics overall, over time, per deployment and per vendor
+ *
+ * 📏 METRICS:
+ * • A boundary is the first page of an invoice other than the first invoice
+ * • Matched boundaries are true positives, removed ones false positives and
+ *   added ones false negatives; a moved boundary (within MOVE_TOLERANCE pages)
+ *   counts as one of each
+ * • precision = TP / (TP + FP), recall = TP / (TP + FN), f1 = their harmonic mean
+ *   (null without any boundary)
+ * • Auto-approved batches are recorded but left out unless includeAutoApproved
+ *
+ * The proposal is taken from the stored boundary detection result, since
+ * reviewer edits (PUT /splits) overwrite the batch's proposed splits.
+ *
+ * ================================================================================
+ */
+
+const SplitFeedback = require('../models/split-feedback.model');
+const vendorTemplateService = require('./vendor-template.service');
+
+// A proposed boundary this close to an unmatched validated one was moved
+const MOVE_TOLERANCE = 2;
+const PERIODS = ['day', 'week', 'month'];
+const UNKNOWN_VENDOR = '(unknown)';
+
+class SplitMetricsService {
+  /**
+   * First pages of every invoice except the first one
+   * @param {Array<Object>} splits - Splits ({ startPage })
+   * @returns {Array<number>} - Ascending
+   */
+  boundaryPages(splits) {
+    const starts = [...new Set((splits || []).map(split => split.startPage).filter(Number.isInteger))]
+      .sort((a, b) => a - b);
+    return starts.slice(1);
+  }
+
+  /**
+   * Diff the boundaries of two split lists
+   * @param {Array<Object>} proposedSplits - Splits proposed by boundary detection
+   * @param {Array<Object>} validatedSplits - Splits validated for the batch
+   * @returns {Object} - { matched, added, removed, moved, boundaries: [{ page, status, from? }] }
+   */
+  diffSplits(proposedSplits, validatedSplits) {
+    const proposed = this.boundaryPages(proposedSplits);
+    const validated = this.boundaryPages(validatedSplits);
+    const proposedSet = new Set(proposed);
+    const validatedSet = new Set(validated);
+
+    const boundaries = validated
+      .filter(page => proposedSet.has(page))
+      .map(page => ({ page, status: 'matched' }));
+    let removed = proposed.filter(page => !validatedSet.has(page));
+    let added = validated.filter(page => !proposedSet.has(page));
+
+    // Pair each removed boundary with the nearest added one within the tolerance
+    const moved = [];
+    removed.forEach(from => {
+      const nearest = added
+        .filter(page => Math.abs(page - from) <= MOVE_TOLERANCE)
+        .sort((a, b) => Math.abs(a - from) - Math.abs(b - from))[0];
+      if (nearest !== undefined) {
+        moved.push({ page: nearest, status: 'moved', from });
+        added = added.filter(page => page !== nearest);
+      }
+    });
+    const movedFrom = new Set(moved.map(boundary => boundary.from));
+    removed = removed.filter(page => !movedFrom.has(page));
+
+    boundaries.push(
+      ...moved,
+      ...added.map(page => ({ page, status: 'added' })),
+      ...removed.map(page => ({ page, status: 'removed' }))
+    );
+    boundaries.sort((a, b) => a.page - b.page);
+
+    return {
+      matched: boundaries.filter(boundary => boundary.status === 'matched').length,
+      added: added.length,
+      removed: removed.length,
+      moved: moved.length,
+      boundaries
+    };
+  }
+
+  /**
+   * Store the proposed-vs-validated diff of a batch. Never throws: metrics
+   * must not fail the validation.
+   * @param {DocumentBatch} documentBatch - Batch whose splits were validated
+   * @param {Array<Object>} validatedSplits - Validated splits
+   * @param {Object} [options] - { actor, reviewed: false for auto-approval }
+   * @returns {Promise<SplitFeedback|null>}
+   */
+  async recordValidation(documentBatch, validatedSplits, { actor = 'system', reviewed = true } = {}) {
+    try {
+      const boundaryResult = await documentBatch.getBoundaryResult();
+      const proposedSplits = boundaryResult && boundaryResult.success
+        ? boundaryResult.proposedSplits
+        : documentBatch.proposedSplits;
+      if (!proposedSplits) return null;
+
+      const metadata = (boundaryResult && boundaryResult.metadata) || {};
+      const diff = this.diffSplits(proposedSplits, validatedSplits);
+      const vendors = await this.pageVendors(documentBatch);
+
+      const feedback = await SplitFeedback.upsert({
+        batchId: documentBatch.id,
+        tenantId: documentBatch.tenantId,
+        strategy: metadata.strategy || documentBatch.metadata.boundaryDetection?.strategy || null,
+        provider: metadata.provider || null,
+        model: metadata.model || null,
+        promptVersion: metadata.promptVersion || null,
+        reviewed,
+        validatedBy: actor,
+        totalPages: documentBatch.totalPages,
+        proposedCount: proposedSplits.length,
+        validatedCount: validatedSplits.length,
+        matched: diff.matched,
+        added: diff.added,
+        removed: diff.removed,
+        moved: diff.moved,
+        boundaries: diff.boundaries.map(boundary => ({ ...boundary, vendor: vendors.get(boundary.page) || null }))
+      });
+
+      if (reviewed) {
+        console.log(`📏 Split feedback for batch ${documentBatch.id}: ${diff.matched} matched, ${diff.added} added, ${diff.removed} removed, ${diff.moved} moved`);
+      }
+      return feedback;
+    } catch (error) {
+      console.warn(`Split feedback not recorded for batch ${documentBatch.id}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Vendor name per page (header of the page), from the stored layout
+   * @returns {Promise<Map<number, string>>}
+   */
+  async pageVendors(documentBatch) {
+    const vendors = new Map();
+    const pages = await vendorTemplateService.loadPages(documentBatch);
+
+    (pages || []).forEach(page => {
+      const vendor = vendorTemplateService.vendorOf(vendorTemplateService.pageHeader(page));
+      if (vendor) vendors.set(page.pageNumber, vendor.name);
+    });
+    return vendors;
+  }
+
+  isValidPeriod(period) {
+    return PERIODS.includes(period);
+  }
+
+  /**
+   * Splitting accuracy report
+   * @param {Object} [filters] - { from, to, tenantId, strategy, model, period, includeAutoApproved }
+   * @returns {Promise<Object>} - { filters, overall, overTime, byDeployment, byVendor }
+   */
+  async report({ from = null, to = null, tenantId = null, strategy = null, model = null, period = 'day', includeAutoApproved = false } = {}) {
+    const records = await SplitFeedback.findAll({ from, to, tenantId, strategy, model, reviewedOnly: !includeAutoApproved });
+
+    const overTime = this.groupBy(records, record => this.periodOf(record.validatedAt, period))
+      .map(({ key, records: group }) => ({ period: key, ...this.summarize(group) }));
+
+    const byDeployment = this.groupBy(records, record => [record.strategy, record.provider, record.model, record.promptVersion].join('|'))
+      .map(({ records: group }) => ({
+        strategy: group[0].strategy,
+        provider: group[0].provider,
+        model: group[0].model,
+        promptVersion: group[0].promptVersion,
+        ...this.summarize(group)
+      }))
+      .sort((a, b) => b.batches - a.batches);
+
+    return {
+      filters: { from, to, tenantId, strategy, model, period, includeAutoApproved },
+      overall: this.summarize(records),
+      overTime,
+      byDeployment,
+      byVendor: this.summarizeVendors(records)
+    };
+  }
+
+  /**
+   * Boundary counts and metrics of a group of batches
+   */
+  summarize(records) {
+    const counts = records.reduce((sum, record) => ({
+      matched: sum.matched + record.matched,
+      added: sum.added + record.added,
+      removed: sum.removed + record.removed,
+      moved: sum.moved + record.moved
+    }), { matched: 0, added: 0, removed: 0, moved: 0 });
+
+    return {
+      batches: records.length,
+      exactBatches: records.filter(record => record.added + record.removed + record.moved === 0).length,
+      proposedInvoices: records.reduce((sum, record) => sum + record.proposedCount, 0),
+      validatedInvoices: records.reduce((sum, record) => sum + record.validatedCount, 0),
+      boundaries: counts,
+      ...this.scores(counts)
+    };
+  }
+
+  /**
+   * Per-vendor metrics, from the vendor on each boundary page
+   */
+  summarizeVendors(records) {
+    const byVendor = new Map();
+
+    records.forEach(record => {
+      record.boundaries.forEach(boundary => {
+        const vendor = boundary.vendor || UNKNOWN_VENDOR;
+        if (!byVendor.has(vendor)) {
+          byVendor.set(vendor, { batches: new Set(), counts: { matched: 0, added: 0, removed: 0, moved: 0 } });
+        }
+        const entry = byVendor.get(vendor);
+        entry.batches.add(record.batchId);
+        entry.counts[boundary.status] += 1;
+      });
+    });
+
+    return [...byVendor.entries()]
+      .map(([vendor, { batches, counts }]) => ({
+        vendor,
+        batches: batches.size,
+        boundaries: counts,
+        ...this.scores(counts)
+      }))
+      .sort((a, b) => b.batches - a.batches || a.vendor.localeCompare(b.vendor));
+  }
+
+  scores({ matched, added, removed, moved }) {
+    const truePositives = matched;
+    const falsePositives = removed + moved;
+    const falseNegatives = added + moved;
+    const ratio = (value, total) => (total > 0 ? Number((value / total).toFixed(4)) : null);
+
+    const precision = ratio(truePositives, truePositives + falsePositives);
+    const recall = ratio(truePositives, truePositives + falseNegatives);
+    const f1 = ratio(2 * truePositives, 2 * truePositives + falsePositives + falseNegatives);
+    return { precision, recall, f1 };
+  }
+
+  groupBy(records, keyOf) {
+    const groups = new Map();
+    records.forEach(record => {
+      const key = keyOf(record);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(record);
+    });
+    return [...groups.entries()].map(([key, group]) => ({ key, records: group }));
+  }
+
+  /**
+   * @param {string} timestamp - UTC 'YYYY-MM-DD HH:MM:SS'
+   * @param {string} period - day | week (Monday) | month
+   */
+  periodOf(timestamp, period) {
+    const date = (timestamp || '').substring(0, 10);
+    if (period === 'month') return date.substring(0, 7);
+    if (period === 'week') {
+      const day = new Date(`${date}T00:00:00Z`);
+      day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+      return day.toISOString().substring(0, 10);
+    }
+    return date;
+  }
+}
+
+const splitMetricsService = new SplitMetricsService();
+splitMetricsService.PERIODS = PERIODS;
+splitMetricsService.MOVE_TOLERANCE = MOVE_TOLERANCE;
+
+module.exports = splitMetricsService;
@@ -0,0 +1,338 @@
+/**
+ * ================================================================================
+ * VENDOR TEMPLATE SERVICE - LEARN PAGE FINGERPRINTS FROM VALIDATED SPLITS
+ * ================================================================================
+ *
+ * Every split a reviewer validates shows how one vendor's invoices look: the
+ * header of its first page, the header of its continuation pages and how many
+ * pages it has. These fingerprints are kept per tenant and vendor, and the next
+ * boundary detection of the tenant gets them as hints.
+ *
+ * 🎯 PRIMARY METHODS:
+ * • learnFromBatch(documentBatch, splits)  - Update templates from validated splits
+ * • matchPages(pages, tenantId)            - Template hints for a document
+ * • describeForPrompt(templateHints, window) - Few-shot section of the LLM prompt
+ *
+ * 🔍 FINGERPRINTS:
+ * • Anchors - Header lines (top of the page) with digits masked, so
+ *   "Invoice No. INV-1001" and "Invoice No. INV-1002" are the same anchor
+ * • Vendor  - First header line that is not a generic title or a number
+ * • A page matches a template when most of the template's recurring first-page
+ *   (or continuation) anchors are on it (VENDOR_TEMPLATE_MATCH, default 0.6)
+ *
+ * 🧭 HINTS (templateHints = { templates, pages: { "<pageNumber>": hint } }):
+ * • Heuristic / hybrid - a first-page match raises the "new invoice" score of
+ *   the page, a continuation match lowers it
+ * • LLM - known layouts, validated examples and matched pages in the prompt
+ *
+ * Only reviewer validations are learned (auto-approved splits would only teach
+ * the detector its own answers). VENDOR_TEMPLATES_ENABLED=false turns both
+ * learning and hints off.
+ *
+ * ================================================================================
+ */
+
+const VendorTemplate = require('../models/vendor-template.model');
+const azureDocumentService = require('./azure-document.service');
+const layoutCacheService = require('./layout-cache.service');
+const heuristicBoundaryService = require('./heuristic-boundary.service');
+const { splitPages } = require('../utils/split-pages');
+
+// Relative vertical position (0 = top) below which a line is part of the header
+const HEADER_REGION = 0.2;
+// Header lines when the layout has no line positions
+const HEADER_LINES = 6;
+const MAX_ANCHOR_LENGTH = 60;
+const MAX_EXAMPLES = 3;
+const MAX_BATCH_IDS = 50;
+const GENERIC_LINES = /^(?:(?:commercial |tax |proforma |pro forma )?(?:invoice|facture|rechnung|fattura|factura)|page|seite|credit note|avoir)$/;
+
+class VendorTemplateService {
+  isEnabled() {
+    return process.env.VENDOR_TEMPLATES_ENABLED !== 'false';
+  }
+
+  getConfig() {
+    return {
+      minSamples: parseInt(process.env.VENDOR_TEMPLATE_MIN_SAMPLES || '1', 10),
+      matchThreshold: parseFloat(process.env.VENDOR_TEMPLATE_MATCH || '0.6')
+    };
+  }
+
+  /**
+   * Header lines of a page: raw (for examples) and normalized (anchors)
+   * @param {Object} page - { text, lines: [{ content, y }] }
+   * @returns {Object} - { lines, anchors }
+   */
+  pageHeader(page) {
+    const positioned = (page.lines || []).filter(line => typeof line.y === 'number');
+    const lines = positioned.length > 0
+      ? positioned.filter(line => line.y <= HEADER_REGION).map(line => line.content)
+      : (page.text || '').split('\n').slice(0, HEADER_LINES);
+
+    const raw = lines.map(line => (line || '').trim()).filter(Boolean);
+    const anchors = [...new Set(raw.map(line => this.normalizeLine(line)).filter(Boolean))];
+    return { lines: raw, anchors };
+  }
+
+  normalizeLine(line) {
+    const normalized = line.toLowerCase()
+      .replace(/\d+/g, '#')
+      .replace(/[^a-z#À-ɏ]+/g, ' ')
+      .trim()
+      .substring(0, MAX_ANCHOR_LENGTH);
+    // Lines without letters (amounts, dates, reference numbers) identify nothing
+    return /[a-zÀ-ɏ]{2,}/.test(normalized) ? normalized : null;
+  }
+
+  /**
+   * Vendor of an invoice from the header of its first page
+   * @returns {Object|null} - { key, name }
+   */
+  vendorOf(header) {
+    const index = header.anchors.findIndex(anchor => !anchor.includes('#') && !GENERIC_LINES.test(anchor));
+    if (index === -1) return null;
+
+    const key = heuristicBoundaryService.normalizeVendor(header.anchors[index]);
+    const name = header.lines.find(line => this.normalizeLine(line) === header.anchors[index]);
+    return key ? { key, name: name || key } : null;
+  }
+
+  /**
+   * Learn from the splits a reviewer validated. Never throws: learning is
+   * best-effort and must not fail the validation.
+   * @param {DocumentBatch} documentBatch - Batch whose splits were validated
+   * @param {Array<Object>} splits - Validated splits
+   * @returns {Promise<Array<VendorTemplate>>} - Templates updated
+   */
+  async learnFromBatch(documentBatch, splits) {
+    if (!this.isEnabled()) return [];
+
+    try {
+      const pages = await this.loadPages(documentBatch);
+      if (!pages) {
+        console.warn(`Vendor templates: no layout stored for batch ${documentBatch.id}, nothing learned`);
+        return [];
+      }
+      const pagesByNumber = new Map(pages.map(page => [page.pageNumber, page]));
+
+      // Group the invoices of the batch by vendor
+      const samples = new Map();
+      splits.forEach(split => {
+        const invoicePages = splitPages(split).map(pageNumber => pagesByNumber.get(pageNumber)).filter(Boolean);
+        if (invoicePages.length === 0) return;
+
+        const headers = invoicePages.map(page => this.pageHeader(page));
+        const vendor = this.vendorOf(headers[0]);
+        if (!vendor) return;
+
+        if (!samples.has(vendor.key)) samples.set(vendor.key, { vendor, invoices: [] });
+        samples.get(vendor.key).invoices.push({ pageCount: invoicePages.length, headers });
+      });
+
+      const updated = [];
+      for (const { vendor, invoices } of samples.values()) {
+        const template = await this.learnVendor(documentBatch, vendor, invoices);
+        if (template) updated.push(template);
+      }
+
+      if (updated.length > 0) {
+        console.log(`🧠 Vendor templates learned from batch ${documentBatch.id}: ${updated.map(t => `${t.vendorName} (${t.sampleCount})`).join(', ')}`);
+      }
+      return updated;
+    } catch (error) {
+      console.warn(`Vendor template learning failed for batch ${documentBatch.id}:`, error.message);
+      return [];
+    }
+  }
+
+  async learnVendor(documentBatch, vendor, invoices) {
+    const tenantId = documentBatch.tenantId;
+    const existing = await VendorTemplate.findByVendor(tenantId, vendor.key);
+    const fingerprint = existing ? existing.fingerprint : {};
+    const batchIds = fingerprint.batchIds || [];
+
+    // The same batch validated again would count its invoices twice
+    if (batchIds.includes(documentBatch.id)) return null;
+
+    const firstPage = fingerprint.firstPage || { samples: 0, anchors: {} };
+    const continuation = fingerprint.continuation || { samples: 0, anchors: {} };
+    const pageCounts = fingerprint.pageCounts || {};
+
+    const examples = invoices.map(({ pageCount, headers }) => {
+      // Blank continuation pages have no header to learn
+      const continuationHeaders = headers.slice(1).filter(header => header.anchors.length > 0);
+
+      this.countAnchors(firstPage, headers[0].anchors);
+      continuationHeaders.forEach(header => this.countAnchors(continuation, header.anchors));
+      pageCounts[pageCount] = (pageCounts[pageCount] || 0) + 1;
+
+      return {
+        batchId: documentBatch.id,
+        pageCount,
+        firstPageHeader: headers[0].lines.slice(0, 4),
+        continuationHeader: continuationHeaders.length > 0 ? continuationHeaders[0].lines.slice(0, 4) : []
+      };
+    });
+
+    return VendorTemplate.upsert({
+      tenantId,
+      vendorKey: vendor.key,
+      vendorName: vendor.name,
+      sampleCount: (existing ? existing.sampleCount : 0) + invoices.length,
+      fingerprint: {
+        firstPage,
+        continuation,
+        pageCounts,
+        examples: [...examples, ...(fingerprint.examples || [])].slice(0, MAX_EXAMPLES),
+        batchIds: [documentBatch.id, ...batchIds].slice(0, MAX_BATCH_IDS)
+      }
+    });
+  }
+
+  countAnchors(section, anchors) {
+    section.samples += 1;
+    anchors.forEach(anchor => {
+      section.anchors[anchor] = (section.anchors[anchor] || 0) + 1;
+    });
+  }
+
+  /**
+   * Anchors seen on at least half of the pages of a section
+   * @returns {Array<string>}
+   */
+  recurringAnchors(section) {
+    if (!section || !section.samples) return [];
+    const minCount = Math.max(1, Math.ceil(section.samples / 2));
+    return Object.entries(section.anchors)
+      .filter(([, count]) => count >= minCount)
+      .map(([anchor]) => anchor);
+  }
+
+  /**
+   * Match the pages of a document against the tenant's templates
+   * @param {Array} pages - Page objects ({ pageNumber, text, lines })
+   * @param {string} tenantId - Tenant of the batch
+   * @returns {Promise<Object|null>} - templateHints, null when no page matches
+   */
+  async matchPages(pages, tenantId) {
+    if (!this.isEnabled()) return null;
+
+    const { minSamples, matchThreshold } = this.getConfig();
+    const templates = (await VendorTemplate.findAll({ tenantId }))
+      .filter(template => template.sampleCount >= minSamples)
+      .map(template => ({
+        template,
+        first: this.recurringAnchors(template.fingerprint.firstPage),
+        continuation: this.recurringAnchors(template.fingerprint.continuation)
+      }));
+    if (templates.length === 0) return null;
+
+    const hints = {};
+    pages.forEach((page, index) => {
+      const pageNumber = page.pageNumber || index + 1;
+      const anchors = new Set(this.pageHeader(page).anchors);
+      let best = null;
+
+      templates.forEach(({ template, first, continuation }) => {
+        const firstScore = this.overlap(first, anchors);
+        const continuationScore = this.overlap(continuation, anchors);
+        const score = Math.max(firstScore, continuationScore);
+        // Equal scores: the page looks like both, so it tells nothing
+        if (score < matchThreshold || firstScore === continuationScore) return;
+        if (best && best.score >= score) return;
+
+        best = {
+          templateId: template.id,
+          vendorName: template.vendorName,
+          role: firstScore > continuationScore ? 'first' : 'continuation',
+          score: Number(score.toFixed(2))
+        };
+      });
+
+      if (best) hints[pageNumber] = best;
+    });
+
+    if (Object.keys(hints).length === 0) return null;
+
+    const matchedIds = new Set(Object.values(hints).map(hint => hint.templateId));
+    return {
+      templates: templates
+        .filter(({ template }) => matchedIds.has(template.id))
+        .map(({ template, first, continuation }) => this.summarize(template, first, continuation)),
+      pages: hints
+    };
+  }
+
+  overlap(templateAnchors, pageAnchors) {
+    if (templateAnchors.length === 0) return 0;
+    return templateAnchors.filter(anchor => pageAnchors.has(anchor)).length / templateAnchors.length;
+  }
+
+  summarize(template, firstAnchors, continuationAnchors) {
+    const pageCounts = template.fingerprint.pageCounts || {};
+    const usualPages = Object.entries(pageCounts).sort((a, b) => b[1] - a[1])[0];
+
+    return {
+      id: template.id,
+      vendorName: template.vendorName,
+      sampleCount: template.sampleCount,
+      usualPageCount: usualPages ? Number(usualPages[0]) : null,
+      pageCounts,
+      firstPageAnchors: firstAnchors,
+      continuationAnchors,
+      examples: template.fingerprint.examples || []
+    };
+  }
+
+  /**
+   * LLM prompt section for the pages of a window
+   * @param {Object|null} templateHints - Result of matchPages
+   * @param {Object} [window] - { startPage, endPage }
+   * @returns {string} - Empty when no page of the window matches a template
+   */
+  describeForPrompt(templateHints, window = null) {
+    if (!templateHints) return '';
+
+    const pageHints = Object.entries(templateHints.pages)
+      .map(([pageNumber, hint]) => ({ pageNumber: Number(pageNumber), ...hint }))
+      .filter(hint => !window || (hint.pageNumber >= window.startPage && hint.pageNumber <= window.endPage));
+    if (pageHints.length === 0) return '';
+
+    const templateIds = new Set(pageHints.map(hint => hint.templateId));
+    let section = 'KNOWN VENDOR LAYOUTS (learned from splits validated by reviewers):\n';
+
+    templateHints.templates.filter(template => templateIds.has(template.id)).forEach(template => {
+      section += `- ${template.vendorName} (${template.sampleCount} validated invoice(s)${template.usualPageCount ? `, usually ${template.usualPageCount} page(s)` : ''})\n`;
+      template.examples.slice(0, 2).forEach(example => {
+        section += `  Example (${example.pageCount} page(s)): first page header "${example.firstPageHeader.join(' | ')}"`;
+        if (example.continuationHeader.length > 0) {
+          section += `, next page header "${example.continuationHeader.join(' | ')}"`;
+        }
+        section += '\n';
+      });
+    });
+
+    section += 'Pages of this document matching these layouts:\n';
+    pageHints.forEach(hint => {
+      section += `- Page ${hint.pageNumber}: ${hint.role === 'first' ? 'first page' : 'continuation page'} of a ${hint.vendorName} invoice (layout match ${Math.round(hint.score * 100)}%)\n`;
+    });
+
+    return `${section}\n`;
+  }
+
+  /**
+   * Pages of a batch from its stored layout
+   * @returns {Promise<Array|null>}
+   */
+  async loadPages(documentBatch) {
+    const layout = await documentBatch.getLayoutData();
+    if (!layout) return null;
+
+    return layoutCacheService.isIndexed(layout)
+      ? azureDocumentService.toPages(layoutCacheService.slice(layout, 1, layout.totalPages))
+      : azureDocumentService.toPages(layout);
+  }
+}
+
+module.exports = new VendorTemplateService();
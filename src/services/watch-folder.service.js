@@ -0,0 +1,370 @@
+/**
+ * ================================================================================
+ * WATCH FOLDER SERVICE - SCANNER DROP-FOLDER INGESTION
+ * ================================================================================
+ *
+ * Scanner appliances can only write to a (SMB) share. Documents dropped into
+ * WATCH_FOLDER_DIR become batches through the same path as an upload
+ * (uploadController.createBatchFromFile: PDF, or TIFF / JPEG / PNG converted to
+ * PDF), optionally queued for processing, then moved out of the inbox with a
+ * sidecar JSON result next to them.
+ *
+ * 📂 FOLDER LAYOUT:
+ * • <dir>/                 - Inbox written by the scanner
+ * • <dir>/processing/      - Claimed files as <claimedAt>.<random>.<name> (and the
+ *                            sidecar of those waiting for processing)
+ * • <dir>/processed/       - Ingested files + <name>.json { status: 'processed', batchId, ... }
+ * • <dir>/failed/          - Rejected files + <name>.json { status: 'failed', error, ... }
+ *
+ * 🔍 PICKUP:
+ * • The folder is polled (file system events are unreliable on network shares)
+ * • A file is picked up once its size and mtime did not change between two polls,
+ *   so documents still being written are left alone
+ * • Files are claimed by renaming them into processing/ under a unique name, so
+ *   several instances can watch the same share and a file scanned again under
+ *   the same name never replaces a claimed one
+ * • A claim without a sidecar is the file of an instance interrupted while
+ *   creating the batch: it returns to the inbox once its lease has expired
+ * • With auto-processing the file stays in processing/ until its batch reaches
+ *   SPLIT_PROPOSED (processed/) or ERROR (failed/)
+ *
+ * ⚙️ CONFIGURATION:
+ * • WATCH_FOLDER_DIR                - Folder to watch (unset = disabled)
+ * • WATCH_FOLDER_POLL_INTERVAL_MS   - Polling interval (default 5000)
+ * • WATCH_FOLDER_AUTO_PROCESS       - 'true' to queue processing of every new batch
+ * • WATCH_FOLDER_TENANT             - Tenant of the created batches (default 'default')
+ * • WATCH_FOLDER_CLAIM_LEASE_MS     - Age after which a claim without sidecar is
+ *                                     returned to the inbox (default 600000)
+ *
+ * ================================================================================
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const DocumentBatch = require('../models/document-batch.model');
+const uploadController = require('../controllers/upload.controller');
+const processingController = require('../controllers/processing.controller');
+const imageToPdfService = require('./image-to-pdf.service');
+const { DEFAULT_TENANT } = require('../utils/request-tenant');
+
+const ACTOR = 'watch-folder';
+const SUBFOLDERS = {
+  processing: 'processing',
+  processed: 'processed',
+  failed: 'failed'
+};
+// <claimedAt>.<random>.<original name>
+const CLAIM_PATTERN = /^(\d+)\.([0-9a-f]{8})\.(.+)$/;
+
+class WatchFolderService {
+  constructor() {
+    this.directory = process.env.WATCH_FOLDER_DIR ? path.resolve(process.env.WATCH_FOLDER_DIR) : null;
+    this.pollIntervalMs = parseInt(process.env.WATCH_FOLDER_POLL_INTERVAL_MS || '5000', 10);
+    this.autoProcess = process.env.WATCH_FOLDER_AUTO_PROCESS === 'true';
+    this.tenantId = process.env.WATCH_FOLDER_TENANT || DEFAULT_TENANT;
+    this.claimLeaseMs = parseInt(process.env.WATCH_FOLDER_CLAIM_LEASE_MS || '600000', 10);
+
+    this.running = false;
+    this.pollTimer = null;
+    this.polling = null;
+    // name -> { size, mtimeMs } seen at the previous poll
+    this.candidates = new Map();
+    // Claims this instance is creating the batch of
+    this.activeClaims = new Set();
+    this.counts = { processed: 0, failed: 0 };
+    this.lastPollAt = null;
+  }
+
+  isEnabled() {
+    return Boolean(this.directory);
+  }
+
+  /**
+   * Create the subfolders and start polling
+   */
+  async start() {
+    if (this.running || !this.isEnabled()) return;
+
+    await Promise.all(Object.values(SUBFOLDERS).map(subfolder =>
+      fs.mkdir(path.join(this.directory, subfolder), { recursive: true })
+    ));
+    await this.recoverInterruptedFiles();
+
+    this.running = true;
+    console.log(`📂 Watching ${this.directory} (every ${this.pollIntervalMs}ms, auto-process ${this.autoProcess ? 'on' : 'off'})`);
+    this.schedulePoll();
+  }
+
+  /**
+   * Stop polling and wait for the current poll to finish
+   */
+  async stop() {
+    this.running = false;
+    if (this.pollTimer) clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+    if (this.polling) await this.polling;
+  }
+
+  schedulePoll() {
+    if (!this.running) return;
+    this.pollTimer = setTimeout(async () => {
+      this.polling = this.poll();
+      await this.polling;
+      this.polling = null;
+      this.schedulePoll();
+    }, this.pollIntervalMs);
+  }
+
+  async poll() {
+    try {
+      await this.ingestStableFiles();
+      await this.checkPendingFiles();
+      await this.recoverInterruptedFiles();
+      this.lastPollAt = new Date().toISOString();
+    } catch (error) {
+      console.error('Watch folder polling error:', error);
+    }
+  }
+
+  /**
+   * Ingest the inbox files whose size and mtime did not change since the last poll
+   */
+  async ingestStableFiles() {
+    const entries = await fs.readdir(this.directory, { withFileTypes: true });
+    const seen = new Map();
+
+    for (const entry of entries) {
+      if (!entry.isFile() || entry.name.startsWith('.')) continue;
+
+      const stats = await fs.stat(path.join(this.directory, entry.name)).catch(() => null);
+      if (!stats) continue;
+
+      const previous = this.candidates.get(entry.name);
+      if (previous && previous.size === stats.size && previous.mtimeMs === stats.mtimeMs) {
+        await this.ingestFile(entry.name, stats.size);
+      } else {
+        seen.set(entry.name, { size: stats.size, mtimeMs: stats.mtimeMs });
+      }
+    }
+
+    this.candidates = seen;
+  }
+
+  /**
+   * Create the batch of an inbox file
+   * @param {string} name - File name in the inbox
+   * @param {number} size - File size in bytes
+   */
+  async ingestFile(name, size) {
+    const claimName = `${Date.now()}.${crypto.randomBytes(4).toString('hex')}.${name}`;
+    const claimedPath = path.join(this.directory, SUBFOLDERS.processing, claimName);
+    try {
+      await fs.rename(path.join(this.directory, name), claimedPath);
+    } catch (error) {
+      // Claimed by another instance, or removed by the scanner
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    this.activeClaims.add(claimName);
+    try {
+      await this.createBatch(claimName, size);
+    } finally {
+      this.activeClaims.delete(claimName);
+    }
+  }
+
+  /**
+   * @param {string} claimName - File name in processing/
+   * @param {number} size - File size in bytes
+   */
+  async createBatch(claimName, size) {
+    const claimedPath = path.join(this.directory, SUBFOLDERS.processing, claimName);
+    const { originalFilename: name } = this.parseClaim(claimName);
+    console.log(`📂 Watch folder: picked up ${name}`);
+    const receivedAt = new Date().toISOString();
+    let uploadPath = null;
+
+    try {
+      const extension = path.extname(name).toLowerCase();
+      if (extension !== '.pdf' && !imageToPdfService.getExtensions().includes(extension)) {
+        throw new Error('Unsupported file type. Allowed types: PDF, TIFF, JPEG, PNG');
+      }
+      const maxFileSize = parseInt(process.env.MAX_FILE_SIZE) || 50 * 1024 * 1024;
+      if (size > maxFileSize) {
+        throw new Error(`File too large. Maximum size: ${Math.round(maxFileSize / 1024 / 1024)}MB`);
+      }
+
+      // The share may be another file system: copy into the upload directory
+      uploadPath = path.join(
+        await uploadController.ensureUploadDirectory(),
+        `watch-${Date.now()}-${crypto.randomBytes(4).toString('hex')}${extension}`
+      );
+      await fs.copyFile(claimedPath, uploadPath);
+
+      const { documentBatch, duplicates } = await uploadController.createBatchFromFile(
+        { filePath: uploadPath, originalFilename: name, mimetype: null },
+        { actor: ACTOR, tenantId: this.tenantId }
+      );
+      uploadPath = null;
+
+      const result = {
+        batchId: documentBatch.id,
+        batchUrl: `/api/batches/${documentBatch.id}`,
+        totalPages: documentBatch.totalPages,
+        contentHash: documentBatch.contentHash,
+        convertedFrom: documentBatch.metadata.source ? documentBatch.metadata.source.format : null,
+        duplicateOf: duplicates.map(batch => batch.id),
+        receivedAt
+      };
+
+      if (this.autoProcess) {
+        const { job } = await processingController.queueProcessing(documentBatch, { actor: ACTOR });
+        await this.writeSidecar(claimedPath, { status: 'processing', originalFilename: name, ...result, jobId: job.id });
+        console.log(`📂 Watch folder: ${name} -> batch ${documentBatch.id}, processing queued`);
+        return;
+      }
+
+      await this.complete(claimName, { ...result, batchStatus: documentBatch.status });
+    } catch (error) {
+      if (uploadPath) {
+        await fs.unlink(uploadPath).catch(() => {});
+      }
+      await this.fail(claimName, error.message || String(error), { receivedAt });
+    }
+  }
+
+  /**
+   * Move auto-processed files out of processing/ once their batch is split or failed
+   */
+  async checkPendingFiles() {
+    const processingDir = path.join(this.directory, SUBFOLDERS.processing);
+    const names = await fs.readdir(processingDir);
+
+    for (const sidecarName of names.filter(name => name.endsWith('.json'))) {
+      const name = sidecarName.slice(0, -'.json'.length);
+      const sidecar = await this.readSidecar(path.join(processingDir, name));
+      if (!sidecar || sidecar.status !== 'processing') continue;
+
+      const documentBatch = await DocumentBatch.findById(sidecar.batchId);
+      if (!documentBatch) {
+        await this.fail(name, 'Batch was deleted before processing finished', sidecar);
+      } else if (documentBatch.status === 'ERROR') {
+        await this.fail(name, documentBatch.errorMessage || 'Processing failed', { ...sidecar, batchStatus: documentBatch.status });
+      } else if (documentBatch.status !== 'PROCESSING_SPLIT') {
+        const boundaryDetection = documentBatch.metadata.boundaryDetection || {};
+        await this.complete(name, {
+          ...sidecar,
+          batchStatus: documentBatch.status,
+          invoiceCount: boundaryDetection.invoiceCount === undefined ? null : boundaryDetection.invoiceCount
+        });
+      }
+    }
+  }
+
+  /**
+   * Put files claimed by an interrupted instance (no sidecar, lease expired)
+   * back in the inbox, under their original name
+   */
+  async recoverInterruptedFiles() {
+    const processingDir = path.join(this.directory, SUBFOLDERS.processing);
+    const names = await fs.readdir(processingDir);
+
+    for (const name of names.filter(name => !name.endsWith('.json'))) {
+      if (names.includes(`${name}.json`) || this.activeClaims.has(name)) continue;
+
+      const { claimedAt, originalFilename } = this.parseClaim(name);
+      if (claimedAt !== null && Date.now() - claimedAt < this.claimLeaseMs) continue;
+
+      const inboxPath = await this.availablePath(this.directory, originalFilename);
+      await fs.rename(path.join(processingDir, name), inboxPath).catch(() => {});
+      console.log(`♻️  Watch folder: ${originalFilename} returned to the inbox`);
+    }
+  }
+
+  /**
+   * @param {string} claimName - File name in processing/
+   * @returns {Object} - { claimedAt, originalFilename }; claimedAt is null for
+   *   a file that does not follow the claim naming
+   */
+  parseClaim(claimName) {
+    const match = CLAIM_PATTERN.exec(claimName);
+    return match
+      ? { claimedAt: parseInt(match[1], 10), originalFilename: match[3] }
+      : { claimedAt: null, originalFilename: claimName };
+  }
+
+  async complete(claimName, result) {
+    const { status, ...details } = result;
+    await this.moveOut(claimName, SUBFOLDERS.processed, { status: 'processed', ...details, completedAt: new Date().toISOString() });
+    this.counts.processed++;
+    console.log(`✅ Watch folder: ${this.parseClaim(claimName).originalFilename} processed (batch ${result.batchId})`);
+  }
+
+  async fail(claimName, error, details = {}) {
+    const { status, ...rest } = details;
+    await this.moveOut(claimName, SUBFOLDERS.failed, { status: 'failed', ...rest, error, failedAt: new Date().toISOString() });
+    this.counts.failed++;
+    console.warn(`⚠️  Watch folder: ${this.parseClaim(claimName).originalFilename} failed: ${error}`);
+  }
+
+  /**
+   * Move a claimed file (and its sidecar) to processed/ or failed/, under its
+   * original name
+   * @param {string} claimName - File name in processing/
+   * @param {string} subfolder - SUBFOLDERS.processed | SUBFOLDERS.failed
+   * @param {Object} sidecar - Result written next to the file
+   */
+  async moveOut(claimName, subfolder, sidecar) {
+    const claimedPath = path.join(this.directory, SUBFOLDERS.processing, claimName);
+    const { originalFilename } = this.parseClaim(claimName);
+    const targetPath = await this.availablePath(path.join(this.directory, subfolder), originalFilename);
+
+    await fs.rename(claimedPath, targetPath);
+    await this.writeSidecar(targetPath, { file: path.basename(targetPath), originalFilename, ...sidecar });
+    await fs.unlink(`${claimedPath}.json`).catch(() => {});
+  }
+
+  // Same name scanned twice: keep both, the later one with a timestamp suffix
+  async availablePath(directory, name) {
+    const candidate = path.join(directory, name);
+    const exists = await fs.access(candidate).then(() => true, () => false);
+    if (!exists) return candidate;
+
+    const extension = path.extname(name);
+    return path.join(directory, `${path.basename(name, extension)}-${Date.now()}${extension}`);
+  }
+
+  async writeSidecar(filePath, data) {
+    await fs.writeFile(`${filePath}.json`, JSON.stringify(data, null, 2));
+  }
+
+  async readSidecar(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(`${filePath}.json`, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  getStats() {
+    return {
+      enabled: this.isEnabled(),
+      directory: this.directory,
+      running: this.running,
+      autoProcess: this.autoProcess,
+      tenantId: this.tenantId,
+      claimLeaseMs: this.claimLeaseMs,
+      pollIntervalMs: this.pollIntervalMs,
+      lastPollAt: this.lastPollAt,
+      processed: this.counts.processed,
+      failed: this.counts.failed
+    };
+  }
+}
+
+const watchFolderService = new WatchFolderService();
+watchFolderService.SUBFOLDERS = SUBFOLDERS;
+
+module.exports = watchFolderService;
@@ -0,0 +1,257 @@
+/**
+ * ================================================================================
+ * WEBHOOK SERVICE - OUTBOUND BATCH LIFECYCLE NOTIFICATIONS
+ * ================================================================================
+ *
+ * Notifies subscribed endpoints (e.g. an ERP integration) about batch lifecycle
+ * events so they do not have to poll the status endpoint. Events are derived
+ * from the status changes DocumentBatch.update performs and from batch deletion.
+ * Every event/subscription pair gets a row in `webhook_deliveries`; the HTTP
+ * attempts run as 'deliver-webhook' jobs, so failures are retried with the job
+ * queue's exponential backoff and survive restarts.
+ *
+ * 📨 EVENTS:
+ * • SPLIT_PROPOSED        - Boundary detection finished, splits await validation
+ * • SPLIT_VALIDATED       - Splits were validated and the PDFs created
+ * • EXTRACTION_COMPLETED  - Data extraction finished (DATA_VALIDATION_PENDING)
+ * • EXTRACTION_FAILED     - Data extraction failed after all attempts (ERROR)
+ * • BATCH_DELETED         - The batch and its files were deleted
+ *
+ * 🔐 SIGNATURE:
+ * • X-Webhook-Timestamp - Unix seconds of the attempt
+ * • X-Webhook-Signature - sha256=HMAC_SHA256(secret, `${timestamp}.${rawBody}`) as hex
+ * • X-Webhook-Id        - Delivery ID (stable across retries and redeliveries)
+ *
+ * ⚙️ CONFIGURATION:
+ * • WEBHOOK_MAX_ATTEMPTS - Attempts per delivery (default 5)
+ * • WEBHOOK_TIMEOUT_MS   - Request timeout per attempt (default 10000)
+ *
+ * ================================================================================
+ */
+
+const crypto = require('crypto');
+const WebhookSubscription = require('../models/webhook-subscription.model');
+const WebhookDelivery = require('../models/webhook-delivery.model');
+const Invoice = require('../models/invoice.model');
+const jobQueue = require('./job-queue.service');
+
+const EVENTS = {
+  SPLIT_PROPOSED: 'SPLIT_PROPOSED',
+  SPLIT_VALIDATED: 'SPLIT_VALIDATED',
+  EXTRACTION_COMPLETED: 'EXTRACTION_COMPLETED',
+  EXTRACTION_FAILED: 'EXTRACTION_FAILED',
+  BATCH_DELETED: 'BATCH_DELETED'
+};
+
+// Response bodies are only kept for debugging
+const MAX_RESPONSE_BODY = 1000;
+
+class WebhookService {
+  constructor() {
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10);
+    this.timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+  }
+
+  /**
+   * Event for a batch status change, if any
+   * @param {string} status - New status
+   * @param {string} previousStatus - Status before the update
+   * @returns {string|null}
+   */
+  eventForStatusChange(status, previousStatus) {
+    switch (status) {
+      case 'SPLIT_PROPOSED':
+        return EVENTS.SPLIT_PROPOSED;
+      case 'SPLIT_VALIDATED':
+        return EVENTS.SPLIT_VALIDATED;
+      case 'DATA_VALIDATION_PENDING':
+        return EVENTS.EXTRACTION_COMPLETED;
+      case 'ERROR':
+        return previousStatus === 'EXTRACTING_DATA' ? EVENTS.EXTRACTION_FAILED : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Called by DocumentBatch.update after a status change. Never throws.
+   * @param {DocumentBatch} documentBatch - Updated batch
+   * @param {string} previousStatus - Status before the update
+   */
+  async handleStatusChange(documentBatch, previousStatus) {
+    const event = this.eventForStatusChange(documentBatch.status, previousStatus);
+    if (!event) return;
+
+    try {
+      await this.dispatch(event, documentBatch, { previousStatus });
+    } catch (error) {
+      console.error(`Webhook dispatch failed for ${event} (batch ${documentBatch.id}):`, error.message);
+    }
+  }
+
+  /**
+   * Called by DocumentBatch.delete after the row was removed. Never throws.
+   * @param {DocumentBatch} documentBatch - Deleted batch
+   */
+  async handleBatchDeleted(documentBatch) {
+    try {
+      await this.dispatch(EVENTS.BATCH_DELETED, documentBatch);
+    } catch (error) {
+      console.error(`Webhook dispatch failed for ${EVENTS.BATCH_DELETED} (batch ${documentBatch.id}):`, error.message);
+    }
+  }
+
+  /**
+   * Create a delivery for every subscription of the event and queue it
+   * @param {string} event - One of EVENTS
+   * @param {DocumentBatch} documentBatch - Batch the event is about
+   * @param {Object} [extra] - Additional payload fields
+   * @returns {Promise<Array<WebhookDelivery>>}
+   */
+  async dispatch(event, documentBatch, extra = {}) {
+    const subscriptions = await WebhookSubscription.findActiveForEvent(event);
+    if (subscriptions.length === 0) return [];
+
+    const data = await this.buildEventData(documentBatch, extra);
+    const deliveries = [];
+
+    for (const subscription of subscriptions) {
+      const delivery = await WebhookDelivery.create({
+        subscriptionId: subscription.id,
+        event,
+        batchId: documentBatch.id,
+        payload: { event, createdAt: new Date().toISOString(), data }
+      });
+      await this.enqueueDelivery(delivery);
+      deliveries.push(delivery);
+    }
+
+    console.log(`📨 Webhook ${event} queued for ${deliveries.length} subscription(s) (batch ${documentBatch.id})`);
+    return deliveries;
+  }
+
+  async buildEventData(documentBatch, extra = {}) {
+    // Counted from the invoice rows: extracted_data also lists the failed extractions
+    const invoices = await Invoice.findByBatchId(documentBatch.id);
+    return {
+      batchId: documentBatch.id,
+      status: documentBatch.status,
+      originalFilename: documentBatch.originalFilename,
+      totalPages: documentBatch.totalPages,
+      proposedSplits: (documentBatch.proposedSplits || []).length,
+      validatedSplits: (documentBatch.validatedSplits || []).length,
+      extractedInvoices: invoices.filter(invoice => invoice.extractionStatus === 'EXTRACTED').length,
+      errorMessage: documentBatch.errorMessage || null,
+      ...extra
+    };
+  }
+
+  async enqueueDelivery(delivery) {
+    // Required lazily: the job handlers module loads DocumentBatch, which loads this service
+    const { JOB_TYPES } = require('../jobs');
+    const job = await jobQueue.enqueue(
+      JOB_TYPES.DELIVER_WEBHOOK,
+      { deliveryId: delivery.id },
+      { batchId: delivery.batchId, maxAttempts: this.maxAttempts }
+    );
+    await delivery.markPending(job.id);
+    return job;
+  }
+
+  /**
+   * Queue an earlier delivery again with a fresh set of attempts
+   * @param {WebhookDelivery} delivery - Delivery to resend
+   * @returns {Promise<Job>}
+   */
+  async redeliver(delivery) {
+    const job = await this.enqueueDelivery(delivery);
+    console.log(`🔁 Webhook delivery ${delivery.id} queued for redelivery`);
+    return job;
+  }
+
+  /**
+   * HMAC signature of a payload
+   * @param {string} secret - Subscription secret
+   * @param {number} timestamp - Unix seconds
+   * @param {string} body - Raw JSON body
+   * @returns {string} - "sha256=<hex>"
+   */
+  sign(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+  }
+
+  /**
+   * One delivery attempt (job handler). Throws on failure so the job is retried.
+   * @param {string} deliveryId - Delivery to send
+   * @returns {Promise<Object>} - { status, responseStatus }
+   */
+  async deliver(deliveryId) {
+    const delivery = await WebhookDelivery.findById(deliveryId);
+    if (!delivery) {
+      throw new Error(`Webhook delivery not found: ${deliveryId}`);
+    }
+
+    const subscription = await WebhookSubscription.findById(delivery.subscriptionId);
+    if (!subscription || !subscription.active) {
+      // Nothing to retry - the subscription was removed or disabled
+      await delivery.markFailed('Subscription deleted or inactive');
+      return { status: delivery.status };
+    }
+
+    const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    let response;
+    try {
+      response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'smart-invoice-splitter-webhooks/1.0',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': this.sign(subscription.secret, timestamp, body)
+        },
+        body,
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+    } catch (error) {
+      const message = error.name === 'TimeoutError' ? `Timed out after ${this.timeoutMs}ms` : error.message;
+      await delivery.recordAttempt({ error: message });
+      throw new Error(`Webhook request failed: ${message}`);
+    }
+
+    const responseBody = (await response.text().catch(() => '')).slice(0, MAX_RESPONSE_BODY);
+
+    if (!response.ok) {
+      const message = `Endpoint responded with HTTP ${response.status}`;
+      await delivery.recordAttempt({ responseStatus: response.status, responseBody, error: message });
+      throw new Error(message);
+    }
+
+    await delivery.recordAttempt({ responseStatus: response.status, responseBody });
+    await delivery.markDelivered();
+    console.log(`📬 Webhook ${delivery.event} delivered to ${subscription.url} (${response.status})`);
+
+    return { status: delivery.status, responseStatus: response.status };
+  }
+
+  /**
+   * Job failure handler: all attempts of a delivery failed
+   * @param {Job} job - Failed 'deliver-webhook' job
+   * @param {Error} error - Last error
+   */
+  async markDeliveryFailed(job, error) {
+    const delivery = await WebhookDelivery.findById(job.payload.deliveryId);
+    if (delivery && delivery.status === 'PENDING') {
+      await delivery.markFailed(error.message);
+    }
+  }
+}
+
+const webhookService = new WebhookService();
+webhookService.EVENTS = EVENTS;
+
+module.exports = webhookService;
@@ -0,0 +1,96 @@
+/**
+ * ZIP archive expansion for upload sessions.
+ *
+ * Extracts the documents (PDFs, and scanner images when the caller accepts
+ * them) of an uploaded archive into the upload directory under generated names
+ * (entry paths are never used on disk). Directories, macOS resource forks and
+ * hidden files are ignored; other entries are reported as skipped with a reason
+ * instead of failing the whole archive.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const yauzl = require('yauzl');
+
+class ZipArchiveService {
+  isZipFile(file) {
+    const zipMimeTypes = ['application/zip', 'application/x-zip-compressed', 'multipart/x-zip'];
+    return zipMimeTypes.includes(file.mimetype) || path.extname(file.originalname).toLowerCase() === '.zip';
+  }
+
+  /**
+   * Extract the document entries of an archive
+   * @param {string} zipPath - Uploaded archive
+   * @param {Object} options - { destDir, maxFiles, maxFileSize, extensions } (extensions default to ['.pdf'])
+   * @returns {Promise<Object>} - { files: [{ filename, filePath, size }], skipped: [{ filename, reason }] }
+   */
+  async extractDocuments(zipPath, { destDir, maxFiles, maxFileSize, extensions = ['.pdf'] }) {
+    const zipfile = await new Promise((resolve, reject) => {
+      yauzl.open(zipPath, { lazyEntries: true }, (err, opened) => (err ? reject(err) : resolve(opened)));
+    }).catch((error) => {
+      throw new Error(`Invalid ZIP archive: ${error.message}`);
+    });
+
+    const files = [];
+    const skipped = [];
+
+    try {
+      await new Promise((resolve, reject) => {
+        zipfile.on('error', reject);
+        zipfile.on('end', resolve);
+        zipfile.on('entry', (entry) => {
+          this.handleEntry(zipfile, entry, { destDir, maxFiles, maxFileSize, extensions, files, skipped })
+            .then(() => zipfile.readEntry())
+            .catch(reject);
+        });
+        zipfile.readEntry();
+      });
+    } catch (error) {
+      // Do not leave half an archive behind
+      await Promise.all(files.map(file => fs.promises.unlink(file.filePath).catch(() => {})));
+      throw new Error(`Invalid ZIP archive: ${error.message}`);
+    } finally {
+      zipfile.close();
+    }
+
+    return { files, skipped };
+  }
+
+  async handleEntry(zipfile, entry, { destDir, maxFiles, maxFileSize, extensions, files, skipped }) {
+    const filename = path.posix.basename(entry.fileName);
+    const extension = path.extname(filename).toLowerCase();
+
+    if (entry.fileName.endsWith('/') || entry.fileName.startsWith('__MACOSX/') || filename.startsWith('.')) {
+      return;
+    }
+    if (!extensions.includes(extension)) {
+      skipped.push({ filename: entry.fileName, reason: 'Unsupported file type' });
+      return;
+    }
+    if (entry.uncompressedSize > maxFileSize) {
+      skipped.push({ filename: entry.fileName, reason: 'File too large' });
+      return;
+    }
+    if (files.length >= maxFiles) {
+      skipped.push({ filename: entry.fileName, reason: 'Too many files' });
+      return;
+    }
+
+    const filePath = path.join(destDir, `zip-${Date.now()}-${crypto.randomBytes(4).toString('hex')}${extension}`);
+    const readStream = await new Promise((resolve, reject) => {
+      zipfile.openReadStream(entry, (err, stream) => (err ? reject(err) : resolve(stream)));
+    });
+    try {
+      await pipeline(readStream, fs.createWriteStream(filePath));
+    } catch (error) {
+      await fs.promises.unlink(filePath).catch(() => {});
+      throw error;
+    }
+
+    files.push({ filename, filePath, size: entry.uncompressedSize });
+  }
+}
+
+module.exports = new ZipArchiveService();
@@ -0,0 +1,19 @@
+/**
+ * SHA-256 fingerprint of a file's content, used to detect re-uploads of the
+ * same document.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+module.exports = { hashFile };
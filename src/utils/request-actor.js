@@ -0,0 +1,16 @@
+/**
+ * Actor recorded in audit trails for API requests.
+ *
+ * There is no user authentication yet: callers can identify themselves with the
+ * `X-Actor` header (e.g. a user name or integration ID); otherwise the client
+ * IP is used.
+ */
+
+const MAX_ACTOR_LENGTH = 100;
+
+function requestActor(req) {
+  const actor = (req.get('X-Actor') || '').trim();
+  return actor ? actor.slice(0, MAX_ACTOR_LENGTH) : `api:${req.ip}`;
+}
+
+module.exports = { requestActor };
@@ -0,0 +1,33 @@
+/**
+ * Tenant of an API request.
+ *
+ * Batches belong to a tenant, whose policies (e.g. auto-approval) apply to
+ * them. Callers select it with the `X-Tenant-Id` header; requests without one
+ * use the 'default' tenant.
+ */
+
+const DEFAULT_TENANT = 'default';
+const TENANT_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+function isValidTenantId(tenantId) {
+  return typeof tenantId === 'string' && TENANT_PATTERN.test(tenantId);
+}
+
+/**
+ * @param {Object} req - Express request
+ * @returns {string} - Tenant ID
+ * @throws {Error} - status 400 when the header is not a valid tenant ID
+ */
+function requestTenant(req) {
+  const tenantId = (req.get('X-Tenant-Id') || '').trim();
+  if (!tenantId) return DEFAULT_TENANT;
+
+  if (!isValidTenantId(tenantId)) {
+    const error = new Error('Invalid X-Tenant-Id header (letters, digits, ".", "_" and "-", at most 64 characters)');
+    error.status = 400;
+    throw error;
+  }
+  return tenantId;
+}
+
+module.exports = { DEFAULT_TENANT, isValidTenantId, requestTenant };
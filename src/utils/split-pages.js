@@ -0,0 +1,204 @@
+/**
+ * Pages of a split.
+ *
+ * A split is a contiguous `startPage..endPage` range unless it carries page
+ * operations:
+ * • pages         - Explicit page list in output order (non-contiguous ranges
+ *                   and reordering allowed), e.g. [1, 2, 5, 3]
+ * • excludedPages - Pages of the split left out of its PDF (blank separator
+ *                   sheets, stray cover letters); they still count as covered
+ * • rotations     - Clockwise rotation per page, e.g. { "3": 180 }
+ *
+ * Page numbers are 1-based page numbers of the batch PDF.
+ */
+
+const ROTATIONS = [0, 90, 180, 270];
+
+function range(startPage, endPage) {
+  const pages = [];
+  for (let page = startPage; page <= endPage; page++) {
+    pages.push(page);
+  }
+  return pages;
+}
+
+function hasPageOperations(split) {
+  return Array.isArray(split.pages) ||
+    (Array.isArray(split.excludedPages) && split.excludedPages.length > 0) ||
+    (split.rotations && Object.keys(split.rotations).length > 0);
+}
+
+/**
+ * Pages written to the split PDF, in output order
+ * @returns {Array<number>}
+ */
+function splitPages(split) {
+  const excluded = new Set(split.excludedPages || []);
+  const pages = Array.isArray(split.pages) ? split.pages : range(split.startPage, split.endPage);
+  return pages.filter(page => !excluded.has(page));
+}
+
+/**
+ * Pages accounted for by the split: written or excluded
+ * @returns {Array<number>} - Ascending
+ */
+function coveredPages(split) {
+  const pages = new Set([...splitPages(split), ...(split.excludedPages || [])]);
+  return [...pages].sort((a, b) => a - b);
+}
+
+/**
+ * Compact page list, e.g. [1, 2, 3, 5, 4] -> "1-3,5,4" (order kept)
+ */
+function formatPageList(pages) {
+  const parts = [];
+  let runStart = null;
+  let previous = null;
+
+  pages.forEach(page => {
+    if (previous !== null && page === previous + 1) {
+      previous = page;
+      return;
+    }
+    if (runStart !== null) {
+      parts.push(runStart === previous ? `${runStart}` : `${runStart}-${previous}`);
+    }
+    runStart = page;
+    previous = page;
+  });
+  if (runStart !== null) {
+    parts.push(runStart === previous ? `${runStart}` : `${runStart}-${previous}`);
+  }
+
+  return parts.join(',');
+}
+
+/**
+ * Problems with the pages of one split
+ * @param {Object} split - Split
+ * @param {number} [totalPages] - Pages of the batch PDF (not checked when unknown)
+ * @returns {Array<string>} - Errors (empty when the split is valid)
+ */
+function splitPagesErrors(split, totalPages = null) {
+  const errors = [];
+  const isPage = page => Number.isInteger(page) && page >= 1 && (!totalPages || page <= totalPages);
+  const outside = totalPages ? ` (the document has ${totalPages} pages)` : '';
+
+  if (Array.isArray(split.pages)) {
+    if (split.pages.length === 0) {
+      errors.push('pages must not be empty');
+    }
+    const invalid = split.pages.filter(page => !isPage(page));
+    if (invalid.length > 0) {
+      errors.push(`invalid pages ${invalid.join(', ')}${outside}`);
+    }
+    const duplicates = split.pages.filter((page, index) => split.pages.indexOf(page) !== index);
+    if (duplicates.length > 0) {
+      errors.push(`pages listed twice: ${[...new Set(duplicates)].join(', ')}`);
+    }
+  } else if (split.pages !== undefined && split.pages !== null) {
+    errors.push('pages must be an array of page numbers');
+  } else if (!isPage(split.startPage) || !isPage(split.endPage) || split.startPage > split.endPage) {
+    errors.push(`invalid page range ${split.startPage}-${split.endPage}${outside}`);
+  }
+
+  if (split.excludedPages !== undefined && split.excludedPages !== null) {
+    if (!Array.isArray(split.excludedPages)) {
+      errors.push('excludedPages must be an array of page numbers');
+    } else {
+      const invalid = split.excludedPages.filter(page => !isPage(page));
+      if (invalid.length > 0) {
+        errors.push(`invalid excluded pages ${invalid.join(', ')}${outside}`);
+      }
+      if (!Array.isArray(split.pages) && errors.length === 0) {
+        const outsideRange = split.excludedPages.filter(page => page < split.startPage || page > split.endPage);
+        if (outsideRange.length > 0) {
+          errors.push(`excluded pages ${outsideRange.join(', ')} are outside pages ${split.startPage}-${split.endPage}`);
+        }
+      }
+    }
+  }
+
+  if (errors.length === 0 && splitPages(split).length === 0) {
+    errors.push('every page is excluded');
+  }
+
+  if (split.rotations !== undefined && split.rotations !== null) {
+    if (typeof split.rotations !== 'object' || Array.isArray(split.rotations)) {
+      errors.push('rotations must be an object of page number to degrees');
+    } else if (errors.length === 0) {
+      const written = new Set(splitPages(split));
+      Object.entries(split.rotations).forEach(([page, rotation]) => {
+        if (!written.has(Number(page))) {
+          errors.push(`rotation for page ${page}, which is not in the split`);
+        } else if (!ROTATIONS.includes(rotation)) {
+          errors.push(`rotation of page ${page} must be one of ${ROTATIONS.join(', ')} degrees`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate splits and fill in their derived fields (startPage / endPage
+ * spanning the covered pages, pageRange of the written pages). Splits without
+ * page operations are returned as ranges.
+ * @param {Array<Object>} splits - Splits from a reviewer or boundary detection
+ * @param {number} [totalPages] - Pages of the batch PDF
+ * @returns {Object} - { splits, errors }
+ */
+function normalizeSplits(splits, totalPages = null) {
+  const errors = [];
+  const owners = new Map();
+
+  const normalized = splits.map((split, index) => {
+    const label = `Split ${index + 1}`;
+    const splitErrors = splitPagesErrors(split, totalPages);
+    if (splitErrors.length > 0) {
+      splitErrors.forEach(error => errors.push(`${label}: ${error}`));
+      return split;
+    }
+
+    coveredPages(split).forEach(page => {
+      if (owners.has(page)) {
+        errors.push(`${label}: page ${page} is already in split ${owners.get(page) + 1}`);
+      } else {
+        owners.set(page, index);
+      }
+    });
+
+    if (!hasPageOperations(split)) {
+      return { ...split, pageRange: `${split.startPage}-${split.endPage}` };
+    }
+
+    const covered = coveredPages(split);
+    const rotations = {};
+    Object.entries(split.rotations || {}).forEach(([page, rotation]) => {
+      if (rotation !== 0) rotations[page] = rotation;
+    });
+
+    return {
+      ...split,
+      startPage: covered[0],
+      endPage: covered[covered.length - 1],
+      pages: splitPages(split),
+      excludedPages: [...new Set(split.excludedPages || [])].sort((a, b) => a - b),
+      rotations,
+      pageRange: formatPageList(splitPages(split))
+    };
+  });
+
+  return { splits: normalized, errors };
+}
+
+module.exports = {
+  ROTATIONS,
+  hasPageOperations,
+  splitPages,
+  coveredPages,
+  formatPageList,
+  splitPagesErrors,
+  normalizeSplits
+};